@@ -3,24 +3,40 @@
  * Centralized configuration for AI/GenAI services
  * Reads and validates AI-related environment variables
  * 
- * Provider: Groq (fast inference with Llama 3 models)
+ * Provider: Groq by default (fast inference with Llama 3 models); set AI_PROVIDER
+ * to "openai-compatible" for a local server or "stub" for offline development
  * Embeddings: @xenova/transformers — all-MiniLM-L6-v2 (local, free)
  */
 
 const aiConfig = {
   // LLM Provider Configuration
-  provider: 'groq',
+  provider: (process.env.AI_PROVIDER || 'groq').toLowerCase(),
   apiKey: process.env.GROQ_API_KEY,
   modelName: process.env.AI_MODEL_NAME || 'llama-3.3-70b-versatile',
   temperature: parseFloat(process.env.AI_TEMPERATURE) || 0.7,
   maxOutputTokens: parseInt(process.env.AI_MAX_TOKENS) || 2000,
 
+  // OpenAI-compatible endpoint (Ollama, llama.cpp server, vLLM, LM Studio)
+  openaiCompatible: {
+    baseUrl: process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: process.env.LLM_API_KEY,
+    modelName: process.env.LLM_MODEL_NAME, // falls back to modelName
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || 120000,
+  },
+
   // Feature flags
   features: {
     resumeSummary: true,
     matchScorer: true,     // Feature 2 — implemented
     semanticSearch: true,  // Feature 4 — implemented
-    screeningAgent: false, // Feature 6 — not yet implemented
+    candidateSearch: true, // Semantic candidate search for employers
+    recommendations: true, // Personalized recommended jobs feed
+    resumeParsing: true,   // LLM assist for resume file parsing (rules always run)
+    coverLetter: true,     // Cover letter generator
+    resumeTailoring: true, // Job-specific resume copies
+    screeningAgent: true,  // Feature 6 — AI review of incoming applications
+    jobDraft: true,        // Job description writer for employers
+    jobLinting: true,      // LLM pass of job posting lint (rules always run)
   },
 
   // Rate limiting for AI endpoints (per user)
@@ -29,6 +45,24 @@ const aiConfig = {
     maxRequests: 20,           // 20 AI requests per window
   },
 
+  // Monthly AI quotas: LLM calls per user per calendar month (null = unlimited)
+  // Employers get the quota of their subscription plan; embeddings are recorded but not counted
+  quotas: {
+    jobseeker: 200,
+    admin: null,
+    employerPlans: {
+      Free: 50,
+      Basic: 300,
+      Premium: 1500,
+      Enterprise: null,
+    },
+  },
+
+  // AI usage ledger
+  usage: {
+    retentionDays: 180, // ledger entries expire after this (TTL index)
+  },
+
   // Summary generation config (Feature 1)
   summary: {
     maxLength: 1000, // matches Resume schema maxlength
@@ -36,12 +70,72 @@ const aiConfig = {
     allowedTones: ['professional', 'creative', 'concise'],
   },
 
+  // Cover letter generation
+  coverLetter: {
+    maxLength: 5000, // matches Application.coverLetter.text maxlength
+    defaultTone: 'professional',
+    allowedTones: ['professional', 'enthusiastic', 'concise'],
+  },
+
+  // AI screening agent (Feature 6)
+  screeningAgent: {
+    expiringSoonDays: 30,      // flag certifications expiring within this window
+    maxInterviewQuestions: 5,
+  },
+
+  // Job description writer
+  jobDraft: {
+    maxListItems: 12,     // per responsibilities / requirements / benefits
+    maxInputChars: 12000, // existing description text sent to the LLM
+  },
+
+  // Job posting lint
+  jobLint: {
+    llmOnSave: false, // also run the LLM pass on job create/update (rules always run)
+  },
+
+  // Resume file parsing
+  resumeParsing: {
+    maxInputChars: 15000, // Resume text sent to the LLM
+    sessionTtlMs: 7 * 24 * 60 * 60 * 1000, // Unreviewed parses expire after 7 days
+  },
+
+  // Semantic job search
+  semanticSearch: {
+    maxResults: 100,    // Deepest result reachable by paging
+    candidatePool: 200, // Vector hits considered before structured filters
+    // Hybrid retrieval: vector and $text results merged by weighted reciprocal rank fusion
+    rrfK: 60,           // Rank constant; higher values flatten the gap between top ranks
+    semanticWeight: 1,  // Default weights (requests may override with weights { semantic, lexical })
+    lexicalWeight: 1,
+  },
+
+  // Recommended jobs feed
+  recommendations: {
+    maxResults: 50,                 // Results computed and cached per user
+    candidatePool: 200,             // Vector hits considered before preference filtering
+    cacheTtlMs: 15 * 60 * 1000,     // 15 minutes
+    maxCacheEntries: 1000,
+  },
+
   // Vector embedding config (Feature 4)
   embedding: {
     model: process.env.EMBEDDING_MODEL || 'Xenova/all-MiniLM-L6-v2',
     dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS) || 384,
     vectorIndexName: process.env.MONGODB_VECTOR_INDEX_NAME || 'job_vector_index',
+    candidateVectorIndexName: process.env.MONGODB_CANDIDATE_VECTOR_INDEX_NAME || 'candidate_vector_index',
+    // Max embedded profiles scored in memory when Atlas Vector Search is unavailable
+    fallbackScanLimit: parseInt(process.env.EMBEDDING_FALLBACK_SCAN_LIMIT) || 2000,
     batchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE) || 5,
+    // Re-embed job vectors from another model/template in the background on boot
+    autoMigrate: process.env.EMBEDDING_AUTO_MIGRATE !== 'false',
+  },
+
+  // In-memory job vector index, used by semantic search when Atlas Vector Search is unavailable
+  vectorIndex: {
+    enabled: process.env.VECTOR_INDEX_FALLBACK !== 'false',
+    maxVectors: parseInt(process.env.VECTOR_INDEX_MAX_VECTORS) || 50000, // ~75 MB at 384 dims
+    refreshIntervalMs: 10 * 60 * 1000, // Full reload from MongoDB (picks up other instances' writes)
   },
 };
 
@@ -52,10 +146,14 @@ const aiConfig = {
 const validateAiConfig = () => {
   const warnings = [];
 
-  if (!aiConfig.apiKey) {
+  if (aiConfig.provider === 'groq' && !aiConfig.apiKey) {
     warnings.push('⚠️  GROQ_API_KEY is not set. AI features will not work.');
   }
 
+  if (aiConfig.provider === 'stub') {
+    warnings.push('⚠️  AI_PROVIDER is "stub". AI features return deterministic placeholder output.');
+  }
+
   if (aiConfig.temperature < 0 || aiConfig.temperature > 2) {
     warnings.push(`⚠️  AI_TEMPERATURE (${aiConfig.temperature}) is out of range [0, 2]. Using 0.7.`);
     aiConfig.temperature = 0.7;
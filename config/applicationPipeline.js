@@ -0,0 +1,113 @@
+/**
+ * Application Pipeline Configuration
+ * Declares which status changes are legal for an Application
+ *
+ * The graph depends on the employer's hiringPreferences.hiringProcess:
+ *   Quick         — stages may be skipped (e.g. Applied → Offered)
+ *   Standard      — Applied → Under Review → Interview → Offered, Interview may be reached straight from Applied
+ *   Comprehensive — every stage is required, an interviewed candidate can be sent back for another review
+ *
+ * Rejected and Withdrawn are terminal. Withdrawn is only ever set by the job seeker.
+ */
+
+const APPLICATION_STATUSES = ['Applied', 'Under Review', 'Interview', 'Offered', 'Rejected', 'Withdrawn'];
+const HIRING_PROCESSES = ['Quick', 'Standard', 'Comprehensive'];
+const DEFAULT_HIRING_PROCESS = 'Standard';
+
+// Employer/admin-driven transitions per hiring process
+const TRANSITIONS = {
+  Quick: {
+    'Applied': ['Under Review', 'Interview', 'Offered', 'Rejected'],
+    'Under Review': ['Interview', 'Offered', 'Rejected'],
+    'Interview': ['Offered', 'Rejected'],
+    'Offered': [],
+    'Rejected': [],
+    'Withdrawn': [],
+  },
+  Standard: {
+    'Applied': ['Under Review', 'Interview', 'Rejected'],
+    'Under Review': ['Interview', 'Rejected'],
+    'Interview': ['Offered', 'Rejected'],
+    'Offered': [],
+    'Rejected': [],
+    'Withdrawn': [],
+  },
+  Comprehensive: {
+    'Applied': ['Under Review', 'Rejected'],
+    'Under Review': ['Interview', 'Rejected'],
+    'Interview': ['Under Review', 'Offered', 'Rejected'],
+    'Offered': [],
+    'Rejected': [],
+    'Withdrawn': [],
+  },
+};
+
+// Terminal statuses: the application is closed
+const CLOSED_STATUSES = ['Rejected', 'Withdrawn'];
+
+// Statuses a job seeker may still withdraw from
+const WITHDRAWABLE_STATUSES = ['Applied', 'Under Review', 'Interview', 'Offered'];
+
+const resolveHiringProcess = (hiringProcess) =>
+  HIRING_PROCESSES.includes(hiringProcess) ? hiringProcess : DEFAULT_HIRING_PROCESS;
+
+/**
+ * List the statuses reachable from `from`
+ * @param {string} from - Current application status
+ * @param {Object} [options]
+ * @param {string} [options.hiringProcess] - Employer's hiring process (defaults to Standard)
+ * @param {string} [options.actor='employer'] - 'employer' | 'admin' | 'jobseeker'
+ * @returns {string[]}
+ */
+const getAllowedTransitions = (from, options = {}) => {
+  if (options.actor === 'jobseeker') {
+    return WITHDRAWABLE_STATUSES.includes(from) ? ['Withdrawn'] : [];
+  }
+  const graph = TRANSITIONS[resolveHiringProcess(options.hiringProcess)];
+  return graph[from] ? [...graph[from]] : [];
+};
+
+/**
+ * Whether moving from `from` to `to` is legal
+ * @param {string} from
+ * @param {string} to
+ * @param {Object} [options] - See getAllowedTransitions
+ * @returns {boolean}
+ */
+const canTransition = (from, to, options = {}) =>
+  getAllowedTransitions(from, options).includes(to);
+
+/**
+ * Build the error thrown for an illegal move
+ * Carries statusCode 409 so controllers can surface it directly
+ * @returns {Error}
+ */
+const createTransitionError = (from, to, options = {}) => {
+  const allowed = getAllowedTransitions(from, options);
+  const err = new Error(
+    from === to
+      ? `Application is already ${to}`
+      : `Cannot move application from ${from} to ${to}`
+  );
+  err.name = 'TransitionError';
+  err.statusCode = 409;
+  err.details = {
+    from,
+    to,
+    hiringProcess: resolveHiringProcess(options.hiringProcess),
+    allowed,
+  };
+  return err;
+};
+
+module.exports = {
+  APPLICATION_STATUSES,
+  HIRING_PROCESSES,
+  DEFAULT_HIRING_PROCESS,
+  TRANSITIONS,
+  CLOSED_STATUSES,
+  WITHDRAWABLE_STATUSES,
+  getAllowedTransitions,
+  canTransition,
+  createTransitionError,
+};
@@ -2,6 +2,13 @@ const User = require('../models/User');
 const Employer = require('../models/Employer');
 const Job = require('../models/Job');
 const Application = require('../models/Application');
+const Task = require('../models/Task');
+const { TASK_STATUSES } = require('../models/Task');
+const { retryTask, cancelTask, getTaskQueueStats } = require('../services/taskQueue');
+const EmailMessage = require('../models/EmailMessage');
+const { EMAIL_STATUSES } = require('../models/EmailMessage');
+const { resendEmail } = require('../services/emailService');
+const mongoose = require('mongoose');
 const { successResponse, errorResponse, notFoundResponse, validationErrorResponse } = require('../utils/response');
 
 // GET /api/admin/users
@@ -129,6 +136,219 @@ exports.unverifyEmployer = async (req, res) => {
   }
 };
 
+// GET /api/admin/jobs/flagged -> review queue of jobs held by the lint check
+exports.listFlaggedJobs = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const filters = { status: 'Flagged' };
+    const skip = (Math.max(1, parseInt(page)) - 1) * Math.min(100, parseInt(limit));
+    const lim = Math.min(100, parseInt(limit));
+
+    const [items, total] = await Promise.all([
+      Job.find(filters)
+        .select('+lint')
+        .populate('employer', 'organizationName')
+        .sort('-updatedAt')
+        .skip(skip)
+        .limit(lim),
+      Job.countDocuments(filters),
+    ]);
+
+    return successResponse(res, 200, 'Flagged jobs fetched', { items, total, page: Number(page), limit: lim });
+  } catch (err) {
+    console.error('Admin list flagged jobs error:', err);
+    return errorResponse(res, 500, 'Failed to fetch flagged jobs');
+  }
+};
+
+// Task as shown to admins; percent is null until the handler reports a total
+const formatTask = (task) => ({
+  id: task._id,
+  type: task.type,
+  status: task.status,
+  payload: task.payload,
+  progress: {
+    ...task.progress,
+    percent: task.progress && task.progress.total > 0
+      ? Math.min(100, Math.round((task.progress.current / task.progress.total) * 100))
+      : task.status === 'completed' ? 100 : null,
+  },
+  attempts: task.attempts,
+  maxAttempts: task.maxAttempts,
+  result: task.result === undefined ? null : task.result,
+  lastError: task.lastError || null,
+  failures: task.failures || [],
+  runAt: task.runAt,
+  startedAt: task.startedAt || null,
+  finishedAt: task.finishedAt || null,
+  runningOn: task.status === 'running' ? task.lockedBy || null : null,
+  cancelRequested: task.cancelRequested === true,
+  createdBy: task.createdBy || null,
+  createdAt: task.createdAt,
+  updatedAt: task.updatedAt,
+});
+
+// GET /api/admin/tasks -> background tasks, newest first (?status=dead for the dead-letter list)
+exports.listTasks = async (req, res) => {
+  try {
+    const { status, type, page = 1, limit = 20 } = req.query;
+    if (status && !TASK_STATUSES.includes(status)) {
+      return validationErrorResponse(res, [{ field: 'status', message: `status must be one of: ${TASK_STATUSES.join(', ')}` }]);
+    }
+    const filters = {};
+    if (status) filters.status = status;
+    if (type) filters.type = type;
+    const lim = Math.min(100, parseInt(limit) || 20);
+    const skip = (Math.max(1, parseInt(page) || 1) - 1) * lim;
+
+    const [items, total, queue] = await Promise.all([
+      Task.find(filters).sort('-createdAt').skip(skip).limit(lim).lean(),
+      Task.countDocuments(filters),
+      getTaskQueueStats(),
+    ]);
+
+    return successResponse(res, 200, 'Tasks fetched', {
+      items: items.map(formatTask),
+      total,
+      page: Number(page),
+      limit: lim,
+      queue,
+    });
+  } catch (err) {
+    console.error('Admin list tasks error:', err);
+    return errorResponse(res, 500, 'Failed to fetch tasks');
+  }
+};
+
+// GET /api/admin/tasks/:id -> status and progress of one background task
+exports.getTask = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return notFoundResponse(res, 'Task not found');
+    const task = await Task.findById(req.params.id).lean();
+    if (!task) return notFoundResponse(res, 'Task not found');
+    return successResponse(res, 200, 'Task fetched', { task: formatTask(task) });
+  } catch (err) {
+    console.error('Admin get task error:', err);
+    return errorResponse(res, 500, 'Failed to fetch task');
+  }
+};
+
+// POST /api/admin/tasks/:id/retry -> requeue a dead task with a fresh attempt budget
+exports.retryTask = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return notFoundResponse(res, 'Task not found');
+    const task = await retryTask(req.params.id);
+    if (!task) {
+      const exists = await Task.exists({ _id: req.params.id });
+      if (!exists) return notFoundResponse(res, 'Task not found');
+      return errorResponse(res, 409, 'Only dead tasks can be retried');
+    }
+    return successResponse(res, 200, 'Task requeued', { task: formatTask(task) });
+  } catch (err) {
+    console.error('Admin retry task error:', err);
+    return errorResponse(res, 500, 'Failed to retry task');
+  }
+};
+
+// POST /api/admin/tasks/:id/cancel -> cancel a queued task, or ask a running one to stop
+exports.cancelTask = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return notFoundResponse(res, 'Task not found');
+    const task = await cancelTask(req.params.id, req.user._id);
+    if (!task) {
+      const exists = await Task.exists({ _id: req.params.id });
+      if (!exists) return notFoundResponse(res, 'Task not found');
+      return errorResponse(res, 409, 'Only queued or running tasks can be cancelled');
+    }
+    const message = task.status === 'cancelled' ? 'Task cancelled' : 'Cancellation requested; the task stops at its next check';
+    return successResponse(res, 200, message, { task: formatTask(task) });
+  } catch (err) {
+    console.error('Admin cancel task error:', err);
+    return errorResponse(res, 500, 'Failed to cancel task');
+  }
+};
+
+// Most failed emails one bulk resend queues
+const MAX_BULK_RESEND = 500;
+
+// GET /api/admin/emails -> outbox and delivery log, newest first (?status=failed for the resend list)
+exports.listEmails = async (req, res) => {
+  try {
+    const { status, template, to, page = 1, limit = 20 } = req.query;
+    if (status && !EMAIL_STATUSES.includes(status)) {
+      return validationErrorResponse(res, [{ field: 'status', message: `status must be one of: ${EMAIL_STATUSES.join(', ')}` }]);
+    }
+    const filters = {};
+    if (status) filters.status = status;
+    if (template) filters.template = template;
+    if (to) filters.to = String(to).trim();
+    const lim = Math.min(100, parseInt(limit) || 20);
+    const skip = (Math.max(1, parseInt(page) || 1) - 1) * lim;
+
+    const [items, total, counts] = await Promise.all([
+      EmailMessage.find(filters)
+        .select('-html -attachments -headers')
+        .sort('-createdAt')
+        .skip(skip)
+        .limit(lim)
+        .lean(),
+      EmailMessage.countDocuments(filters),
+      EmailMessage.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+    ]);
+
+    return successResponse(res, 200, 'Emails fetched', {
+      items,
+      total,
+      page: Number(page),
+      limit: lim,
+      byStatus: Object.fromEntries(counts.map((c) => [c._id, c.count])),
+    });
+  } catch (err) {
+    console.error('Admin list emails error:', err);
+    return errorResponse(res, 500, 'Failed to fetch emails');
+  }
+};
+
+// POST /api/admin/emails/:id/resend -> queue a failed email again
+exports.resendEmail = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return notFoundResponse(res, 'Email not found');
+    const email = await resendEmail(req.params.id, { resentBy: req.user._id });
+    if (!email) {
+      const existing = await EmailMessage.findById(req.params.id).select('status').lean();
+      if (!existing) return notFoundResponse(res, 'Email not found');
+      return errorResponse(res, 409, `Only failed emails can be resent (this one is ${existing.status})`);
+    }
+    return successResponse(res, 200, 'Email queued for resending', {
+      email: { id: email._id, to: email.to, template: email.template, status: email.status, task: email.task },
+    });
+  } catch (err) {
+    console.error('Admin resend email error:', err);
+    return errorResponse(res, 500, 'Failed to resend email');
+  }
+};
+
+// POST /api/admin/emails/resend-failed -> queue every failed email again (optionally one template)
+exports.resendFailedEmails = async (req, res) => {
+  try {
+    const filters = { status: 'failed' };
+    if (req.body.template) filters.template = req.body.template;
+    const failed = await EmailMessage.find(filters).select('_id').sort('createdAt').limit(MAX_BULK_RESEND).lean();
+
+    let queued = 0;
+    for (const { _id } of failed) {
+      const email = await resendEmail(_id, { resentBy: req.user._id });
+      if (email && email.status === 'queued') queued++;
+    }
+    const remaining = await EmailMessage.countDocuments(filters);
+
+    return successResponse(res, 200, `${queued} email(s) queued for resending`, { queued, remaining });
+  } catch (err) {
+    console.error('Admin resend failed emails error:', err);
+    return errorResponse(res, 500, 'Failed to resend emails');
+  }
+};
+
 // GET /api/admin/stats
 exports.getStats = async (req, res) => {
   try {
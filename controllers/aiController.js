@@ -1,75 +1,190 @@
 const Resume = require('../models/Resume');
 const Job = require('../models/Job');
+const { SPECIALIZATIONS } = require('../models/Job');
+const Employer = require('../models/Employer');
+const JobSeeker = require('../models/JobSeeker');
+const ApplicationDraft = require('../models/ApplicationDraft');
 const { generateResumeSummary } = require('../services/ai/summaryChain');
-const { calculateMatchScore } = require('../services/ai/matchScorer');
-const { semanticJobSearch } = require('../services/ai/semanticSearch');
-const { embedJob, batchIndexJobs, getEmbeddingStats } = require('../services/ai/jobEmbeddingPipeline');
-const { successResponse, errorResponse, notFoundResponse } = require('../utils/response');
+const { getOrCalculateMatchScore } = require('../services/ai/matchScoreService');
+const { generateCoverLetter } = require('../services/ai/coverLetterChain');
+const { tailorResume } = require('../services/ai/resumeTailorChain');
+const {
+  generateJobDraft,
+  resolveSpecialization,
+  SENIORITY_LEVELS,
+  LIMITS: JOB_DRAFT_LIMITS,
+} = require('../services/ai/jobDraftChain');
+const {
+  semanticJobSearch,
+  normalizeSearchFilters,
+  normalizeSearchWeights,
+  decodeSearchCursor,
+} = require('../services/ai/semanticSearch');
+const { embedJob, getEmbeddingStats } = require('../services/ai/jobEmbeddingPipeline');
+const { getJobVectorIndexStats } = require('../services/ai/jobVectorIndex');
+const { startEmbeddingMigration, getEmbeddingMigrationStatus } = require('../services/ai/embeddingMigration');
+const { semanticCandidateSearch } = require('../services/ai/candidateSearch');
+const { getCandidateEmbeddingStats } = require('../services/ai/candidateEmbeddingPipeline');
+const { enqueueTask } = require('../services/taskQueue');
+const { successResponse, errorResponse, notFoundResponse, validationErrorResponse } = require('../utils/response');
 const { aiConfig } = require('../config/ai');
+const { openEventStream } = require('../utils/sse');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AiUsage = require('../models/AiUsage');
+const { getQuotaStatus, getQuotaPeriod, summarizeUsage, USAGE_GROUPS } = require('../services/ai/usageLedger');
+
+const createRequestError = (message, statusCode) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+/**
+ * Map an AI pipeline error to an HTTP status and a client-safe message
+ * @param {Error} error
+ * @param {string} fallbackMessage - Message for unexpected failures
+ * @returns {{ status: number, message: string }}
+ */
+const describeAiError = (error, fallbackMessage) => {
+  if (error.statusCode) return { status: error.statusCode, message: error.message };
+  if (error.code === 'AI_NOT_CONFIGURED') {
+    return { status: 503, message: 'AI service is not configured. Please contact the administrator.' };
+  }
+  if (error.message && error.message.includes('quota')) {
+    return { status: 429, message: 'AI service rate limit exceeded. Please try again later.' };
+  }
+  if (error.message && error.message.includes('embedding model')) {
+    return { status: 503, message: 'Embedding model is loading. Please try again in a few seconds.' };
+  }
+  return { status: 500, message: fallbackMessage };
+};
+
+/**
+ * Build a Server-Sent Events variant of an AI route
+ *
+ * prepare(req) validates and loads inputs before the stream opens, so bad requests
+ * still get the usual JSON error. run(prepared, stream, req) does the work, sending
+ * token/progress events, and returns the payload of the final `result` event.
+ * Failures after the stream opened are sent as an `error` event ({ status, message }).
+ * A client disconnect aborts stream.signal, which cancels the LangChain call.
+ *
+ * @param {string} label - Log prefix
+ * @param {string} fallbackMessage
+ * @param {Function} prepare
+ * @param {Function} run
+ * @returns {Function} Express handler
+ */
+const streamAiRoute = (label, fallbackMessage, prepare, run) => async (req, res) => {
+  let stream;
+  try {
+    const prepared = await prepare(req);
+    stream = openEventStream(req, res);
+    const result = await run(prepared, stream, req);
+    stream.send('result', result);
+    stream.close();
+  } catch (error) {
+    // Client disconnected; the LLM call was cancelled with it
+    if (stream && stream.signal.aborted) return;
+
+    const { status, message } = describeAiError(error, fallbackMessage);
+    if (!error.statusCode) console.error(`${label}:`, error);
+    if (!stream) return errorResponse(res, status, message);
+    stream.send('error', { status, message });
+    stream.close();
+  }
+};
 
 // ═══════════════════════════════════════════════════════
 // FEATURE 1: AI Resume Summary Generator
 // ═══════════════════════════════════════════════════════
 
 /**
- * @route   POST /api/ai/generate-summary
- * @desc    Generate an AI-powered professional summary for a resume
- * @access  Private (JobSeeker)
+ * Validate a summary request and load the resume
+ * @returns {Promise<{ resume: Object, tone: string, saveToResume: boolean }>}
  */
-exports.generateResumeSummary = async (req, res) => {
-  try {
-    const userId = req.user._id;
-    const { resumeId, tone, saveToResume } = req.body;
+const loadSummaryRequest = async (req) => {
+  const { resumeId, tone, saveToResume } = req.body;
 
-    if (!resumeId) {
-      return errorResponse(res, 400, 'resumeId is required');
-    }
+  if (!resumeId) {
+    throw createRequestError('resumeId is required', 400);
+  }
 
-    const selectedTone = tone || aiConfig.summary.defaultTone;
-    if (!aiConfig.summary.allowedTones.includes(selectedTone)) {
-      return errorResponse(
-        res,
-        400,
-        `Invalid tone: "${tone}". Allowed values: ${aiConfig.summary.allowedTones.join(', ')}`
-      );
-    }
+  const selectedTone = tone || aiConfig.summary.defaultTone;
+  if (!aiConfig.summary.allowedTones.includes(selectedTone)) {
+    throw createRequestError(
+      `Invalid tone: "${tone}". Allowed values: ${aiConfig.summary.allowedTones.join(', ')}`,
+      400
+    );
+  }
 
-    if (!aiConfig.features.resumeSummary) {
-      return errorResponse(res, 503, 'AI Resume Summary feature is currently disabled');
-    }
+  if (!aiConfig.features.resumeSummary) {
+    throw createRequestError('AI Resume Summary feature is currently disabled', 503);
+  }
 
-    const resume = await Resume.findOne({ _id: resumeId, userId });
-    if (!resume) {
-      return notFoundResponse(res, 'Resume not found or you do not have access to it');
-    }
+  const resume = await Resume.findOne({ _id: resumeId, userId: req.user._id });
+  if (!resume) {
+    throw createRequestError('Resume not found or you do not have access to it', 404);
+  }
 
-    const generatedSummary = await generateResumeSummary(resume.toObject(), selectedTone);
+  return { resume, tone: selectedTone, saveToResume: !!saveToResume };
+};
 
-    let savedToResume = false;
-    if (saveToResume) {
-      resume.summary = generatedSummary;
-      await resume.save();
-      savedToResume = true;
-    }
+const saveSummaryResult = async ({ resume, tone, saveToResume }, generatedSummary) => {
+  let savedToResume = false;
+  if (saveToResume) {
+    resume.summary = generatedSummary;
+    await resume.save();
+    savedToResume = true;
+  }
 
-    return successResponse(res, 200, 'Resume summary generated successfully', {
-      summary: generatedSummary,
-      tone: selectedTone,
-      resumeId: resume._id,
-      savedToResume,
-    });
+  return {
+    summary: generatedSummary,
+    tone,
+    resumeId: resume._id,
+    savedToResume,
+  };
+};
+
+/**
+ * @route   POST /api/ai/generate-summary
+ * @desc    Generate an AI-powered professional summary for a resume
+ * @access  Private (JobSeeker)
+ */
+exports.generateResumeSummary = async (req, res) => {
+  try {
+    const request = await loadSummaryRequest(req);
+    const generatedSummary = await generateResumeSummary(request.resume.toObject(), request.tone);
+
+    return successResponse(res, 200, 'Resume summary generated successfully', await saveSummaryResult(request, generatedSummary));
   } catch (error) {
-    console.error('AI Generate Summary Error:', error);
-    if (error.message && error.message.includes('GROQ_API_KEY')) {
-      return errorResponse(res, 503, 'AI service is not configured. Please contact the administrator.');
-    }
-    if (error.message && error.message.includes('quota')) {
-      return errorResponse(res, 429, 'AI service rate limit exceeded. Please try again later.');
-    }
-    return errorResponse(res, 500, 'Failed to generate resume summary. Please try again.');
+    if (!error.statusCode) console.error('AI Generate Summary Error:', error);
+    const { status, message } = describeAiError(error, 'Failed to generate resume summary. Please try again.');
+    return errorResponse(res, status, message);
   }
 };
 
+/**
+ * @route   POST /api/ai/generate-summary/stream
+ * @desc    Same as generate-summary, streamed as Server-Sent Events
+ * @access  Private (JobSeeker)
+ *
+ * Events: token { text } as the summary is written, then result (the generate-summary data)
+ * or error { status, message }. The result holds the final, length-checked summary.
+ */
+exports.streamResumeSummary = streamAiRoute(
+  'AI Stream Summary Error',
+  'Failed to generate resume summary. Please try again.',
+  loadSummaryRequest,
+  async (request, stream) => {
+    const generatedSummary = await generateResumeSummary(request.resume.toObject(), request.tone, {
+      signal: stream.signal,
+      onToken: (text) => stream.send('token', { text }),
+    });
+    return saveSummaryResult(request, generatedSummary);
+  }
+);
+
 // ═══════════════════════════════════════════════════════
 // FEATURE 2: Smart Job-Resume Match Scorer
 // ═══════════════════════════════════════════════════════
@@ -78,11 +193,13 @@ exports.generateResumeSummary = async (req, res) => {
  * @route   POST /api/ai/match-score
  * @desc    Calculate AI-powered match score between a resume and a job posting
  * @access  Private (JobSeeker)
+ *
+ * Results are cached until the resume or job content changes; pass refresh: true to score again.
  */
 exports.calculateMatchScore = async (req, res) => {
   try {
     const userId = req.user._id;
-    const { resumeId, jobId } = req.body;
+    const { resumeId, jobId, refresh } = req.body;
 
     if (!resumeId) return errorResponse(res, 400, 'resumeId is required');
     if (!jobId) return errorResponse(res, 400, 'jobId is required');
@@ -101,10 +218,16 @@ exports.calculateMatchScore = async (req, res) => {
       return notFoundResponse(res, 'Job posting not found');
     }
 
-    const matchResult = await calculateMatchScore(resume.toObject(), job.toObject());
+    const { matchResult, cached, computedAt } = await getOrCalculateMatchScore(
+      resume.toObject(),
+      job.toObject(),
+      { refresh: refresh === true }
+    );
 
     return successResponse(res, 200, 'Match score calculated successfully', {
       matchResult,
+      cached,
+      computedAt,
       resumeId: resume._id,
       jobId: job._id,
       jobTitle: job.title,
@@ -112,7 +235,7 @@ exports.calculateMatchScore = async (req, res) => {
     });
   } catch (error) {
     console.error('AI Match Score Error:', error);
-    if (error.message && error.message.includes('GROQ_API_KEY')) {
+    if (error.code === 'AI_NOT_CONFIGURED') {
       return errorResponse(res, 503, 'AI service is not configured. Please contact the administrator.');
     }
     if (error.message && error.message.includes('quota')) {
@@ -125,10 +248,259 @@ exports.calculateMatchScore = async (req, res) => {
   }
 };
 
+// ═══════════════════════════════════════════════════════
+// Cover Letter Generator
+// ═══════════════════════════════════════════════════════
+
+/**
+ * Validate a cover letter request and load the resume and job
+ * @returns {Promise<{ resume: Object, job: Object, tone: string, saveToDraft: boolean }>}
+ */
+const loadCoverLetterRequest = async (req) => {
+  const { resumeId, jobId, tone, saveToDraft } = req.body;
+
+  if (!resumeId) throw createRequestError('resumeId is required', 400);
+  if (!jobId) throw createRequestError('jobId is required', 400);
+
+  const selectedTone = tone || aiConfig.coverLetter.defaultTone;
+  if (!aiConfig.coverLetter.allowedTones.includes(selectedTone)) {
+    throw createRequestError(
+      `Invalid tone: "${tone}". Allowed values: ${aiConfig.coverLetter.allowedTones.join(', ')}`,
+      400
+    );
+  }
+
+  if (!aiConfig.features.coverLetter) {
+    throw createRequestError('AI Cover Letter feature is currently disabled', 503);
+  }
+
+  const resume = await Resume.findOne({ _id: resumeId, userId: req.user._id });
+  if (!resume) {
+    throw createRequestError('Resume not found or you do not have access to it', 404);
+  }
+
+  const job = await Job.findById(jobId);
+  if (!job) {
+    throw createRequestError('Job posting not found', 404);
+  }
+  if (saveToDraft && !job.isOpen()) {
+    throw createRequestError('Job is not open for applications', 400);
+  }
+
+  return { resume, job, tone: selectedTone, saveToDraft: !!saveToDraft };
+};
+
+const saveCoverLetterResult = async ({ resume, job, tone, saveToDraft }, coverLetter, userId) => {
+  let draft = null;
+  if (saveToDraft) {
+    const jobSeeker = await JobSeeker.findOne({ user: userId }).select('_id');
+    if (!jobSeeker) throw createRequestError('Job seeker profile not found', 403);
+
+    draft = await ApplicationDraft.findOneAndUpdate(
+      { jobSeeker: jobSeeker._id, job: job._id },
+      {
+        $set: {
+          resume: resume._id,
+          coverLetter: { text: coverLetter, source: 'ai', tone, generatedAt: new Date() },
+        },
+      },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  return {
+    coverLetter,
+    characterCount: coverLetter.length,
+    maxLength: aiConfig.coverLetter.maxLength,
+    tone,
+    resumeId: resume._id,
+    jobId: job._id,
+    jobTitle: job.title,
+    draft,
+  };
+};
+
+/**
+ * @route   POST /api/ai/cover-letter
+ * @desc    Generate a cover letter for a resume and a job posting
+ * @access  Private (JobSeeker)
+ *
+ * Body:
+ *   resumeId    {string}  - Builder resume to write from (required)
+ *   jobId       {string}  - Job to apply for (required)
+ *   tone        {string}  - professional | enthusiastic | concise
+ *   saveToDraft {boolean} - Pre-fill the letter into the apply draft for this job
+ */
+exports.generateCoverLetter = async (req, res) => {
+  try {
+    const request = await loadCoverLetterRequest(req);
+    const coverLetter = await generateCoverLetter(request.resume.toObject(), request.job.toObject(), request.tone);
+
+    return successResponse(
+      res,
+      200,
+      'Cover letter generated successfully',
+      await saveCoverLetterResult(request, coverLetter, req.user._id)
+    );
+  } catch (error) {
+    if (!error.statusCode) console.error('AI Cover Letter Error:', error);
+    const { status, message } = describeAiError(error, 'Failed to generate cover letter. Please try again.');
+    return errorResponse(res, status, message);
+  }
+};
+
+/**
+ * @route   POST /api/ai/cover-letter/stream
+ * @desc    Same as cover-letter, streamed as Server-Sent Events
+ * @access  Private (JobSeeker)
+ *
+ * Events: token { text } as the letter is written, then result (the cover-letter data)
+ * or error { status, message }. The result holds the final letter, fitted to the length limit.
+ */
+exports.streamCoverLetter = streamAiRoute(
+  'AI Stream Cover Letter Error',
+  'Failed to generate cover letter. Please try again.',
+  loadCoverLetterRequest,
+  async (request, stream, req) => {
+    const coverLetter = await generateCoverLetter(request.resume.toObject(), request.job.toObject(), request.tone, {
+      signal: stream.signal,
+      onToken: (text) => stream.send('token', { text }),
+    });
+    return saveCoverLetterResult(request, coverLetter, req.user._id);
+  }
+);
+
+// ═══════════════════════════════════════════════════════
+// Resume Tailoring Assistant
+// ═══════════════════════════════════════════════════════
+
+/**
+ * @route   POST /api/ai/tailor-resume
+ * @desc    Copy a resume and rewrite the copy toward a job posting
+ * @access  Private (JobSeeker)
+ *
+ * Body:
+ *   resumeId {string} - Resume to tailor (required, not modified)
+ *   jobId    {string} - Target job (required)
+ *   title    {string} - Title for the copy (default "<resume title> – <job title>")
+ *
+ * Re-tailoring the same resume for the same job updates the existing copy.
+ */
+exports.tailorResume = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { resumeId, jobId, title } = req.body;
+
+    if (!resumeId) return errorResponse(res, 400, 'resumeId is required');
+    if (!jobId) return errorResponse(res, 400, 'jobId is required');
+
+    if (!aiConfig.features.resumeTailoring) {
+      return errorResponse(res, 503, 'AI Resume Tailoring feature is currently disabled');
+    }
+
+    const source = await Resume.findOne({ _id: resumeId, userId });
+    if (!source) {
+      return notFoundResponse(res, 'Resume not found or you do not have access to it');
+    }
+
+    const job = await Job.findById(jobId);
+    if (!job) {
+      return notFoundResponse(res, 'Job posting not found');
+    }
+
+    const sourceData = source.toObject();
+    const result = await tailorResume(sourceData, job.toObject());
+
+    const tailoredFields = {
+      summary: result.summary,
+      workExperience: result.workExperience,
+      skills: result.skills,
+      tailoredFor: { job: job._id, sourceResume: source._id, generatedAt: new Date() },
+    };
+
+    let tailored = await Resume.findOne({
+      userId,
+      'tailoredFor.job': job._id,
+      'tailoredFor.sourceResume': source._id,
+    });
+    const created = !tailored;
+
+    if (tailored) {
+      tailored.set(tailoredFields);
+      if (title) tailored.title = title;
+      await tailored.save();
+    } else {
+      // The copy starts without the source's PDF, stats or default flag
+      const copy = { ...sourceData };
+      ['_id', 'id', '__v', 'createdAt', 'updatedAt', 'pdfUrl', 'pdfPublicId', 'pdfStatus', 'pdfError', 'stats'].forEach((key) => delete copy[key]);
+      tailored = await Resume.create({
+        ...copy,
+        ...tailoredFields,
+        title: title || `${source.title} – ${job.title}`.slice(0, 100),
+        isDefault: false,
+      });
+    }
+
+    return successResponse(res, created ? 201 : 200, 'Resume tailored successfully', {
+      resume: tailored,
+      created,
+      sourceResumeId: source._id,
+      jobId: job._id,
+      jobTitle: job.title,
+      diff: result.diff,
+      rejected: result.rejected,
+      notes: result.notes,
+    });
+  } catch (error) {
+    console.error('AI Resume Tailoring Error:', error);
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map((e) => ({ field: e.path, message: e.message }));
+      return validationErrorResponse(res, errors);
+    }
+    if (error.code === 'AI_NOT_CONFIGURED') {
+      return errorResponse(res, 503, 'AI service is not configured. Please contact the administrator.');
+    }
+    if (error.message && error.message.includes('quota')) {
+      return errorResponse(res, 429, 'AI service rate limit exceeded. Please try again later.');
+    }
+    return errorResponse(res, 500, 'Failed to tailor resume. Please try again.');
+  }
+};
+
 // ═══════════════════════════════════════════════════════
 // FEATURE 4: Semantic Job Search (RAG)
 // ═══════════════════════════════════════════════════════
 
+/**
+ * Validate a semantic search request
+ * Filters, weights and cursor are checked here so bad input is a 400 before any AI call or stream.
+ * @returns {{ query: string, limit: number, filters: Object, weights: Object, cursor: string|undefined, generateExplanations: boolean }}
+ */
+const loadSemanticSearchRequest = async (req) => {
+  if (!aiConfig.features.semanticSearch) {
+    throw createRequestError('Semantic Search feature is currently disabled', 503);
+  }
+
+  const { query, limit, explain, cursor } = req.body;
+
+  if (!query || typeof query !== 'string' || query.trim().length < 2) {
+    throw createRequestError('A search query of at least 2 characters is required', 400);
+  }
+
+  const filters = normalizeSearchFilters(req.body.filters);
+  const weights = normalizeSearchWeights(req.body.weights);
+  decodeSearchCursor(cursor, query.trim(), filters, weights);
+
+  return {
+    query,
+    limit: Math.min(Math.max(parseInt(limit) || 8, 1), 20),
+    filters,
+    weights,
+    cursor,
+    generateExplanations: explain !== false, // default true
+  };
+};
+
 /**
  * @route   POST /api/ai/semantic-search
  * @desc    Natural language semantic job search using RAG pipeline
@@ -136,43 +508,61 @@ exports.calculateMatchScore = async (req, res) => {
  *
  * Body:
  *   query   {string}  - Natural language search query (required, min 2 chars)
- *   limit   {number}  - Number of results (1-20, default 8)
+ *   limit   {number}  - Results per page (1-20, default 8)
+ *   filters {Object}  - Structured filters, same keys as GET /api/jobs except status and search;
+ *                       merged with filters extracted from the query (these win)
+ *   weights {Object}  - Rank fusion weights { semantic, lexical } (0-10, default 1 each)
+ *   cursor  {string}  - pagination.nextCursor from the previous page (same query, filters and weights)
  *   explain {boolean} - Include AI explanations per job (default true)
+ *
+ * Each result has ranking { fused, semantic, lexical } with its rank, raw score and
+ * contribution per retrieval. Response adds filters { effective, explicit, extracted, relaxed },
+ * fusion { method, k, weights, sources } and pagination { offset, limit, hasMore, nextCursor }.
  */
 exports.semanticSearch = async (req, res) => {
   try {
-    if (!aiConfig.features.semanticSearch) {
-      return errorResponse(res, 503, 'Semantic Search feature is currently disabled');
-    }
-
-    const { query, limit, explain } = req.body;
-
-    if (!query || typeof query !== 'string' || query.trim().length < 2) {
-      return errorResponse(res, 400, 'A search query of at least 2 characters is required');
-    }
-
-    const parsedLimit = Math.min(Math.max(parseInt(limit) || 8, 1), 20);
-    const generateExplanations = explain !== false; // default true
+    const { query, limit, filters, weights, cursor, generateExplanations } = await loadSemanticSearchRequest(req);
 
     const searchResult = await semanticJobSearch(query, {
-      limit: parsedLimit,
+      limit,
+      filters,
+      weights,
+      cursor,
       generateExplanations,
     });
 
     return successResponse(res, 200, 'Semantic search completed successfully', searchResult);
   } catch (error) {
-    console.error('AI Semantic Search Error:', error);
-
-    if (error.message && error.message.includes('embedding model')) {
-      return errorResponse(res, 503, 'Embedding model is loading. Please try again in a few seconds.');
-    }
-    if (error.message && error.message.includes('GROQ_API_KEY')) {
-      return errorResponse(res, 503, 'AI service is not configured. Please contact the administrator.');
-    }
-    return errorResponse(res, 500, 'Semantic search failed. Please try again.');
+    if (!error.statusCode) console.error('AI Semantic Search Error:', error);
+    const { status, message } = describeAiError(error, 'Semantic search failed. Please try again.');
+    return errorResponse(res, status, message);
   }
 };
 
+/**
+ * @route   POST /api/ai/semantic-search/stream
+ * @desc    Same as semantic-search, streamed as Server-Sent Events
+ * @access  Private (JobSeeker)
+ *
+ * Events: progress { stage: "filters", filters } → { stage: "search", mode, count, sources }
+ * → { stage: "reranking", count } (when explain is on), then result (the semantic-search data)
+ * or error { status, message }.
+ */
+exports.streamSemanticSearch = streamAiRoute(
+  'AI Stream Semantic Search Error',
+  'Semantic search failed. Please try again.',
+  loadSemanticSearchRequest,
+  ({ query, limit, filters, weights, cursor, generateExplanations }, stream) => semanticJobSearch(query, {
+    limit,
+    filters,
+    weights,
+    cursor,
+    generateExplanations,
+    signal: stream.signal,
+    onProgress: (progress) => stream.send('progress', progress),
+  })
+);
+
 /**
  * @route   POST /api/ai/index-job/:jobId
  * @desc    Generate and store embedding for a single job
@@ -218,7 +608,7 @@ exports.indexJob = async (req, res) => {
  * Body:
  *   reindexAll {boolean} - Re-embed ALL jobs, not just missing ones (default false)
  *
- * Returns 202 immediately, runs batch async in background
+ * Returns 202 with the queued task; GET /api/admin/tasks/:taskId reports its progress
  */
 exports.batchIndexJobs = async (req, res) => {
   try {
@@ -226,25 +616,95 @@ exports.batchIndexJobs = async (req, res) => {
       return errorResponse(res, 503, 'Semantic Search feature is currently disabled');
     }
 
-    const { reindexAll } = req.body;
-
-    // Return 202 Accepted immediately — batch runs in background
-    res.status(202).json({
-      success: true,
-      message: 'Batch indexing started in background. Check /api/ai/embedding-stats for progress.',
-      reindexAll: reindexAll === true,
-    });
-
-    // Non-blocking background execution
-    batchIndexJobs({ reindexAll: reindexAll === true }).catch((err) => {
-      console.error('Batch indexing failed:', err);
-    });
+    const reindexAll = req.body.reindexAll === true;
+    const task = await enqueueTask(
+      'batchIndexJobs',
+      { reindexAll },
+      { dedupeKey: `batchIndexJobs:${reindexAll}`, createdBy: req.user._id }
+    );
+
+    return successResponse(
+      res,
+      202,
+      `Batch indexing queued. Check /api/admin/tasks/${task._id} for progress.`,
+      { taskId: task._id, status: task.status, reindexAll }
+    );
   } catch (error) {
     console.error('AI Batch Index Error:', error);
     return errorResponse(res, 500, 'Failed to start batch indexing.');
   }
 };
 
+/**
+ * @route   POST /api/ai/batch-index-candidates
+ * @desc    Admin endpoint — batch embed job seeker profiles without embeddings
+ * @access  Private (Admin only)
+ *
+ * Body:
+ *   reindexAll {boolean} - Re-embed ALL profiles, not just missing ones (default false)
+ *
+ * Returns 202 with the queued task; GET /api/admin/tasks/:taskId reports its progress
+ */
+exports.batchIndexCandidates = async (req, res) => {
+  try {
+    if (!aiConfig.features.candidateSearch) {
+      return errorResponse(res, 503, 'Candidate Search feature is currently disabled');
+    }
+
+    const reindexAll = req.body.reindexAll === true;
+    const task = await enqueueTask(
+      'batchIndexCandidates',
+      { reindexAll },
+      { dedupeKey: `batchIndexCandidates:${reindexAll}`, createdBy: req.user._id }
+    );
+
+    return successResponse(
+      res,
+      202,
+      `Candidate indexing queued. Check /api/admin/tasks/${task._id} for progress.`,
+      { taskId: task._id, status: task.status, reindexAll }
+    );
+  } catch (error) {
+    console.error('AI Batch Index Candidates Error:', error);
+    return errorResponse(res, 500, 'Failed to start candidate indexing.');
+  }
+};
+
+/**
+ * @route   POST /api/ai/reembed-jobs
+ * @desc    Admin endpoint — re-embed job vectors from another model, dimension or template
+ * @access  Private (Admin only)
+ *
+ * Resumes an unfinished run instead of restarting it. Returns 202 immediately;
+ * progress is under migration in /api/ai/embedding-stats.
+ */
+exports.reembedJobs = async (req, res) => {
+  try {
+    if (!aiConfig.features.semanticSearch) {
+      return errorResponse(res, 503, 'Semantic Search feature is currently disabled');
+    }
+
+    const { migration, started } = await startEmbeddingMigration({ startedBy: req.user._id });
+
+    return successResponse(
+      res,
+      202,
+      started
+        ? 'Re-embedding started in background. Check /api/ai/embedding-stats for progress.'
+        : 'Re-embedding is already running. Check /api/ai/embedding-stats for progress.',
+      {
+        version: migration.version,
+        status: migration.status,
+        total: migration.total,
+        processed: migration.processed,
+      }
+    );
+  } catch (error) {
+    console.error('AI Re-embed Jobs Error:', error);
+    return errorResponse(res, 500, 'Failed to start re-embedding.');
+  }
+};
+
 /**
  * @route   GET /api/ai/embedding-stats
  * @desc    Get embedding coverage statistics for the jobs collection
@@ -252,16 +712,289 @@ exports.batchIndexJobs = async (req, res) => {
  */
 exports.getEmbeddingStats = async (req, res) => {
   try {
-    const stats = await getEmbeddingStats();
+    const [stats, candidates, migration] = await Promise.all([
+      getEmbeddingStats(),
+      getCandidateEmbeddingStats(),
+      getEmbeddingMigrationStatus(),
+    ]);
 
     return successResponse(res, 200, 'Embedding statistics retrieved', {
       ...stats,
+      candidates,
       embeddingModel: aiConfig.embedding.model,
       vectorIndexName: aiConfig.embedding.vectorIndexName,
+      candidateVectorIndexName: aiConfig.embedding.candidateVectorIndexName,
       dimensions: aiConfig.embedding.dimensions,
+      memoryIndex: getJobVectorIndexStats(),
+      activeVersion: migration.activeVersion,
+      migration: { remaining: migration.remaining, ...migration.migration },
     });
   } catch (error) {
     console.error('AI Embedding Stats Error:', error);
     return errorResponse(res, 500, 'Failed to retrieve embedding statistics.');
   }
 };
+
+// ═══════════════════════════════════════════════════════
+// Semantic Candidate Search (Employers)
+// ═══════════════════════════════════════════════════════
+
+/**
+ * @route   POST /api/ai/candidate-search
+ * @desc    Rank job seekers against a job posting or a natural-language description
+ * @access  Private (Employer)
+ *
+ * Body:
+ *   jobId {string} - Rank candidates for this job (takes precedence over query)
+ *   query {string} - Or describe the ideal candidate in plain language
+ *   limit {number} - Number of results (1-50, default 10)
+ */
+exports.candidateSearch = async (req, res) => {
+  try {
+    if (!aiConfig.features.candidateSearch) {
+      return errorResponse(res, 503, 'Candidate Search feature is currently disabled');
+    }
+
+    const { jobId, query, limit } = req.body;
+
+    if (!jobId && (!query || typeof query !== 'string' || query.trim().length < 2)) {
+      return errorResponse(res, 400, 'Provide a jobId or a description of at least 2 characters');
+    }
+
+    const parsedLimit = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+
+    const searchResult = await semanticCandidateSearch(
+      { jobId, query },
+      { limit: parsedLimit }
+    );
+
+    return successResponse(res, 200, 'Candidate search completed successfully', searchResult);
+  } catch (error) {
+    console.error('AI Candidate Search Error:', error);
+
+    if (error.statusCode === 404) {
+      return notFoundResponse(res, error.message);
+    }
+    if (error.name === 'BSONError' || error.name === 'CastError') {
+      return errorResponse(res, 400, 'Invalid jobId');
+    }
+    if (error.message && error.message.includes('embedding model')) {
+      return errorResponse(res, 503, 'Embedding model is loading. Please try again in a few seconds.');
+    }
+    return errorResponse(res, 500, 'Candidate search failed. Please try again.');
+  }
+};
+
+// ═══════════════════════════════════════════════════════
+// Job Description Writer (Employers)
+// ═══════════════════════════════════════════════════════
+
+/**
+ * @route   POST /api/ai/job-draft
+ * @desc    Draft a job posting from a short brief, or structure an existing description
+ * @access  Private (Employer)
+ *
+ * Body:
+ *   title          {string}  - Role, e.g. "ICU Staff Nurse" (required unless description is given)
+ *   specialization {string}  - One of Job SPECIALIZATIONS
+ *   seniority      {string}  - Entry | Mid | Senior | Lead
+ *   location       {Object}  - { city, state, country } (defaults to the employer's address)
+ *   jobType, shift, isRemote, notes
+ *   description    {string}  - Existing free text to split into responsibilities / requirements / benefits
+ *
+ * Nothing is saved; post the returned draft with POST /api/jobs.
+ */
+exports.generateJobDraft = async (req, res) => {
+  try {
+    if (!aiConfig.features.jobDraft) {
+      return errorResponse(res, 503, 'AI Job Draft feature is currently disabled');
+    }
+
+    const { title, specialization, seniority, location, jobType, shift, isRemote, notes, description } = req.body;
+    const errors = [];
+
+    const text = typeof description === 'string' ? description.trim() : '';
+    if (description !== undefined && text.length < 50) {
+      errors.push({ field: 'description', message: 'Description must be at least 50 characters to structure' });
+    }
+    if (!text && (typeof title !== 'string' || title.trim().length < 2)) {
+      errors.push({ field: 'title', message: 'Provide a role title or an existing description' });
+    }
+
+    const resolvedSpecialization = specialization ? resolveSpecialization(specialization) : undefined;
+    if (specialization && !resolvedSpecialization) {
+      errors.push({ field: 'specialization', message: `Specialization must be one of: ${SPECIALIZATIONS.join(', ')}` });
+    }
+    if (seniority && !SENIORITY_LEVELS[seniority]) {
+      errors.push({ field: 'seniority', message: `Seniority must be one of: ${Object.keys(SENIORITY_LEVELS).join(', ')}` });
+    }
+    if (jobType && !Job.schema.path('jobType').enumValues.includes(jobType)) {
+      errors.push({ field: 'jobType', message: `Job type must be one of: ${Job.schema.path('jobType').enumValues.join(', ')}` });
+    }
+    if (shift && !Job.schema.path('shift').enumValues.includes(shift)) {
+      errors.push({ field: 'shift', message: `Shift must be one of: ${Job.schema.path('shift').enumValues.join(', ')}` });
+    }
+    if (notes !== undefined && (typeof notes !== 'string' || notes.length > 1000)) {
+      errors.push({ field: 'notes', message: 'Notes must be text of at most 1000 characters' });
+    }
+    if (errors.length > 0) return validationErrorResponse(res, errors);
+
+    const employer = await Employer.findOne({ user: req.user._id });
+    if (!employer) return errorResponse(res, 403, 'Employer profile not found');
+
+    const address = employer.address || {};
+    const brief = {
+      title: typeof title === 'string' ? title.trim() : undefined,
+      specialization: resolvedSpecialization,
+      seniority,
+      location: location && typeof location === 'object'
+        ? { city: location.city, state: location.state, country: location.country || address.country }
+        : { city: address.city, state: address.state, country: address.country },
+      jobType,
+      shift,
+      isRemote: typeof isRemote === 'boolean' ? isRemote : undefined,
+      notes: notes && notes.trim(),
+    };
+
+    const { mode, draft } = await generateJobDraft({
+      brief,
+      text: text || undefined,
+      organizationName: employer.organizationName,
+    });
+
+    // Report anything the employer still has to fill in before posting
+    const validation = new Job({ ...draft, employer: employer._id }).validateSync();
+    const issues = validation
+      ? Object.values(validation.errors).map((e) => ({ field: e.path, message: e.message }))
+      : [];
+
+    return successResponse(res, 200, 'Job draft generated successfully', {
+      mode,
+      draft,
+      issues,
+      limits: JOB_DRAFT_LIMITS,
+    });
+  } catch (error) {
+    console.error('AI Job Draft Error:', error);
+    if (error.code === 'AI_NOT_CONFIGURED') {
+      return errorResponse(res, 503, 'AI service is not configured. Please contact the administrator.');
+    }
+    if (error.message && error.message.includes('quota')) {
+      return errorResponse(res, 429, 'AI service rate limit exceeded. Please try again later.');
+    }
+    if (error.message && error.message.includes('parse')) {
+      return errorResponse(res, 500, 'AI returned an unexpected response format. Please try again.');
+    }
+    return errorResponse(res, 500, 'Failed to generate job draft. Please try again.');
+  }
+};
+
+// ═══════════════════════════════════════════════════════
+// AI Usage & Quotas
+// ═══════════════════════════════════════════════════════
+
+/**
+ * @route   GET /api/ai/usage
+ * @desc    The current user's AI usage this month, quota and recent calls
+ * @access  Private
+ */
+exports.getMyUsage = async (req, res) => {
+  try {
+    const quota = await getQuotaStatus(req.user);
+    const match = {
+      user: req.user._id,
+      createdAt: { $gte: quota.period.start, $lt: quota.period.end },
+    };
+
+    const [byFeature, recent] = await Promise.all([
+      summarizeUsage(match, 'feature'),
+      AiUsage.find({ user: req.user._id })
+        .sort('-createdAt')
+        .limit(20)
+        .select('kind feature endpoint tokensIn tokensOut tokensEstimated latencyMs success createdAt')
+        .lean(),
+    ]);
+
+    return successResponse(res, 200, 'AI usage fetched', {
+      plan: quota.plan,
+      quota: {
+        limit: quota.limit,
+        used: quota.used,
+        remaining: quota.remaining,
+        periodStart: quota.period.start,
+        resetsAt: quota.period.end,
+      },
+      rateLimit: aiConfig.rateLimit,
+      byFeature,
+      recent,
+    });
+  } catch (error) {
+    console.error('AI Usage Error:', error);
+    return errorResponse(res, 500, 'Failed to fetch AI usage');
+  }
+};
+
+/**
+ * @route   GET /api/ai/admin/usage
+ * @desc    Platform AI usage breakdown
+ * @access  Private (Admin)
+ *
+ * Query:
+ *   groupBy {string} - feature | user | plan | day (default feature)
+ *   from    {string} - ISO date (default start of this month)
+ *   to      {string} - ISO date (default now)
+ *   userId  {string} - Only this user's calls
+ *   kind    {string} - llm | embedding
+ */
+exports.getUsageBreakdown = async (req, res) => {
+  try {
+    const { groupBy = 'feature', from, to, userId, kind } = req.query;
+
+    const start = from ? new Date(from) : getQuotaPeriod().start;
+    const end = to ? new Date(to) : new Date();
+    const errors = [];
+    if (!USAGE_GROUPS[groupBy]) {
+      errors.push({ field: 'groupBy', message: `groupBy must be one of: ${Object.keys(USAGE_GROUPS).join(', ')}` });
+    }
+    if (Number.isNaN(start.getTime())) errors.push({ field: 'from', message: 'from must be a valid date' });
+    if (Number.isNaN(end.getTime())) errors.push({ field: 'to', message: 'to must be a valid date' });
+    if (userId && !mongoose.isValidObjectId(userId)) errors.push({ field: 'userId', message: 'Invalid userId' });
+    if (kind && !AiUsage.AI_USAGE_KINDS.includes(kind)) {
+      errors.push({ field: 'kind', message: `kind must be one of: ${AiUsage.AI_USAGE_KINDS.join(', ')}` });
+    }
+    if (errors.length > 0) return validationErrorResponse(res, errors);
+
+    const match = {
+      createdAt: { $gte: start, $lt: end },
+      ...(userId && { user: new mongoose.Types.ObjectId(userId) }),
+      ...(kind && { kind }),
+    };
+
+    const [rows, [totals]] = await Promise.all([
+      summarizeUsage(match, groupBy),
+      summarizeUsage(match, null),
+    ]);
+
+    // Attach names for the user breakdown; rows without a user are background work
+    if (groupBy === 'user') {
+      const users = await User.find({ _id: { $in: rows.map((r) => r.user).filter(Boolean) } })
+        .select('firstName lastName email role')
+        .lean();
+      const byId = new Map(users.map((u) => [u._id.toString(), u]));
+      rows.forEach((row) => {
+        row.user = row.user ? (byId.get(row.user.toString()) || { _id: row.user }) : null;
+      });
+    }
+
+    return successResponse(res, 200, 'AI usage breakdown fetched', {
+      groupBy,
+      from: start,
+      to: end,
+      totals: totals || { calls: 0, failures: 0, tokensIn: 0, tokensOut: 0, avgLatencyMs: null },
+      rows,
+    });
+  } catch (error) {
+    console.error('AI Usage Breakdown Error:', error);
+    return errorResponse(res, 500, 'Failed to fetch AI usage breakdown');
+  }
+};
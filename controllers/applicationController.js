@@ -1,7 +1,9 @@
 const Application = require("../models/Application");
+const ApplicationDraft = require("../models/ApplicationDraft");
 const Job = require("../models/Job");
 const JobSeeker = require("../models/JobSeeker");
 const Employer = require("../models/Employer");
+const Interview = require("../models/Interview");
 const {
   successResponse,
   errorResponse,
@@ -9,13 +11,26 @@ const {
   notFoundResponse,
   forbiddenResponse,
 } = require("../utils/response");
-const {
-  sendApplicationNotificationEmail,
-  sendApplicationSubmittedToJobSeeker,
-  sendApplicationStatusUpdateToJobSeeker,
-} = require("../services/emailService");
+const { queueEmail } = require("../services/emailService");
 
 const { uploadToCloudinary } = require("../config/cloudinary");
+const { APPLICATION_STATUSES } = require("../config/applicationPipeline");
+const { evaluateAnswers } = require("../services/screeningService");
+const { invalidateRecommendations } = require("../services/ai/jobRecommender");
+const { screenApplication } = require("../services/ai/screeningAgent");
+const { enqueueTask } = require("../services/taskQueue");
+const { aiConfig } = require("../config/ai");
+
+// Match scoring and AI screening run as background tasks, retried if the model call fails
+const queueApplicationReview = (type, applicationId, resumeId) => {
+  enqueueTask(
+    type,
+    { applicationId: applicationId.toString(), ...(resumeId && { resumeId: resumeId.toString() }) },
+    { dedupeKey: `${type}:${applicationId}` }
+  ).catch((err) =>
+    console.warn(`⚠️  Could not queue ${type} for application ${applicationId}: ${err.message}`)
+  );
+};
 // Build filters for list endpoints
 const buildFilters = (q = {}) => {
   const f = {};
@@ -23,6 +38,15 @@ const buildFilters = (q = {}) => {
   if (q.job) f.job = q.job;
   if (q.employer) f.employer = q.employer;
   if (q.jobSeeker) f.jobSeeker = q.jobSeeker;
+  if (q.screeningOutcome) f["screening.outcome"] = q.screeningOutcome;
+  if (q.aiRecommendation) f["aiScreening.recommendation"] = q.aiRecommendation;
+  const minScore = parseFloat(q.minScore);
+  const maxScore = parseFloat(q.maxScore);
+  if (Number.isFinite(minScore) || Number.isFinite(maxScore)) {
+    f["matchScore.overallScore"] = {};
+    if (Number.isFinite(minScore)) f["matchScore.overallScore"].$gte = minScore;
+    if (Number.isFinite(maxScore)) f["matchScore.overallScore"].$lte = maxScore;
+  }
   if (q.dateFrom || q.dateTo) {
     f.appliedAt = {};
     if (q.dateFrom) f.appliedAt.$gte = new Date(q.dateFrom);
@@ -31,11 +55,19 @@ const buildFilters = (q = {}) => {
   return f;
 };
 
+// "matchScore" / "-matchScore" sort by AI match score; ties go to the newest application
+const buildSort = (sort) => {
+  if (sort === "matchScore") return { "matchScore.overallScore": 1, appliedAt: -1 };
+  if (sort === "-matchScore") return { "matchScore.overallScore": -1, appliedAt: -1 };
+  return sort || "-appliedAt";
+};
+
 // POST /jobs/:id/apply (jobseeker)
 exports.apply = async (req, res) => {
   try {
-    const job = await Job.findById(req.params.id);
-    console.log(job);
+    const job = await Job.findById(req.params.id).select(
+      "+screeningQuestions.knockout"
+    );
     if (!job || !job.isOpen())
       return notFoundResponse(res, "Job not open for applications");
 
@@ -71,12 +103,46 @@ exports.apply = async (req, res) => {
     }
     if (!Array.isArray(answers)) answers = [];
 
+    // Fall back to the saved apply draft (e.g. an AI-generated cover letter)
+    const draft = await ApplicationDraft.findOne({
+      jobSeeker: jobSeeker._id,
+      job: job._id,
+    });
+    if (draft) {
+      if (!coverLetter.text && draft.coverLetter && draft.coverLetter.text) {
+        coverLetter.text = draft.coverLetter.text;
+      }
+      if (answers.length === 0 && draft.answers.length > 0) {
+        answers = draft.answers.map(({ questionId, question, answer }) => ({
+          questionId,
+          question,
+          answer,
+        }));
+      }
+    }
+
+    // Validate answers against the job's screening questions, if it has any
+    let screening;
+    if (job.screeningQuestions && job.screeningQuestions.length > 0) {
+      const result = evaluateAnswers(job.screeningQuestions, answers);
+      if (result.errors.length > 0) {
+        return validationErrorResponse(res, result.errors);
+      }
+      answers = result.answers;
+      screening = {
+        outcome: result.outcome,
+        knockouts: result.knockouts,
+        evaluatedAt: new Date(),
+      };
+    }
+
     const payload = {
       job: job._id,
       jobSeeker: jobSeeker._id,
       employer: employer._id,
       coverLetter,
       answers,
+      ...(screening && { screening }),
     };
 
     let resumePayload = null;
@@ -125,7 +191,25 @@ exports.apply = async (req, res) => {
       });
     }
 
-    const application = await Application.create(payload);
+    const application = new Application(payload);
+    if (screening && screening.outcome === "Rejected") {
+      application.transitionTo("Rejected", {
+        note: "Automatically rejected by screening questions",
+        hiringProcess: employer.hiringPreferences?.hiringProcess,
+      });
+    }
+    await application.save();
+    invalidateRecommendations(req.user._id);
+    if (draft) ApplicationDraft.deleteOne({ _id: draft._id }).catch(() => {});
+    const autoRejected = application.status === "Rejected";
+    // score against the applicant's builder resume (background task)
+    if (aiConfig.features.matchScorer && !autoRejected) {
+      queueApplicationReview("scoreApplication", application._id, draft && draft.resume);
+    }
+    // AI screening review for the employer (background task)
+    if (aiConfig.features.screeningAgent && !autoRejected) {
+      queueApplicationReview("screenApplication", application._id, draft && draft.resume);
+    }
     // increment application count on job (non-blocking)
     job.incApplications().catch(() => {});
     // increment total applications count on employer (non-blocking)
@@ -133,23 +217,39 @@ exports.apply = async (req, res) => {
 
     // Send emails in background (non-blocking)
     try {
-      // Notify employer of new application if notifications enabled
-      if (employer?.settings?.emailNotifications?.newApplication !== false) {
-        sendApplicationNotificationEmail(
+      // Notify employer of new application if notifications enabled (skip auto-rejected ones)
+      if (
+        employer?.settings?.emailNotifications?.newApplication !== false &&
+        !autoRejected
+      ) {
+        queueEmail(
+          "sendApplicationNotificationEmail",
           employer.contactPerson.email,
           employer.contactPerson.name || employer.organizationName,
           job.title,
           `${jobSeeker.user.firstName} ${jobSeeker.user.lastName}`.trim(),
           jobSeeker.user.email
-        ).catch(() => {});
+        );
+      }
+      // Notify jobseeker: confirmation, or the outcome when screening rejected it
+      if (autoRejected) {
+        queueEmail(
+          "sendApplicationStatusUpdateToJobSeeker",
+          jobSeeker.user.email,
+          `${jobSeeker.user.firstName} ${jobSeeker.user.lastName}`.trim(),
+          job.title,
+          employer.organizationName,
+          "Rejected"
+        );
+      } else {
+        queueEmail(
+          "sendApplicationSubmittedToJobSeeker",
+          jobSeeker.user.email,
+          `${jobSeeker.user.firstName} ${jobSeeker.user.lastName}`.trim(),
+          job.title,
+          employer.organizationName
+        );
       }
-      // Notify jobseeker confirmation
-      sendApplicationSubmittedToJobSeeker(
-        jobSeeker.user.email,
-        `${jobSeeker.user.firstName} ${jobSeeker.user.lastName}`.trim(),
-        job.title,
-        employer.organizationName
-      ).catch(() => {});
     } catch (_) {}
 
     return successResponse(res, 201, "Application submitted", { application });
@@ -169,6 +269,127 @@ exports.apply = async (req, res) => {
   }
 };
 
+// GET /jobs/:id/apply-draft (jobseeker)
+exports.getDraft = async (req, res) => {
+  try {
+    const jobSeeker = await JobSeeker.findOne({ user: req.user._id }).select("_id");
+    if (!jobSeeker)
+      return errorResponse(res, 403, "Job seeker profile not found");
+
+    const draft = await ApplicationDraft.findOne({
+      jobSeeker: jobSeeker._id,
+      job: req.params.id,
+    });
+    if (!draft) return notFoundResponse(res, "No draft for this job");
+
+    return successResponse(res, 200, "Application draft fetched", { draft });
+  } catch (err) {
+    console.error("Get application draft error:", err);
+    return errorResponse(res, 500, "Failed to fetch application draft");
+  }
+};
+
+// PUT /jobs/:id/apply-draft (jobseeker) -> create or update the draft
+exports.saveDraft = async (req, res) => {
+  try {
+    const jobSeeker = await JobSeeker.findOne({ user: req.user._id }).select("_id");
+    if (!jobSeeker)
+      return errorResponse(res, 403, "Job seeker profile not found");
+
+    const job = await Job.findById(req.params.id);
+    if (!job || !job.isOpen())
+      return notFoundResponse(res, "Job not open for applications");
+
+    const update = {};
+    const { coverLetter, answers, resumeId } = req.body;
+    if (coverLetter !== undefined) {
+      const text = typeof coverLetter === "string" ? coverLetter : coverLetter && coverLetter.text;
+      update.coverLetter = { text, source: "manual" };
+    }
+    if (answers !== undefined) {
+      if (!Array.isArray(answers))
+        return validationErrorResponse(res, [{ field: "answers", message: "Answers must be an array" }]);
+      update.answers = answers;
+    }
+    if (resumeId !== undefined) update.resume = resumeId || undefined;
+
+    const draft = await ApplicationDraft.findOneAndUpdate(
+      { jobSeeker: jobSeeker._id, job: job._id },
+      { $set: update },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    return successResponse(res, 200, "Application draft saved", { draft });
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      const errors = Object.values(err.errors).map((e) => ({ field: e.path, message: e.message }));
+      return validationErrorResponse(res, errors);
+    }
+    console.error("Save application draft error:", err);
+    return errorResponse(res, 500, "Failed to save application draft");
+  }
+};
+
+// DELETE /jobs/:id/apply-draft (jobseeker)
+exports.deleteDraft = async (req, res) => {
+  try {
+    const jobSeeker = await JobSeeker.findOne({ user: req.user._id }).select("_id");
+    if (!jobSeeker)
+      return errorResponse(res, 403, "Job seeker profile not found");
+
+    const result = await ApplicationDraft.deleteOne({
+      jobSeeker: jobSeeker._id,
+      job: req.params.id,
+    });
+    if (result.deletedCount === 0) return notFoundResponse(res, "No draft for this job");
+
+    return successResponse(res, 200, "Application draft deleted");
+  } catch (err) {
+    console.error("Delete application draft error:", err);
+    return errorResponse(res, 500, "Failed to delete application draft");
+  }
+};
+
+// POST /applications/:id/ai-screening (employer/admin)
+// Re-runs the AI screening agent; never changes the status
+exports.runAiScreening = async (req, res) => {
+  try {
+    if (!aiConfig.features.screeningAgent) {
+      return errorResponse(res, 503, "AI Screening Agent feature is currently disabled");
+    }
+
+    const application = await Application.findById(req.params.id).select("employer");
+    if (!application) return notFoundResponse(res, "Application not found");
+
+    if (req.user.role !== "admin") {
+      const employer = await Employer.findOne({ user: req.user._id });
+      if (
+        !employer ||
+        application.employer.toString() !== employer._id.toString()
+      ) {
+        return forbiddenResponse(
+          res,
+          "Not authorized to screen this application"
+        );
+      }
+    }
+
+    const aiScreening = await screenApplication(application._id, { allowAutoAction: false });
+    if (!aiScreening) return notFoundResponse(res, "Application job or applicant no longer exists");
+    if (aiScreening.status === "failed") {
+      if (/not configured/i.test(aiScreening.error || "")) {
+        return errorResponse(res, 503, "AI service is not configured. Please contact the administrator.");
+      }
+      return errorResponse(res, 502, "AI screening failed. Please try again.", { aiScreening });
+    }
+
+    return successResponse(res, 200, "AI screening completed", { aiScreening });
+  } catch (err) {
+    console.error("AI screening error:", err);
+    return errorResponse(res, 500, "Failed to run AI screening");
+  }
+};
+
 // PATCH /applications/:id/rating (employer/admin)
 exports.setRating = async (req, res) => {
   try {
@@ -213,13 +434,14 @@ exports.setRating = async (req, res) => {
         const companyName =
           application.employer?.organizationName || "Employer";
         if (candidateEmail) {
-          sendApplicationStatusUpdateToJobSeeker(
+          queueEmail(
+            "sendApplicationStatusUpdateToJobSeeker",
             candidateEmail,
             candidateName,
             jobTitle,
             companyName,
             status
-          ).catch(() => {});
+          );
         }
       }
     } catch (_) {}
@@ -242,10 +464,11 @@ exports.listMyApplications = async (req, res) => {
     const skip = (page - 1) * limit;
 
     const filters = buildFilters({ ...req.query, jobSeeker: jobSeeker._id });
-    const sort = req.query.sort || "-appliedAt";
+    const sort = buildSort(req.query.sort);
 
     const [items, total] = await Promise.all([
       Application.find(filters)
+        .select("-aiScreening")
         .populate("job")
         .sort(sort)
         .skip(skip)
@@ -277,7 +500,7 @@ exports.listEmployerApplications = async (req, res) => {
     const skip = (page - 1) * limit;
 
     const filters = buildFilters({ ...req.query, employer: employer._id });
-    const sort = req.query.sort || "-appliedAt";
+    const sort = buildSort(req.query.sort);
 
     const [items, total] = await Promise.all([
       Application.find(filters)
@@ -367,6 +590,9 @@ exports.getById = async (req, res) => {
         );
       }
 
+      // The AI screening review is for the employer only
+      if (!ownsAsEmployer) delete application.aiScreening;
+
       // Mark viewed by employer when appropriate (non-blocking)
       if (ownsAsEmployer && !application.isViewedByEmployer) {
         Application.findByIdAndUpdate(application._id, { isViewedByEmployer: true }).catch(() => {});
@@ -408,33 +634,48 @@ exports.updateStatus = async (req, res) => {
       }
     }
 
-    const oldStatus = application.status;
     const { status, note } = req.body;
-    application.status = status;
-    application.updatedAtManual = new Date();
-    application.history.push({
-      status,
-      note,
-      by: req.user._id,
-      at: new Date(),
-    });
-    await application.save();
+    if (!APPLICATION_STATUSES.includes(status)) {
+      return validationErrorResponse(res, [
+        {
+          field: "status",
+          message: `Status must be one of: ${APPLICATION_STATUSES.join(", ")}`,
+        },
+      ]);
+    }
 
-    // Update employer stats if status changed to/from "Offered"
     let employer = application.employer;
     if (!employer || !employer._id) {
       employer = await Employer.findById(application.employer);
     }
 
-    if (employer) {
-      // If transitioning TO "Offered", increment totalHires
-      if (status === "Offered" && oldStatus !== "Offered") {
-        await employer.updateHireStats(1);
-      }
-      // If transitioning FROM "Offered" to something else, decrement totalHires
-      else if (oldStatus === "Offered" && status !== "Offered") {
-        await employer.updateHireStats(-1);
+    try {
+      application.transitionTo(status, {
+        by: req.user._id,
+        note,
+        hiringProcess: employer?.hiringPreferences?.hiringProcess,
+        actor: req.user.role === "admin" ? "admin" : "employer",
+      });
+    } catch (err) {
+      if (err.statusCode === 409) {
+        return errorResponse(res, 409, err.message, err.details);
       }
+      throw err;
+    }
+    await application.save();
+
+    if (status === "Rejected") {
+      await Interview.cancelOpenForApplication(
+        application._id,
+        req.user._id,
+        "Application rejected"
+      );
+    }
+
+    // Count the hire. Offered is terminal in the pipeline, so only withdrawing an accepted
+    // offer undoes it (see withdraw)
+    if (employer && status === "Offered") {
+      await employer.updateHireStats(1);
     }
 
     // Notify jobseeker on key status changes
@@ -449,13 +690,14 @@ exports.updateStatus = async (req, res) => {
         const companyName =
           application.employer?.organizationName || "Employer";
         if (candidateEmail) {
-          sendApplicationStatusUpdateToJobSeeker(
+          queueEmail(
+            "sendApplicationStatusUpdateToJobSeeker",
             candidateEmail,
             candidateName,
             jobTitle,
             companyName,
             status
-          ).catch(() => {});
+          );
         }
       }
     } catch (_) {}
@@ -469,6 +711,101 @@ exports.updateStatus = async (req, res) => {
   }
 };
 
+// POST /applications/:id/withdraw (jobseeker)
+exports.withdraw = async (req, res) => {
+  try {
+    const reason =
+      typeof req.body.reason === "string" ? req.body.reason.trim() : "";
+    if (reason.length > 1000) {
+      return validationErrorResponse(res, [
+        { field: "reason", message: "Reason cannot exceed 1000 characters" },
+      ]);
+    }
+
+    const jobSeeker = await JobSeeker.findOne({ user: req.user._id }).populate({
+      path: "user",
+      select: "firstName lastName email",
+    });
+    if (!jobSeeker)
+      return errorResponse(res, 403, "Job seeker profile not found");
+
+    const application = await Application.findById(req.params.id)
+      .populate("job")
+      .populate("employer");
+    if (!application) return notFoundResponse(res, "Application not found");
+
+    if (application.jobSeeker.toString() !== jobSeeker._id.toString()) {
+      return forbiddenResponse(res, "Not authorized to withdraw this application");
+    }
+
+    const oldStatus = application.status;
+    try {
+      application.transitionTo("Withdrawn", {
+        by: req.user._id,
+        note: reason || "Withdrawn by candidate",
+        actor: "jobseeker",
+      });
+    } catch (err) {
+      if (err.statusCode === 409) {
+        return errorResponse(res, 409, err.message, err.details);
+      }
+      throw err;
+    }
+    await application.save();
+
+    // Keep counters in step with apply(); guarded so they never go negative
+    const jobId = application.job?._id || application.job;
+    const employerId = application.employer?._id || application.employer;
+    await Promise.all([
+      Job.updateOne(
+        { _id: jobId, "stats.applications": { $gt: 0 } },
+        { $inc: { "stats.applications": -1 } }
+      ),
+      Employer.updateOne(
+        { _id: employerId, "stats.totalApplications": { $gt: 0 } },
+        { $inc: { "stats.totalApplications": -1 } }
+      ),
+      // Withdrawing an accepted offer undoes the hire counted in updateStatus
+      oldStatus === "Offered"
+        ? Employer.updateOne(
+            { _id: employerId, "stats.totalHires": { $gt: 0 } },
+            { $inc: { "stats.totalHires": -1 } }
+          )
+        : null,
+    ]);
+
+    // Close any interviews still pending for this application
+    await Interview.cancelOpenForApplication(
+      application._id,
+      req.user._id,
+      "Application withdrawn by candidate"
+    );
+
+    // Notify employer (non-blocking)
+    try {
+      const employer = application.employer;
+      if (
+        employer?.contactPerson?.email &&
+        employer?.settings?.emailNotifications?.applicationUpdate !== false
+      ) {
+        queueEmail(
+          "sendApplicationWithdrawnToEmployer",
+          employer.contactPerson.email,
+          employer.contactPerson.name || employer.organizationName,
+          application.job?.title || "your job",
+          `${jobSeeker.user.firstName} ${jobSeeker.user.lastName}`.trim(),
+          reason
+        );
+      }
+    } catch (_) {}
+
+    return successResponse(res, 200, "Application withdrawn", { application });
+  } catch (err) {
+    console.error("Withdraw application error:", err);
+    return errorResponse(res, 500, "Failed to withdraw application");
+  }
+};
+
 // GET /applications/job/:jobId (employer)
 exports.listApplicationsForJob = async (req, res) => {
   try {
@@ -485,13 +822,15 @@ exports.listApplicationsForJob = async (req, res) => {
         "Not authorized to view applications for this job"
       );
 
-    const applications = await Application.find({ job: jobId })
+    // ?sort=-matchScore&minScore=70 ranks applicants by AI match score
+    const filters = buildFilters({ ...req.query, job: job._id, employer: undefined, jobSeeker: undefined });
+    const applications = await Application.find(filters)
       .populate({ path: "job" })
       .populate({
         path: "jobSeeker",
         populate: { path: "user", select: "firstName lastName email phone" },
       })
-      .sort("-appliedAt");
+      .sort(buildSort(req.query.sort));
 
     return successResponse(res, 200, "Applications fetched", { applications });
   } catch (err) {
@@ -0,0 +1,155 @@
+const User = require("../models/User");
+const Interview = require("../models/Interview");
+const Job = require("../models/Job");
+const SavedJob = require("../models/SavedJob");
+const JobSeeker = require("../models/JobSeeker");
+const Employer = require("../models/Employer");
+const { successResponse, errorResponse, notFoundResponse } = require("../utils/response");
+const {
+  buildCalendar,
+  buildInterviewEvent,
+  buildJobDeadlineEvent,
+} = require("../services/calendarService");
+
+// Interviews that belong on a calendar (declined/cancelled stay so subscribers drop them)
+const FEED_INTERVIEW_STATUSES = ["Scheduled", "Completed", "Cancelled", "Declined"];
+// How far back the feed reaches for past events
+const FEED_LOOKBACK_DAYS = 30;
+
+// Public base URL of this API, used to build subscribable feed links
+const apiBaseUrl = (req) =>
+  (process.env.API_URL || `${req.protocol}://${req.get("host")}`).replace(/\/$/, "");
+
+const feedUrlsFor = (req, token) => {
+  const feedUrl = `${apiBaseUrl(req)}/api/calendar/feed/${token}.ics`;
+  return {
+    feedUrl,
+    // webcal:// makes most calendar apps offer "subscribe" instead of a one-off import
+    webcalUrl: feedUrl.replace(/^https?:\/\//, "webcal://"),
+  };
+};
+
+const interviewPopulate = [
+  { path: "job", select: "title organizationName location" },
+  { path: "employer", select: "organizationName contactPerson" },
+  {
+    path: "jobSeeker",
+    select: "user",
+    populate: { path: "user", select: "firstName lastName email" },
+  },
+];
+
+// Collect the events for a job seeker's feed
+const buildJobSeekerEvents = async (user, since) => {
+  const jobSeeker = await JobSeeker.findOne({ user: user._id });
+  if (!jobSeeker) return [];
+
+  const [interviews, saved] = await Promise.all([
+    Interview.find({
+      jobSeeker: jobSeeker._id,
+      status: { $in: FEED_INTERVIEW_STATUSES },
+      "scheduledSlot.start": { $gte: since },
+    }).populate(interviewPopulate),
+    SavedJob.find({ jobSeeker: jobSeeker._id }).populate({
+      path: "job",
+      match: { expiresAt: { $gte: since }, status: { $ne: "Archived" } },
+      select: "title organizationName location expiresAt updatedAt",
+    }),
+  ]);
+
+  return [
+    ...interviews.map((i) => buildInterviewEvent(i, i)),
+    ...saved.map((s) => buildJobDeadlineEvent(s.job, { kind: "saved" })),
+  ].filter(Boolean);
+};
+
+// Collect the events for an employer's feed
+const buildEmployerEvents = async (user, since) => {
+  const employer = await Employer.findOne({ user: user._id });
+  if (!employer) return [];
+
+  const [interviews, jobs] = await Promise.all([
+    Interview.find({
+      employer: employer._id,
+      status: { $in: FEED_INTERVIEW_STATUSES },
+      "scheduledSlot.start": { $gte: since },
+    }).populate(interviewPopulate),
+    Job.find({
+      employer: employer._id,
+      expiresAt: { $gte: since },
+      status: { $ne: "Archived" },
+    }).select("title organizationName location expiresAt updatedAt"),
+  ]);
+
+  return [
+    ...interviews.map((i) => buildInterviewEvent(i, i)),
+    ...jobs.map((j) => buildJobDeadlineEvent(j, { kind: "posting" })),
+  ].filter(Boolean);
+};
+
+// GET /api/calendar/feed-url
+exports.getFeedUrl = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("+calendarFeedToken");
+    if (!user) return notFoundResponse(res, "User not found");
+
+    if (!user.calendarFeedToken) {
+      user.generateCalendarFeedToken();
+      await user.save();
+    }
+
+    return successResponse(res, 200, "Calendar feed URL fetched", feedUrlsFor(req, user.calendarFeedToken));
+  } catch (err) {
+    console.error("Get calendar feed url error:", err);
+    return errorResponse(res, 500, "Failed to fetch calendar feed URL");
+  }
+};
+
+// POST /api/calendar/feed-url/rotate — invalidates the old URL
+exports.rotateFeedUrl = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("+calendarFeedToken");
+    if (!user) return notFoundResponse(res, "User not found");
+
+    user.generateCalendarFeedToken();
+    await user.save();
+
+    return successResponse(res, 200, "Calendar feed URL rotated", feedUrlsFor(req, user.calendarFeedToken));
+  } catch (err) {
+    console.error("Rotate calendar feed url error:", err);
+    return errorResponse(res, 500, "Failed to rotate calendar feed URL");
+  }
+};
+
+// GET /api/calendar/feed/:token.ics (public — the token is the credential)
+exports.getFeed = async (req, res) => {
+  try {
+    const { token } = req.params;
+    if (!token || !/^[a-f0-9]{48}$/.test(token)) {
+      return notFoundResponse(res, "Calendar feed not found");
+    }
+
+    const user = await User.findOne({ calendarFeedToken: token });
+    if (!user || !user.isActive || user.isBlocked) {
+      return notFoundResponse(res, "Calendar feed not found");
+    }
+
+    const since = new Date(Date.now() - FEED_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+    let events = [];
+    if (user.role === "jobseeker") {
+      events = await buildJobSeekerEvents(user, since);
+    } else if (user.role === "employer") {
+      events = await buildEmployerEvents(user, since);
+    }
+
+    const ics = buildCalendar(events, { name: "LifeMate" });
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Content-Disposition", 'inline; filename="lifemate.ics"');
+    res.set("Cache-Control", "private, max-age=300");
+    return res.status(200).send(ics);
+  } catch (err) {
+    console.error("Get calendar feed error:", err);
+    return errorResponse(res, 500, "Failed to build calendar feed");
+  }
+};
@@ -1,5 +1,64 @@
 const Employer = require('../models/Employer');
-const { successResponse, errorResponse, validationErrorResponse, notFoundResponse, getPaginationMeta } = require('../utils/response');
+const JobSeeker = require('../models/JobSeeker');
+const { EMPLOYER_VIEW_FIELDS } = require('../models/JobSeeker');
+const { successResponse, errorResponse, validationErrorResponse, notFoundResponse, forbiddenResponse, getPaginationMeta } = require('../utils/response');
+
+// Candidate search filters that need subscription.features.advancedSearch
+const ADVANCED_CANDIDATE_FILTERS = ['experienceMin', 'experienceMax', 'degree', 'certification', 'remoteWorkPreference'];
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Accept both ?specializations=A,B and ?specializations=A&specializations=B
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map((v) => String(v).trim()).filter(Boolean);
+};
+
+const exactInsensitive = (values) => values.map((v) => new RegExp(`^${escapeRegex(v)}$`, 'i'));
+
+// Build the JobSeeker query for candidate search
+const buildCandidateFilters = (q) => {
+  const f = {};
+  const and = [];
+
+  const specializations = toList(q.specializations);
+  if (specializations.length) f.specializations = { $in: specializations };
+
+  const cities = toList(q.city);
+  if (cities.length) f['jobPreferences.preferredLocations.city'] = { $in: exactInsensitive(cities) };
+  const states = toList(q.state);
+  if (states.length) f['jobPreferences.preferredLocations.state'] = { $in: exactInsensitive(states) };
+
+  const availability = toList(q.availability);
+  if (availability.length) f['jobPreferences.availability'] = { $in: availability };
+
+  if (q.search) {
+    const rx = new RegExp(escapeRegex(q.search), 'i');
+    and.push({ $or: [{ title: rx }, { bio: rx }, { 'skills.name': rx }] });
+  }
+
+  // Advanced filters
+  if (q.experienceMin !== undefined || q.experienceMax !== undefined) {
+    f['experience.totalYears'] = {};
+    if (q.experienceMin !== undefined) f['experience.totalYears'].$gte = Number(q.experienceMin);
+    if (q.experienceMax !== undefined) f['experience.totalYears'].$lte = Number(q.experienceMax);
+  }
+
+  const degrees = toList(q.degree);
+  if (degrees.length) f['education.degree'] = { $in: degrees };
+
+  // Every requested certification must be held
+  toList(q.certification).forEach((name) => {
+    and.push({ 'certifications.name': new RegExp(escapeRegex(name), 'i') });
+  });
+
+  const remote = toList(q.remoteWorkPreference);
+  if (remote.length) f['jobPreferences.remoteWorkPreference'] = { $in: remote };
+
+  if (and.length) f.$and = and;
+  return f;
+};
 
 // GET /api/employer/profile
 exports.getMyProfile = async (req, res) => {
@@ -192,3 +251,82 @@ exports.getEmployerById = async (req, res) => {
     return errorResponse(res, 500, 'Failed to fetch employer profile');
   }
 };
+
+// GET /api/employer/candidates - Search the job seeker talent pool (employers)
+exports.searchCandidates = async (req, res) => {
+  try {
+    const employer = await Employer.findOne({ user: req.user._id });
+    if (!employer) return notFoundResponse(res, 'Employer profile not found');
+
+    const usedAdvanced = ADVANCED_CANDIDATE_FILTERS.filter(
+      (key) => req.query[key] !== undefined && req.query[key] !== ''
+    );
+    const hasAdvancedSearch =
+      employer.subscription?.features?.advancedSearch === true &&
+      employer.subscription?.status === 'Active';
+    if (usedAdvanced.length > 0 && !hasAdvancedSearch) {
+      return forbiddenResponse(
+        res,
+        `Advanced search is not included in your plan. Upgrade to filter by: ${usedAdvanced.join(', ')}`
+      );
+    }
+
+    const errors = [];
+    ['experienceMin', 'experienceMax'].forEach((key) => {
+      if (req.query[key] !== undefined && !Number.isFinite(Number(req.query[key]))) {
+        errors.push({ field: key, message: `${key} must be a number` });
+      }
+    });
+    if (errors.length > 0) return validationErrorResponse(res, errors);
+
+    const pageNum = Math.max(1, parseInt(req.query.page) || 1);
+    const limitNum = Math.min(50, parseInt(req.query.limit) || 12);
+    const skip = (pageNum - 1) * limitNum;
+
+    const filter = {
+      ...buildCandidateFilters(req.query),
+      ...(await JobSeeker.buildEmployerVisibilityFilter()),
+    };
+
+    const sortOptions = {};
+    switch (req.query.sortBy) {
+      case 'experience':
+        sortOptions['experience.totalYears'] = -1;
+        break;
+      case 'recent':
+        sortOptions.updatedAt = -1;
+        break;
+      default:
+        sortOptions.profileCompletion = -1;
+        sortOptions.updatedAt = -1;
+    }
+
+    const [candidates, total] = await Promise.all([
+      JobSeeker.find(filter)
+        .select(EMPLOYER_VIEW_FIELDS)
+        .populate({ path: 'user', select: 'firstName lastName email phone profileImage' })
+        .sort(sortOptions)
+        .skip(skip)
+        .limit(limitNum)
+        .lean(),
+      JobSeeker.countDocuments(filter),
+    ]);
+
+    candidates.forEach((candidate) => JobSeeker.toEmployerView(candidate));
+
+    // Count search appearances, not profile views (async, don't wait)
+    if (candidates.length > 0) {
+      JobSeeker.updateMany(
+        { _id: { $in: candidates.map((c) => c._id) } },
+        { $inc: { 'stats.searchAppearances': 1 } }
+      ).exec().catch((err) => console.error('Failed to update candidate search appearances:', err));
+    }
+
+    const meta = getPaginationMeta(pageNum, limitNum, total);
+
+    return successResponse(res, 200, 'Candidates fetched successfully', { candidates }, meta);
+  } catch (err) {
+    console.error('Search candidates error:', err);
+    return errorResponse(res, 500, 'Failed to search candidates');
+  }
+};
@@ -0,0 +1,550 @@
+const Interview = require("../models/Interview");
+const { INTERVIEW_TYPES, OPEN_INTERVIEW_STATUSES } = require("../models/Interview");
+const Application = require("../models/Application");
+const JobSeeker = require("../models/JobSeeker");
+const Employer = require("../models/Employer");
+const {
+  successResponse,
+  errorResponse,
+  validationErrorResponse,
+  notFoundResponse,
+  forbiddenResponse,
+} = require("../utils/response");
+const { queueEmail } = require("../services/emailService");
+const { buildCalendar, buildInterviewEvent } = require("../services/calendarService");
+const {
+  CLOSED_STATUSES,
+  canTransition,
+  createTransitionError,
+} = require("../config/applicationPipeline");
+
+const MAX_SLOTS = 5;
+
+const loadApplication = (id) =>
+  Application.findById(id)
+    .populate("job")
+    .populate({
+      path: "jobSeeker",
+      populate: { path: "user", select: "firstName lastName email" },
+    })
+    .populate("employer");
+
+// Work out how the requester relates to a populated application
+const resolveAccess = (req, application) => {
+  if (req.user.role === "admin") return "admin";
+  const userId = req.user._id.toString();
+  if (
+    req.user.role === "employer" &&
+    application.employer?.user?.toString() === userId
+  ) {
+    return "employer";
+  }
+  if (
+    req.user.role === "jobseeker" &&
+    application.jobSeeker?.user?._id?.toString() === userId
+  ) {
+    return "jobseeker";
+  }
+  return null;
+};
+
+const candidateNameOf = (application) => {
+  const user = application.jobSeeker?.user;
+  return user ? `${user.firstName} ${user.lastName}`.trim() : "";
+};
+
+// Parse and validate proposed slots: [{ start, end }] or [{ start, durationMinutes }]
+const parseSlots = (raw) => {
+  const errors = [];
+  if (!Array.isArray(raw) || raw.length === 0) {
+    errors.push({ field: "slots", message: "At least one interview slot is required" });
+    return { slots: [], errors };
+  }
+  if (raw.length > MAX_SLOTS) {
+    errors.push({ field: "slots", message: `No more than ${MAX_SLOTS} slots can be proposed` });
+    return { slots: [], errors };
+  }
+
+  const now = new Date();
+  const slots = raw.map((s, idx) => {
+    const start = new Date(s && s.start);
+    let end = s && s.end ? new Date(s.end) : null;
+    if (!end && s && s.durationMinutes) {
+      end = new Date(start.getTime() + Number(s.durationMinutes) * 60 * 1000);
+    }
+    if (Number.isNaN(start.getTime())) {
+      errors.push({ field: `slots.${idx}.start`, message: "Slot start must be a valid date" });
+    } else if (start <= now) {
+      errors.push({ field: `slots.${idx}.start`, message: "Slot start must be in the future" });
+    }
+    if (!end || Number.isNaN(end.getTime()) || end <= start) {
+      errors.push({ field: `slots.${idx}.end`, message: "Slot end must be after slot start" });
+    }
+    return { start, end };
+  });
+
+  return { slots, errors };
+};
+
+const formatSlotTime = (slot, timezone) => {
+  const opts = { hour: "2-digit", minute: "2-digit", timeZone: timezone || undefined };
+  try {
+    return `${new Date(slot.start).toLocaleTimeString("en-IN", opts)} - ${new Date(
+      slot.end
+    ).toLocaleTimeString("en-IN", opts)}${timezone ? ` (${timezone})` : ""}`;
+  } catch (_) {
+    // Unknown timezone identifier — fall back to server local time
+    return `${new Date(slot.start).toLocaleTimeString()} - ${new Date(slot.end).toLocaleTimeString()}`;
+  }
+};
+
+// Email the candidate the confirmed interview details (non-blocking)
+const notifyCandidateScheduled = (interview, application) => {
+  try {
+    const candidateEmail = application.jobSeeker?.user?.email;
+    if (!candidateEmail || !interview.scheduledSlot?.start) return;
+    const event = buildInterviewEvent(interview, application);
+    queueEmail(
+      "sendInterviewInvitationEmail",
+      candidateEmail,
+      candidateNameOf(application),
+      application.job?.title || "Your Application",
+      application.employer?.organizationName || "Employer",
+      {
+        date: interview.scheduledSlot.start,
+        time: formatSlotTime(interview.scheduledSlot, interview.timezone),
+        type: interview.type,
+        location: interview.location,
+        meetingLink: interview.meetingLink,
+        notes: interview.notes,
+        ics: event ? buildCalendar([event], { method: "REQUEST" }) : undefined,
+      }
+    );
+  } catch (_) {}
+};
+
+// Email the employer the candidate's response (non-blocking)
+const notifyEmployerResponse = (interview, application) => {
+  try {
+    const employer = application.employer;
+    if (!employer?.contactPerson?.email) return;
+    if (employer?.settings?.emailNotifications?.applicationUpdate === false) return;
+    const slot = interview.scheduledSlot?.start ? interview.scheduledSlot : null;
+    queueEmail(
+      "sendInterviewResponseToEmployer",
+      employer.contactPerson.email,
+      employer.contactPerson.name || employer.organizationName,
+      application.job?.title || "your job",
+      candidateNameOf(application),
+      interview.status,
+      {
+        date: slot ? slot.start : undefined,
+        time: slot ? formatSlotTime(slot, interview.timezone) : undefined,
+        note: interview.candidateResponse?.note,
+      }
+    );
+  } catch (_) {}
+};
+
+// Shared loader for routes scoped to /applications/:id/interviews/:interviewId
+const loadInterviewForRequest = async (req, res, allowedRoles) => {
+  const application = await loadApplication(req.params.id);
+  if (!application) {
+    notFoundResponse(res, "Application not found");
+    return null;
+  }
+  const access = resolveAccess(req, application);
+  if (!access || !allowedRoles.includes(access)) {
+    forbiddenResponse(res, "Not authorized to manage interviews for this application");
+    return null;
+  }
+  const interview = await Interview.findOne({
+    _id: req.params.interviewId,
+    application: application._id,
+  });
+  if (!interview) {
+    notFoundResponse(res, "Interview not found");
+    return null;
+  }
+  return { application, interview, access };
+};
+
+// POST /applications/:id/interviews (employer/admin)
+exports.propose = async (req, res) => {
+  try {
+    const application = await loadApplication(req.params.id);
+    if (!application) return notFoundResponse(res, "Application not found");
+
+    const access = resolveAccess(req, application);
+    if (access !== "employer" && access !== "admin") {
+      return forbiddenResponse(res, "Not authorized to schedule interviews for this application");
+    }
+
+    // Further rounds are fine while in Interview, otherwise the pipeline must allow the move
+    const pipelineOptions = {
+      hiringProcess: application.employer?.hiringPreferences?.hiringProcess,
+      actor: access,
+    };
+    if (
+      application.status !== "Interview" &&
+      !canTransition(application.status, "Interview", pipelineOptions)
+    ) {
+      const err = createTransitionError(application.status, "Interview", pipelineOptions);
+      return errorResponse(res, 409, err.message, err.details);
+    }
+
+    const { slots, errors } = parseSlots(req.body.slots);
+    const { title, type, location, meetingLink, notes, timezone } = req.body;
+    if (type && !INTERVIEW_TYPES.includes(type)) {
+      errors.push({ field: "type", message: `Type must be one of: ${INTERVIEW_TYPES.join(", ")}` });
+    }
+    if (errors.length > 0) return validationErrorResponse(res, errors);
+
+    const round = (await Interview.countDocuments({ application: application._id })) + 1;
+
+    const interview = new Interview({
+      application: application._id,
+      job: application.job._id,
+      employer: application.employer._id,
+      jobSeeker: application.jobSeeker._id,
+      round,
+      title,
+      type,
+      location,
+      meetingLink,
+      notes,
+      timezone,
+      proposedSlots: slots,
+      createdBy: req.user._id,
+    });
+    interview.transition("Proposed", req.user._id, "Interview slots proposed");
+    await interview.save();
+
+    // Move the application into the Interview stage if it isn't there yet
+    if (application.status !== "Interview") {
+      application.transitionTo("Interview", {
+        ...pipelineOptions,
+        by: req.user._id,
+        note: `Interview round ${round} proposed`,
+      });
+      await application.save();
+
+      try {
+        const candidateEmail = application.jobSeeker?.user?.email;
+        if (candidateEmail) {
+          queueEmail(
+            "sendApplicationStatusUpdateToJobSeeker",
+            candidateEmail,
+            candidateNameOf(application),
+            application.job?.title || "Your Application",
+            application.employer?.organizationName || "Employer",
+            "Interview"
+          );
+        }
+      } catch (_) {}
+    }
+
+    return successResponse(res, 201, "Interview proposed", { interview });
+  } catch (err) {
+    console.error("Propose interview error:", err);
+    if (err.name === "ValidationError") {
+      const errors = Object.values(err.errors).map((e) => ({
+        field: e.path,
+        message: e.message,
+      }));
+      return validationErrorResponse(res, errors);
+    }
+    return errorResponse(res, 500, "Failed to propose interview");
+  }
+};
+
+// GET /applications/:id/interviews (owner seeker/employer, admin)
+exports.listForApplication = async (req, res) => {
+  try {
+    const application = await loadApplication(req.params.id);
+    if (!application) return notFoundResponse(res, "Application not found");
+
+    if (!resolveAccess(req, application)) {
+      return forbiddenResponse(res, "Not authorized to view interviews for this application");
+    }
+
+    const interviews = await Interview.find({ application: application._id }).sort("round");
+
+    return successResponse(res, 200, "Interviews fetched", { interviews });
+  } catch (err) {
+    console.error("List interviews error:", err);
+    return errorResponse(res, 500, "Failed to fetch interviews");
+  }
+};
+
+// GET /applications/interviews/upcoming (jobseeker/employer)
+exports.listUpcoming = async (req, res) => {
+  try {
+    const filters = { status: { $in: OPEN_INTERVIEW_STATUSES } };
+
+    if (req.user.role === "jobseeker") {
+      const jobSeeker = await JobSeeker.findOne({ user: req.user._id });
+      if (!jobSeeker) return errorResponse(res, 403, "Job seeker profile not found");
+      filters.jobSeeker = jobSeeker._id;
+    } else if (req.user.role === "employer") {
+      const employer = await Employer.findOne({ user: req.user._id });
+      if (!employer) return errorResponse(res, 403, "Employer profile not found");
+      filters.employer = employer._id;
+      if (req.query.job) filters.job = req.query.job;
+    } else {
+      return forbiddenResponse(res, "Upcoming interviews are available to job seekers and employers");
+    }
+
+    const now = new Date();
+    filters.$or = [
+      { "scheduledSlot.start": { $gte: now } },
+      { "scheduledSlot.start": { $exists: false }, "proposedSlots.start": { $gte: now } },
+    ];
+
+    const limit = Math.min(100, parseInt(req.query.limit) || 20);
+
+    const interviews = await Interview.find(filters)
+      .populate({ path: "job", select: "title organizationName location" })
+      .populate({ path: "employer", select: "organizationName" })
+      .populate({
+        path: "jobSeeker",
+        select: "user title",
+        populate: { path: "user", select: "firstName lastName email" },
+      })
+      .sort({ "scheduledSlot.start": 1, createdAt: 1 })
+      .limit(limit);
+
+    return successResponse(res, 200, "Upcoming interviews fetched", { interviews });
+  } catch (err) {
+    console.error("List upcoming interviews error:", err);
+    return errorResponse(res, 500, "Failed to fetch upcoming interviews");
+  }
+};
+
+// GET /applications/:id/interviews/:interviewId/ics (owner seeker/employer, admin)
+exports.downloadIcs = async (req, res) => {
+  try {
+    const loaded = await loadInterviewForRequest(req, res, ["jobseeker", "employer", "admin"]);
+    if (!loaded) return;
+    const { application, interview } = loaded;
+
+    const event = buildInterviewEvent(interview, application);
+    if (!event) {
+      return errorResponse(res, 400, "Interview does not have a confirmed time yet");
+    }
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="interview-${interview._id}.ics"`);
+    return res.status(200).send(buildCalendar([event]));
+  } catch (err) {
+    console.error("Download interview ics error:", err);
+    return errorResponse(res, 500, "Failed to export interview");
+  }
+};
+
+// PATCH /applications/:id/interviews/:interviewId (employer/admin)
+exports.update = async (req, res) => {
+  try {
+    const loaded = await loadInterviewForRequest(req, res, ["employer", "admin"]);
+    if (!loaded) return;
+    const { application, interview } = loaded;
+
+    if (!interview.isOpen()) {
+      return errorResponse(res, 400, `Cannot update an interview that is ${interview.status}`);
+    }
+
+    const errors = [];
+    const { title, type, location, meetingLink, notes, timezone, slots } = req.body;
+    if (type !== undefined && !INTERVIEW_TYPES.includes(type)) {
+      errors.push({ field: "type", message: `Type must be one of: ${INTERVIEW_TYPES.join(", ")}` });
+    }
+    let parsedSlots = null;
+    if (slots !== undefined) {
+      const parsed = parseSlots(slots);
+      errors.push(...parsed.errors);
+      parsedSlots = parsed.slots;
+    }
+    if (errors.length > 0) return validationErrorResponse(res, errors);
+
+    if (title !== undefined) interview.title = title;
+    if (type !== undefined) interview.type = type;
+    if (location !== undefined) interview.location = location;
+    if (meetingLink !== undefined) interview.meetingLink = meetingLink;
+    if (notes !== undefined) interview.notes = notes;
+    if (timezone !== undefined) interview.timezone = timezone;
+
+    if (parsedSlots) {
+      // New slots reopen the negotiation, e.g. in answer to a reschedule request
+      interview.proposedSlots = parsedSlots;
+      interview.scheduledSlot = undefined;
+      interview.transition("Proposed", req.user._id, req.body.note || "New interview slots proposed");
+    }
+
+    await interview.save();
+
+    // Details of a confirmed interview changed — resend the invitation
+    if (!parsedSlots && interview.status === "Scheduled") {
+      notifyCandidateScheduled(interview, application);
+    }
+
+    return successResponse(res, 200, "Interview updated", { interview });
+  } catch (err) {
+    console.error("Update interview error:", err);
+    if (err.name === "ValidationError") {
+      const errors = Object.values(err.errors).map((e) => ({
+        field: e.path,
+        message: e.message,
+      }));
+      return validationErrorResponse(res, errors);
+    }
+    return errorResponse(res, 500, "Failed to update interview");
+  }
+};
+
+// Shared handler for employer-side closing actions (cancel/complete)
+const closeInterview = (status, allowedFrom, message) => async (req, res) => {
+  try {
+    const loaded = await loadInterviewForRequest(req, res, ["employer", "admin"]);
+    if (!loaded) return;
+    const { interview } = loaded;
+
+    if (!allowedFrom.includes(interview.status)) {
+      return errorResponse(res, 400, `Cannot mark an interview that is ${interview.status} as ${status}`);
+    }
+
+    interview.transition(status, req.user._id, req.body.note);
+    await interview.save();
+
+    return successResponse(res, 200, message, { interview });
+  } catch (err) {
+    console.error(`${message} error:`, err);
+    return errorResponse(res, 500, "Failed to update interview");
+  }
+};
+
+// POST /applications/:id/interviews/:interviewId/cancel (employer/admin)
+exports.cancel = closeInterview("Cancelled", OPEN_INTERVIEW_STATUSES, "Interview cancelled");
+
+// POST /applications/:id/interviews/:interviewId/complete (employer/admin)
+exports.complete = closeInterview("Completed", ["Scheduled"], "Interview marked as completed");
+
+// POST /applications/:id/interviews/:interviewId/accept (jobseeker)
+exports.accept = async (req, res) => {
+  try {
+    const loaded = await loadInterviewForRequest(req, res, ["jobseeker"]);
+    if (!loaded) return;
+    const { application, interview } = loaded;
+
+    if (CLOSED_STATUSES.includes(application.status)) {
+      return errorResponse(res, 400, `This application has been ${application.status.toLowerCase()}`);
+    }
+    if (interview.status !== "Proposed") {
+      return errorResponse(res, 400, `Cannot accept an interview that is ${interview.status}`);
+    }
+
+    const { slotId, note } = req.body;
+    let slot = null;
+    if (slotId) {
+      slot = interview.proposedSlots.id(slotId);
+    } else if (interview.proposedSlots.length === 1) {
+      slot = interview.proposedSlots[0];
+    }
+    if (!slot) {
+      return validationErrorResponse(res, [
+        { field: "slotId", message: "Please choose one of the proposed slots" },
+      ]);
+    }
+    if (slot.start <= new Date()) {
+      return errorResponse(res, 400, "The selected slot is in the past. Please ask for new times.");
+    }
+
+    // A rescheduled interview was already counted the first time it was scheduled
+    const firstScheduling = !interview.history.some((entry) => entry.status === "Scheduled");
+
+    interview.scheduledSlot = { start: slot.start, end: slot.end };
+    interview.candidateResponse = { note, respondedAt: new Date() };
+    interview.transition("Scheduled", req.user._id, note || "Candidate accepted slot");
+    await interview.save();
+
+    // bump interview count on the candidate (non-blocking)
+    if (firstScheduling) application.jobSeeker.updateInterviewStats(1).catch(() => {});
+
+    notifyCandidateScheduled(interview, application);
+    notifyEmployerResponse(interview, application);
+
+    return successResponse(res, 200, "Interview scheduled", { interview });
+  } catch (err) {
+    console.error("Accept interview error:", err);
+    return errorResponse(res, 500, "Failed to accept interview");
+  }
+};
+
+// POST /applications/:id/interviews/:interviewId/decline (jobseeker)
+exports.decline = async (req, res) => {
+  try {
+    const loaded = await loadInterviewForRequest(req, res, ["jobseeker"]);
+    if (!loaded) return;
+    const { application, interview } = loaded;
+
+    if (CLOSED_STATUSES.includes(application.status)) {
+      return errorResponse(res, 400, `This application has been ${application.status.toLowerCase()}`);
+    }
+    if (!["Proposed", "Scheduled"].includes(interview.status)) {
+      return errorResponse(res, 400, `Cannot decline an interview that is ${interview.status}`);
+    }
+
+    const { reason } = req.body;
+    interview.candidateResponse = { note: reason, respondedAt: new Date() };
+    interview.transition("Declined", req.user._id, reason);
+    await interview.save();
+
+    notifyEmployerResponse(interview, application);
+
+    return successResponse(res, 200, "Interview declined", { interview });
+  } catch (err) {
+    console.error("Decline interview error:", err);
+    return errorResponse(res, 500, "Failed to decline interview");
+  }
+};
+
+// POST /applications/:id/interviews/:interviewId/reschedule (jobseeker)
+exports.requestReschedule = async (req, res) => {
+  try {
+    const loaded = await loadInterviewForRequest(req, res, ["jobseeker"]);
+    if (!loaded) return;
+    const { application, interview } = loaded;
+
+    if (CLOSED_STATUSES.includes(application.status)) {
+      return errorResponse(res, 400, `This application has been ${application.status.toLowerCase()}`);
+    }
+    if (!["Proposed", "Scheduled"].includes(interview.status)) {
+      return errorResponse(res, 400, `Cannot reschedule an interview that is ${interview.status}`);
+    }
+
+    const { reason, preferredTimes } = req.body;
+    if (!reason || !String(reason).trim()) {
+      return validationErrorResponse(res, [
+        { field: "reason", message: "Please tell the employer why you need a different time" },
+      ]);
+    }
+
+    interview.scheduledSlot = undefined;
+    interview.candidateResponse = { note: reason, preferredTimes, respondedAt: new Date() };
+    interview.transition("Reschedule Requested", req.user._id, reason);
+    await interview.save();
+
+    notifyEmployerResponse(interview, application);
+
+    return successResponse(res, 200, "Reschedule requested", { interview });
+  } catch (err) {
+    console.error("Request reschedule error:", err);
+    if (err.name === "ValidationError") {
+      const errors = Object.values(err.errors).map((e) => ({
+        field: e.path,
+        message: e.message,
+      }));
+      return validationErrorResponse(res, errors);
+    }
+    return errorResponse(res, 500, "Failed to request reschedule");
+  }
+};
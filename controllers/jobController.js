@@ -1,5 +1,7 @@
 const Job = require("../models/Job");
 const Employer = require("../models/Employer");
+const JobSeeker = require("../models/JobSeeker");
+const { buildJobFilters } = require("../utils/jobFilters");
 const {
   successResponse,
   errorResponse,
@@ -7,46 +9,38 @@ const {
   notFoundResponse,
 } = require("../utils/response");
 
-// Feature 4: Semantic Search — auto-index hooks (fire-and-forget, never blocks response)
-const { embedJob, removeJobEmbedding } = require('../services/ai/jobEmbeddingPipeline');
+// Feature 4: Semantic Search — auto-index hooks (queued as background tasks, never block the response)
+const { enqueueTask } = require('../services/taskQueue');
 const { aiConfig } = require('../config/ai');
+const { getRecommendedJobs } = require('../services/ai/jobRecommender');
+const { lintJob, applyLintResult, markLintReviewed } = require('../services/jobLintService');
 
-const triggerEmbedding = (jobId) => {
+// The task embeds or removes according to the job's status when it runs
+const triggerEmbeddingSync = (jobId) => {
   if (!aiConfig.features.semanticSearch) return;
-  embedJob(jobId).catch((err) =>
-    console.warn(`⚠️  Auto-embed failed for job ${jobId}: ${err.message}`)
-  );
+  enqueueTask('syncJobEmbedding', { jobId: jobId.toString() }, { dedupeKey: `syncJobEmbedding:${jobId}` })
+    .catch((err) => console.warn(`⚠️  Could not queue embedding sync for job ${jobId}: ${err.message}`));
 };
 
-const triggerRemoveEmbedding = (jobId) => {
-  if (!aiConfig.features.semanticSearch) return;
-  removeJobEmbedding(jobId).catch((err) =>
-    console.warn(`⚠️  Auto-remove-embed failed for job ${jobId}: ${err.message}`)
-  );
+// Bias and compliance lint before save; severe findings hold the job as Flagged
+const lintForSave = async (job) => {
+  const result = await lintJob(job.toObject(), { useLLM: aiConfig.jobLint.llmOnSave });
+  return applyLintResult(job, result);
 };
 
-// Build filters for listing
-const buildJobFilters = (q) => {
-  const f = {};
-  if (q.status) f.status = q.status;
-  if (q.specialization) f.specialization = q.specialization;
-  if (q.city) f["location.city"] = q.city;
-  if (q.state) f["location.state"] = q.state;
-  if (q.country) f["location.country"] = q.country;
-  if (q.jobType) f.jobType = q.jobType;
-  if (q.shift) f.shift = q.shift;
-  if (q.isRemote !== undefined) f.isRemote = q.isRemote === "true";
-  if (q.experienceMin)
-    f["experienceRequired.minYears"] = { $lte: Number(q.experienceMin) };
-  if (q.experienceMax)
-    f["experienceRequired.maxYears"] = { $gte: Number(q.experienceMax) };
-  if (q.dateFrom || q.dateTo) {
-    f.postedAt = {};
-    if (q.dateFrom) f.postedAt.$gte = new Date(q.dateFrom);
-    if (q.dateTo) f.postedAt.$lte = new Date(q.dateTo);
+// Keep the employer's active job count and the search index in step with a status change
+const syncActiveStatus = async (job, oldStatus, employer) => {
+  if (oldStatus === job.status) return;
+  // If transitioning TO 'Active', increment + embed for semantic search
+  if (job.status === 'Active') {
+    await employer.updateActiveJobStats(1);
+    triggerEmbeddingSync(job._id); // Auto-index for semantic search
+  }
+  // If transitioning FROM 'Active' to something else, decrement + remove embedding
+  else if (oldStatus === 'Active') {
+    await employer.updateActiveJobStats(-1);
+    triggerEmbeddingSync(job._id); // Remove from semantic search index
   }
-  if (q.search) f.$text = { $search: q.search };
-  return f;
 };
 
 // GET /jobs
@@ -58,8 +52,11 @@ exports.list = async (req, res) => {
 
     const filters = buildJobFilters(req.query);
     const sort = req.query.sort || "-postedAt";
-    if (!req.query.includeArchived) {
-      filters.status = { $ne: "Archived" };
+    const hiddenStatuses = req.query.includeArchived ? [] : ["Archived"];
+    // Flagged jobs wait for admin review and stay out of public listings
+    if (!req.user || req.user.role !== "admin") hiddenStatuses.push("Flagged");
+    if (hiddenStatuses.length > 0) {
+      filters.status = { $nin: hiddenStatuses };
     }
 
     const [items, total] = await Promise.all([
@@ -101,7 +98,11 @@ exports.listByEmployer = async (req, res) => {
     }
 
     const [items, total] = await Promise.all([
-      Job.find(filters).sort(sort).skip(skip).limit(limit),
+      Job.find(filters)
+        .select('+screeningQuestions.knockout +lint')
+        .sort(sort)
+        .skip(skip)
+        .limit(limit),
       Job.countDocuments(filters),
     ]);
 
@@ -118,15 +119,63 @@ exports.listByEmployer = async (req, res) => {
   }
 };
 
+// GET /jobs/recommended (jobseeker) -> personalized feed from profile + default resume
+exports.recommended = async (req, res) => {
+  try {
+    if (!aiConfig.features.recommendations) {
+      return errorResponse(res, 503, "Job recommendations are currently disabled");
+    }
+
+    const jobSeeker = await JobSeeker.findOne({ user: req.user._id })
+      .select("+embedding +embeddingUpdatedAt +embeddingMeta")
+      .lean();
+    if (!jobSeeker) return errorResponse(res, 403, "Job seeker profile not found");
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), aiConfig.recommendations.maxResults);
+    const feed = await getRecommendedJobs(jobSeeker, {
+      limit,
+      refresh: req.query.refresh === "true",
+    });
+
+    return successResponse(res, 200, "Recommended jobs fetched", feed);
+  } catch (err) {
+    console.error("Recommended jobs error:", err);
+    if (err.message && err.message.includes("embedding model")) {
+      return errorResponse(res, 503, "Embedding model is loading. Please try again in a few seconds.");
+    }
+    return errorResponse(res, 500, "Failed to fetch recommended jobs");
+  }
+};
+
 // GET /jobs/:id
 exports.getById = async (req, res) => {
   try {
-    const job = await Job.findById(req.params.id);
+    let job = await Job.findById(req.params.id);
     if (!job) return notFoundResponse(res, "Job not found");
 
+    let isOwnerOrAdmin = false;
+    if (req.user) {
+      isOwnerOrAdmin = req.user.role === "admin";
+      if (!isOwnerOrAdmin && req.user.role === "employer") {
+        const employer = await Employer.findOne({ user: req.user._id });
+        isOwnerOrAdmin =
+          !!employer && job.employer.toString() === employer._id.toString();
+      }
+    }
+
+    // Flagged jobs are held for admin review
+    if (job.status === "Flagged" && !isOwnerOrAdmin) {
+      return notFoundResponse(res, "Job not found");
+    }
+
     // increment views (non-blocking)
     job.incViews().catch(() => {});
 
+    // Owners and admins also see the knockout rules of screening questions and the lint result
+    if (isOwnerOrAdmin) {
+      job = await Job.findById(job._id).select("+screeningQuestions.knockout +lint");
+    }
+
     return successResponse(res, 200, "Job fetched", { job });
   } catch (err) {
     console.error("Get job error:", err);
@@ -142,6 +191,7 @@ exports.create = async (req, res) => {
 
     const payload = req.body;
     payload.employer = employer._id;
+    delete payload.lint;
 
     // snapshot org name if provided in employer
     payload.organizationName = employer.organizationName;
@@ -153,7 +203,10 @@ exports.create = async (req, res) => {
       };
     }
 
-    const job = await Job.create(payload);
+    const job = new Job(payload);
+    await job.validate();
+    const { flagged } = await lintForSave(job);
+    await job.save();
 
     // Update employer's job stats
     await employer.updateJobStats(1);
@@ -161,10 +214,15 @@ exports.create = async (req, res) => {
     if (job.status === 'Active') {
       await employer.updateActiveJobStats(1);
       // Auto-index for semantic search (non-blocking)
-      triggerEmbedding(job._id);
+      triggerEmbeddingSync(job._id);
     }
 
-    return successResponse(res, 201, "Job created", { job });
+    return successResponse(
+      res,
+      201,
+      flagged ? "Job created and held for admin review" : "Job created",
+      { job }
+    );
   } catch (err) {
     console.error("Create job error:", err);
     if (err.name === "ValidationError") {
@@ -181,25 +239,45 @@ exports.create = async (req, res) => {
 // PATCH /jobs/:id (employer)
 exports.update = async (req, res) => {
   try {
-    const job = await Job.findById(req.params.id);
+    const job = await Job.findById(req.params.id).select("+screeningQuestions.knockout +lint");
     if (!job) return notFoundResponse(res, "Job not found");
     // only owner  admin
+    let employer;
     if (req.user.role !== "admin") {
-      const employer = await Employer.findOne({ user: req.user._id });
+      employer = await Employer.findOne({ user: req.user._id });
       if (!employer || job.employer.toString() !== employer._id.toString()) {
         return errorResponse(res, 403, "Not authorized to update this job");
       }
+    } else {
+      employer = await Employer.findById(job.employer);
+    }
+
+    const oldStatus = job.status;
+    const updates = { ...req.body };
+    delete updates.lint;
+    // Only admins can release a job from review
+    if (oldStatus === "Flagged" && req.user.role !== "admin") {
+      delete updates.status;
     }
 
-    Object.assign(job, req.body);
+    Object.assign(job, updates);
+    await job.validate();
+    const { flagged } = await lintForSave(job);
     await job.save();
 
-    // Re-index updated job for semantic search if it's active (non-blocking)
-    if (job.status === 'Active') {
-      triggerEmbedding(job._id);
+    if (job.status !== oldStatus) {
+      await syncActiveStatus(job, oldStatus, employer);
+    } else if (job.status === 'Active') {
+      // Re-index updated job for semantic search if it's active (non-blocking)
+      triggerEmbeddingSync(job._id);
     }
 
-    return successResponse(res, 200, "Job updated", { job });
+    return successResponse(
+      res,
+      200,
+      flagged ? "Job updated and held for admin review" : "Job updated",
+      { job }
+    );
   } catch (err) {
     console.error("Update job error:", err);
     if (err.name === "ValidationError") {
@@ -217,7 +295,7 @@ exports.update = async (req, res) => {
 exports.changeStatus = async (req, res) => {
   try {
     const { status } = req.body;
-    const job = await Job.findById(req.params.id);
+    const job = await Job.findById(req.params.id).select("+lint");
     if (!job) return notFoundResponse(res, "Job not found");
 
     let employer;
@@ -231,30 +309,73 @@ exports.changeStatus = async (req, res) => {
     }
 
     const oldStatus = job.status;
-    job.status = status;
-    await job.save();
-
-    // Update active job stats if the status change affects it
-    if (oldStatus !== status) {
-      // If transitioning TO 'Active', increment + embed for semantic search
-      if (status === 'Active' && oldStatus !== 'Active') {
-        await employer.updateActiveJobStats(1);
-        triggerEmbedding(job._id); // Auto-index for semantic search
+    let flagged = false;
+    if (oldStatus === "Flagged" && status !== "Flagged") {
+      // Only admins can release a job from review
+      if (req.user.role !== "admin") {
+        return errorResponse(res, 403, "This job is held for admin review");
       }
-      // If transitioning FROM 'Active' to something else, decrement + remove embedding
-      else if (oldStatus === 'Active' && status !== 'Active') {
-        await employer.updateActiveJobStats(-1);
-        triggerRemoveEmbedding(job._id); // Remove from semantic search index
+      job.status = status;
+      markLintReviewed(job, req.user._id);
+    } else {
+      job.status = status;
+      // Reopening a job re-checks it against the lint rules
+      if (req.user.role !== "admin" && (status === "Active" || status === "Pending")) {
+        ({ flagged } = applyLintResult(job, await lintJob(job.toObject())));
       }
     }
+    await job.save();
 
-    return successResponse(res, 200, "Status updated", { job });
+    // Update active job stats if the status change affects it
+    await syncActiveStatus(job, oldStatus, employer);
+
+    return successResponse(
+      res,
+      200,
+      flagged ? "Job held for admin review" : "Status updated",
+      { job }
+    );
   } catch (err) {
     console.error("Change status error:", err);
     return errorResponse(res, 500, "Failed to change status");
   }
 };
 
+// POST /jobs/lint (employer/admin) -> check a posting for biased or non-compliant wording without saving
+exports.lint = async (req, res) => {
+  try {
+    const { jobId, useAI, ...fields } = req.body;
+    delete fields.lint;
+
+    let job = fields;
+    if (jobId) {
+      const saved = await Job.findById(jobId).select("+screeningQuestions.knockout");
+      if (!saved) return notFoundResponse(res, "Job not found");
+      if (req.user.role !== "admin") {
+        const employer = await Employer.findOne({ user: req.user._id });
+        if (!employer || saved.employer.toString() !== employer._id.toString()) {
+          return errorResponse(res, 403, "Not authorized to lint this job");
+        }
+      }
+      // Unsaved edits in the body are checked on top of the stored job
+      job = { ...saved.toObject(), ...fields };
+    }
+
+    if (!job.title && !job.description) {
+      return validationErrorResponse(res, [
+        { field: "description", message: "Provide a jobId or the job title/description to lint" },
+      ]);
+    }
+
+    const result = await lintJob(job, { useLLM: useAI === true || useAI === "true" });
+
+    return successResponse(res, 200, "Job linted", result);
+  } catch (err) {
+    console.error("Lint job error:", err);
+    return errorResponse(res, 500, "Failed to lint job");
+  }
+};
+
 // DELETE /jobs/:id (employer/admin) -> soft archive
 exports.remove = async (req, res) => {
   try {
@@ -1,13 +1,83 @@
+const axios = require('axios');
 const JobSeeker = require('../models/JobSeeker');
+const Resume = require('../models/Resume');
+const ResumeParse = require('../models/ResumeParse');
+const { PARSE_TARGETS } = require('../models/ResumeParse');
 const { uploadToCloudinary, deleteFromCloudinary } = require('../config/cloudinary');
 const { successResponse, errorResponse, notFoundResponse, validationErrorResponse } = require('../utils/response');
 
+// Semantic candidate search — re-embed profile after changes (queued as a background task, never blocks response)
+const { enqueueTask } = require('../services/taskQueue');
+const { aiConfig } = require('../config/ai');
+const {
+  extractResumeText,
+  parseResumeText,
+  mergeParsedResumes,
+  buildParseDiff,
+} = require('../services/resumeParsingService');
+const { extractResumeWithLLM } = require('../services/ai/resumeParserChain');
+
+const triggerCandidateEmbedding = (jobSeekerId) => {
+  if (!aiConfig.features.candidateSearch) return;
+  enqueueTask('embedCandidate', { jobSeekerId: jobSeekerId.toString() }, { dedupeKey: `embedCandidate:${jobSeekerId}` })
+    .catch((err) => console.warn(`⚠️  Could not queue embedding for candidate ${jobSeekerId}: ${err.message}`));
+};
+
 // helper to find JS profile
 async function getJobSeekerByUser(userId) {
   const js = await JobSeeker.findOne({ user: userId });
   return js;
 }
 
+/**
+ * Parse a resume file into reviewable diff items against the profile or a Resume
+ * Throws errors with statusCode for bad input (unsupported file, missing resume)
+ */
+async function createResumeParse(js, userId, file, { target = 'profile', resumeId, useAI = false } = {}) {
+  let current;
+  if (target === 'resume') {
+    current = resumeId ? await Resume.findOne({ _id: resumeId, userId }).lean() : null;
+    if (!current) {
+      const err = new Error('Resume not found');
+      err.statusCode = 404;
+      throw err;
+    }
+  } else {
+    current = js.toObject();
+  }
+
+  const text = await extractResumeText(file);
+  let parsed = parseResumeText(text);
+  let sources = {};
+  let method = 'rules';
+  const warnings = [];
+
+  if (useAI && aiConfig.features.resumeParsing) {
+    try {
+      ({ parsed, sources } = mergeParsedResumes(parsed, await extractResumeWithLLM(text)));
+      method = 'rules+llm';
+    } catch (err) {
+      console.warn(`⚠️  AI resume parsing failed, using rules only: ${err.message}`);
+      warnings.push('AI-assisted parsing was unavailable; results come from rule-based extraction only');
+    }
+  }
+
+  const items = buildParseDiff(target, current, parsed, sources);
+  if (items.length === 0) warnings.push('No new information was found compared to your current data');
+
+  return ResumeParse.create({
+    jobSeeker: js._id,
+    user: userId,
+    target,
+    resume: target === 'resume' ? current._id : undefined,
+    source: { filename: file.originalname, mimetype: file.mimetype, bytes: file.buffer.length },
+    method,
+    warnings,
+    items,
+    expiresAt: new Date(Date.now() + aiConfig.resumeParsing.sessionTtlMs),
+  });
+}
+
 // GET /api/jobseeker/profile
 exports.getMyProfile = async (req, res) => {
   try {
@@ -57,6 +127,7 @@ exports.updateMyProfile = async (req, res) => {
     }
 
     await js.save();
+    triggerCandidateEmbedding(js._id);
     return successResponse(res, 200, 'Job seeker profile updated', { jobSeeker: js });
   } catch (err) {
     console.error('Update jobseeker profile error:', err);
@@ -91,7 +162,19 @@ exports.uploadResume = async (req, res) => {
     };
     await js.save();
 
-    return successResponse(res, 200, 'Resume uploaded', { resume: js.resume });
+    // Optional: parse the file straight away (?parse=true); upload still succeeds if parsing fails
+    let parse;
+    let parseError;
+    if (req.query.parse === 'true') {
+      try {
+        parse = await createResumeParse(js, req.user._id, req.file, { useAI: req.query.useAI === 'true' });
+      } catch (e) {
+        parseError = e.statusCode ? e.message : 'Failed to parse resume';
+        if (!e.statusCode) console.error('Parse uploaded resume error:', e);
+      }
+    }
+
+    return successResponse(res, 200, 'Resume uploaded', { resume: js.resume, parse, parseError });
   } catch (err) {
     console.error('Upload resume error:', err);
     return errorResponse(res, 500, 'Failed to upload resume');
@@ -117,6 +200,152 @@ exports.deleteResume = async (req, res) => {
   }
 };
 
+// POST /api/jobseeker/resume/parse
+// Parses an uploaded file (multipart "resume") or the stored resume file; nothing is saved to the profile
+exports.parseResume = async (req, res) => {
+  try {
+    const js = await getJobSeekerByUser(req.user._id);
+    if (!js) return notFoundResponse(res, 'Job seeker profile not found');
+
+    const target = req.body.target || 'profile';
+    if (!PARSE_TARGETS.includes(target)) {
+      return validationErrorResponse(res, [{ field: 'target', message: `Target must be one of: ${PARSE_TARGETS.join(', ')}` }]);
+    }
+    if (target === 'resume' && !req.body.resumeId) {
+      return validationErrorResponse(res, [{ field: 'resumeId', message: 'resumeId is required when target is resume' }]);
+    }
+
+    let file = req.file;
+    if (!file) {
+      if (!js.resume || !js.resume.url) return errorResponse(res, 400, 'No resume file uploaded');
+      const { data, headers } = await axios.get(js.resume.url, { responseType: 'arraybuffer', timeout: 30000 });
+      file = {
+        buffer: Buffer.from(data),
+        mimetype: headers['content-type'],
+        originalname: js.resume.filename,
+      };
+    }
+
+    const useAI = req.body.useAI === true || req.body.useAI === 'true';
+    const parse = await createResumeParse(js, req.user._id, file, { target, resumeId: req.body.resumeId, useAI });
+
+    return successResponse(res, 201, 'Resume parsed. Review the proposed changes.', { parse });
+  } catch (err) {
+    if (err.statusCode) return errorResponse(res, err.statusCode, err.message);
+    console.error('Parse resume error:', err);
+    return errorResponse(res, 500, 'Failed to parse resume');
+  }
+};
+
+// GET /api/jobseeker/resume/parse/:parseId
+exports.getResumeParse = async (req, res) => {
+  try {
+    const js = await getJobSeekerByUser(req.user._id);
+    if (!js) return notFoundResponse(res, 'Job seeker profile not found');
+
+    const parse = await ResumeParse.findOne({ _id: req.params.parseId, jobSeeker: js._id });
+    if (!parse) return notFoundResponse(res, 'Resume parse not found or expired');
+
+    return successResponse(res, 200, 'Resume parse fetched', { parse });
+  } catch (err) {
+    console.error('Get resume parse error:', err);
+    return errorResponse(res, 500, 'Failed to fetch resume parse');
+  }
+};
+
+// POST /api/jobseeker/resume/parse/:parseId/review
+// body: { accept: [itemId | { id, value }], reject: [itemId] }
+// "value" overrides the proposal (objects are merged, e.g. to fill a missing location)
+exports.reviewResumeParse = async (req, res) => {
+  try {
+    const js = await getJobSeekerByUser(req.user._id);
+    if (!js) return notFoundResponse(res, 'Job seeker profile not found');
+
+    const parse = await ResumeParse.findOne({ _id: req.params.parseId, jobSeeker: js._id });
+    if (!parse) return notFoundResponse(res, 'Resume parse not found or expired');
+
+    const accept = Array.isArray(req.body.accept) ? req.body.accept : [];
+    const reject = Array.isArray(req.body.reject) ? req.body.reject : [];
+    if (accept.length === 0 && reject.length === 0) {
+      return errorResponse(res, 400, 'Provide item ids to accept or reject');
+    }
+
+    const doc = parse.target === 'resume'
+      ? await Resume.findOne({ _id: parse.resume, userId: req.user._id })
+      : js;
+    if (!doc) return notFoundResponse(res, 'Resume not found');
+
+    const errors = [];
+    const decided = [];
+    // An item listed twice (or in both accept and reject) would be applied twice
+    const seen = new Set();
+    const findPending = (id) => {
+      const item = id ? parse.items.id(id) : null;
+      if (!item) errors.push({ field: String(id), message: 'Unknown item' });
+      else if (item.status !== 'pending') errors.push({ field: String(id), message: `Item already ${item.status}` });
+      else if (seen.has(item.id)) errors.push({ field: String(id), message: 'Item listed more than once' });
+      else {
+        seen.add(item.id);
+        return item;
+      }
+      return null;
+    };
+
+    for (const entry of accept) {
+      const item = findPending(typeof entry === 'object' && entry !== null ? entry.id : entry);
+      if (!item) continue;
+
+      let value = item.proposed;
+      if (entry && entry.value !== undefined) {
+        value = item.proposed && typeof item.proposed === 'object' && typeof entry.value === 'object'
+          ? { ...item.proposed, ...entry.value }
+          : entry.value;
+      }
+
+      if (item.op === 'set') doc.set(item.path, value);
+      else if (typeof value === 'object') doc.get(item.path).push(value);
+      else doc.get(item.path).addToSet(value);
+
+      decided.push({ item, status: 'accepted', value });
+    }
+
+    for (const id of reject) {
+      const item = findPending(id);
+      if (item) decided.push({ item, status: 'rejected' });
+    }
+
+    if (errors.length > 0) return validationErrorResponse(res, errors);
+
+    try {
+      if (decided.some((d) => d.status === 'accepted')) await doc.save();
+    } catch (saveErr) {
+      if (saveErr.name === 'ValidationError') {
+        const validationErrors = Object.values(saveErr.errors).map((e) => ({ field: e.path, message: e.message }));
+        return validationErrorResponse(res, validationErrors);
+      }
+      throw saveErr;
+    }
+
+    const now = new Date();
+    for (const { item, status, value } of decided) {
+      item.status = status;
+      item.decidedAt = now;
+      if (status === 'accepted') item.proposed = value;
+    }
+    await parse.save();
+
+    if (decided.some((d) => d.status === 'accepted')) triggerCandidateEmbedding(js._id);
+
+    return successResponse(res, 200, 'Resume parse reviewed', {
+      parse,
+      [parse.target === 'resume' ? 'resume' : 'jobSeeker']: doc,
+    });
+  } catch (err) {
+    console.error('Review resume parse error:', err);
+    return errorResponse(res, 500, 'Failed to apply resume changes');
+  }
+};
+
 // POST /api/jobseeker/cover-letter
 exports.uploadCoverLetter = async (req, res) => {
   try {
@@ -248,6 +477,7 @@ exports.addLanguage = async (req, res) => {
 
     js.languages.push({ name, proficiency: proficiency || 'Intermediate' });
     await js.save();
+    triggerCandidateEmbedding(js._id);
 
     return successResponse(res, 200, 'Language added successfully', { languages: js.languages });
   } catch (err) {
@@ -275,6 +505,7 @@ exports.updateLanguage = async (req, res) => {
     if (proficiency !== undefined) language.proficiency = proficiency;
 
     await js.save();
+    triggerCandidateEmbedding(js._id);
 
     return successResponse(res, 200, 'Language updated successfully', { languages: js.languages });
   } catch (err) {
@@ -294,6 +525,7 @@ exports.deleteLanguage = async (req, res) => {
 
     language.deleteOne();
     await js.save();
+    triggerCandidateEmbedding(js._id);
 
     return successResponse(res, 200, 'Language deleted successfully', { languages: js.languages });
   } catch (err) {
@@ -3,6 +3,33 @@ const JobSeeker = require('../models/JobSeeker');
 const { generateAndUploadResumePDF } = require('../services/pdfService');
 const { cloudinary } = require('../config/cloudinary');
 
+// Semantic candidate search — the default resume is part of the candidate embedding
+const { enqueueTask } = require('../services/taskQueue');
+const { aiConfig } = require('../config/ai');
+
+const triggerCandidateEmbedding = (userId) => {
+  if (!aiConfig.features.candidateSearch) return;
+  enqueueTask('embedCandidate', { userId: userId.toString() }, { dedupeKey: `embedCandidate:user:${userId}` })
+    .catch((err) => console.warn(`⚠️  Could not queue embedding for candidate (user ${userId}): ${err.message}`));
+};
+
+// Render the PDF in a background task; the resume's pdfStatus follows it
+const queuePdfGeneration = async (resume, userId) => {
+  resume.pdfStatus = 'queued';
+  resume.pdfError = undefined;
+  await Resume.updateOne({ _id: resume._id }, { $set: { pdfStatus: 'queued' }, $unset: { pdfError: '' } });
+  try {
+    return await enqueueTask(
+      'generateResumePdf',
+      { resumeId: resume._id.toString() },
+      { dedupeKey: `generateResumePdf:${resume._id}`, createdBy: userId }
+    );
+  } catch (error) {
+    await Resume.updateOne({ _id: resume._id }, { $set: { pdfStatus: 'failed', pdfError: error.message } });
+    throw error;
+  }
+};
+
 /**
  * @route   GET /api/resume/list
  * @desc    Get all resumes for logged-in user
@@ -13,7 +40,7 @@ exports.listResumes = async (req, res) => {
     const userId = req.user._id;
 
     const resumes = await Resume.find({ userId })
-      .select('title personalInfo isDefault stats createdAt updatedAt')
+      .select('title personalInfo isDefault tailoredFor stats createdAt updatedAt')
       .sort({ createdAt: -1 });
 
     res.json({
@@ -98,6 +125,7 @@ exports.buildResume = async (req, res) => {
 
     // Create resume
     const resume = await Resume.create(resumeData);
+    triggerCandidateEmbedding(userId);
 
     res.status(201).json({
       success: true,
@@ -175,7 +203,9 @@ exports.updateResume = async (req, res) => {
       'updatedAt',
       'stats',
       'pdfUrl',
-      'pdfPublicId'
+      'pdfPublicId',
+      'pdfStatus',
+      'pdfError'
     ];
     for (const field of protectedFields) {
       if (field in updateData) delete updateData[field];
@@ -184,22 +214,15 @@ exports.updateResume = async (req, res) => {
     // Update resume fields
     Object.assign(resume, updateData);
     await resume.save();
+    triggerCandidateEmbedding(userId);
 
-    // Regenerate PDF if requested
+    // Regenerate PDF in the background if requested (pdfStatus shows when it's ready)
     if (regeneratePdf) {
       try {
-        const jobSeeker = await JobSeeker.findOne({ user: userId });
-        const pdfResult = await generateAndUploadResumePDF(
-          resume.toObject(),
-          jobSeeker._id.toString()
-        );
-        
-        resume.pdfUrl = pdfResult.url;
-        resume.pdfPublicId = pdfResult.publicId;
-        await resume.save();
+        await queuePdfGeneration(resume, userId);
       } catch (pdfError) {
         console.error('PDF regeneration error:', pdfError);
-        // Don't fail the update if PDF generation fails
+        // Don't fail the update if PDF generation can't be queued
       }
     }
 
@@ -247,6 +270,7 @@ exports.deleteResume = async (req, res) => {
     }
 
     await resume.deleteOne();
+    triggerCandidateEmbedding(userId);
 
     res.json({
       success: true,
@@ -352,7 +376,8 @@ exports.downloadResume = async (req, res) => {
 
 /**
  * @route   POST /api/resume/:id/generate-pdf
- * @desc    Manually generate/regenerate PDF
+ * @desc    Manually generate/regenerate PDF in the background
+ *          (202; pdfStatus on the resume turns ready with the new pdfUrl, or failed)
  * @access  Private (JobSeeker)
  */
 exports.generatePDF = async (req, res) => {
@@ -369,23 +394,15 @@ exports.generatePDF = async (req, res) => {
       });
     }
 
-    const jobSeeker = await JobSeeker.findOne({ user: userId });
-
-    // Generate PDF
-    const pdfResult = await generateAndUploadResumePDF(
-      resume.toObject(),
-      jobSeeker._id.toString()
-    );
-
-    // Update resume with new PDF URL
-    resume.pdfUrl = pdfResult.url;
-    resume.pdfPublicId = pdfResult.publicId;
-    await resume.save();
+    const task = await queuePdfGeneration(resume, userId);
 
-    res.json({
+    res.status(202).json({
       success: true,
+      message: 'PDF generation queued',
       data: {
-        pdfUrl: resume.pdfUrl
+        taskId: task._id,
+        pdfStatus: resume.pdfStatus,
+        pdfUrl: resume.pdfUrl || null
       }
     });
   } catch (error) {
@@ -426,6 +443,7 @@ exports.setDefaultResume = async (req, res) => {
     // Set this resume as default
     resume.isDefault = true;
     await resume.save();
+    triggerCandidateEmbedding(userId);
 
     res.json({
       success: true,
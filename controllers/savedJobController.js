@@ -2,6 +2,7 @@ const SavedJob = require('../models/SavedJob');
 const Job = require('../models/Job');
 const JobSeeker = require('../models/JobSeeker');
 const { successResponse, errorResponse, notFoundResponse } = require('../utils/response');
+const { invalidateRecommendations } = require('../services/ai/jobRecommender');
 
 // POST /jobs/:id/save (jobseeker)
 exports.save = async (req, res) => {
@@ -18,6 +19,7 @@ exports.save = async (req, res) => {
       { upsert: true, new: true }
     );
 
+    invalidateRecommendations(req.user._id);
     return successResponse(res, 201, 'Job saved', { saved });
   } catch (err) {
     console.error('Save job error:', err);
@@ -35,6 +37,7 @@ exports.unsave = async (req, res) => {
     if (!job) return notFoundResponse(res, 'Job not found');
 
     await SavedJob.deleteOne({ jobSeeker: jobSeeker._id, job: job._id });
+    invalidateRecommendations(req.user._id);
     return successResponse(res, 200, 'Job unsaved');
   } catch (err) {
     console.error('Unsave job error:', err);
@@ -0,0 +1,283 @@
+const SavedSearch = require('../models/SavedSearch');
+const JobSeeker = require('../models/JobSeeker');
+const { ALERT_FREQUENCIES } = require('../models/SavedSearch');
+const { JOB_FILTER_KEYS } = require('../utils/jobFilters');
+const {
+  successResponse,
+  errorResponse,
+  validationErrorResponse,
+  notFoundResponse,
+} = require('../utils/response');
+const { runSavedSearch, refreshQueryEmbedding } = require('../services/jobAlertService');
+const { aiConfig } = require('../config/ai');
+
+const MAX_SAVED_SEARCHES = 10;
+
+const EDITABLE_FIELDS = ['name', 'filters', 'query', 'alertsEnabled', 'frequency'];
+
+const FILTER_VALUE_TYPES = ['string', 'number', 'boolean'];
+
+// Keep only known filter keys with non-empty plain values; objects such as { $ne: null } are refused
+const sanitizeFilters = (filters) => {
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) return null;
+  const clean = {};
+  for (const key of Object.keys(filters)) {
+    if (!JOB_FILTER_KEYS.includes(key)) return null;
+    const value = filters[key];
+    if (value === undefined || value === null || value === '') continue;
+    if (!FILTER_VALUE_TYPES.includes(typeof value)) return null;
+    clean[key] = value;
+  }
+  return clean;
+};
+
+const validateBody = (body) => {
+  const errors = [];
+  if (body.filters !== undefined && sanitizeFilters(body.filters) === null) {
+    errors.push({
+      field: 'filters',
+      message: `Filters may only contain text, number or true/false values for: ${JOB_FILTER_KEYS.join(', ')}`,
+    });
+  }
+  if (body.frequency !== undefined && !ALERT_FREQUENCIES.includes(body.frequency)) {
+    errors.push({ field: 'frequency', message: `Frequency must be one of: ${ALERT_FREQUENCIES.join(', ')}` });
+  }
+  if (body.query && !aiConfig.features.semanticSearch) {
+    errors.push({ field: 'query', message: 'Semantic queries are not available' });
+  }
+  return errors;
+};
+
+// Embed the query up front; if the model is unavailable the alert run embeds it later
+const tryEmbedQuery = async (savedSearch) => {
+  try {
+    await refreshQueryEmbedding(savedSearch);
+  } catch (err) {
+    savedSearch.queryEmbedding = undefined;
+    console.warn(`⚠️  Saved search query embedding failed: ${err.message}`);
+  }
+};
+
+const findOwnSearch = async (req, select = '') => {
+  const jobSeeker = await JobSeeker.findOne({ user: req.user._id }).select('_id');
+  if (!jobSeeker) return { error: 'profile' };
+  const savedSearch = await SavedSearch.findOne({ _id: req.params.id, jobSeeker: jobSeeker._id }).select(select);
+  return { jobSeeker, savedSearch };
+};
+
+// GET /saved-searches (jobseeker)
+exports.list = async (req, res) => {
+  try {
+    const jobSeeker = await JobSeeker.findOne({ user: req.user._id }).select('_id');
+    if (!jobSeeker) return errorResponse(res, 403, 'Job seeker profile not found');
+
+    const items = await SavedSearch.find({ jobSeeker: jobSeeker._id })
+      .select('-deliveries')
+      .sort('-createdAt');
+
+    return successResponse(res, 200, 'Saved searches fetched', { items, limit: MAX_SAVED_SEARCHES });
+  } catch (err) {
+    console.error('List saved searches error:', err);
+    return errorResponse(res, 500, 'Failed to fetch saved searches');
+  }
+};
+
+// POST /saved-searches (jobseeker)
+exports.create = async (req, res) => {
+  try {
+    const jobSeeker = await JobSeeker.findOne({ user: req.user._id }).select('_id');
+    if (!jobSeeker) return errorResponse(res, 403, 'Job seeker profile not found');
+
+    const errors = validateBody(req.body);
+    if (errors.length > 0) return validationErrorResponse(res, errors);
+
+    const count = await SavedSearch.countDocuments({ jobSeeker: jobSeeker._id });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return errorResponse(res, 400, `You can save up to ${MAX_SAVED_SEARCHES} searches`);
+    }
+
+    const savedSearch = new SavedSearch({
+      jobSeeker: jobSeeker._id,
+      user: req.user._id,
+      name: req.body.name,
+      filters: sanitizeFilters(req.body.filters) || {},
+      query: req.body.query,
+      alertsEnabled: req.body.alertsEnabled,
+      frequency: req.body.frequency,
+    });
+    savedSearch.scheduleNextRun();
+
+    if (savedSearch.query) await tryEmbedQuery(savedSearch);
+    await savedSearch.save();
+
+    const data = savedSearch.toObject();
+    delete data.queryEmbedding;
+    delete data.unsubscribeToken;
+    return successResponse(res, 201, 'Search saved', { savedSearch: data });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map((e) => ({ field: e.path, message: e.message }));
+      return validationErrorResponse(res, errors);
+    }
+    console.error('Create saved search error:', err);
+    return errorResponse(res, 500, 'Failed to save search');
+  }
+};
+
+// GET /saved-searches/:id (jobseeker)
+exports.getById = async (req, res) => {
+  try {
+    const { error, savedSearch } = await findOwnSearch(req, '-deliveries');
+    if (error) return errorResponse(res, 403, 'Job seeker profile not found');
+    if (!savedSearch) return notFoundResponse(res, 'Saved search not found');
+
+    return successResponse(res, 200, 'Saved search fetched', { savedSearch });
+  } catch (err) {
+    console.error('Get saved search error:', err);
+    return errorResponse(res, 500, 'Failed to fetch saved search');
+  }
+};
+
+// PATCH /saved-searches/:id (jobseeker)
+exports.update = async (req, res) => {
+  try {
+    const { error, savedSearch } = await findOwnSearch(req, '-deliveries');
+    if (error) return errorResponse(res, 403, 'Job seeker profile not found');
+    if (!savedSearch) return notFoundResponse(res, 'Saved search not found');
+
+    const errors = validateBody(req.body);
+    if (errors.length > 0) return validationErrorResponse(res, errors);
+
+    const previousQuery = savedSearch.query;
+    const previousFrequency = savedSearch.frequency;
+    const wasEnabled = savedSearch.alertsEnabled;
+
+    for (const key of EDITABLE_FIELDS) {
+      if (req.body[key] === undefined) continue;
+      savedSearch[key] = key === 'filters' ? sanitizeFilters(req.body.filters) : req.body[key];
+    }
+
+    if (savedSearch.query !== previousQuery) await tryEmbedQuery(savedSearch);
+
+    // Re-enabling or changing frequency restarts the schedule from now
+    if ((savedSearch.alertsEnabled && !wasEnabled) || savedSearch.frequency !== previousFrequency) {
+      savedSearch.scheduleNextRun();
+    }
+
+    await savedSearch.save();
+
+    const data = savedSearch.toObject();
+    delete data.queryEmbedding;
+    return successResponse(res, 200, 'Saved search updated', { savedSearch: data });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map((e) => ({ field: e.path, message: e.message }));
+      return validationErrorResponse(res, errors);
+    }
+    console.error('Update saved search error:', err);
+    return errorResponse(res, 500, 'Failed to update saved search');
+  }
+};
+
+// DELETE /saved-searches/:id (jobseeker)
+exports.remove = async (req, res) => {
+  try {
+    const jobSeeker = await JobSeeker.findOne({ user: req.user._id }).select('_id');
+    if (!jobSeeker) return errorResponse(res, 403, 'Job seeker profile not found');
+
+    const result = await SavedSearch.deleteOne({ _id: req.params.id, jobSeeker: jobSeeker._id });
+    if (result.deletedCount === 0) return notFoundResponse(res, 'Saved search not found');
+
+    return successResponse(res, 200, 'Saved search deleted');
+  } catch (err) {
+    console.error('Delete saved search error:', err);
+    return errorResponse(res, 500, 'Failed to delete saved search');
+  }
+};
+
+// A queued digest takes the status of its outbox email once that is sent or given up on
+const EMAIL_DELIVERY_STATUS = { sent: 'Sent', failed: 'Failed', bounced: 'Failed' };
+
+const withEmailStatus = (delivery) => {
+  const item = delivery.toObject();
+  const email = item.email;
+  if (item.status === 'Queued' && email && EMAIL_DELIVERY_STATUS[email.status]) {
+    item.status = EMAIL_DELIVERY_STATUS[email.status];
+    if (email.status !== 'sent') item.error = email.lastError;
+  }
+  return item;
+};
+
+// GET /saved-searches/:id/deliveries (jobseeker) -> alert delivery history, newest first
+exports.deliveries = async (req, res) => {
+  try {
+    const { error, savedSearch } = await findOwnSearch(req, 'name deliveries');
+    if (error) return errorResponse(res, 403, 'Job seeker profile not found');
+    if (!savedSearch) return notFoundResponse(res, 'Saved search not found');
+
+    await savedSearch.populate([
+      { path: 'deliveries.jobs', select: 'title organizationName location status' },
+      { path: 'deliveries.email', select: 'status sentAt lastError' },
+    ]);
+    const items = savedSearch.deliveries.map(withEmailStatus).reverse();
+
+    return successResponse(res, 200, 'Delivery history fetched', { name: savedSearch.name, items });
+  } catch (err) {
+    console.error('Saved search deliveries error:', err);
+    return errorResponse(res, 500, 'Failed to fetch delivery history');
+  }
+};
+
+// POST /saved-searches/:id/run (jobseeker) -> run the alert now instead of waiting for the schedule
+exports.runNow = async (req, res) => {
+  try {
+    const { error, savedSearch } = await findOwnSearch(req, '+queryEmbedding +unsubscribeToken');
+    if (error) return errorResponse(res, 403, 'Job seeker profile not found');
+    if (!savedSearch) return notFoundResponse(res, 'Saved search not found');
+
+    const delivery = await runSavedSearch(savedSearch);
+    return successResponse(res, 200, 'Saved search run', { delivery, nextRunAt: savedSearch.nextRunAt });
+  } catch (err) {
+    console.error('Run saved search error:', err);
+    return errorResponse(res, 500, 'Failed to run saved search');
+  }
+};
+
+// GET /saved-searches/unsubscribe/:token (public)
+// Read-only, for the confirmation page: link scanners and prefetchers follow GET links
+exports.getUnsubscribe = async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOne({ unsubscribeToken: req.params.token })
+      .select('name alertsEnabled');
+    if (!savedSearch) return notFoundResponse(res, 'Unsubscribe link is invalid');
+
+    return successResponse(res, 200, 'Saved search alert', {
+      name: savedSearch.name,
+      alertsEnabled: savedSearch.alertsEnabled,
+    });
+  } catch (err) {
+    console.error('Get unsubscribe saved search error:', err);
+    return errorResponse(res, 500, 'Failed to load saved search');
+  }
+};
+
+// POST /saved-searches/unsubscribe/:token (public, from the digest email)
+// Also the RFC 8058 one-click unsubscribe used by mail clients
+exports.unsubscribe = async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOneAndUpdate(
+      { unsubscribeToken: req.params.token },
+      { $set: { alertsEnabled: false } },
+      { new: true }
+    ).select('name alertsEnabled');
+    if (!savedSearch) return notFoundResponse(res, 'Unsubscribe link is invalid');
+
+    return successResponse(res, 200, `You will no longer receive alerts for "${savedSearch.name}"`, {
+      name: savedSearch.name,
+      alertsEnabled: false,
+    });
+  } catch (err) {
+    console.error('Unsubscribe saved search error:', err);
+    return errorResponse(res, 500, 'Failed to unsubscribe');
+  }
+};
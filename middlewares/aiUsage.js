@@ -0,0 +1,65 @@
+const rateLimit = require('express-rate-limit');
+const { aiConfig } = require('../config/ai');
+const { getQuotaStatus, runWithAiUsageContext } = require('../services/ai/usageLedger');
+const { errorResponse } = require('../utils/response');
+
+/**
+ * Per-user rate limit for AI endpoints (aiConfig.rateLimit)
+ * Runs after authenticate, so requests are keyed by user rather than IP.
+ */
+const aiRateLimiter = rateLimit({
+  windowMs: aiConfig.rateLimit.windowMs,
+  max: aiConfig.rateLimit.maxRequests,
+  keyGenerator: (req) => req.user._id.toString(),
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => errorResponse(
+    res,
+    429,
+    `AI request limit reached (${aiConfig.rateLimit.maxRequests} per ${Math.round(aiConfig.rateLimit.windowMs / 60000)} minutes). Please try again later.`
+  ),
+});
+
+/**
+ * Enforce the user's monthly AI quota and attribute the request's AI calls to them
+ * Must run after authenticate.
+ */
+const enforceAiQuota = async (req, res, next) => {
+  let quota;
+  try {
+    quota = await getQuotaStatus(req.user);
+  } catch (error) {
+    console.error('AI quota check error:', error);
+    return errorResponse(res, 500, 'Failed to check AI usage quota');
+  }
+
+  if (quota.limit !== null && quota.used >= quota.limit) {
+    return errorResponse(res, 429, `Monthly AI quota reached for the ${quota.plan} plan.`, {
+      plan: quota.plan,
+      limit: quota.limit,
+      used: quota.used,
+      resetsAt: quota.period.end,
+    });
+  }
+
+  res.set('X-AI-Quota-Limit', quota.limit === null ? 'unlimited' : String(quota.limit));
+  res.set('X-AI-Quota-Remaining', quota.remaining === null ? 'unlimited' : String(quota.remaining));
+
+  runWithAiUsageContext({
+    userId: req.user._id,
+    role: req.user.role,
+    plan: quota.plan,
+    endpoint: `${req.method} ${req.baseUrl}${req.path}`,
+  }, next);
+};
+
+/**
+ * Rate limit + quota + usage attribution for routes that call the LLM or embedding model
+ */
+const meterAiUsage = [aiRateLimiter, enforceAiQuota];
+
+module.exports = {
+  aiRateLimiter,
+  enforceAiQuota,
+  meterAiUsage,
+};
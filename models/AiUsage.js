@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const { aiConfig } = require('../config/ai');
+
+const AI_USAGE_KINDS = ['llm', 'embedding'];
+
+/**
+ * AiUsage Schema - One LLM or embedding call in the AI usage ledger
+ * user is empty for background work that no request started (auto-embedding,
+ * screening of new applications). Monthly quotas count a user's llm entries.
+ */
+const aiUsageSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  role: String,
+  plan: String, // quota plan at the time of the call: jobseeker, admin or the employer's subscription plan
+
+  kind: { type: String, enum: AI_USAGE_KINDS, required: true },
+  feature: { type: String, required: true }, // LLM task (llmTasks.js) or "embedding"
+  endpoint: String, // request path that started the call
+  model: String,
+
+  tokensIn: { type: Number, default: 0 },
+  tokensOut: { type: Number, default: 0 },
+  tokensEstimated: { type: Boolean, default: false }, // provider reported no usage; estimated from text length
+  latencyMs: Number,
+  success: { type: Boolean, required: true },
+  error: String,
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+aiUsageSchema.index({ user: 1, kind: 1, createdAt: -1 });
+aiUsageSchema.index({ createdAt: 1 }, { expireAfterSeconds: aiConfig.usage.retentionDays * 24 * 60 * 60 });
+
+module.exports = mongoose.model('AiUsage', aiUsageSchema);
+module.exports.AI_USAGE_KINDS = AI_USAGE_KINDS;
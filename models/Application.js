@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const {
+  APPLICATION_STATUSES,
+  canTransition,
+  createTransitionError,
+} = require('../config/applicationPipeline');
 
 /**
  * Application Schema - Job applications submitted by job seekers
@@ -26,7 +31,7 @@ const applicationSchema = new mongoose.Schema({
   // timeline and status tracking
   status: {
     type: String,
-    enum: ['Applied', 'Under Review', 'Interview', 'Offered', 'Rejected', 'Withdrawn'],
+    enum: APPLICATION_STATUSES,
     default: 'Applied',
     index: true,
   },
@@ -54,12 +59,68 @@ const applicationSchema = new mongoose.Schema({
     answer: String,
   }],
 
+  // screening question evaluation (see services/screeningService.js)
+  screening: {
+    outcome: {
+      type: String,
+      enum: ['Passed', 'Flagged', 'Rejected'],
+      index: true,
+    },
+    knockouts: [{
+      questionId: String,
+      question: String,
+      answer: String,
+      action: { type: String, enum: ['Flag', 'Reject'] },
+    }],
+    evaluatedAt: Date,
+  },
+
+  // AI match score against the applicant's builder resume (see services/ai/matchScoreService.js)
+  matchScore: {
+    status: { type: String, enum: ['scored', 'unavailable', 'failed'] },
+    resume: { type: mongoose.Schema.Types.ObjectId, ref: 'Resume' },
+    overallScore: { type: Number, min: 0, max: 100 },
+    breakdown: mongoose.Schema.Types.Mixed,
+    strengths: [String],
+    improvements: [String],
+    verdictSummary: String,
+    error: String,
+    computedAt: Date,
+  },
+
+  // AI screening agent review (see services/ai/screeningAgent.js)
+  aiScreening: {
+    status: { type: String, enum: ['completed', 'failed'] },
+    recommendation: { type: String, enum: ['advance', 'hold', 'reject'], index: true },
+    confidence: { type: Number, min: 0, max: 100 },
+    rationale: String,
+    redFlags: [{
+      type: { type: String },
+      severity: { type: String, enum: ['low', 'medium', 'high'] },
+      message: String,
+      source: { type: String, enum: ['rules', 'llm'] },
+    }],
+    interviewQuestions: [String],
+    resume: { type: mongoose.Schema.Types.ObjectId, ref: 'Resume' },
+    // Set when the employer's opt-in auto-action changed the status
+    autoAction: {
+      from: { type: String, enum: APPLICATION_STATUSES },
+      to: { type: String, enum: APPLICATION_STATUSES },
+      at: Date,
+    },
+    error: String,
+    durationMs: Number,
+    reviewedAt: Date,
+  },
+
   // audit trail
   history: [{
     status: {
       type: String,
-      enum: ['Applied', 'Under Review', 'Interview', 'Offered', 'Rejected', 'Withdrawn'],
+      enum: APPLICATION_STATUSES,
     },
+    from: { type: String, enum: APPLICATION_STATUSES },
+    to: { type: String, enum: APPLICATION_STATUSES },
     note: { type: String, trim: true, maxlength: 1000 },
     by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     at: { type: Date, default: Date.now },
@@ -75,5 +136,29 @@ const applicationSchema = new mongoose.Schema({
 
 // Prevent duplicate applications to the same job by the same job seeker
 applicationSchema.index({ job: 1, jobSeeker: 1 }, { unique: true });
+applicationSchema.index({ job: 1, 'matchScore.overallScore': -1 });
+
+/**
+ * Move the application to a new status through the pipeline graph
+ * Throws a TransitionError (statusCode 409) when the move is not allowed
+ * @param {string} to - Target status
+ * @param {Object} options
+ * @param {ObjectId} [options.by] - User making the change
+ * @param {string} [options.note]
+ * @param {string} [options.hiringProcess] - Employer's hiringPreferences.hiringProcess
+ * @param {string} [options.actor='employer'] - 'employer' | 'admin' | 'jobseeker'
+ */
+applicationSchema.methods.transitionTo = function(to, options = {}) {
+  const from = this.status;
+  if (!canTransition(from, to, options)) {
+    throw createTransitionError(from, to, options);
+  }
+
+  const at = new Date();
+  this.status = to;
+  this.updatedAtManual = at;
+  this.history.push({ status: to, from, to, note: options.note, by: options.by, at });
+  return this;
+};
 
 module.exports = mongoose.model('Application', applicationSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+/**
+ * ApplicationDraft Schema - A job seeker's unsent application to one job
+ * Pre-filled by the AI cover letter generator or saved manually; POST /jobs/:id/apply
+ * falls back to the draft's cover letter and answers and removes the draft once applied
+ */
+const applicationDraftSchema = new mongoose.Schema({
+  jobSeeker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobSeeker',
+    required: true,
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true,
+  },
+  // Builder resume the draft was written against
+  resume: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resume',
+  },
+  coverLetter: {
+    text: { type: String, trim: true, maxlength: [5000, 'Cover letter cannot exceed 5000 characters'] },
+    source: { type: String, enum: ['ai', 'manual'], default: 'manual' },
+    tone: String,
+    generatedAt: Date,
+  },
+  answers: [{
+    questionId: String,
+    question: String,
+    answer: String,
+  }],
+}, {
+  timestamps: true,
+});
+
+applicationDraftSchema.index({ jobSeeker: 1, job: 1 }, { unique: true });
+
+module.exports = mongoose.model('ApplicationDraft', applicationDraftSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const EMAIL_STATUSES = ['queued', 'sent', 'failed', 'bounced'];
+
+/**
+ * EmailMessage Schema - Outbox entry and delivery log for one email
+ * The send functions in emailService write the rendered message here and the deliverEmail
+ * task sends it, retrying with backoff. failed = the retries ran out (an admin can resend it),
+ * bounced = the mail server refused the recipient (not retried).
+ * The body is dropped once the email is sent or bounced, so reset and verification
+ * links don't outlive their delivery.
+ */
+const emailMessageSchema = new mongoose.Schema({
+  template: { type: String, required: true }, // send function that rendered it, e.g. 'sendVerificationEmail'
+  from: String,
+  to: { type: String, required: true, trim: true },
+  subject: String,
+  html: String,
+  headers: mongoose.Schema.Types.Mixed,
+  attachments: [{
+    _id: false,
+    filename: String,
+    content: String,
+    contentType: String,
+  }],
+
+  status: { type: String, enum: EMAIL_STATUSES, default: 'queued' },
+  attempts: { type: Number, default: 0 },
+  transport: String,  // 'smtp' or 'file'
+  messageId: String,  // Message-ID of the sent email
+  response: String,   // mail server reply, e.g. "250 2.0.0 OK"
+  lastError: String,
+  errorCode: String,  // SMTP response code or nodemailer error code
+  sentAt: Date,
+  failedAt: Date,
+
+  task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task' }, // latest delivery task
+  resendCount: { type: Number, default: 0 },
+  lastResentBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  lastResentAt: Date,
+}, {
+  timestamps: true,
+});
+
+emailMessageSchema.index({ status: 1, createdAt: -1 });
+emailMessageSchema.index({ to: 1, createdAt: -1 });
+
+module.exports = mongoose.model('EmailMessage', emailMessageSchema);
+module.exports.EMAIL_STATUSES = EMAIL_STATUSES;
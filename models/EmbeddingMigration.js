@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const MIGRATION_STATUSES = ['running', 'completed', 'failed'];
+
+/**
+ * EmbeddingMigration Schema - Re-embedding of stored job vectors into one embedding version
+ * One document per target version (key). Progress is saved after every batch, so a
+ * restarted server resumes after lastJobId instead of starting over.
+ */
+const embeddingMigrationSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // "model|dimensions|templateVersion"
+  version: {
+    model: String,
+    dimensions: Number,
+    templateVersion: Number,
+  },
+
+  status: { type: String, enum: MIGRATION_STATUSES, default: 'running' },
+  total: { type: Number, default: 0 },      // stale vectors when the run started
+  processed: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  lastJobId: mongoose.Schema.Types.ObjectId, // jobs are walked in _id order
+  lastError: String,
+
+  startedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // empty when started on boot
+  startedAt: Date,
+  completedAt: Date,
+
+  // The instance running the migration renews this; another may take over once it lapses
+  leaseOwner: String, // "hostname:pid"
+  leaseExpiresAt: Date,
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('EmbeddingMigration', embeddingMigrationSchema);
+module.exports.MIGRATION_STATUSES = MIGRATION_STATUSES;
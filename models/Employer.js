@@ -362,6 +362,17 @@ const employerSchema = new mongoose.Schema({
       enum: ['Same day', '1-2 days', '3-5 days', '1 week', 'No preference'],
       default: '3-5 days',
     },
+    // Let the AI screening agent act on its recommendation (off by default)
+    aiScreening: {
+      autoAdvance: {
+        type: Boolean,
+        default: false,
+      },
+      autoReject: {
+        type: Boolean,
+        default: false,
+      },
+    },
   },
   
   // Statistics
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+
+const INTERVIEW_STATUSES = ['Proposed', 'Scheduled', 'Reschedule Requested', 'Declined', 'Cancelled', 'Completed'];
+const INTERVIEW_TYPES = ['In-person', 'Video', 'Phone'];
+
+// Statuses in which an interview is still "live" and shows up in upcoming lists
+const OPEN_INTERVIEW_STATUSES = ['Proposed', 'Scheduled', 'Reschedule Requested'];
+
+const slotSchema = new mongoose.Schema({
+  start: { type: Date, required: [true, 'Slot start is required'] },
+  end: {
+    type: Date,
+    required: [true, 'Slot end is required'],
+    validate: {
+      validator: function(value) {
+        return !this.start || value > this.start;
+      },
+      message: 'Slot end must be after slot start',
+    },
+  },
+});
+
+/**
+ * Interview Schema - Interview rounds scheduled against an application
+ * Employers propose one or more slots, the job seeker accepts one,
+ * declines, or asks for different times
+ */
+const interviewSchema = new mongoose.Schema({
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true,
+    index: true,
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true,
+  },
+  employer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employer',
+    required: true,
+    index: true,
+  },
+  jobSeeker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobSeeker',
+    required: true,
+    index: true,
+  },
+
+  // Interview details
+  round: { type: Number, min: 1, default: 1 },
+  title: { type: String, trim: true, maxlength: 150 },
+  type: {
+    type: String,
+    enum: INTERVIEW_TYPES,
+    default: 'Video',
+  },
+  location: { type: String, trim: true, maxlength: 300 },
+  meetingLink: { type: String, trim: true, maxlength: 500 },
+  notes: { type: String, trim: true, maxlength: 1000 },
+  timezone: { type: String, trim: true, default: 'Asia/Kolkata' },
+
+  // Scheduling
+  proposedSlots: {
+    type: [slotSchema],
+    validate: {
+      validator: (slots) => slots.length > 0 && slots.length <= 5,
+      message: 'Between 1 and 5 interview slots must be proposed',
+    },
+  },
+  scheduledSlot: {
+    start: Date,
+    end: Date,
+  },
+  status: {
+    type: String,
+    enum: INTERVIEW_STATUSES,
+    default: 'Proposed',
+    index: true,
+  },
+
+  // Candidate side
+  candidateResponse: {
+    note: { type: String, trim: true, maxlength: 1000 },
+    preferredTimes: { type: String, trim: true, maxlength: 500 },
+    respondedAt: Date,
+  },
+
+  // audit trail
+  history: [{
+    status: { type: String, enum: INTERVIEW_STATUSES },
+    note: { type: String, trim: true, maxlength: 1000 },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: { type: Date, default: Date.now },
+  }],
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, {
+  timestamps: true,
+});
+
+interviewSchema.index({ employer: 1, 'scheduledSlot.start': 1 });
+interviewSchema.index({ jobSeeker: 1, 'scheduledSlot.start': 1 });
+
+/**
+ * Move the interview to a new status and record it in history
+ */
+interviewSchema.methods.transition = function(status, by, note) {
+  this.status = status;
+  this.history.push({ status, note, by, at: new Date() });
+  return this;
+};
+
+/**
+ * Whether the interview is still awaiting a decision or scheduled
+ */
+interviewSchema.methods.isOpen = function() {
+  return OPEN_INTERVIEW_STATUSES.includes(this.status);
+};
+
+/**
+ * Cancel the interviews still open for an application, e.g. once it is rejected or withdrawn
+ * @returns {Promise<Array>} The cancelled interviews
+ */
+interviewSchema.statics.cancelOpenForApplication = async function(applicationId, by, note) {
+  const interviews = await this.find({
+    application: applicationId,
+    status: { $in: OPEN_INTERVIEW_STATUSES },
+  });
+  await Promise.all(interviews.map((interview) => interview.transition('Cancelled', by, note).save()));
+  return interviews;
+};
+
+const Interview = mongoose.model('Interview', interviewSchema);
+
+module.exports = Interview;
+module.exports.INTERVIEW_STATUSES = INTERVIEW_STATUSES;
+module.exports.INTERVIEW_TYPES = INTERVIEW_TYPES;
+module.exports.OPEN_INTERVIEW_STATUSES = OPEN_INTERVIEW_STATUSES;
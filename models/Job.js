@@ -39,6 +39,94 @@ const SPECIALIZATIONS = [
   'Other',
 ];
 
+const SCREENING_QUESTION_TYPES = ['Yes/No', 'Single Choice', 'Number', 'Free Text', 'License Number'];
+const KNOCKOUT_ACTIONS = ['None', 'Flag', 'Reject'];
+
+// Knockout rule: answers outside acceptedAnswers (or the min/max range for Number) trigger the action
+const knockoutSchema = new mongoose.Schema({
+  action: { type: String, enum: KNOCKOUT_ACTIONS, default: 'None' },
+  acceptedAnswers: [{ type: String, trim: true, maxlength: 100 }],
+  min: Number,
+  max: Number,
+}, { _id: false });
+
+const screeningQuestionSchema = new mongoose.Schema({
+  question: {
+    type: String,
+    required: [true, 'Question text is required'],
+    trim: true,
+    maxlength: [300, 'Question cannot exceed 300 characters'],
+  },
+  type: {
+    type: String,
+    enum: SCREENING_QUESTION_TYPES,
+    required: [true, 'Question type is required'],
+  },
+  options: [{ type: String, trim: true, maxlength: 100 }], // Single Choice only
+  required: { type: Boolean, default: true },
+  min: Number, // Number only
+  max: Number, // Number only
+  maxLength: { type: Number, min: 1, max: 5000, default: 1000 }, // Free Text only
+  // Hidden from candidates so the rule can't be gamed; select '+screeningQuestions.knockout' to read it
+  knockout: { type: knockoutSchema, select: false },
+});
+
+screeningQuestionSchema.pre('validate', function(next) {
+  if (this.type === 'Single Choice' && (!this.options || this.options.length < 2)) {
+    this.invalidate('options', 'Single choice questions need at least 2 options');
+  }
+  if (this.type === 'License Number') {
+    this.required = true;
+  }
+
+  const knockout = this.knockout;
+  if (knockout && knockout.action && knockout.action !== 'None') {
+    if (['Free Text', 'License Number'].includes(this.type)) {
+      this.invalidate('knockout', `${this.type} questions cannot be knockout questions`);
+    } else if (this.type === 'Number') {
+      if (knockout.min == null && knockout.max == null) {
+        this.invalidate('knockout', 'Number knockouts need a min and/or max');
+      }
+    } else {
+      const allowed = this.type === 'Yes/No' ? ['Yes', 'No'] : (this.options || []);
+      const accepted = knockout.acceptedAnswers || [];
+      if (accepted.length === 0 || accepted.some((a) => !allowed.includes(a))) {
+        this.invalidate('knockout.acceptedAnswers', `Accepted answers must be chosen from: ${allowed.join(', ')}`);
+      }
+    }
+  }
+  next();
+});
+
+// Bias and compliance lint result (services/jobLintService.js)
+const lintFindingSchema = new mongoose.Schema({
+  ruleId: String, // rule dictionary id; absent for LLM findings
+  category: String,
+  severity: { type: String, enum: ['info', 'warning', 'severe'] },
+  field: String, // e.g. "description", "requirements.2"
+  match: String,
+  message: String,
+  suggestion: String,
+  source: { type: String, enum: ['rules', 'llm'] },
+}, { _id: false });
+
+const lintSchema = new mongoose.Schema({
+  severity: { type: String, enum: ['clean', 'info', 'warning', 'severe'] },
+  counts: {
+    info: { type: Number, default: 0 },
+    warning: { type: Number, default: 0 },
+    severe: { type: Number, default: 0 },
+  },
+  findings: [lintFindingSchema],
+  method: { type: String, enum: ['rules', 'rules+llm'] },
+  checkedAt: Date,
+  autoFlagged: { type: Boolean, default: false }, // status was set to Flagged by the linter
+  flaggedFrom: String, // status to restore once the severe findings are fixed
+  approvedKeys: [String], // severe findings an admin reviewed and accepted
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedAt: Date,
+}, { _id: false });
+
 const jobSchema = new mongoose.Schema({
   // Owner
   employer: {
@@ -102,6 +190,15 @@ const jobSchema = new mongoose.Schema({
   requirements: [{ type: String, trim: true, maxlength: 500 }],
   benefits: [{ type: String, trim: true, maxlength: 300 }],
 
+  // Screening questions answered at apply time
+  screeningQuestions: {
+    type: [screeningQuestionSchema],
+    validate: {
+      validator: (questions) => questions.length <= 10,
+      message: 'A job can have at most 10 screening questions',
+    },
+  },
+
   // Lifecycle and moderation
   status: {
     type: String,
@@ -109,7 +206,10 @@ const jobSchema = new mongoose.Schema({
     default: 'Pending',
     index: true,
   },
+  // Owners and admins only; select '+lint' to read it
+  lint: { type: lintSchema, select: false },
   postedAt: { type: Date, default: Date.now, index: true },
+  activatedAt: { type: Date, index: true }, // last time the job became Active (drives job alerts)
   expiresAt: { type: Date },
 
   // Metrics
@@ -129,6 +229,15 @@ const jobSchema = new mongoose.Schema({
     select: false, // Never return embedding in normal queries (saves bandwidth)
   },
   embeddingUpdatedAt: { type: Date, select: false },
+  // Version that produced embedding; vectors of other versions are skipped by searches
+  embeddingMeta: {
+    type: new mongoose.Schema({
+      model: String,
+      dimensions: Number,
+      templateVersion: Number, // JOB_EMBEDDING_TEMPLATE_VERSION in embeddingConfig.js
+    }, { _id: false }),
+    select: false,
+  },
 }, {
   timestamps: true,
 });
@@ -137,6 +246,14 @@ const jobSchema = new mongoose.Schema({
 jobSchema.index({ title: 'text', description: 'text', organizationName: 'text' });
 jobSchema.index({ 'location.city': 1, 'location.state': 1, 'location.country': 1 });
 
+// Stamp activation time whenever a job goes (back) to Active
+jobSchema.pre('save', function (next) {
+  if (this.isModified('status') && this.status === 'Active') {
+    this.activatedAt = new Date();
+  }
+  next();
+});
+
 // Helpers
 jobSchema.methods.isOpen = function () {
   if (this.status !== 'Active') return false;
@@ -154,4 +271,9 @@ jobSchema.methods.incApplications = function (by = 1) {
   return this.save();
 };
 
-module.exports = mongoose.model('Job', jobSchema);
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = Job;
+module.exports.SPECIALIZATIONS = SPECIALIZATIONS;
+module.exports.SCREENING_QUESTION_TYPES = SCREENING_QUESTION_TYPES;
+module.exports.KNOCKOUT_ACTIONS = KNOCKOUT_ACTIONS;
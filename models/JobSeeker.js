@@ -411,12 +411,34 @@ const jobSeekerSchema = new mongoose.Schema({
     },
   },
   
+  // Semantic candidate search — profile + default resume embedding (384 dims, all-MiniLM-L6-v2)
+  // Atlas Vector Search uses its own index — do NOT add index: true here
+  embedding: {
+    type: [Number],
+    select: false,
+  },
+  embeddingUpdatedAt: { type: Date, select: false },
+  // Version that produced embedding; vectors of other versions are skipped by searches
+  embeddingMeta: {
+    type: new mongoose.Schema({
+      model: String,
+      dimensions: Number,
+      templateVersion: Number, // CANDIDATE_EMBEDDING_TEMPLATE_VERSION in embeddingConfig.js
+    }, { _id: false }),
+    select: false,
+  },
+
   // Statistics
   stats: {
     profileViews: {
       type: Number,
       default: 0,
     },
+    // Times listed in employer candidate search (profileViews counts opened profiles)
+    searchAppearances: {
+      type: Number,
+      default: 0,
+    },
     applicationsSubmitted: {
       type: Number,
       default: 0,
@@ -479,4 +501,61 @@ jobSeekerSchema.pre('save', function(next) {
   next();
 });
 
-module.exports = mongoose.model('JobSeeker', jobSeekerSchema);
+/**
+ * Update interview statistics
+ */
+jobSeekerSchema.methods.updateInterviewStats = function(increment = 1) {
+  this.stats.interviewsScheduled += increment;
+  return this.save();
+};
+
+/**
+ * Base query for job seekers employers are allowed to discover:
+ * profile visible to employers and account neither deactivated nor blocked
+ */
+jobSeekerSchema.statics.buildEmployerVisibilityFilter = async function() {
+  const User = mongoose.model('User');
+  const hiddenUsers = await User.find({
+    role: 'jobseeker',
+    $or: [{ isActive: false }, { isBlocked: true }],
+  }).distinct('_id');
+
+  const filter = { 'privacySettings.showProfileToEmployers': { $ne: false } };
+  if (hiddenUsers.length > 0) filter.user = { $nin: hiddenUsers };
+  return filter;
+};
+
+/**
+ * Strip fields a candidate chose not to share from a lean profile shown to employers
+ * @param {Object} candidate - Lean JobSeeker with `user` populated and privacySettings selected
+ * @returns {Object} The same object, mutated
+ */
+jobSeekerSchema.statics.toEmployerView = function(candidate) {
+  const privacy = candidate.privacySettings || {};
+  if (privacy.showContactInfo === false) {
+    if (candidate.user) {
+      delete candidate.user.email;
+      delete candidate.user.phone;
+    }
+    delete candidate.resume; // resumes carry contact details
+  }
+  if (privacy.showCurrentSalary === false && candidate.jobPreferences) {
+    delete candidate.jobPreferences.expectedSalary;
+  }
+  candidate.canContact = privacy.showContactInfo !== false && privacy.allowDirectMessages !== false;
+  delete candidate.privacySettings;
+  delete candidate.embedding;
+  return candidate;
+};
+
+// Profile fields returned to employers browsing candidates (filtered further by toEmployerView)
+const EMPLOYER_VIEW_FIELDS = [
+  'user', 'title', 'bio', 'specializations', 'experience', 'education', 'skills',
+  'certifications', 'languages', 'jobPreferences', 'resume', 'profileCompletion',
+  'privacySettings', 'updatedAt',
+].join(' ');
+
+const JobSeeker = mongoose.model('JobSeeker', jobSeekerSchema);
+
+module.exports = JobSeeker;
+module.exports.EMPLOYER_VIEW_FIELDS = EMPLOYER_VIEW_FIELDS;
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+/**
+ * MatchScore Schema - Cached AI match result for one resume and one job
+ * resumeVersion/jobVersion hash the exact text the scorer saw, so the cached
+ * result is reused until the content of either side changes.
+ */
+const matchScoreSchema = new mongoose.Schema({
+  resume: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resume',
+    required: true,
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true,
+    index: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+
+  resumeVersion: { type: String, required: true },
+  jobVersion: { type: String, required: true },
+
+  overallScore: { type: Number, min: 0, max: 100, required: true },
+  breakdown: mongoose.Schema.Types.Mixed,
+  strengths: [String],
+  improvements: [String],
+  verdictSummary: String,
+  computedAt: { type: Date, default: Date.now },
+}, {
+  timestamps: true,
+});
+
+matchScoreSchema.index({ resume: 1, job: 1 }, { unique: true });
+
+module.exports = mongoose.model('MatchScore', matchScoreSchema);
@@ -286,6 +286,12 @@ const resumeSchema = new mongoose.Schema({
     type: String,
     trim: true,
   },
+  // Background generation (the generateResumePdf task): queued → ready, or failed
+  pdfStatus: {
+    type: String,
+    enum: ['queued', 'ready', 'failed'],
+  },
+  pdfError: String,
 
   // Default resume flag
   isDefault: {
@@ -293,6 +299,19 @@ const resumeSchema = new mongoose.Schema({
     default: false,
   },
 
+  // Set on job-specific copies made by POST /api/ai/tailor-resume
+  tailoredFor: {
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job',
+    },
+    sourceResume: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Resume',
+    },
+    generatedAt: Date,
+  },
+
   // Statistics
   stats: {
     views: {
@@ -313,6 +332,7 @@ const resumeSchema = new mongoose.Schema({
 // Indexes
 resumeSchema.index({ userId: 1, isDefault: 1 });
 resumeSchema.index({ userId: 1, createdAt: -1 });
+resumeSchema.index({ userId: 1, 'tailoredFor.job': 1 });
 
 // Ensure only one default resume per user
 resumeSchema.pre('save', async function(next) {
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const PARSE_TARGETS = ['profile', 'resume'];
+const PARSE_ITEM_STATUSES = ['pending', 'accepted', 'rejected'];
+
+/**
+ * ResumeParse Schema - A parsed resume file awaiting review
+ * Each item is one proposed change to the JobSeeker profile or a Resume;
+ * nothing is written to the target until the seeker accepts the item.
+ */
+const parseItemSchema = new mongoose.Schema({
+  section: { type: String, required: true },
+  op: { type: String, enum: ['set', 'add'], required: true },
+  path: { type: String, required: true },
+  current: mongoose.Schema.Types.Mixed,
+  proposed: mongoose.Schema.Types.Mixed,
+  source: { type: String, enum: ['rules', 'llm'], default: 'rules' },
+  // Required target fields the parser could not find
+  issues: [String],
+  status: { type: String, enum: PARSE_ITEM_STATUSES, default: 'pending' },
+  decidedAt: Date,
+});
+
+const resumeParseSchema = new mongoose.Schema({
+  jobSeeker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobSeeker',
+    required: true,
+    index: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+
+  target: { type: String, enum: PARSE_TARGETS, default: 'profile' },
+  resume: { type: mongoose.Schema.Types.ObjectId, ref: 'Resume' },
+
+  source: {
+    filename: String,
+    mimetype: String,
+    bytes: Number,
+  },
+  method: { type: String, enum: ['rules', 'rules+llm'], default: 'rules' },
+  warnings: [String],
+
+  items: [parseItemSchema],
+
+  // Unreviewed parses are removed by a TTL index
+  expiresAt: { type: Date, required: true },
+}, {
+  timestamps: true,
+});
+
+resumeParseSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+resumeParseSchema.virtual('pendingCount').get(function() {
+  return (this.items || []).filter((i) => i.status === 'pending').length;
+});
+
+resumeParseSchema.set('toJSON', { virtuals: true });
+resumeParseSchema.set('toObject', { virtuals: true });
+
+const ResumeParse = mongoose.model('ResumeParse', resumeParseSchema);
+
+module.exports = ResumeParse;
+module.exports.PARSE_TARGETS = PARSE_TARGETS;
+module.exports.PARSE_ITEM_STATUSES = PARSE_ITEM_STATUSES;
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { JOB_FILTER_KEYS } = require('../utils/jobFilters');
+
+const ALERT_FREQUENCIES = ['Daily', 'Weekly'];
+// Queued = the digest is in the email outbox; its EmailMessage says whether it went out.
+// Sent is kept for deliveries recorded before the outbox.
+const DELIVERY_STATUSES = ['Queued', 'Sent', 'Empty', 'Failed'];
+
+// How many past digests to keep per saved search
+const MAX_DELIVERY_HISTORY = 50;
+
+const FREQUENCY_MS = {
+  Daily: 24 * 60 * 60 * 1000,
+  Weekly: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * SavedSearch Schema - Named job searches with optional email alerts
+ * Either a set of GET /api/jobs filters or a semantic (natural language) query
+ */
+const savedSearchSchema = new mongoose.Schema({
+  jobSeeker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobSeeker',
+    required: true,
+    index: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters'],
+  },
+
+  // Structured filters (same keys as GET /api/jobs)
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+    validate: {
+      validator: (value) => Object.keys(value || {}).every((key) => JOB_FILTER_KEYS.includes(key)),
+      message: `Filters may only contain: ${JOB_FILTER_KEYS.join(', ')}`,
+    },
+  },
+  // Semantic query, matched against job embeddings
+  query: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Query cannot exceed 300 characters'],
+  },
+  queryEmbedding: { type: [Number], select: false },
+
+  // Alert settings
+  alertsEnabled: { type: Boolean, default: true },
+  frequency: {
+    type: String,
+    enum: ALERT_FREQUENCIES,
+    default: 'Daily',
+  },
+  lastRunAt: Date,
+  nextRunAt: { type: Date, index: true },
+  unsubscribeToken: {
+    type: String,
+    unique: true,
+    default: () => crypto.randomBytes(24).toString('hex'),
+    select: false,
+  },
+
+  // Delivery history (newest last, capped at MAX_DELIVERY_HISTORY)
+  deliveries: [{
+    runAt: { type: Date, default: Date.now },
+    status: { type: String, enum: DELIVERY_STATUSES },
+    jobCount: { type: Number, default: 0 },
+    jobs: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Job' }],
+    email: { type: mongoose.Schema.Types.ObjectId, ref: 'EmailMessage' }, // outbox entry of the digest
+    messageId: String, // deliveries recorded before the outbox
+    error: String,
+  }],
+}, {
+  timestamps: true,
+});
+
+savedSearchSchema.index({ alertsEnabled: 1, nextRunAt: 1 });
+
+savedSearchSchema.pre('validate', function(next) {
+  const hasFilters = this.filters && Object.keys(this.filters).length > 0;
+  if (!hasFilters && !this.query) {
+    this.invalidate('filters', 'Provide filters or a query');
+  }
+  next();
+});
+
+/**
+ * Push the next run out by one period from `from`
+ */
+savedSearchSchema.methods.scheduleNextRun = function(from = new Date()) {
+  this.nextRunAt = new Date(from.getTime() + FREQUENCY_MS[this.frequency]);
+  return this;
+};
+
+/**
+ * Append a delivery record, keeping only the latest MAX_DELIVERY_HISTORY entries
+ */
+savedSearchSchema.methods.recordDelivery = function(delivery) {
+  this.deliveries.push({ runAt: new Date(), ...delivery });
+  if (this.deliveries.length > MAX_DELIVERY_HISTORY) {
+    this.deliveries.splice(0, this.deliveries.length - MAX_DELIVERY_HISTORY);
+  }
+  return this;
+};
+
+const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
+
+module.exports = SavedSearch;
+module.exports.ALERT_FREQUENCIES = ALERT_FREQUENCIES;
+module.exports.FREQUENCY_MS = FREQUENCY_MS;
+module.exports.DELIVERY_STATUSES = DELIVERY_STATUSES;
+module.exports.MAX_DELIVERY_HISTORY = MAX_DELIVERY_HISTORY;
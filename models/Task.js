@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const TASK_STATUSES = ['queued', 'running', 'completed', 'dead', 'cancelled'];
+
+/**
+ * Task Schema - A unit of background work run by the task queue (services/taskQueue.js)
+ * A failed attempt goes back to queued with a backoff delay (runAt); after maxAttempts the
+ * task is dead and stays until an admin retries it. A running task holds a lease its worker
+ * renews, so tasks left behind by a crashed instance are picked up again. An admin can cancel
+ * a queued task, or ask a running one to stop (cancelRequested) at its handler's next check.
+ */
+const taskSchema = new mongoose.Schema({
+  type: { type: String, required: true },       // registered handler, e.g. 'sendEmail'
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  status: { type: String, enum: TASK_STATUSES, default: 'queued' },
+  priority: { type: Number, default: 0 },       // higher runs first
+  runAt: { type: Date, default: Date.now },     // not claimed before this (retry backoff)
+  dedupeKey: String,                            // at most one queued task per key
+
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 5 },
+  progress: {
+    current: Number,
+    total: Number,
+    message: String,
+  },
+  result: mongoose.Schema.Types.Mixed,
+  lastError: String,
+  failures: [{
+    _id: false,
+    attempt: Number,
+    error: String,
+    at: Date,
+  }],
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // empty for system tasks
+  cancelRequested: { type: Boolean, default: false },
+  cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  startedAt: Date,
+  finishedAt: Date,
+
+  // The worker running the task renews this; another may take over once it lapses
+  lockedBy: String, // "hostname:pid"
+  lockedUntil: Date,
+
+  expiresAt: Date, // completed and cancelled tasks are removed after a week
+}, {
+  timestamps: true,
+});
+
+taskSchema.index({ status: 1, type: 1, priority: -1, runAt: 1 });
+taskSchema.index(
+  { dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { status: 'queued', dedupeKey: { $exists: true } } }
+);
+taskSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Task', taskSchema);
+module.exports.TASK_STATUSES = TASK_STATUSES;
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 
 const USER_ROLES = ['jobseeker', 'employer', 'admin'];
 
@@ -86,6 +87,12 @@ const userSchema = new mongoose.Schema({
   passwordResetToken: String,
   passwordResetExpires: Date,
   
+  // Calendar feed (secret token embedded in the subscribable .ics URL)
+  calendarFeedToken: {
+    type: String,
+    select: false,
+  },
+
   // Refresh Tokens (for JWT refresh functionality)
   refreshTokens: [{
     token: String,
@@ -123,6 +130,7 @@ userSchema.virtual('isLocked').get(function() {
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ calendarFeedToken: 1 }, { unique: true, sparse: true });
 
 /**
  * Hash password before saving
@@ -211,6 +219,18 @@ userSchema.methods.generatePasswordResetToken = function() {
   return token;
 };
 
+/**
+ * Generate (or rotate) the calendar feed token
+ * Feed URLs are long-lived and subscribed to by calendar apps, so this is a
+ * random capability token rather than an expiring JWT
+ * @returns {string} Feed token
+ */
+userSchema.methods.generateCalendarFeedToken = function() {
+  const token = crypto.randomBytes(24).toString('hex');
+  this.calendarFeedToken = token;
+  return token;
+};
+
 /**
  * Increment login attempts
  */
@@ -16,6 +16,20 @@ router.get('/employers', adminController.listEmployers);
 router.patch('/employers/:id/verify', adminController.verifyEmployer);
 router.patch('/employers/:id/unverify', adminController.unverifyEmployer);
 
+// Job moderation (approve or reject with PATCH /api/jobs/:id/status)
+router.get('/jobs/flagged', adminController.listFlaggedJobs);
+
+// Background tasks (dead ones can be retried, queued or running ones cancelled)
+router.get('/tasks', adminController.listTasks);
+router.get('/tasks/:id', adminController.getTask);
+router.post('/tasks/:id/retry', adminController.retryTask);
+router.post('/tasks/:id/cancel', adminController.cancelTask);
+
+// Email outbox and delivery log (failed emails can be resent)
+router.get('/emails', adminController.listEmails);
+router.post('/emails/resend-failed', adminController.resendFailedEmails);
+router.post('/emails/:id/resend', adminController.resendEmail);
+
 // Stats
 router.get('/stats', adminController.getStats);
 
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const aiController = require('../controllers/aiController');
-const { authenticate, requireJobSeeker, requireAdmin } = require('../middlewares/auth');
+const { authenticate, requireJobSeeker, requireEmployer, requireAdmin } = require('../middlewares/auth');
+const { meterAiUsage } = require('../middlewares/aiUsage');
 
 // ─────────────────────────────────────────────────────────────
 // FEATURE 1: AI Resume Summary Generator
@@ -16,9 +17,23 @@ router.post(
   '/generate-summary',
   authenticate,
   requireJobSeeker,
+  meterAiUsage,
   aiController.generateResumeSummary
 );
 
+/**
+ * POST /api/ai/generate-summary/stream
+ * Server-Sent Events variant: token events, then result; closing the connection cancels generation
+ * Body: { resumeId, tone?, saveToResume? }
+ */
+router.post(
+  '/generate-summary/stream',
+  authenticate,
+  requireJobSeeker,
+  meterAiUsage,
+  aiController.streamResumeSummary
+);
+
 // ─────────────────────────────────────────────────────────────
 // FEATURE 2: Smart Job-Resume Match Scorer
 // ─────────────────────────────────────────────────────────────
@@ -26,15 +41,64 @@ router.post(
 /**
  * POST /api/ai/match-score
  * Calculate AI-powered compatibility score between a resume and a job
- * Body: { resumeId, jobId }
+ * Cached per resume/job until either changes
+ * Body: { resumeId, jobId, refresh? }
  */
 router.post(
   '/match-score',
   authenticate,
   requireJobSeeker,
+  meterAiUsage,
   aiController.calculateMatchScore
 );
 
+// ─────────────────────────────────────────────────────────────
+// Cover Letter Generator
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * POST /api/ai/cover-letter
+ * Generate a cover letter tailored to a job from one of the seeker's resumes
+ * Body: { resumeId, jobId, tone?, saveToDraft? }
+ */
+router.post(
+  '/cover-letter',
+  authenticate,
+  requireJobSeeker,
+  meterAiUsage,
+  aiController.generateCoverLetter
+);
+
+/**
+ * POST /api/ai/cover-letter/stream
+ * Server-Sent Events variant: token events, then result; closing the connection cancels generation
+ * Body: { resumeId, jobId, tone?, saveToDraft? }
+ */
+router.post(
+  '/cover-letter/stream',
+  authenticate,
+  requireJobSeeker,
+  meterAiUsage,
+  aiController.streamCoverLetter
+);
+
+// ─────────────────────────────────────────────────────────────
+// Resume Tailoring Assistant
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * POST /api/ai/tailor-resume
+ * Copy a resume and rewrite the copy toward a job; returns a per-section diff
+ * Body: { resumeId, jobId, title? }
+ */
+router.post(
+  '/tailor-resume',
+  authenticate,
+  requireJobSeeker,
+  meterAiUsage,
+  aiController.tailorResume
+);
+
 // ─────────────────────────────────────────────────────────────
 // FEATURE 4: Semantic Job Search (RAG)
 // ─────────────────────────────────────────────────────────────
@@ -42,15 +106,29 @@ router.post(
 /**
  * POST /api/ai/semantic-search
  * Natural language semantic job search using vector embeddings + LLM re-ranking
- * Body: { query, limit?, explain? }
+ * Body: { query, limit?, filters?, weights?, cursor?, explain? }
  */
 router.post(
   '/semantic-search',
   authenticate,
   requireJobSeeker,
+  meterAiUsage,
   aiController.semanticSearch
 );
 
+/**
+ * POST /api/ai/semantic-search/stream
+ * Server-Sent Events variant: progress events (filters, search, reranking), then result
+ * Body: { query, limit?, filters?, weights?, cursor?, explain? }
+ */
+router.post(
+  '/semantic-search/stream',
+  authenticate,
+  requireJobSeeker,
+  meterAiUsage,
+  aiController.streamSemanticSearch
+);
+
 /**
  * POST /api/ai/index-job/:jobId
  * Generate and store vector embedding for a single job
@@ -59,21 +137,48 @@ router.post(
 router.post(
   '/index-job/:jobId',
   authenticate,
+  meterAiUsage,
   aiController.indexJob
 );
 
 /**
  * POST /api/ai/batch-index-jobs
- * Admin: batch-embed all active jobs without embeddings (runs in background)
+ * Admin: batch-embed all active jobs without embeddings (queued task; progress at /api/admin/tasks/:taskId)
  * Body: { reindexAll? }
  */
 router.post(
   '/batch-index-jobs',
   authenticate,
   requireAdmin,
+  meterAiUsage,
   aiController.batchIndexJobs
 );
 
+/**
+ * POST /api/ai/reembed-jobs
+ * Admin: re-embed job vectors from an older embedding model or template (resumable, runs in background)
+ */
+router.post(
+  '/reembed-jobs',
+  authenticate,
+  requireAdmin,
+  meterAiUsage,
+  aiController.reembedJobs
+);
+
+/**
+ * POST /api/ai/batch-index-candidates
+ * Admin: batch-embed job seeker profiles without embeddings (queued task; progress at /api/admin/tasks/:taskId)
+ * Body: { reindexAll? }
+ */
+router.post(
+  '/batch-index-candidates',
+  authenticate,
+  requireAdmin,
+  meterAiUsage,
+  aiController.batchIndexCandidates
+);
+
 /**
  * GET /api/ai/embedding-stats
  * Admin: get vector indexing coverage statistics
@@ -85,4 +190,64 @@ router.get(
   aiController.getEmbeddingStats
 );
 
+// ─────────────────────────────────────────────────────────────
+// Semantic Candidate Search (Employers)
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * POST /api/ai/candidate-search
+ * Ranked shortlist of job seekers for a job or a free-text description
+ * Body: { jobId? , query?, limit? }
+ */
+router.post(
+  '/candidate-search',
+  authenticate,
+  requireEmployer,
+  meterAiUsage,
+  aiController.candidateSearch
+);
+
+// ─────────────────────────────────────────────────────────────
+// Job Description Writer (Employers)
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * POST /api/ai/job-draft
+ * Draft a job posting from a brief, or split an existing description into lists
+ * Body: { title?, specialization?, seniority?, location?, jobType?, shift?, isRemote?, notes?, description? }
+ */
+router.post(
+  '/job-draft',
+  authenticate,
+  requireEmployer,
+  meterAiUsage,
+  aiController.generateJobDraft
+);
+
+// ─────────────────────────────────────────────────────────────
+// AI Usage & Quotas
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/ai/usage
+ * The current user's AI usage this month, monthly quota and recent calls (not metered)
+ */
+router.get(
+  '/usage',
+  authenticate,
+  aiController.getMyUsage
+);
+
+/**
+ * GET /api/ai/admin/usage
+ * Admin: AI usage breakdown by feature, user, plan or day
+ * Query: { groupBy?, from?, to?, userId?, kind? }
+ */
+router.get(
+  '/admin/usage',
+  authenticate,
+  requireAdmin,
+  aiController.getUsageBreakdown
+);
+
 module.exports = router;
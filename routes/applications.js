@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const applicationController = require('../controllers/applicationController');
+const interviewController = require('../controllers/interviewController');
 const { authenticate, requireJobSeeker, requireEmployer, requireEmployerOrAdmin } = require('../middlewares/auth');
+const { meterAiUsage } = require('../middlewares/aiUsage');
 
 // Jobseeker - list own applications => /api/applications/me
 router.get('/me', authenticate, requireJobSeeker, applicationController.listMyApplications);
@@ -11,6 +13,9 @@ router.get('/employer', authenticate, requireEmployer, applicationController.lis
 // Employer - view applications for a specific job
 router.get('/job/:jobId', authenticate, requireEmployer, applicationController.listApplicationsForJob);
 
+// Jobseeker/Employer - upcoming interviews across all applications => /api/applications/interviews/upcoming
+router.get('/interviews/upcoming', authenticate, interviewController.listUpcoming);
+
 
 // Get application by id (controller validates ownership) => /api/applications/:id
 router.get('/:id', authenticate, applicationController.getById);
@@ -18,7 +23,26 @@ router.get('/:id', authenticate, applicationController.getById);
 // Employer/Admin updates application status => /api/applications/:id/status
 router.patch('/:id/status', authenticate, requireEmployerOrAdmin, applicationController.updateStatus);
 
+// Jobseeker withdraws own application => /api/applications/:id/withdraw
+router.post('/:id/withdraw', authenticate, requireJobSeeker, applicationController.withdraw);
+
+// Employer/Admin re-runs the AI screening agent => /api/applications/:id/ai-screening
+router.post('/:id/ai-screening', authenticate, requireEmployerOrAdmin, meterAiUsage, applicationController.runAiScreening);
+
 // Employer/Admin rates an application => /api/applications/:id/rating
 router.patch('/:id/rating', authenticate, requireEmployerOrAdmin, applicationController.setRating);
 
-module.exports = router;
\ No newline at end of file
+// Interviews for an application => /api/applications/:id/interviews
+router.get('/:id/interviews', authenticate, interviewController.listForApplication);
+router.get('/:id/interviews/:interviewId/ics', authenticate, interviewController.downloadIcs);
+router.post('/:id/interviews', authenticate, requireEmployerOrAdmin, interviewController.propose);
+router.patch('/:id/interviews/:interviewId', authenticate, requireEmployerOrAdmin, interviewController.update);
+router.post('/:id/interviews/:interviewId/cancel', authenticate, requireEmployerOrAdmin, interviewController.cancel);
+router.post('/:id/interviews/:interviewId/complete', authenticate, requireEmployerOrAdmin, interviewController.complete);
+
+// Jobseeker responds to proposed interview slots
+router.post('/:id/interviews/:interviewId/accept', authenticate, requireJobSeeker, interviewController.accept);
+router.post('/:id/interviews/:interviewId/decline', authenticate, requireJobSeeker, interviewController.decline);
+router.post('/:id/interviews/:interviewId/reschedule', authenticate, requireJobSeeker, interviewController.requestReschedule);
+
+module.exports = router;
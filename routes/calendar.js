@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const calendarController = require('../controllers/calendarController');
+const { authenticate } = require('../middlewares/auth');
+
+// Personal feed URL management => /api/calendar/feed-url
+router.get('/feed-url', authenticate, calendarController.getFeedUrl);
+router.post('/feed-url/rotate', authenticate, calendarController.rotateFeedUrl);
+
+// Subscribable iCalendar feed (no auth header — calendar apps can't send one)
+router.get('/feed/:token.ics', calendarController.getFeed);
+
+module.exports = router;
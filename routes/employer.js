@@ -8,6 +8,9 @@ router.post('/profile', authenticate, requireEmployer, employerController.create
 router.get('/profile', authenticate, requireEmployer, employerController.getMyProfile);
 router.get('/profile/refresh', authenticate, requireEmployer, employerController.refreshProfile);
 
+// Employer - search the job seeker talent pool => /api/employer/candidates
+router.get('/candidates', authenticate, requireEmployer, employerController.searchCandidates);
+
 // Public routes - Browse employers (for jobseekers)
 router.get('/all', optionalAuth, employerController.getAllEmployers);
 router.get('/:id', optionalAuth, employerController.getEmployerById);
@@ -3,6 +3,7 @@ const router = express.Router();
 const jobController = require('../controllers/jobController');
 const applicationController = require('../controllers/applicationController');
 const { authenticate, optionalAuth, requireEmployerOrAdmin, requireEmployer, requireJobSeeker, requireEmployerVerification } = require('../middlewares/auth');
+const { meterAiUsage } = require('../middlewares/aiUsage');
 const { uploadDocument } = require('../middlewares/upload');
 
 // Public/optional-auth listing and details
@@ -10,11 +11,14 @@ router.get('/', optionalAuth, jobController.list);
 // Employer-only listing (jobs created by authenticated employer)
 // Place this before the '/:id' param route so 'my' isn't treated as an id
 router.get('/my', authenticate, requireEmployer, jobController.listByEmployer);
+// Jobseeker - personalized recommendations (also before '/:id')
+router.get('/recommended', authenticate, requireJobSeeker, jobController.recommended);
 
 router.get('/:id', optionalAuth, jobController.getById);
 
 // Employer/admin protected operations
 router.post('/', authenticate, requireEmployerVerification, jobController.create);
+router.post('/lint', authenticate, requireEmployerOrAdmin, meterAiUsage, jobController.lint);
 router.patch('/:id', authenticate, requireEmployerOrAdmin, jobController.update);
 router.patch('/:id/status', authenticate, requireEmployerOrAdmin, jobController.changeStatus);
 router.delete('/:id', authenticate, requireEmployerOrAdmin, jobController.remove);
@@ -31,4 +35,9 @@ router.post(
   applicationController.apply
 );
 
+// Jobseeker apply draft (pre-filled by POST /api/ai/cover-letter with saveToDraft)
+router.get('/:id/apply-draft', authenticate, requireJobSeeker, applicationController.getDraft);
+router.put('/:id/apply-draft', authenticate, requireJobSeeker, applicationController.saveDraft);
+router.delete('/:id/apply-draft', authenticate, requireJobSeeker, applicationController.deleteDraft);
+
 module.exports = router;
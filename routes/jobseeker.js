@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const jobSeekerController = require('../controllers/jobSeekerController');
 const { authenticate, requireJobSeeker } = require('../middlewares/auth');
+const { meterAiUsage } = require('../middlewares/aiUsage');
 const { uploadDocument } = require('../middlewares/upload');
 
 router.get('/profile', authenticate, requireJobSeeker, jobSeekerController.getMyProfile);
@@ -10,6 +11,11 @@ router.put('/profile', authenticate, requireJobSeeker, jobSeekerController.updat
 router.post('/resume', authenticate, requireJobSeeker, uploadDocument.single('resume'), jobSeekerController.uploadResume);
 router.delete('/resume', authenticate, requireJobSeeker, jobSeekerController.deleteResume);
 
+// Resume parsing: extract profile data from a file, then accept/reject proposed changes
+router.post('/resume/parse', authenticate, requireJobSeeker, meterAiUsage, uploadDocument.single('resume'), jobSeekerController.parseResume);
+router.get('/resume/parse/:parseId', authenticate, requireJobSeeker, jobSeekerController.getResumeParse);
+router.post('/resume/parse/:parseId/review', authenticate, requireJobSeeker, jobSeekerController.reviewResumeParse);
+
 router.post('/cover-letter', authenticate, requireJobSeeker, uploadDocument.single('coverLetter'), jobSeekerController.uploadCoverLetter);
 router.delete('/cover-letter', authenticate, requireJobSeeker, jobSeekerController.deleteCoverLetter);
 
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const savedSearchController = require('../controllers/savedSearchController');
+const { authenticate, requireJobSeeker } = require('../middlewares/auth');
+
+// Public unsubscribe from a digest email (before '/:id'); only POST changes anything
+router.get('/unsubscribe/:token', savedSearchController.getUnsubscribe);
+router.post('/unsubscribe/:token', savedSearchController.unsubscribe);
+
+router.use(authenticate, requireJobSeeker);
+
+router.get('/', savedSearchController.list);
+router.post('/', savedSearchController.create);
+router.get('/:id', savedSearchController.getById);
+router.patch('/:id', savedSearchController.update);
+router.delete('/:id', savedSearchController.remove);
+
+// Alert delivery history and manual run
+router.get('/:id/deliveries', savedSearchController.deliveries);
+router.post('/:id/run', savedSearchController.runNow);
+
+module.exports = router;
@@ -20,8 +20,14 @@ const jobSeekerRoutes = require("./routes/jobseeker");
 const resumeRoutes = require('./routes/resume');
 const adminRoutes = require("./routes/admin");
 const aiRoutes = require("./routes/ai");
+const calendarRoutes = require("./routes/calendar");
+const savedSearchRoutes = require("./routes/savedSearches");
 const passport =require("./config/passport");
 const { validateAiConfig } = require("./config/ai");
+const { startJobAlertScheduler } = require("./services/jobAlertService");
+const { resumeEmbeddingMigration } = require("./services/ai/embeddingMigration");
+const { startTaskWorkers } = require("./services/taskQueue");
+require("./services/taskHandlers"); // registers the background task types
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -92,6 +98,8 @@ app.use('/api/jobseeker', jobSeekerRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/resume', resumeRoutes);
 app.use('/api/ai', aiRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
 
 // Validate AI configuration on startup
 const { valid: aiValid, warnings: aiWarnings } = validateAiConfig();
@@ -181,4 +189,17 @@ app.use((err, req, res, next) => {
 // Start server
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
+
+  // Saved-search job alert digests
+  if (process.env.JOB_ALERTS_ENABLED !== "false") {
+    startJobAlertScheduler();
+  }
+
+  // Background task workers (embedding, emails, PDFs, batch indexing)
+  if (process.env.TASK_WORKERS_ENABLED !== "false") {
+    startTaskWorkers();
+  }
+
+  // Finish (or start) re-embedding job vectors left on an older embedding model/template
+  resumeEmbeddingMigration();
 });
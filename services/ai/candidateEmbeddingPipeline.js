@@ -0,0 +1,192 @@
+/**
+ * Candidate Embedding Pipeline
+ * Semantic Candidate Search for employers
+ *
+ * This service handles:
+ * 1. Generating and storing one embedding per job seeker (profile + default resume)
+ * 2. Batch indexing all existing job seekers
+ * 3. Called automatically when a profile or resume is created/updated
+ */
+
+const mongoose = require('mongoose');
+const {
+  embedText,
+  buildCandidateEmbeddingText,
+  getCandidateEmbeddingVersion,
+  activeCandidateEmbeddingFilter,
+} = require('./embeddingConfig');
+
+/**
+ * Find the resume that represents the candidate: the default one, else the most recently updated
+ * @param {ObjectId} userId
+ * @returns {Promise<Object|null>}
+ */
+const findRepresentativeResume = async (userId) => {
+  const resumes = mongoose.connection.collection('resumes');
+  const [resume] = await resumes
+    .find({ userId })
+    .sort({ isDefault: -1, updatedAt: -1 })
+    .limit(1)
+    .toArray();
+  return resume || null;
+};
+
+/**
+ * Generate and store an embedding for a single job seeker
+ *
+ * @param {string|ObjectId} jobSeekerId - MongoDB ObjectId of the job seeker
+ * @returns {Promise<{ success: boolean, jobSeekerId: string, dimensions: number, resumeId: string|null }>}
+ */
+const embedCandidate = async (jobSeekerId) => {
+  const collection = mongoose.connection.collection('jobseekers');
+  const { ObjectId } = mongoose.Types;
+
+  const jobSeeker = await collection.findOne({ _id: new ObjectId(jobSeekerId.toString()) });
+  if (!jobSeeker) {
+    throw new Error(`Job seeker not found: ${jobSeekerId}`);
+  }
+
+  const resume = await findRepresentativeResume(jobSeeker.user);
+  const textToEmbed = buildCandidateEmbeddingText(jobSeeker, resume);
+
+  // Nothing meaningful to embed yet (empty profile, no resume)
+  if (!textToEmbed.trim()) {
+    await removeCandidateEmbedding(jobSeeker._id);
+    return { success: false, jobSeekerId: jobSeeker._id.toString(), dimensions: 0, resumeId: null };
+  }
+
+  const embedding = await embedText(textToEmbed);
+
+  await collection.updateOne(
+    { _id: jobSeeker._id },
+    {
+      $set: {
+        embedding,
+        embeddingUpdatedAt: new Date(),
+        embeddingMeta: getCandidateEmbeddingVersion(),
+      },
+    }
+  );
+
+  return {
+    success: true,
+    jobSeekerId: jobSeeker._id.toString(),
+    dimensions: embedding.length,
+    resumeId: resume ? resume._id.toString() : null,
+  };
+};
+
+/**
+ * Re-embed the job seeker that owns a user account (used by resume hooks)
+ * @param {string|ObjectId} userId
+ */
+const embedCandidateByUser = async (userId) => {
+  const collection = mongoose.connection.collection('jobseekers');
+  const { ObjectId } = mongoose.Types;
+
+  const jobSeeker = await collection.findOne(
+    { user: new ObjectId(userId.toString()) },
+    { projection: { _id: 1 } }
+  );
+  if (!jobSeeker) return null;
+  return embedCandidate(jobSeeker._id);
+};
+
+/**
+ * Remove the embedding from a job seeker
+ * @param {string|ObjectId} jobSeekerId
+ */
+const removeCandidateEmbedding = async (jobSeekerId) => {
+  const collection = mongoose.connection.collection('jobseekers');
+  const { ObjectId } = mongoose.Types;
+
+  await collection.updateOne(
+    { _id: new ObjectId(jobSeekerId.toString()) },
+    { $unset: { embedding: '', embeddingUpdatedAt: '', embeddingMeta: '' } }
+  );
+};
+
+/**
+ * Batch index job seekers without an embedding of the active version
+ *
+ * @param {Object} options
+ * @param {number} [options.batchSize=5] - Profiles to process concurrently
+ * @param {boolean} [options.reindexAll=false] - Re-embed ALL profiles (not just missing ones)
+ * @param {Function} [options.onProgress] - (done, total) after every batch
+ * @param {AbortSignal} [options.signal] - Stops the run before the next batch
+ * @returns {Promise<{ processed: number, failed: number, skipped: number }>}
+ */
+const batchIndexCandidates = async (options = {}) => {
+  const { batchSize = 5, reindexAll = false, onProgress, signal } = options;
+  const collection = mongoose.connection.collection('jobseekers');
+
+  // Missing, or produced by another model or template version
+  const query = reindexAll ? {} : { $nor: [activeCandidateEmbeddingFilter()] };
+  const candidates = await collection.find(query, { projection: { _id: 1 } }).toArray();
+
+  console.log(`📦 Batch embedding: ${candidates.length} candidates to process...`);
+
+  let processed = 0;
+  let failed = 0;
+  let skipped = 0;
+
+  for (let i = 0; i < candidates.length; i += batchSize) {
+    signal?.throwIfAborted();
+    const batch = candidates.slice(i, i + batchSize);
+
+    await Promise.allSettled(
+      batch.map(async (candidate) => {
+        try {
+          const result = await embedCandidate(candidate._id);
+          if (result.success) processed++;
+          else skipped++;
+        } catch (err) {
+          failed++;
+          console.warn(`  ❌ Failed to embed candidate ${candidate._id}: ${err.message}`);
+        }
+      })
+    );
+
+    if (onProgress) onProgress(processed + failed + skipped, candidates.length);
+
+    if (i + batchSize < candidates.length) {
+      await new Promise((r) => setTimeout(r, 100));
+    }
+  }
+
+  console.log(`✅ Candidate embedding complete: ${processed} processed, ${failed} failed, ${skipped} skipped`);
+
+  return { processed, failed, skipped };
+};
+
+/**
+ * Get embedding statistics for the jobseekers collection
+ * indexed counts embeddings of the active version; stale ones were made by another
+ * @returns {Promise<{ total: number, indexed: number, stale: number, unindexed: number, percentIndexed: number }>}
+ */
+const getCandidateEmbeddingStats = async () => {
+  const collection = mongoose.connection.collection('jobseekers');
+
+  const [total, embedded, indexed] = await Promise.all([
+    collection.countDocuments({}),
+    collection.countDocuments({ embedding: { $exists: true } }),
+    collection.countDocuments({ embedding: { $exists: true }, ...activeCandidateEmbeddingFilter() }),
+  ]);
+
+  return {
+    total,
+    indexed,
+    stale: embedded - indexed,
+    unindexed: total - indexed,
+    percentIndexed: total > 0 ? Math.round((indexed / total) * 100) : 0,
+  };
+};
+
+module.exports = {
+  findRepresentativeResume,
+  embedCandidate,
+  embedCandidateByUser,
+  removeCandidateEmbedding,
+  batchIndexCandidates,
+  getCandidateEmbeddingStats,
+};
@@ -0,0 +1,184 @@
+/**
+ * Semantic Candidate Search
+ * Ranks job seekers against a job posting or a free-text description
+ *
+ * 1. Resolve the query vector (job embedding, or embed the text)
+ * 2. MongoDB Atlas Vector Search over jobseekers.embedding
+ * 3. Fallback: cosine similarity in memory over stored embeddings when
+ *    the Atlas index is missing (local MongoDB, index not created yet)
+ */
+
+const mongoose = require('mongoose');
+const JobSeeker = require('../../models/JobSeeker');
+const { EMPLOYER_VIEW_FIELDS } = require('../../models/JobSeeker');
+const {
+  embedText,
+  buildJobEmbeddingText,
+  hasActiveJobEmbedding,
+  activeCandidateEmbeddingFilter,
+} = require('./embeddingConfig');
+const { aiConfig } = require('../../config/ai');
+
+/**
+ * Cosine similarity between two vectors (embeddings are normalized, but don't rely on it)
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+const cosineSimilarity = (a, b) => {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+/**
+ * Atlas Vector Search over the jobseekers collection
+ * @returns {Promise<Array<{ _id: ObjectId, score: number }>>}
+ */
+const runCandidateVectorSearch = async (queryVector, limit, visibilityFilter) => {
+  const collection = mongoose.connection.collection('jobseekers');
+
+  return collection.aggregate([
+    {
+      $vectorSearch: {
+        index: aiConfig.embedding.candidateVectorIndexName,
+        path: 'embedding',
+        queryVector,
+        numCandidates: limit * 10,
+        limit: limit * 2, // visibility and version filters below may drop some
+      },
+    },
+    // Only profiles embedded with the active version can be compared with the query vector
+    { $match: { ...visibilityFilter, ...activeCandidateEmbeddingFilter() } },
+    { $project: { _id: 1, user: 1, privacySettings: 1, score: { $meta: 'vectorSearchScore' } } },
+    { $limit: limit },
+  ]).toArray();
+};
+
+/**
+ * Fallback: brute-force cosine similarity over stored candidate embeddings
+ * @returns {Promise<Array<{ _id: ObjectId, score: number }>>}
+ */
+const runCandidateCosineFallback = async (queryVector, limit, visibilityFilter) => {
+  const collection = mongoose.connection.collection('jobseekers');
+
+  const candidates = await collection
+    .find(
+      { ...visibilityFilter, embedding: { $exists: true }, ...activeCandidateEmbeddingFilter() },
+      { projection: { _id: 1, embedding: 1 } }
+    )
+    .sort({ embeddingUpdatedAt: -1 })
+    .limit(aiConfig.embedding.fallbackScanLimit)
+    .toArray();
+
+  return candidates
+    .map((c) => ({ _id: c._id, score: cosineSimilarity(queryVector, c.embedding) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+/**
+ * Resolve the vector to search with
+ * @param {Object} params
+ * @param {string} [params.jobId]
+ * @param {string} [params.query]
+ * @returns {Promise<{ vector: number[], source: Object }>}
+ */
+const resolveQueryVector = async ({ jobId, query }) => {
+  if (jobId) {
+    const jobs = mongoose.connection.collection('jobs');
+    const { ObjectId } = mongoose.Types;
+    const job = await jobs.findOne({ _id: new ObjectId(jobId.toString()) });
+    if (!job) {
+      const err = new Error('Job not found');
+      err.statusCode = 404;
+      throw err;
+    }
+
+    // Reuse the job's stored embedding when the active model produced it
+    const vector = hasActiveJobEmbedding(job)
+      ? job.embedding
+      : await embedText(buildJobEmbeddingText(job));
+
+    return {
+      vector,
+      source: { type: 'job', jobId: job._id.toString(), title: job.title, employer: job.employer },
+    };
+  }
+
+  return {
+    vector: await embedText(query.trim()),
+    source: { type: 'text', query: query.trim() },
+  };
+};
+
+/**
+ * Rank candidates for a job posting or a natural-language description
+ *
+ * @param {Object} params
+ * @param {string} [params.jobId] - Rank against this job
+ * @param {string} [params.query] - Or rank against free text ("ICU nurse, 5+ years, Pune")
+ * @param {Object} [options]
+ * @param {number} [options.limit=10]
+ * @param {boolean} [options.useVectorSearch=true] - false = always use the in-memory fallback
+ * @returns {Promise<{ source: Object, searchMode: string, results: Array, totalFound: number }>}
+ */
+const semanticCandidateSearch = async (params, options = {}) => {
+  const { limit = 10, useVectorSearch = true } = options;
+
+  if (!params.jobId && (!params.query || params.query.trim().length < 2)) {
+    throw new Error('Provide a jobId or a description of at least 2 characters');
+  }
+
+  const { vector, source } = await resolveQueryVector(params);
+  const visibilityFilter = await JobSeeker.buildEmployerVisibilityFilter();
+
+  let ranked = [];
+  let searchMode = 'vector';
+
+  if (useVectorSearch) {
+    try {
+      ranked = await runCandidateVectorSearch(vector, limit, visibilityFilter);
+    } catch (vectorErr) {
+      console.warn(`⚠️  Candidate vector search failed, using cosine fallback: ${vectorErr.message}`);
+      ranked = await runCandidateCosineFallback(vector, limit, visibilityFilter);
+      searchMode = 'cosine_fallback';
+    }
+  } else {
+    ranked = await runCandidateCosineFallback(vector, limit, visibilityFilter);
+    searchMode = 'cosine_fallback';
+  }
+
+  if (ranked.length === 0) {
+    return { source, searchMode, results: [], totalFound: 0 };
+  }
+
+  // Hydrate profiles and apply per-candidate privacy settings
+  const profiles = await JobSeeker.find({ _id: { $in: ranked.map((r) => r._id) } })
+    .select(EMPLOYER_VIEW_FIELDS)
+    .populate({ path: 'user', select: 'firstName lastName email phone profileImage' })
+    .lean();
+  const byId = new Map(profiles.map((p) => [p._id.toString(), p]));
+
+  const results = ranked
+    .filter((r) => byId.has(r._id.toString()))
+    .map((r) => ({
+      ...JobSeeker.toEmployerView(byId.get(r._id.toString())),
+      relevanceScore: Math.round(r.score * 1000) / 1000,
+    }));
+
+  return { source, searchMode, results, totalFound: results.length };
+};
+
+module.exports = {
+  semanticCandidateSearch,
+  cosineSimilarity,
+};
@@ -0,0 +1,126 @@
+/**
+ * Cover Letter Chain
+ * Writes a cover letter for one resume and one job posting
+ *
+ * Reuses the match scorer's resume/job formatting so both features see the
+ * same facts. The letter is plain text and always fits Application.coverLetter.text.
+ */
+
+const { ChatPromptTemplate } = require('@langchain/core/prompts');
+const { StringOutputParser } = require('@langchain/core/output_parsers');
+const { getLLM, runChain, LLM_TASKS } = require('./llmConfig');
+const { formatResumeForMatching, formatJobForMatching } = require('./matchScorer');
+const { aiConfig } = require('../../config/ai');
+
+/**
+ * Get tone-specific instructions for the prompt
+ * @param {string} tone - "professional", "enthusiastic", or "concise"
+ * @returns {string}
+ */
+const getToneInstructions = (tone) => {
+  switch (tone) {
+    case 'enthusiastic':
+      return `Write with genuine energy and warmth. Show clear motivation for this specific role and organization,
+while staying professional and credible.`;
+
+    case 'concise':
+      return `Keep it short: three brief paragraphs, under 200 words.
+Lead with the strongest match between the candidate and the role.`;
+
+    case 'professional':
+    default:
+      return `Write in a polished, formal tone suitable for hospitals and healthcare organizations.
+Be confident and specific, and connect experience directly to the job's requirements.`;
+  }
+};
+
+/**
+ * Clean up the model output and keep it within maxLength
+ * Cuts at the last paragraph, then sentence, boundary that fits
+ * @param {string} raw
+ * @param {number} maxLength
+ * @returns {string}
+ */
+const fitCoverLetter = (raw, maxLength) => {
+  let text = raw.trim()
+    .replace(/^```(?:\w+)?\s*\n?/, '')
+    .replace(/\n?```\s*$/, '')
+    .replace(/^(?:subject|cover letter)\s*:.*\n+/i, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  if (text.length <= maxLength) return text;
+
+  const slice = text.slice(0, maxLength);
+  const paragraphEnd = slice.lastIndexOf('\n\n');
+  if (paragraphEnd > maxLength * 0.6) return slice.slice(0, paragraphEnd).trim();
+
+  const sentenceEnd = Math.max(slice.lastIndexOf('. '), slice.lastIndexOf('.\n'));
+  if (sentenceEnd > maxLength * 0.6) return slice.slice(0, sentenceEnd + 1).trim();
+
+  return slice.trim();
+};
+
+/**
+ * Generate a cover letter for a resume and a job posting
+ *
+ * @param {Object} resume - Plain resume object from MongoDB
+ * @param {Object} job - Plain job object from MongoDB
+ * @param {string} [tone='professional'] - One of aiConfig.coverLetter.allowedTones
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the LLM call
+ * @param {Function} [options.onToken] - Streams raw tokens; the returned letter is the fitted final text
+ * @returns {Promise<string>} The cover letter text (<= aiConfig.coverLetter.maxLength chars)
+ */
+const generateCoverLetter = async (resume, job, tone = aiConfig.coverLetter.defaultTone, { signal, onToken } = {}) => {
+  if (!aiConfig.coverLetter.allowedTones.includes(tone)) {
+    throw new Error(`Invalid tone: "${tone}". Allowed: ${aiConfig.coverLetter.allowedTones.join(', ')}`);
+  }
+
+  const promptTemplate = ChatPromptTemplate.fromMessages([
+    [
+      'system',
+      `You are an expert career coach for healthcare and medical professionals.
+Write a cover letter from the candidate to the hiring organization for the job below.
+
+RULES:
+- Output ONLY the letter text: greeting, body paragraphs, sign-off with the candidate's name.
+- No subject line, no addresses, no date, no placeholders like [Hiring Manager Name].
+- Use "Dear Hiring Manager," unless a contact name is given.
+- 250-400 words (fewer if the tone asks for it). Plain text, no markdown.
+- Only use facts from the resume. Do NOT invent employers, numbers, licenses or skills.
+- Tie the candidate's actual experience and skills to the job's requirements.
+
+TONE INSTRUCTIONS:
+{toneInstructions}`,
+    ],
+    [
+      'human',
+      `--- RESUME ---
+{resumeText}
+
+--- JOB POSTING ---
+{jobText}
+
+Write the {tone} cover letter.`,
+    ],
+  ]);
+
+  const llm = getLLM(LLM_TASKS.COVER_LETTER);
+  const chain = promptTemplate.pipe(llm).pipe(new StringOutputParser());
+
+  const raw = await runChain(chain, {
+    resumeText: formatResumeForMatching(resume),
+    jobText: formatJobForMatching(job),
+    tone,
+    toneInstructions: getToneInstructions(tone),
+  }, { signal, onToken });
+
+  const letter = fitCoverLetter(raw, aiConfig.coverLetter.maxLength);
+  if (!letter) {
+    throw new Error('AI generated an empty cover letter. Please try again.');
+  }
+  return letter;
+};
+
+module.exports = { generateCoverLetter, fitCoverLetter };
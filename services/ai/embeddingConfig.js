@@ -7,9 +7,20 @@
  * - Runs 100% locally — no API key, no cost
  * - First call downloads ~25MB model, then caches it locally
  * - Optimized for semantic similarity tasks
+ *
+ * Vectors from different models, dimensions or text templates can't be compared.
+ * Each stored job and candidate embedding records its version (getJobEmbeddingVersion,
+ * getCandidateEmbeddingVersion), and searches only use vectors matching the active one
+ * (activeJobEmbeddingFilter, activeCandidateEmbeddingFilter).
  */
 
 const { aiConfig } = require('../../config/ai');
+const { recordAiUsage, estimateTokens } = require('./usageLedger');
+
+// Bump when buildJobEmbeddingText changes; older job vectors are then re-embedded
+const JOB_EMBEDDING_TEMPLATE_VERSION = 1;
+// Bump when buildCandidateEmbeddingText changes; batch-index-candidates then re-embeds older ones
+const CANDIDATE_EMBEDDING_TEMPLATE_VERSION = 1;
 
 let pipelineInstance = null;
 let isLoading = false;
@@ -37,7 +48,7 @@ const getEmbeddingPipeline = async () => {
       env.cacheDir = './.model-cache';
       env.allowRemoteModels = true;
 
-      const modelName = process.env.EMBEDDING_MODEL || 'Xenova/all-MiniLM-L6-v2';
+      const modelName = aiConfig.embedding.model;
 
       console.log(`🔢 Loading embedding model: ${modelName}...`);
       pipelineInstance = await pipeline('feature-extraction', modelName, {
@@ -70,8 +81,31 @@ const embedText = async (text) => {
   // Truncate very long texts to avoid memory issues (model has 512 token limit)
   const truncated = text.slice(0, 2000);
 
-  // Run the model — output shape: [1, tokens, 384]
-  const output = await embedder(truncated, { pooling: 'mean', normalize: true });
+  const startedAt = Date.now();
+  const usage = {
+    kind: 'embedding',
+    feature: 'embedding',
+    model: aiConfig.embedding.model,
+    tokensIn: estimateTokens(truncated),
+    tokensEstimated: true,
+  };
+
+  let output;
+  try {
+    // Run the model — output shape: [1, tokens, 384]
+    output = await embedder(truncated, { pooling: 'mean', normalize: true });
+    recordAiUsage({ ...usage, latencyMs: Date.now() - startedAt, success: true });
+  } catch (err) {
+    recordAiUsage({ ...usage, latencyMs: Date.now() - startedAt, success: false, error: err.message });
+    throw err;
+  }
+
+  // A vector of the wrong size would be stored under the configured version
+  if (output.data.length !== aiConfig.embedding.dimensions) {
+    throw new Error(
+      `${aiConfig.embedding.model} returned ${output.data.length}-dimensional vectors; set EMBEDDING_DIMENSIONS=${output.data.length}`
+    );
+  }
 
   // Convert to plain JavaScript array
   return Array.from(output.data);
@@ -141,6 +175,143 @@ const buildJobEmbeddingText = (job) => {
   return parts.join('\n');
 };
 
+/**
+ * Model, dimensions and text template that new job embeddings are produced with
+ * Stored on each job as embeddingMeta.
+ * @returns {{ model: string, dimensions: number, templateVersion: number }}
+ */
+const getJobEmbeddingVersion = () => ({
+  model: aiConfig.embedding.model,
+  dimensions: aiConfig.embedding.dimensions,
+  templateVersion: JOB_EMBEDDING_TEMPLATE_VERSION,
+});
+
+/**
+ * Model, dimensions and text template that new candidate embeddings are produced with
+ * Stored on each job seeker as embeddingMeta.
+ * @returns {{ model: string, dimensions: number, templateVersion: number }}
+ */
+const getCandidateEmbeddingVersion = () => ({
+  model: aiConfig.embedding.model,
+  dimensions: aiConfig.embedding.dimensions,
+  templateVersion: CANDIDATE_EMBEDDING_TEMPLATE_VERSION,
+});
+
+const embeddingVersionFilter = (version) => ({
+  'embeddingMeta.model': version.model,
+  'embeddingMeta.dimensions': version.dimensions,
+  'embeddingMeta.templateVersion': version.templateVersion,
+});
+
+const hasEmbeddingVersion = (doc, version) => {
+  const meta = doc.embeddingMeta || {};
+  return Array.isArray(doc.embedding)
+    && doc.embedding.length === version.dimensions
+    && meta.model === version.model
+    && meta.dimensions === version.dimensions
+    && meta.templateVersion === version.templateVersion;
+};
+
+/**
+ * MongoDB filter for jobs whose stored embedding matches the active version
+ * @returns {Object}
+ */
+const activeJobEmbeddingFilter = () => embeddingVersionFilter(getJobEmbeddingVersion());
+
+/**
+ * Whether a job document's stored embedding can be compared with new query vectors
+ * @param {Object} job - With embedding and embeddingMeta
+ * @returns {boolean}
+ */
+const hasActiveJobEmbedding = (job) => hasEmbeddingVersion(job, getJobEmbeddingVersion());
+
+/**
+ * MongoDB filter for job seekers whose stored embedding matches the active version
+ * @returns {Object}
+ */
+const activeCandidateEmbeddingFilter = () => embeddingVersionFilter(getCandidateEmbeddingVersion());
+
+/**
+ * Whether a job seeker's stored embedding can be compared with new query vectors
+ * @param {Object} jobSeeker - With embedding and embeddingMeta
+ * @returns {boolean}
+ */
+const hasActiveCandidateEmbedding = (jobSeeker) => hasEmbeddingVersion(jobSeeker, getCandidateEmbeddingVersion());
+
+/**
+ * Build a text document for a candidate from their JobSeeker profile and default Resume
+ * The strongest signals come first because embedText truncates at 2000 characters
+ * @param {Object} jobSeeker - MongoDB jobseeker document
+ * @param {Object} [resume] - Default (or most recent) resume document
+ * @returns {string}
+ */
+const buildCandidateEmbeddingText = (jobSeeker, resume) => {
+  const parts = [];
+  const visible = (items) => (items || []).filter((item) => item && item.isVisible !== false);
+  const unique = (values) => [...new Set(values.filter(Boolean).map((v) => String(v).trim()))];
+
+  if (jobSeeker.title) parts.push(`Professional Title: ${jobSeeker.title}`);
+  if (jobSeeker.specializations && jobSeeker.specializations.length > 0) {
+    parts.push(`Specializations: ${jobSeeker.specializations.join(', ')}`);
+  }
+
+  const exp = jobSeeker.experience || {};
+  if (exp.totalYears != null) parts.push(`Experience: ${exp.totalYears} years`);
+  if (exp.currentPosition) {
+    parts.push(`Current Role: ${exp.currentPosition}${exp.currentCompany ? ` at ${exp.currentCompany}` : ''}`);
+  }
+
+  const summary = (resume && resume.summary) || jobSeeker.bio;
+  if (summary) parts.push(`Summary: ${summary.slice(0, 500)}`);
+
+  const skills = unique([
+    ...(jobSeeker.skills || []).map((s) => s.name),
+    ...visible(resume && resume.skills).map((s) => s.name),
+  ]);
+  if (skills.length > 0) parts.push(`Skills: ${skills.slice(0, 20).join(', ')}`);
+
+  const education = unique([
+    ...(jobSeeker.education || []).map((e) => `${e.degree} in ${e.field}`),
+    ...visible(resume && resume.education).map((e) => `${e.degree} in ${e.field}`),
+  ]);
+  if (education.length > 0) parts.push(`Education: ${education.slice(0, 4).join('; ')}`);
+
+  const certifications = unique([
+    ...(jobSeeker.certifications || []).map((c) => c.name),
+    ...visible(resume && resume.certifications).map((c) => c.name),
+  ]);
+  if (certifications.length > 0) parts.push(`Certifications: ${certifications.slice(0, 8).join(', ')}`);
+
+  const work = visible(resume && resume.workExperience).length > 0
+    ? visible(resume.workExperience)
+    : (jobSeeker.workExperience || []);
+  if (work.length > 0) {
+    const lines = work.slice(0, 4).map((w) => {
+      const desc = w.description ? ` - ${w.description.slice(0, 150)}` : '';
+      return `${w.position} at ${w.company}${desc}`;
+    });
+    parts.push(`Work Experience: ${lines.join('. ')}`);
+  }
+
+  const prefs = jobSeeker.jobPreferences || {};
+  const locations = (prefs.preferredLocations || [])
+    .map((l) => [l.city, l.state].filter(Boolean).join(', '))
+    .filter(Boolean);
+  if (locations.length > 0) parts.push(`Preferred Locations: ${locations.join('; ')}`);
+  if (prefs.preferredJobTypes && prefs.preferredJobTypes.length > 0) {
+    parts.push(`Preferred Job Types: ${prefs.preferredJobTypes.join(', ')}`);
+  }
+  if (prefs.preferredShifts && prefs.preferredShifts.length > 0) {
+    parts.push(`Preferred Shifts: ${prefs.preferredShifts.join(', ')}`);
+  }
+  if (prefs.remoteWorkPreference) parts.push(`Work Mode: ${prefs.remoteWorkPreference}`);
+
+  const languages = unique((jobSeeker.languages || []).map((l) => l.name));
+  if (languages.length > 0) parts.push(`Languages: ${languages.join(', ')}`);
+
+  return parts.join('\n');
+};
+
 /**
  * Warm up the embedding model on server start (optional)
  * Call this early to avoid cold-start delay on first user request
@@ -158,5 +329,14 @@ module.exports = {
   getEmbeddingPipeline,
   embedText,
   buildJobEmbeddingText,
+  buildCandidateEmbeddingText,
+  getJobEmbeddingVersion,
+  activeJobEmbeddingFilter,
+  hasActiveJobEmbedding,
+  getCandidateEmbeddingVersion,
+  activeCandidateEmbeddingFilter,
+  hasActiveCandidateEmbedding,
   warmupEmbeddingModel,
+  JOB_EMBEDDING_TEMPLATE_VERSION,
+  CANDIDATE_EMBEDDING_TEMPLATE_VERSION,
 };
@@ -0,0 +1,240 @@
+/**
+ * Job Embedding Migration
+ * Re-embeds stored job vectors that another model, dimension or text template produced
+ * (see getJobEmbeddingVersion in embeddingConfig.js) while semantic search stays up:
+ * searches only use vectors already on the active version, and each job rejoins them
+ * as soon as it is re-embedded.
+ *
+ * Progress is an EmbeddingMigration document saved after every batch, so a restarted
+ * server resumes where it stopped (resumeEmbeddingMigration runs on boot). A lease keeps
+ * two app instances from running the same migration.
+ */
+
+const os = require('os');
+const mongoose = require('mongoose');
+const EmbeddingMigration = require('../../models/EmbeddingMigration');
+const { getEmbeddingPipeline, getJobEmbeddingVersion, activeJobEmbeddingFilter } = require('./embeddingConfig');
+const { embedJob } = require('./jobEmbeddingPipeline');
+const { aiConfig } = require('../../config/ai');
+
+const LEASE_MS = 2 * 60 * 1000;
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// Key of the migration this process is running, if any
+let runningKey = null;
+
+const versionKey = (version) => `${version.model}|${version.dimensions}|${version.templateVersion}`;
+
+// Stored job vectors that don't match the active embedding version
+const staleJobFilter = () => ({
+  embedding: { $exists: true },
+  $nor: [activeJobEmbeddingFilter()],
+});
+
+const countStaleJobEmbeddings = () => mongoose.connection.collection('jobs').countDocuments(staleJobFilter());
+
+// Take or renew the lease; null if the migration is no longer running or another instance holds it
+const claimLease = (migrationId) => EmbeddingMigration.findOneAndUpdate(
+  {
+    _id: migrationId,
+    status: 'running',
+    $or: [
+      { leaseOwner: INSTANCE_ID },
+      { leaseExpiresAt: { $exists: false } },
+      { leaseExpiresAt: { $lt: new Date() } },
+    ],
+  },
+  { $set: { leaseOwner: INSTANCE_ID, leaseExpiresAt: new Date(Date.now() + LEASE_MS) } },
+  { new: true }
+).lean();
+
+const releaseLease = { $unset: { leaseOwner: '', leaseExpiresAt: '' } };
+
+/**
+ * Walk the stale jobs in _id order, re-embedding one batch at a time
+ * @param {ObjectId} migrationId
+ */
+const runMigration = async (migrationId) => {
+  const collection = mongoose.connection.collection('jobs');
+  const { batchSize } = aiConfig.embedding;
+
+  try {
+    // Fail the run once if the model can't load, rather than failing every job
+    await getEmbeddingPipeline();
+
+    for (;;) {
+      const migration = await claimLease(migrationId);
+      if (!migration) return;
+
+      const batch = await collection
+        .find(
+          { ...staleJobFilter(), ...(migration.lastJobId && { _id: { $gt: migration.lastJobId } }) },
+          { projection: { _id: 1 } }
+        )
+        .sort({ _id: 1 })
+        .limit(batchSize)
+        .toArray();
+
+      if (batch.length === 0) {
+        await EmbeddingMigration.updateOne(
+          { _id: migrationId },
+          { $set: { status: 'completed', completedAt: new Date() }, ...releaseLease }
+        );
+        console.log(`✅ Embedding migration complete: ${migration.processed} re-embedded, ${migration.failed} failed`);
+        return;
+      }
+
+      let processed = 0;
+      let failed = 0;
+      let lastError;
+      await Promise.allSettled(
+        batch.map(async (job) => {
+          try {
+            await embedJob(job._id);
+            processed++;
+          } catch (err) {
+            failed++;
+            lastError = `Job ${job._id}: ${err.message}`;
+          }
+        })
+      );
+
+      await EmbeddingMigration.updateOne(
+        { _id: migrationId },
+        {
+          $inc: { processed, failed },
+          $set: { lastJobId: batch[batch.length - 1]._id, ...(lastError && { lastError }) },
+        }
+      );
+
+      // Small delay between batches to be respectful of system resources
+      await new Promise((r) => setTimeout(r, 100));
+    }
+  } catch (err) {
+    console.error(`❌ Embedding migration failed: ${err.message}`);
+    await EmbeddingMigration.updateOne(
+      { _id: migrationId },
+      { $set: { status: 'failed', lastError: err.message }, ...releaseLease }
+    ).catch(() => {});
+  } finally {
+    runningKey = null;
+  }
+};
+
+/**
+ * Start re-embedding stale job vectors into the active version, or resume an unfinished run
+ * Returns at once; the work runs in the background.
+ *
+ * @param {Object} [options]
+ * @param {ObjectId} [options.startedBy] - Admin user starting it (empty on boot)
+ * @returns {Promise<{ migration: Object, started: boolean }>} started is false when it was
+ *   already running (here or on another instance)
+ */
+const startEmbeddingMigration = async ({ startedBy } = {}) => {
+  const version = getJobEmbeddingVersion();
+  const key = versionKey(version);
+
+  if (runningKey === key) {
+    return { migration: await EmbeddingMigration.findOne({ key }).lean(), started: false };
+  }
+  // Claimed before the first await so concurrent calls can't start a second loop
+  runningKey = key;
+
+  let migration;
+  try {
+    const existing = await EmbeddingMigration.findOne({ key }).lean();
+    if (existing && existing.status === 'running'
+      && existing.leaseOwner && existing.leaseOwner !== INSTANCE_ID
+      && existing.leaseExpiresAt > new Date()) {
+      runningKey = null;
+      return { migration: existing, started: false };
+    }
+
+    // An interrupted run keeps its progress; anything else starts over
+    migration = existing && existing.status === 'running'
+      ? existing
+      : await EmbeddingMigration.findOneAndUpdate(
+        { key },
+        {
+          $set: {
+            version,
+            status: 'running',
+            total: await countStaleJobEmbeddings(),
+            processed: 0,
+            failed: 0,
+            startedBy,
+            startedAt: new Date(),
+          },
+          $unset: { lastJobId: '', lastError: '', completedAt: '' },
+        },
+        { upsert: true, new: true }
+      ).lean();
+  } catch (err) {
+    runningKey = null;
+    throw err;
+  }
+
+  runMigration(migration._id);
+  return { migration, started: true };
+};
+
+/**
+ * On boot: resume an interrupted migration, or start one if stored vectors are stale
+ * (after EMBEDDING_MODEL, EMBEDDING_DIMENSIONS or the job text template changed)
+ */
+const resumeEmbeddingMigration = async () => {
+  if (!aiConfig.features.semanticSearch || !aiConfig.embedding.autoMigrate) return;
+
+  try {
+    await mongoose.connection.asPromise();
+    const stale = await countStaleJobEmbeddings();
+    const interrupted = await EmbeddingMigration.exists({
+      key: versionKey(getJobEmbeddingVersion()),
+      status: 'running',
+    });
+    if (stale === 0 && !interrupted) return;
+
+    console.log(`🔁 ${stale} job embeddings are from another model or template; re-embedding in the background`);
+    await startEmbeddingMigration();
+  } catch (err) {
+    console.warn(`⚠️  Could not resume embedding migration: ${err.message}`);
+  }
+};
+
+/**
+ * Active version, stale vector count and the active version's migration (for /api/ai/embedding-stats)
+ */
+const getEmbeddingMigrationStatus = async () => {
+  const version = getJobEmbeddingVersion();
+  const key = versionKey(version);
+  const [remaining, migration] = await Promise.all([
+    countStaleJobEmbeddings(),
+    EmbeddingMigration.findOne({ key }).lean(),
+  ]);
+
+  return {
+    activeVersion: version,
+    remaining,
+    migration: migration && {
+      status: migration.status,
+      total: migration.total,
+      processed: migration.processed,
+      failed: migration.failed,
+      percentComplete: migration.total > 0
+        ? Math.min(100, Math.round(((migration.processed + migration.failed) / migration.total) * 100))
+        : 100,
+      lastError: migration.lastError || null,
+      startedAt: migration.startedAt,
+      completedAt: migration.completedAt || null,
+      updatedAt: migration.updatedAt,
+      runningOn: migration.status === 'running' ? migration.leaseOwner || null : null,
+    },
+  };
+};
+
+module.exports = {
+  startEmbeddingMigration,
+  resumeEmbeddingMigration,
+  getEmbeddingMigrationStatus,
+  countStaleJobEmbeddings,
+};
@@ -0,0 +1,202 @@
+/**
+ * Job Draft Chain
+ * AI job description writer and requirements extractor for employers
+ *
+ * Two modes:
+ *   brief     — write a full job draft from a short brief (role, specialization, seniority, location)
+ *   structure — split an existing free-text description into responsibilities, requirements and benefits
+ *
+ * The draft is never saved here. Every field is clipped to the Job schema's own
+ * limits and enums so the employer can post it as-is through POST /api/jobs.
+ */
+
+const { ChatPromptTemplate } = require('@langchain/core/prompts');
+const { StringOutputParser } = require('@langchain/core/output_parsers');
+const { getLLM, LLM_TASKS } = require('./llmConfig');
+const { parseLLMJson } = require('./matchScorer');
+const { aiConfig } = require('../../config/ai');
+const Job = require('../../models/Job');
+const { SPECIALIZATIONS } = require('../../models/Job');
+
+const schemaMax = (path) => {
+  const schemaType = Job.schema.path(path);
+  const options = schemaType.caster ? schemaType.caster.options : schemaType.options;
+  const max = options.maxlength;
+  return Array.isArray(max) ? max[0] : max;
+};
+
+// Read from the Job schema so the draft can't drift from it
+const LIMITS = {
+  title: schemaMax('title'),
+  description: schemaMax('description'),
+  responsibilities: schemaMax('responsibilities'),
+  requirements: schemaMax('requirements'),
+  benefits: schemaMax('benefits'),
+};
+const JOB_TYPES = Job.schema.path('jobType').enumValues;
+const SHIFTS = Job.schema.path('shift').enumValues;
+
+// Seniority levels and the experience range each one implies
+const SENIORITY_LEVELS = {
+  Entry: { minYears: 0, maxYears: 2 },
+  Mid: { minYears: 2, maxYears: 5 },
+  Senior: { minYears: 5, maxYears: 10 },
+  Lead: { minYears: 8 },
+};
+
+const clip = (value, max) => {
+  if (typeof value !== 'string') return undefined;
+  const s = value.replace(/[ \t]+/g, ' ').trim();
+  if (!s) return undefined;
+  if (s.length <= max) return s;
+  const cut = s.slice(0, max);
+  const sentenceEnd = cut.lastIndexOf('. ');
+  return (sentenceEnd > max * 0.6 ? cut.slice(0, sentenceEnd + 1) : cut).trim();
+};
+
+const clipList = (value, max) => {
+  const seen = new Set();
+  return (Array.isArray(value) ? value : [])
+    .map((item) => clip(typeof item === 'string' ? item.replace(/^\s*(?:[-•*]\s*|\d+[.)]\s+)/, '') : item, max))
+    .filter((item) => {
+      if (!item || seen.has(item.toLowerCase())) return false;
+      seen.add(item.toLowerCase());
+      return true;
+    })
+    .slice(0, aiConfig.jobDraft.maxListItems);
+};
+
+/**
+ * Match free text to a SPECIALIZATIONS value (case-insensitive)
+ * @param {string} value
+ * @returns {string|undefined}
+ */
+const resolveSpecialization = (value) => {
+  if (typeof value !== 'string' || !value.trim()) return undefined;
+  const lower = value.trim().toLowerCase();
+  return SPECIALIZATIONS.find((s) => s.toLowerCase() === lower)
+    || SPECIALIZATIONS.find((s) => s !== 'Other' && lower.includes(s.toLowerCase()));
+};
+
+const pickEnum = (value, allowed) =>
+  allowed.find((v) => typeof value === 'string' && v.toLowerCase() === value.trim().toLowerCase());
+
+/**
+ * Coerce LLM output into a Job-shaped draft within the schema limits
+ * Brief values the employer gave take precedence over the model's choices.
+ *
+ * @param {Object} raw - Parsed LLM JSON
+ * @param {Object} [brief] - Normalized brief
+ * @returns {Object}
+ */
+const normalizeJobDraft = (raw, brief = {}) => {
+  const draft = {
+    title: clip(brief.title, LIMITS.title) || clip(raw.title, LIMITS.title),
+    specialization: brief.specialization || resolveSpecialization(raw.specialization) || 'Other',
+    jobType: brief.jobType || pickEnum(raw.jobType, JOB_TYPES),
+    shift: brief.shift || pickEnum(raw.shift, SHIFTS),
+    description: clip(raw.description, LIMITS.description),
+    responsibilities: clipList(raw.responsibilities, LIMITS.responsibilities),
+    requirements: clipList(raw.requirements, LIMITS.requirements),
+    benefits: clipList(raw.benefits, LIMITS.benefits),
+  };
+
+  if (brief.seniority) {
+    draft.experienceRequired = { ...SENIORITY_LEVELS[brief.seniority] };
+  } else if (raw.experienceRequired && Number.isFinite(Number(raw.experienceRequired.minYears))) {
+    const minYears = Math.max(0, Math.min(50, Math.round(Number(raw.experienceRequired.minYears))));
+    const maxYears = Number(raw.experienceRequired.maxYears);
+    draft.experienceRequired = {
+      minYears,
+      ...(Number.isFinite(maxYears) && maxYears >= minYears && { maxYears: Math.min(50, Math.round(maxYears)) }),
+    };
+  }
+
+  if (brief.location) draft.location = brief.location;
+  if (brief.isRemote !== undefined) draft.isRemote = brief.isRemote;
+
+  Object.keys(draft).forEach((key) => draft[key] === undefined && delete draft[key]);
+  return draft;
+};
+
+const SYSTEM_PROMPT = `You are an expert healthcare recruiter writing job postings for hospitals and clinics.
+
+You MUST respond with ONLY a valid JSON object (no markdown, no explanation):
+
+{{
+  "title": "<job title, max ${LIMITS.title} characters>",
+  "specialization": "<exactly one of: ${SPECIALIZATIONS.join(', ')}>",
+  "jobType": "<one of: ${JOB_TYPES.join(', ')}>",
+  "shift": "<one of: ${SHIFTS.join(', ')}>",
+  "experienceRequired": {{ "minYears": <number>, "maxYears": <number or null> }},
+  "description": "<overview of the role and organization, plain text, max ${LIMITS.description} characters>",
+  "responsibilities": ["<one duty per item, max ${LIMITS.responsibilities} characters>"],
+  "requirements": ["<one qualification, license or skill per item, max ${LIMITS.requirements} characters>"],
+  "benefits": ["<one benefit per item, max ${LIMITS.benefits} characters>"]
+}}
+
+RULES:
+- At most ${aiConfig.jobDraft.maxListItems} items per list. No bullet characters or numbering inside items.
+- Use inclusive, neutral language. No age, gender, religion, marital status or nationality requirements.
+- {modeInstructions}`;
+
+const MODE_INSTRUCTIONS = {
+  brief: `Write a complete, realistic posting from the brief. Keep requirements to what the role genuinely needs.
+- Do NOT invent salary figures, named benefits programs or facts about the organization that aren't in the brief; keep benefits generic if none are given.`,
+  structure: `Restructure the existing description only. Every responsibility, requirement and benefit must come from the text.
+- Do NOT add duties, qualifications or benefits that the text doesn't state. Keep "description" to the overview paragraphs (not the lists).
+- Use null or [] for anything the text doesn't cover.`,
+};
+
+/**
+ * Generate a job draft
+ *
+ * @param {Object} params
+ * @param {Object} [params.brief] - { title, specialization, seniority, location, jobType, shift, isRemote, notes }
+ * @param {string} [params.text] - Existing free-text description to restructure
+ * @param {string} [params.organizationName]
+ * @returns {Promise<{ mode: string, draft: Object }>}
+ */
+const generateJobDraft = async ({ brief = {}, text, organizationName }) => {
+  const mode = text ? 'structure' : 'brief';
+
+  const briefLines = [
+    brief.title && `Role: ${brief.title}`,
+    brief.specialization && `Specialization: ${brief.specialization}`,
+    brief.seniority && `Seniority: ${brief.seniority} (${SENIORITY_LEVELS[brief.seniority].minYears}+ years)`,
+    brief.location && `Location: ${[brief.location.city, brief.location.state, brief.location.country].filter(Boolean).join(', ')}`,
+    brief.isRemote && 'Remote: yes',
+    brief.jobType && `Job type: ${brief.jobType}`,
+    brief.shift && `Shift: ${brief.shift}`,
+    organizationName && `Organization: ${organizationName}`,
+    brief.notes && `Notes from the employer: ${brief.notes}`,
+  ].filter(Boolean);
+
+  const human = mode === 'structure'
+    ? `--- BRIEF ---\n{briefText}\n\n--- EXISTING DESCRIPTION ---\n{text}\n\nReturn the structured job JSON.`
+    : '--- BRIEF ---\n{briefText}\n\nReturn the job draft JSON.';
+
+  const promptTemplate = ChatPromptTemplate.fromMessages([
+    ['system', SYSTEM_PROMPT],
+    ['human', human],
+  ]);
+
+  const llm = getLLM(LLM_TASKS.JOB_DRAFT);
+  const chain = promptTemplate.pipe(llm).pipe(new StringOutputParser());
+
+  const rawOutput = await chain.invoke({
+    modeInstructions: MODE_INSTRUCTIONS[mode],
+    briefText: briefLines.join('\n') || '(none)',
+    ...(mode === 'structure' && { text: text.slice(0, aiConfig.jobDraft.maxInputChars) }),
+  });
+
+  return { mode, draft: normalizeJobDraft(parseLLMJson(rawOutput), brief) };
+};
+
+module.exports = {
+  generateJobDraft,
+  normalizeJobDraft,
+  resolveSpecialization,
+  SENIORITY_LEVELS,
+  LIMITS,
+};
@@ -9,11 +9,17 @@
  */
 
 const mongoose = require('mongoose');
-const { embedText, buildJobEmbeddingText } = require('./embeddingConfig');
+const {
+  embedText,
+  buildJobEmbeddingText,
+  getJobEmbeddingVersion,
+  activeJobEmbeddingFilter,
+} = require('./embeddingConfig');
+const { upsertJobVector, removeJobVector } = require('./jobVectorIndex');
 
 /**
  * Generate and store an embedding for a single job document
- * Updates the job document in-place with the embedding field
+ * Updates the job document in-place with the embedding field and the version that produced it
  *
  * @param {string|ObjectId} jobId - MongoDB ObjectId of the job
  * @returns {Promise<{ success: boolean, jobId: string, dimensions: number }>}
@@ -42,9 +48,11 @@ const embedJob = async (jobId) => {
       $set: {
         embedding,
         embeddingUpdatedAt: new Date(),
+        embeddingMeta: getJobEmbeddingVersion(),
       },
     }
   );
+  upsertJobVector(job._id, embedding);
 
   return {
     success: true,
@@ -60,10 +68,12 @@ const embedJob = async (jobId) => {
  * @param {Object} options
  * @param {number} [options.batchSize=10] - Jobs to process concurrently
  * @param {boolean} [options.reindexAll=false] - Re-embed ALL jobs (not just missing ones)
+ * @param {Function} [options.onProgress] - (done, total) after every batch
+ * @param {AbortSignal} [options.signal] - Stops the run before the next batch
  * @returns {Promise<{ processed: number, failed: number, skipped: number }>}
  */
 const batchIndexJobs = async (options = {}) => {
-  const { batchSize = 5, reindexAll = false } = options;
+  const { batchSize = 5, reindexAll = false, onProgress, signal } = options;
   const collection = mongoose.connection.collection('jobs');
 
   // Find jobs that need indexing
@@ -81,6 +91,7 @@ const batchIndexJobs = async (options = {}) => {
 
   // Process in batches to avoid memory overload
   for (let i = 0; i < jobs.length; i += batchSize) {
+    signal?.throwIfAborted();
     const batch = jobs.slice(i, i + batchSize);
 
     await Promise.allSettled(
@@ -98,6 +109,8 @@ const batchIndexJobs = async (options = {}) => {
       })
     );
 
+    if (onProgress) onProgress(processed + failed + skipped, jobs.length);
+
     // Small delay between batches to be respectful of system resources
     if (i + batchSize < jobs.length) {
       await new Promise((r) => setTimeout(r, 100));
@@ -119,27 +132,39 @@ const removeJobEmbedding = async (jobId) => {
 
   await collection.updateOne(
     { _id: new ObjectId(jobId.toString()) },
-    { $unset: { embedding: '', embeddingUpdatedAt: '' } }
+    { $unset: { embedding: '', embeddingUpdatedAt: '', embeddingMeta: '' } }
   );
+  removeJobVector(jobId);
 };
 
 /**
  * Get embedding statistics for the jobs collection
- * @returns {Promise<{ total: number, indexed: number, unindexed: number }>}
+ * indexed counts Active jobs searchable with the active embedding version; stale ones
+ * have a vector from another model, dimension or template and await re-embedding.
+ * @returns {Promise<{ total: number, indexed: number, stale: number, unindexed: number, percentIndexed: number, versions: Array }>}
  */
 const getEmbeddingStats = async () => {
   const collection = mongoose.connection.collection('jobs');
 
-  const [total, indexed] = await Promise.all([
+  const [total, indexed, embedded, versions] = await Promise.all([
     collection.countDocuments({ status: 'Active' }),
+    collection.countDocuments({ status: 'Active', embedding: { $exists: true }, ...activeJobEmbeddingFilter() }),
     collection.countDocuments({ status: 'Active', embedding: { $exists: true } }),
+    collection.aggregate([
+      { $match: { embedding: { $exists: true } } },
+      { $group: { _id: '$embeddingMeta', jobs: { $sum: 1 } } },
+      { $sort: { jobs: -1 } },
+    ]).toArray(),
   ]);
 
   return {
     total,
     indexed,
-    unindexed: total - indexed,
+    stale: embedded - indexed,
+    unindexed: total - embedded,
     percentIndexed: total > 0 ? Math.round((indexed / total) * 100) : 0,
+    // Every stored vector (any status) by version; null = stored before versioning
+    versions: versions.map((v) => ({ version: v._id || null, jobs: v.jobs })),
   };
 };
 
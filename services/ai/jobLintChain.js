@@ -0,0 +1,103 @@
+/**
+ * Job Lint Chain
+ * LLM pass for biased or exclusionary wording the rule dictionary misses
+ *
+ * Findings are only kept when their quote actually appears in the named field,
+ * so the model can't flag text the employer never wrote. The model can raise
+ * warnings or severe findings but cannot clear rule findings.
+ */
+
+const { ChatPromptTemplate } = require('@langchain/core/prompts');
+const { StringOutputParser } = require('@langchain/core/output_parsers');
+const { getLLM, LLM_TASKS } = require('./llmConfig');
+const { parseLLMJson } = require('./matchScorer');
+
+// Mirrors LINT_CATEGORIES in services/jobLintService.js (not imported to avoid a require cycle)
+const LLM_CATEGORIES = ['age', 'gender', 'marital_status', 'religion', 'nationality', 'appearance', 'disability', 'other'];
+const LLM_SEVERITIES = ['warning', 'severe'];
+
+const SYSTEM_PROMPT = `You review healthcare job postings for discriminatory or exclusionary language.
+
+Flag wording that discourages or excludes candidates by age, gender, marital or family status,
+religion or caste, nationality or origin, appearance, or disability — including coded language
+(e.g. "digital native", "young and dynamic", "culture fit", "rockstar").
+
+Do NOT flag legitimate requirements: licenses, registrations, clinical skills, language fluency,
+shift availability, or physical tasks that are described concretely.
+
+You MUST respond with ONLY a valid JSON object (no markdown, no explanation):
+
+{{
+  "findings": [
+    {{
+      "field": "<field label exactly as given in brackets>",
+      "quote": "<exact words copied from that field>",
+      "category": "<one of: ${LLM_CATEGORIES.join(', ')}>",
+      "severity": "<warning | severe>",
+      "message": "<why this is a problem, one sentence>",
+      "suggestion": "<neutral rewrite or what to do instead>"
+    }}
+  ]
+}}
+
+Use "severe" only for explicit exclusion of a protected group. Return {{ "findings": [] }} if nothing is wrong.`;
+
+/**
+ * Keep only well-formed findings whose quote appears in the named field
+ * @param {Object} raw - Parsed LLM JSON
+ * @param {Array<{ field: string, text: string }>} fields
+ * @returns {Object[]}
+ */
+const normalizeLLMFindings = (raw, fields) => {
+  const byField = new Map(fields.map((f) => [f.field, f.text.toLowerCase()]));
+  const seen = new Set();
+
+  return (Array.isArray(raw && raw.findings) ? raw.findings : [])
+    .filter((f) => f && typeof f.quote === 'string' && f.quote.trim() && byField.has(f.field))
+    .filter((f) => byField.get(f.field).includes(f.quote.trim().toLowerCase()))
+    .map((f) => ({
+      category: LLM_CATEGORIES.includes(f.category) ? f.category : 'other',
+      severity: LLM_SEVERITIES.includes(f.severity) ? f.severity : 'warning',
+      field: f.field,
+      match: f.quote.trim(),
+      message: typeof f.message === 'string' ? f.message.trim().slice(0, 300) : 'Potentially exclusionary wording',
+      suggestion: typeof f.suggestion === 'string' ? f.suggestion.trim().slice(0, 300) : undefined,
+      source: 'llm',
+    }))
+    .filter((f) => {
+      const key = `${f.field}:${f.match.toLowerCase()}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Run the LLM lint pass over a posting's text fields
+ *
+ * @param {Object} job - Plain job-like object
+ * @param {Array<{ field: string, text: string }>} fields - From collectTextFields()
+ * @returns {Promise<Object[]>} findings with source "llm"
+ */
+const lintJobWithLLM = async (job, fields) => {
+  if (fields.length === 0) return [];
+
+  const promptTemplate = ChatPromptTemplate.fromMessages([
+    ['system', SYSTEM_PROMPT],
+    ['human', '--- JOB POSTING ---\n{postingText}\n\nReturn the findings JSON.'],
+  ]);
+
+  const llm = getLLM(LLM_TASKS.JOB_LINT);
+  const chain = promptTemplate.pipe(llm).pipe(new StringOutputParser());
+
+  const rawOutput = await chain.invoke({
+    postingText: fields.map((f) => `[${f.field}] ${f.text}`).join('\n'),
+  });
+
+  return normalizeLLMFindings(parseLLMJson(rawOutput), fields);
+};
+
+module.exports = {
+  lintJobWithLLM,
+  normalizeLLMFindings,
+};
@@ -0,0 +1,330 @@
+/**
+ * Job Recommender
+ * Personalized "recommended jobs for you" feed
+ *
+ * 1. Query vector = the seeker's candidate embedding (profile + default resume)
+ * 2. Atlas Vector Search over jobs, then filter on the seeker's jobPreferences
+ *    and drop jobs already applied to or saved
+ * 3. Fallback: cosine similarity in memory when the Atlas index is unavailable,
+ *    or most recent matching jobs when the profile is too empty to embed
+ * 4. Rule-based explanations ("In your preferred location", ...)
+ *
+ * Results are cached per user. The cache entry is keyed on the profile's
+ * updatedAt/embeddingUpdatedAt, so profile and resume changes invalidate it,
+ * and apply/save/unsave invalidate it explicitly.
+ */
+
+const mongoose = require('mongoose');
+const {
+  embedText,
+  buildCandidateEmbeddingText,
+  activeJobEmbeddingFilter,
+  hasActiveCandidateEmbedding,
+} = require('./embeddingConfig');
+const { cosineSimilarity } = require('./candidateSearch');
+const { aiConfig } = require('../../config/ai');
+
+const JOB_PROJECTION = {
+  _id: 1,
+  title: 1,
+  organizationName: 1,
+  location: 1,
+  specialization: 1,
+  jobType: 1,
+  shift: 1,
+  isRemote: 1,
+  experienceRequired: 1,
+  salary: 1,
+  description: 1,
+  status: 1,
+  postedAt: 1,
+  expiresAt: 1,
+  isFeatured: 1,
+};
+
+// userId -> { fingerprint, expiresAt, payload }
+const cache = new Map();
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Drop a user's cached feed (call after apply/save/unsave)
+ * @param {string|ObjectId} userId
+ */
+const invalidateRecommendations = (userId) => {
+  cache.delete(String(userId));
+};
+
+const readCache = (userId, fingerprint) => {
+  const entry = cache.get(String(userId));
+  if (!entry) return null;
+  if (entry.fingerprint !== fingerprint || entry.expiresAt < Date.now()) {
+    cache.delete(String(userId));
+    return null;
+  }
+  return entry.payload;
+};
+
+const writeCache = (userId, fingerprint, payload) => {
+  // Simple bound: evict the oldest entry (Map keeps insertion order)
+  if (cache.size >= aiConfig.recommendations.maxCacheEntries) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(String(userId), {
+    fingerprint,
+    expiresAt: Date.now() + aiConfig.recommendations.cacheTtlMs,
+    payload,
+  });
+};
+
+/**
+ * Build a MongoDB filter from the seeker's jobPreferences
+ * @param {Object} prefs - JobSeeker.jobPreferences
+ * @returns {Object}
+ */
+const buildPreferenceFilter = (prefs = {}) => {
+  const and = [];
+
+  const cities = (prefs.preferredLocations || []).map((l) => l.city).filter(Boolean);
+  if (cities.length > 0 && !prefs.willingToRelocate) {
+    and.push({
+      $or: [
+        { isRemote: true },
+        { 'location.city': { $in: cities.map((c) => new RegExp(`^${escapeRegex(c)}$`, 'i')) } },
+      ],
+    });
+  }
+
+  if (prefs.preferredJobTypes && prefs.preferredJobTypes.length > 0) {
+    and.push({ jobType: { $in: prefs.preferredJobTypes } });
+  }
+
+  const shifts = prefs.preferredShifts || [];
+  if (shifts.length > 0 && !shifts.includes('Flexible')) {
+    and.push({ shift: { $in: shifts } });
+  }
+
+  // Only compare salaries quoted in the same currency and period; undisclosed salaries stay in
+  const expected = prefs.expectedSalary || {};
+  if (expected.min) {
+    and.push({
+      $or: [
+        { 'salary.max': { $exists: false } },
+        { 'salary.max': null },
+        { 'salary.currency': { $ne: expected.currency || 'INR' } },
+        { 'salary.period': { $ne: expected.period || 'Annual' } },
+        { 'salary.max': { $gte: expected.min } },
+      ],
+    });
+  }
+
+  if (prefs.remoteWorkPreference === 'Remote only') and.push({ isRemote: true });
+  if (prefs.remoteWorkPreference === 'On-site only') and.push({ isRemote: false });
+
+  return and.length > 0 ? { $and: and } : {};
+};
+
+/**
+ * Jobs every recommendation must satisfy: open and not already seen by the seeker
+ */
+const buildBaseFilter = (excludedJobIds) => ({
+  status: 'Active',
+  _id: { $nin: excludedJobIds },
+  $or: [{ expiresAt: { $exists: false } }, { expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+});
+
+const runVectorRecommendation = async (queryVector, filter, limit) => {
+  const collection = mongoose.connection.collection('jobs');
+  const pool = aiConfig.recommendations.candidatePool;
+
+  return collection.aggregate([
+    {
+      $vectorSearch: {
+        index: aiConfig.embedding.vectorIndexName,
+        path: 'embedding',
+        queryVector,
+        numCandidates: pool * 5,
+        limit: pool,
+      },
+    },
+    { $match: { ...filter, ...activeJobEmbeddingFilter() } },
+    { $project: { ...JOB_PROJECTION, score: { $meta: 'vectorSearchScore' } } },
+    { $limit: limit },
+  ]).toArray();
+};
+
+const runCosineRecommendation = async (queryVector, filter, limit) => {
+  const collection = mongoose.connection.collection('jobs');
+
+  const jobs = await collection
+    .find(
+      { ...filter, embedding: { $exists: true }, ...activeJobEmbeddingFilter() },
+      { projection: { ...JOB_PROJECTION, embedding: 1 } }
+    )
+    .sort({ postedAt: -1 })
+    .limit(aiConfig.embedding.fallbackScanLimit)
+    .toArray();
+
+  return jobs
+    .map(({ embedding, ...job }) => ({ ...job, score: cosineSimilarity(queryVector, embedding) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+const runRecentRecommendation = async (filter, limit) => {
+  const collection = mongoose.connection.collection('jobs');
+  return collection
+    .find(filter, { projection: JOB_PROJECTION })
+    .sort({ isFeatured: -1, postedAt: -1 })
+    .limit(limit)
+    .toArray();
+};
+
+/**
+ * Short, rule-based reasons a job fits the seeker
+ * @returns {string[]}
+ */
+const explainMatch = (job, jobSeeker) => {
+  const reasons = [];
+  const prefs = jobSeeker.jobPreferences || {};
+
+  if ((jobSeeker.specializations || []).includes(job.specialization)) {
+    reasons.push(`Matches your specialization in ${job.specialization}`);
+  }
+
+  const years = jobSeeker.experience && jobSeeker.experience.totalYears;
+  const req = job.experienceRequired || {};
+  if (years != null && (req.minYears == null || years >= req.minYears) && (req.maxYears == null || years <= req.maxYears)) {
+    reasons.push(`Fits your ${years} years of experience`);
+  }
+
+  const city = job.location && job.location.city;
+  const preferredCity = (prefs.preferredLocations || []).find(
+    (l) => city && l.city && l.city.toLowerCase() === city.toLowerCase()
+  );
+  if (preferredCity) reasons.push(`In your preferred location (${job.location.city})`);
+  else if (job.isRemote && prefs.remoteWorkPreference !== 'On-site only') reasons.push('Remote role');
+
+  if ((prefs.preferredJobTypes || []).includes(job.jobType)) reasons.push(`${job.jobType}, as you prefer`);
+  if ((prefs.preferredShifts || []).includes(job.shift)) reasons.push(`${job.shift} shift`);
+
+  const expected = prefs.expectedSalary || {};
+  if (
+    expected.min && job.salary && job.salary.max >= expected.min &&
+    job.salary.currency === (expected.currency || 'INR') &&
+    job.salary.period === (expected.period || 'Annual')
+  ) {
+    reasons.push('Meets your salary expectation');
+  }
+
+  return reasons;
+};
+
+/**
+ * Resolve the seeker's query vector: stored candidate embedding of the active version,
+ * else embed on the fly
+ * @returns {Promise<number[]|null>} null when the profile has nothing to embed
+ */
+const resolveProfileVector = async (jobSeeker) => {
+  if (hasActiveCandidateEmbedding(jobSeeker)) {
+    return jobSeeker.embedding;
+  }
+
+  const resumes = mongoose.connection.collection('resumes');
+  const [resume] = await resumes
+    .find({ userId: jobSeeker.user })
+    .sort({ isDefault: -1, updatedAt: -1 })
+    .limit(1)
+    .toArray();
+
+  const text = buildCandidateEmbeddingText(jobSeeker, resume);
+  if (!text.trim()) return null;
+  return embedText(text);
+};
+
+/**
+ * Get the recommended jobs feed for a job seeker
+ *
+ * @param {Object} jobSeeker - Lean JobSeeker with +embedding +embeddingUpdatedAt +embeddingMeta selected
+ * @param {Object} [options]
+ * @param {number} [options.limit=10]
+ * @param {boolean} [options.refresh=false] - Bypass the cache
+ * @returns {Promise<{ results: Array, searchMode: string, preferencesRelaxed: boolean, cached: boolean, generatedAt: Date }>}
+ */
+const getRecommendedJobs = async (jobSeeker, options = {}) => {
+  const { limit = 10, refresh = false } = options;
+  const userId = jobSeeker.user;
+
+  const fingerprint = [
+    jobSeeker.updatedAt && new Date(jobSeeker.updatedAt).getTime(),
+    jobSeeker.embeddingUpdatedAt && new Date(jobSeeker.embeddingUpdatedAt).getTime(),
+  ].join('|');
+
+  if (!refresh) {
+    const cached = readCache(userId, fingerprint);
+    if (cached) {
+      return { ...cached, results: cached.results.slice(0, limit), cached: true };
+    }
+  }
+
+  const [applied, saved] = await Promise.all([
+    mongoose.connection.collection('applications').distinct('job', { jobSeeker: jobSeeker._id }),
+    mongoose.connection.collection('savedjobs').distinct('job', { jobSeeker: jobSeeker._id }),
+  ]);
+
+  const baseFilter = buildBaseFilter([...applied, ...saved]);
+  const preferenceFilter = buildPreferenceFilter(jobSeeker.jobPreferences);
+  const poolSize = aiConfig.recommendations.maxResults;
+
+  const queryVector = await resolveProfileVector(jobSeeker);
+
+  const search = async (filter) => {
+    if (!queryVector) {
+      return { jobs: await runRecentRecommendation(filter, poolSize), mode: 'recent' };
+    }
+    try {
+      return { jobs: await runVectorRecommendation(queryVector, filter, poolSize), mode: 'vector' };
+    } catch (vectorErr) {
+      console.warn(`⚠️  Recommendation vector search failed, using cosine fallback: ${vectorErr.message}`);
+      return { jobs: await runCosineRecommendation(queryVector, filter, poolSize), mode: 'cosine_fallback' };
+    }
+  };
+
+  let { jobs, mode } = await search({ ...baseFilter, ...preferenceFilter });
+  let preferencesRelaxed = false;
+
+  // Preferences too narrow — fall back to profile similarity alone
+  if (jobs.length === 0 && Object.keys(preferenceFilter).length > 0) {
+    ({ jobs, mode } = await search(baseFilter));
+    preferencesRelaxed = true;
+  }
+
+  const results = jobs.map((job) => {
+    const reasons = explainMatch(job, jobSeeker);
+    return {
+      ...job,
+      _id: job._id.toString(),
+      relevanceScore: job.score != null ? Math.round(job.score * 1000) / 1000 : null,
+      reasons,
+      explanation: reasons.length > 0
+        ? reasons.slice(0, 3).join(' · ')
+        : 'Similar to roles in your profile',
+    };
+  });
+
+  const payload = {
+    results,
+    searchMode: mode,
+    preferencesRelaxed,
+    generatedAt: new Date(),
+  };
+  writeCache(userId, fingerprint, payload);
+
+  return { ...payload, results: results.slice(0, limit), cached: false };
+};
+
+module.exports = {
+  getRecommendedJobs,
+  invalidateRecommendations,
+  buildPreferenceFilter,
+};
@@ -0,0 +1,168 @@
+/**
+ * In-memory Job Vector Index
+ * Fallback for semantic search when Atlas $vectorSearch is unavailable (plain MongoDB,
+ * local docker-compose, index not created yet)
+ *
+ * - Brute-force cosine similarity over the stored Job.embedding vectors of the active
+ *   embedding version, held as normalized Float32Arrays (384 dims ≈ 1.5 KB per job)
+ * - Built lazily on first search, then reloaded from MongoDB every refreshIntervalMs
+ *   so writes from other app instances show up; the stale snapshot keeps serving meanwhile
+ * - Kept in sync in-process by embedJob / removeJobEmbedding
+ * - Filters run in MongoDB first (same filter object as the Atlas path), and only the
+ *   matching ids are scored, so narrow filters still return a full page
+ */
+
+const mongoose = require('mongoose');
+const { aiConfig } = require('../../config/ai');
+const { activeJobEmbeddingFilter } = require('./embeddingConfig');
+
+// jobId -> Float32Array (unit length)
+let vectors = new Map();
+let loadedAt = null;
+let building = null;
+// Changes made while a rebuild is reading the collection; replayed over the new snapshot
+let changesDuringBuild = null;
+
+const normalizeVector = (values) => {
+  if (!Array.isArray(values) || values.length !== aiConfig.embedding.dimensions) return null;
+  const vector = Float32Array.from(values);
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  if (norm === 0) return null;
+  norm = Math.sqrt(norm);
+  for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  return vector;
+};
+
+const setEntry = (map, id, vector) => {
+  if (vector) map.set(id, vector);
+  else map.delete(id);
+};
+
+/**
+ * Reload every stored job embedding from MongoDB
+ * @returns {Promise<number>} Vectors loaded
+ */
+const rebuildJobVectorIndex = () => {
+  if (building) return building;
+
+  changesDuringBuild = new Map();
+  building = (async () => {
+    const next = new Map();
+    const { maxVectors } = aiConfig.vectorIndex;
+    const cursor = mongoose.connection.collection('jobs')
+      .find({ embedding: { $exists: true }, ...activeJobEmbeddingFilter() }, { projection: { _id: 1, embedding: 1 } })
+      .sort({ embeddingUpdatedAt: -1 });
+
+    for await (const job of cursor) {
+      if (next.size >= maxVectors) {
+        console.warn(`⚠️  In-memory vector index is full (${maxVectors} jobs); older embeddings are left out`);
+        break;
+      }
+      setEntry(next, job._id.toString(), normalizeVector(job.embedding));
+    }
+
+    changesDuringBuild.forEach((vector, id) => setEntry(next, id, vector));
+    vectors = next;
+    loadedAt = Date.now();
+    return vectors.size;
+  })().finally(() => {
+    building = null;
+    changesDuringBuild = null;
+  });
+
+  return building;
+};
+
+// First search waits for the build; later ones refresh in the background
+const ensureLoaded = async () => {
+  if (!loadedAt) {
+    await rebuildJobVectorIndex();
+    return;
+  }
+  if (Date.now() - loadedAt > aiConfig.vectorIndex.refreshIntervalMs) {
+    rebuildJobVectorIndex().catch((err) =>
+      console.warn(`⚠️  In-memory vector index refresh failed: ${err.message}`)
+    );
+  }
+};
+
+/**
+ * Add or replace a job's vector (called by embedJob, always with the active version)
+ * @param {string|ObjectId} jobId
+ * @param {number[]} embedding
+ */
+const upsertJobVector = (jobId, embedding) => {
+  const id = jobId.toString();
+  const vector = normalizeVector(embedding);
+  if (changesDuringBuild) changesDuringBuild.set(id, vector);
+  if (loadedAt) setEntry(vectors, id, vector);
+};
+
+/**
+ * Drop a job's vector (called by removeJobEmbedding)
+ * @param {string|ObjectId} jobId
+ */
+const removeJobVector = (jobId) => {
+  const id = jobId.toString();
+  if (changesDuringBuild) changesDuringBuild.set(id, null);
+  if (loadedAt) vectors.delete(id);
+};
+
+/**
+ * Nearest jobs to a query vector
+ * Scores use Atlas's cosine scale ((1 + cosine) / 2), so relevance scores read the same
+ * whichever path served the search.
+ *
+ * @param {number[]} queryVector
+ * @param {Object} options
+ * @param {number} options.limit - Max hits
+ * @param {Object} [options.filter] - MongoDB filter the jobs must match (e.g. from buildJobFilters)
+ * @returns {Promise<Array<{ _id: string, score: number }>>} Best first
+ */
+const searchJobVectors = async (queryVector, { limit, filter = {} }) => {
+  await ensureLoaded();
+
+  const query = normalizeVector(queryVector);
+  if (!query || vectors.size === 0) return [];
+
+  let ids;
+  if (Object.keys(filter).length > 0) {
+    const allowed = await mongoose.connection.collection('jobs')
+      .find({ ...filter, embedding: { $exists: true } }, { projection: { _id: 1 } })
+      .toArray();
+    ids = allowed.map((job) => job._id.toString());
+  } else {
+    ids = vectors.keys();
+  }
+
+  const hits = [];
+  for (const id of ids) {
+    const vector = vectors.get(id);
+    if (!vector) continue;
+    let dot = 0;
+    for (let i = 0; i < vector.length; i++) dot += vector[i] * query[i];
+    hits.push({ _id: id, score: (1 + dot) / 2 });
+  }
+
+  return hits.sort((a, b) => b.score - a.score).slice(0, limit);
+};
+
+/**
+ * Index size and freshness (for /api/ai/embedding-stats)
+ */
+const getJobVectorIndexStats = () => ({
+  enabled: aiConfig.vectorIndex.enabled,
+  loaded: loadedAt !== null,
+  vectors: vectors.size,
+  loadedAt: loadedAt ? new Date(loadedAt) : null,
+  rebuilding: building !== null,
+});
+
+module.exports = {
+  searchJobVectors,
+  upsertJobVector,
+  removeJobVector,
+  rebuildJobVectorIndex,
+  getJobVectorIndexStats,
+};
@@ -1,42 +1,64 @@
 /**
  * LLM Configuration Service
- * Sets up and exports the LangChain.js LLM instance using Groq
- * This is the shared LLM client used by all AI features
- * 
- * Groq provides ultra-fast inference with Llama 3 models
+ * Builds and exports the shared LangChain.js chat model used by all AI features
+ *
+ * The provider is chosen with aiConfig.provider (AI_PROVIDER): groq (default),
+ * openai-compatible for local servers, or stub for offline development/tests.
+ * See llmProviders.js for the registry.
  */
 
-const { ChatGroq } = require('@langchain/groq');
 const { aiConfig } = require('../../config/ai');
+const { getLLMProvider } = require('./llmProviders');
+const { LLM_TASKS } = require('./llmTasks');
+const { AiUsageCallbackHandler } = require('./usageLedger');
 
 /**
- * Create and configure the LLM instance
- * Uses Groq via LangChain.js
+ * Create and configure the LLM instance (one per process)
  */
 let llmInstance = null;
 
-const getLLM = () => {
-  if (llmInstance) {
-    return llmInstance;
-  }
-
-  if (!aiConfig.apiKey) {
-    throw new Error(
-      'GROQ_API_KEY is not configured. ' +
-      'Please add it to your .env file. ' +
-      'Get a free key at: https://console.groq.com/keys'
-    );
+/**
+ * Get the shared LLM
+ * @param {string} [task] - LLM_TASKS value; tags the call so the stub provider
+ *   can return the right response shape (other providers ignore it) and the
+ *   usage ledger can record it per feature
+ * @returns {import('@langchain/core/runnables').Runnable}
+ */
+const getLLM = (task) => {
+  if (!llmInstance) {
+    const provider = getLLMProvider(aiConfig.provider);
+    llmInstance = provider.create(aiConfig);
+    console.log(`🤖 LLM initialized: ${provider.label}/${llmInstance.model || aiConfig.modelName} (temp: ${aiConfig.temperature})`);
   }
 
-  llmInstance = new ChatGroq({
-    apiKey: aiConfig.apiKey,
-    model: aiConfig.modelName,
-    temperature: aiConfig.temperature,
-    maxTokens: aiConfig.maxOutputTokens,
+  // Each call is recorded in the AI usage ledger for the current request's user
+  return llmInstance.withConfig({
+    ...(task && { aiTask: task }),
+    callbacks: [new AiUsageCallbackHandler(task)],
   });
+};
 
-  console.log(`🤖 LLM initialized: Groq/${aiConfig.modelName} (temp: ${aiConfig.temperature})`);
-  return llmInstance;
+/**
+ * Run a prompt → LLM → StringOutputParser chain, streaming tokens when onToken is given
+ * The signal cancels the underlying LLM request (e.g. when an SSE client disconnects).
+ *
+ * @param {import('@langchain/core/runnables').Runnable} chain
+ * @param {Object} input - Prompt variables
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {Function} [options.onToken] - Called with each text chunk as it arrives
+ * @returns {Promise<string>} The full output
+ */
+const runChain = async (chain, input, { signal, onToken } = {}) => {
+  if (!onToken) return chain.invoke(input, { signal });
+
+  let output = '';
+  const stream = await chain.stream(input, { signal });
+  for await (const chunk of stream) {
+    output += chunk;
+    onToken(chunk);
+  }
+  return output;
 };
 
 /**
@@ -46,4 +68,4 @@ const resetLLM = () => {
   llmInstance = null;
 };
 
-module.exports = { getLLM, resetLLM };
+module.exports = { getLLM, runChain, resetLLM, LLM_TASKS };
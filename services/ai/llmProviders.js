@@ -0,0 +1,163 @@
+/**
+ * LLM Provider Registry
+ * Maps aiConfig.provider to a factory that builds a LangChain chat model
+ *
+ * Built-in providers:
+ * - groq               Groq cloud inference (ChatGroq)
+ * - openai-compatible  Any /v1/chat/completions endpoint (Ollama, llama.cpp, vLLM, LM Studio)
+ * - stub               Deterministic offline model for development and tests (see stubLLM.js)
+ */
+
+const axios = require('axios');
+const { ChatGroq } = require('@langchain/groq');
+const { SimpleChatModel } = require('@langchain/core/language_models/chat_models');
+const { StubChatModel } = require('./stubLLM');
+
+/**
+ * Error thrown when the selected provider is missing required configuration
+ * Controllers map code AI_NOT_CONFIGURED to 503
+ * @param {string} message
+ * @returns {Error}
+ */
+const createNotConfiguredError = (message) => {
+  const err = new Error(message);
+  err.code = 'AI_NOT_CONFIGURED';
+  return err;
+};
+
+// LangChain message type -> OpenAI chat role
+const ROLE_BY_TYPE = {
+  system: 'system',
+  human: 'user',
+  ai: 'assistant',
+};
+
+/**
+ * Minimal chat model for OpenAI-compatible servers
+ * Non-streaming; honours the abort signal passed through LangChain call options
+ */
+class OpenAICompatibleChatModel extends SimpleChatModel {
+  constructor(fields) {
+    super(fields);
+    this.baseUrl = fields.baseUrl.replace(/\/$/, '');
+    this.apiKey = fields.apiKey;
+    this.model = fields.model;
+    this.temperature = fields.temperature;
+    this.maxTokens = fields.maxTokens;
+    this.timeoutMs = fields.timeoutMs;
+  }
+
+  _llmType() {
+    return 'openai-compatible';
+  }
+
+  async _call(messages, options) {
+    const { data } = await axios.post(
+      `${this.baseUrl}/chat/completions`,
+      {
+        model: this.model,
+        messages: messages.map((m) => ({
+          role: ROLE_BY_TYPE[m.type] || 'user',
+          content: typeof m.content === 'string' ? m.content : JSON.stringify(m.content),
+        })),
+        temperature: this.temperature,
+        max_tokens: this.maxTokens,
+        stop: options.stop,
+      },
+      {
+        headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+        timeout: this.timeoutMs,
+        signal: options.signal,
+      }
+    );
+
+    const content = data && data.choices && data.choices[0] && data.choices[0].message
+      ? data.choices[0].message.content
+      : null;
+    if (typeof content !== 'string') {
+      throw new Error('OpenAI-compatible endpoint returned no message content');
+    }
+    return content;
+  }
+}
+
+const createGroqLLM = (config) => {
+  if (!config.apiKey) {
+    throw createNotConfiguredError(
+      'GROQ_API_KEY is not configured. ' +
+      'Please add it to your .env file. ' +
+      'Get a free key at: https://console.groq.com/keys'
+    );
+  }
+
+  return new ChatGroq({
+    apiKey: config.apiKey,
+    model: config.modelName,
+    temperature: config.temperature,
+    maxTokens: config.maxOutputTokens,
+  });
+};
+
+const createOpenAICompatibleLLM = (config) => {
+  const { baseUrl, apiKey, modelName, timeoutMs } = config.openaiCompatible;
+  if (!baseUrl) {
+    throw createNotConfiguredError('LLM_BASE_URL is not configured for the openai-compatible provider.');
+  }
+
+  return new OpenAICompatibleChatModel({
+    baseUrl,
+    apiKey,
+    model: modelName || config.modelName,
+    temperature: config.temperature,
+    maxTokens: config.maxOutputTokens,
+    timeoutMs,
+  });
+};
+
+const createStubLLM = () => new StubChatModel({});
+
+// name -> { label, create(aiConfig) }
+const providers = new Map([
+  ['groq', { label: 'Groq', create: createGroqLLM }],
+  ['openai-compatible', { label: 'OpenAI-compatible', create: createOpenAICompatibleLLM }],
+  ['stub', { label: 'Stub (offline)', create: createStubLLM }],
+]);
+
+/**
+ * Register (or replace) a provider
+ * @param {string} name - Value of aiConfig.provider that selects it
+ * @param {Object} provider
+ * @param {string} provider.label - Used in startup logs
+ * @param {Function} provider.create - (aiConfig) => LangChain chat model
+ */
+const registerLLMProvider = (name, provider) => {
+  if (!provider || typeof provider.create !== 'function') {
+    throw new Error('LLM provider must have a create(aiConfig) function');
+  }
+  providers.set(name, { label: provider.label || name, ...provider });
+};
+
+/**
+ * Look up a provider by name
+ * @param {string} name
+ * @returns {{ label: string, create: Function }}
+ */
+const getLLMProvider = (name) => {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw createNotConfiguredError(
+      `Unknown AI_PROVIDER "${name}". Available: ${[...providers.keys()].join(', ')}`
+    );
+  }
+  return provider;
+};
+
+const listLLMProviders = () => [...providers.keys()];
+
+module.exports = {
+  registerLLMProvider,
+  getLLMProvider,
+  listLLMProviders,
+  createNotConfiguredError,
+  OpenAICompatibleChatModel,
+};
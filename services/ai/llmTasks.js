@@ -0,0 +1,20 @@
+/**
+ * LLM task identifiers
+ * Chains pass one to getLLM(task) so providers that care (the offline stub)
+ * know which response shape the chain expects
+ */
+
+const LLM_TASKS = {
+  RESUME_SUMMARY: 'resumeSummary',
+  MATCH_SCORE: 'matchScore',
+  FILTER_EXTRACTION: 'filterExtraction',
+  RERANK: 'rerank',
+  RESUME_PARSE: 'resumeParse',
+  COVER_LETTER: 'coverLetter',
+  TAILOR_RESUME: 'tailorResume',
+  SCREENING_AGENT: 'screeningAgent',
+  JOB_DRAFT: 'jobDraft',
+  JOB_LINT: 'jobLint',
+};
+
+module.exports = { LLM_TASKS };
@@ -0,0 +1,112 @@
+/**
+ * Match Score Service
+ * Persists match scorer results and attaches them to applications
+ *
+ * Results are cached per (resume, job) and keyed by a hash of the formatted
+ * resume and job text, so counters and other fields the scorer never sees
+ * don't invalidate the cache.
+ */
+
+const crypto = require('crypto');
+const MatchScore = require('../../models/MatchScore');
+const Resume = require('../../models/Resume');
+const Application = require('../../models/Application');
+const { calculateMatchScore, formatResumeForMatching, formatJobForMatching } = require('./matchScorer');
+const { findRepresentativeResume } = require('./candidateEmbeddingPipeline');
+
+const hashText = (text) => crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+
+/**
+ * Content versions for a resume/job pair
+ * @param {Object} resume - Plain resume object
+ * @param {Object} job - Plain job object
+ * @returns {{ resumeVersion: string, jobVersion: string }}
+ */
+const getMatchVersions = (resume, job) => ({
+  resumeVersion: hashText(formatResumeForMatching(resume)),
+  jobVersion: hashText(formatJobForMatching(job)),
+});
+
+/**
+ * Shape a MatchScore document like calculateMatchScore's result
+ * @param {Object} doc
+ * @returns {Object}
+ */
+const toMatchResult = (doc) => ({
+  overallScore: doc.overallScore,
+  breakdown: doc.breakdown,
+  strengths: doc.strengths,
+  improvements: doc.improvements,
+  verdictSummary: doc.verdictSummary,
+});
+
+/**
+ * Return the cached match result for a resume and job, scoring again only when either changed
+ *
+ * @param {Object} resume - Plain resume object from MongoDB
+ * @param {Object} job - Plain job object from MongoDB
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh=false] - Ignore the cache and score again
+ * @returns {Promise<{ matchResult: Object, cached: boolean, computedAt: Date }>}
+ */
+const getOrCalculateMatchScore = async (resume, job, { refresh = false } = {}) => {
+  const versions = getMatchVersions(resume, job);
+
+  if (!refresh) {
+    const existing = await MatchScore.findOne({ resume: resume._id, job: job._id, ...versions }).lean();
+    if (existing) {
+      return { matchResult: toMatchResult(existing), cached: true, computedAt: existing.computedAt };
+    }
+  }
+
+  const matchResult = await calculateMatchScore(resume, job);
+  const computedAt = new Date();
+
+  await MatchScore.findOneAndUpdate(
+    { resume: resume._id, job: job._id },
+    { $set: { user: resume.userId, ...versions, ...matchResult, computedAt } },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+
+  return { matchResult, cached: false, computedAt };
+};
+
+/**
+ * Score an application and store the result on it
+ * Uses the given builder resume, else the applicant's default (or latest) one.
+ * Scoring failures are recorded on the application instead of thrown.
+ *
+ * @param {Object} application - Application document
+ * @param {Object} job - Job document or plain object
+ * @param {ObjectId} userId - Applicant's user id
+ * @param {ObjectId} [resumeId] - Builder resume chosen for this application (e.g. from the apply draft)
+ * @returns {Promise<Object>} The stored matchScore snapshot
+ */
+const scoreApplication = async (application, job, userId, resumeId) => {
+  let snapshot;
+  try {
+    const resume = resumeId
+      ? await Resume.findOne({ _id: resumeId, userId }).lean()
+      : await findRepresentativeResume(userId);
+
+    if (!resume) {
+      snapshot = { status: 'unavailable', error: 'Applicant has no builder resume', computedAt: new Date() };
+    } else {
+      const plainJob = typeof job.toObject === 'function' ? job.toObject() : job;
+      const { matchResult, computedAt } = await getOrCalculateMatchScore(resume, plainJob);
+      snapshot = { status: 'scored', resume: resume._id, ...matchResult, computedAt };
+    }
+  } catch (err) {
+    console.warn(`⚠️  Match scoring failed for application ${application._id}: ${err.message}`);
+    snapshot = { status: 'failed', error: err.message.slice(0, 300), computedAt: new Date() };
+  }
+
+  await Application.updateOne({ _id: application._id }, { $set: { matchScore: snapshot } });
+  return snapshot;
+};
+
+module.exports = {
+  getOrCalculateMatchScore,
+  getMatchVersions,
+  scoreApplication,
+};
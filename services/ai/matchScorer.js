@@ -9,7 +9,7 @@
 
 const { ChatPromptTemplate } = require('@langchain/core/prompts');
 const { StringOutputParser } = require('@langchain/core/output_parsers');
-const { getLLM } = require('./llmConfig');
+const { getLLM, LLM_TASKS } = require('./llmConfig');
 
 /**
  * Format resume data into a concise text block for the LLM
@@ -246,7 +246,7 @@ Return ONLY the JSON object with the match analysis.`
     ],
   ]);
 
-  const llm = getLLM();
+  const llm = getLLM(LLM_TASKS.MATCH_SCORE);
   const outputParser = new StringOutputParser();
   const chain = promptTemplate.pipe(llm).pipe(outputParser);
 
@@ -291,4 +291,9 @@ Return ONLY the JSON object with the match analysis.`
   };
 };
 
-module.exports = { calculateMatchScore };
+module.exports = {
+  calculateMatchScore,
+  parseLLMJson,
+  formatResumeForMatching,
+  formatJobForMatching,
+};
@@ -0,0 +1,135 @@
+/**
+ * Resume Parser Chain
+ * LLM assist for resume file parsing
+ *
+ * Extracts the same structure as the rule-based parser (services/resumeParsingService.js)
+ * from raw resume text. The output is normalized here and merged with the rule-based
+ * result by the caller; nothing is saved until the seeker reviews the diff.
+ */
+
+const { ChatPromptTemplate } = require('@langchain/core/prompts');
+const { StringOutputParser } = require('@langchain/core/output_parsers');
+const { getLLM, LLM_TASKS } = require('./llmConfig');
+const { parseLLMJson } = require('./matchScorer');
+const { aiConfig } = require('../../config/ai');
+const { parseDateToken, detectDegree } = require('../resumeParsingService');
+const JobSeeker = require('../../models/JobSeeker');
+
+const SPECIALIZATIONS = JobSeeker.schema.path('specializations').caster.enumValues;
+
+const str = (value, max) => {
+  if (typeof value !== 'string' && typeof value !== 'number') return undefined;
+  const s = String(value).trim();
+  if (!s) return undefined;
+  return s.length > max ? s.slice(0, max).trim() : s;
+};
+
+const list = (value) => (Array.isArray(value) ? value : []);
+
+/**
+ * Coerce raw LLM JSON into the parser's neutral structure, dropping anything malformed
+ * @param {Object} raw
+ * @returns {Object}
+ */
+const normalizeLLMResume = (raw) => {
+  const workExperience = list(raw.workExperience).map((w) => {
+    const isCurrent = w.isCurrent === true || /present|current/i.test(String(w.endDate || ''));
+    return {
+      position: str(w.position, 100),
+      company: str(w.company, 100),
+      location: str(w.location, 100),
+      startDate: parseDateToken(w.startDate),
+      endDate: isCurrent ? undefined : parseDateToken(w.endDate) || undefined,
+      isCurrent,
+      description: str(w.description, 1000),
+      achievements: list(w.achievements).map((a) => str(a, 200)).filter(Boolean).slice(0, 10),
+    };
+  }).filter((w) => w.position || w.company);
+
+  const education = list(raw.education).map((e) => {
+    const degreeText = str(e.degree, 100);
+    const year = parseInt(e.yearOfCompletion, 10);
+    return {
+      degree: degreeText ? detectDegree(degreeText) || 'Other' : undefined,
+      degreeText,
+      field: str(e.field, 100),
+      institution: str(e.institution, 200),
+      yearOfCompletion: Number.isFinite(year) ? year : undefined,
+      grade: str(e.grade, 20),
+    };
+  }).filter((e) => e.degreeText || e.institution);
+
+  const certifications = list(raw.certifications).map((c) => ({
+    name: str(c.name, 100),
+    issuingOrganization: str(c.issuingOrganization, 100),
+    issueDate: parseDateToken(c.issueDate),
+    expiryDate: parseDateToken(c.expiryDate) || undefined,
+    credentialId: str(c.credentialId, 50),
+  })).filter((c) => c.name);
+
+  const totalYears = Number(raw.totalYears);
+
+  return {
+    name: str(raw.name, 100),
+    email: str(raw.email, 100),
+    phone: str(raw.phone, 30),
+    title: str(raw.title, 100),
+    summary: str(raw.summary, 1000),
+    currentPosition: str(raw.currentPosition, 100),
+    currentCompany: str(raw.currentCompany, 100),
+    totalYears: Number.isFinite(totalYears) && totalYears >= 0 ? Math.min(50, Math.round(totalYears)) : undefined,
+    workExperience,
+    education,
+    skills: list(raw.skills).map((s) => str(s, 50)).filter(Boolean).slice(0, 40),
+    certifications,
+    specializations: list(raw.specializations).filter((s) => SPECIALIZATIONS.includes(s) && s !== 'Other'),
+  };
+};
+
+/**
+ * Extract structured resume data with the LLM
+ * @param {string} text - Plain resume text
+ * @returns {Promise<Object>} Normalized structure (see normalizeLLMResume)
+ */
+const extractResumeWithLLM = async (text) => {
+  const promptTemplate = ChatPromptTemplate.fromMessages([
+    [
+      'system',
+      `You extract structured data from healthcare professionals' resumes.
+
+You MUST respond with ONLY a valid JSON object (no markdown, no explanation). Use null or [] when something is not in the resume:
+
+{{
+  "name": "<full name>",
+  "email": "<email>",
+  "phone": "<phone>",
+  "title": "<current professional title>",
+  "summary": "<the resume's own summary/objective, verbatim>",
+  "currentPosition": "<current job title>",
+  "currentCompany": "<current employer>",
+  "totalYears": <total years of professional experience>,
+  "workExperience": [{{ "position": "", "company": "", "location": "", "startDate": "YYYY-MM", "endDate": "YYYY-MM or null", "isCurrent": <true|false>, "description": "", "achievements": [""] }}],
+  "education": [{{ "degree": "", "field": "", "institution": "", "yearOfCompletion": <year>, "grade": "" }}],
+  "skills": ["<skill>"],
+  "certifications": [{{ "name": "", "issuingOrganization": "", "issueDate": "YYYY-MM", "expiryDate": "YYYY-MM or null", "credentialId": "" }}],
+  "specializations": ["<only from: ${SPECIALIZATIONS.join(', ')}>"]
+}}
+
+RULES:
+- Copy facts from the resume only. Do NOT infer, embellish or invent anything.
+- Keep original wording for descriptions and achievements.`,
+    ],
+    ['human', 'RESUME TEXT:\n{resumeText}'],
+  ]);
+
+  const llm = getLLM(LLM_TASKS.RESUME_PARSE);
+  const chain = promptTemplate.pipe(llm).pipe(new StringOutputParser());
+
+  const rawOutput = await chain.invoke({
+    resumeText: text.slice(0, aiConfig.resumeParsing.maxInputChars),
+  });
+
+  return normalizeLLMResume(parseLLMJson(rawOutput));
+};
+
+module.exports = { extractResumeWithLLM, normalizeLLMResume };
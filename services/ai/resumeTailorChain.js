@@ -0,0 +1,278 @@
+/**
+ * Resume Tailor Chain
+ * Rewrites a copy of a resume toward one job posting
+ *
+ * The LLM only reorders and rewords what is already on the resume: the summary,
+ * each work experience's description and achievement bullets, and the order of
+ * skills. Entries, employers, dates and skill names are never changed. Every
+ * rewrite is checked against the source text and reverted if it brings in
+ * numbers or names the source doesn't have.
+ */
+
+const { ChatPromptTemplate } = require('@langchain/core/prompts');
+const { StringOutputParser } = require('@langchain/core/output_parsers');
+const { getLLM, LLM_TASKS } = require('./llmConfig');
+const { formatJobForMatching, parseLLMJson } = require('./matchScorer');
+
+const SUMMARY_MAX_LENGTH = 1000; // matches Resume schema maxlength
+const BULLET_MAX_LENGTH = 300;
+
+const yearOf = (date) => (date ? new Date(date).getFullYear() : '?');
+
+/**
+ * Format the resume with stable indices the LLM can refer back to
+ * @param {Object} resume - Plain resume object
+ * @returns {string}
+ */
+const formatResumeForTailoring = (resume) => {
+  const sections = [];
+
+  sections.push(`SUMMARY: ${resume.summary || '(none)'}`);
+
+  const expLines = (resume.workExperience || []).map((exp, i) => {
+    const duration = `${yearOf(exp.startDate)} – ${exp.isCurrent ? 'Present' : yearOf(exp.endDate)}`;
+    const lines = [`[${i}] ${exp.position} at ${exp.company} (${duration})`];
+    lines.push(`  description: ${exp.description || '(none)'}`);
+    (exp.achievements || []).forEach((a, j) => lines.push(`  (${j}) ${a}`));
+    return lines.join('\n');
+  });
+  sections.push(`WORK EXPERIENCE:\n${expLines.join('\n') || '(none)'}`);
+
+  const skillLines = (resume.skills || []).map((s, i) => `[${i}] ${s.name}`);
+  sections.push(`SKILLS:\n${skillLines.join('\n') || '(none)'}`);
+
+  const certLines = (resume.certifications || []).map((c) => `• ${c.name} — ${c.issuingOrganization}`);
+  if (certLines.length > 0) sections.push(`CERTIFICATIONS:\n${certLines.join('\n')}`);
+
+  const eduLines = (resume.education || []).map((e) => `• ${e.degree} in ${e.field} — ${e.institution}`);
+  if (eduLines.length > 0) sections.push(`EDUCATION:\n${eduLines.join('\n')}`);
+
+  return sections.join('\n\n');
+};
+
+// Numbers and capitalized terms (names, acronyms, credentials) are the facts a rewrite could invent
+const FACT_TOKEN_PATTERN = /\d+(?:[.,]\d+)*%?|\b[A-Z][A-Za-z0-9+&-]*[A-Z0-9][A-Za-z0-9+&-]*\b|(?<=[a-z,;:] )[A-Z][a-z]+\b/g;
+
+/**
+ * Fact-like tokens in `text` that don't appear anywhere in `source`
+ * @param {string} text
+ * @param {string} source
+ * @returns {string[]}
+ */
+const findUnsupportedTerms = (text, source) => {
+  const haystack = source.toLowerCase();
+  const tokens = text.match(FACT_TOKEN_PATTERN) || [];
+  return [...new Set(tokens.filter((t) => !haystack.includes(t.toLowerCase())))];
+};
+
+const clean = (value, max) => {
+  if (typeof value !== 'string') return '';
+  const s = value.replace(/\s+/g, ' ').trim();
+  return s.length > max ? s.slice(0, max).trim() : s;
+};
+
+/**
+ * Apply the LLM's proposal to a plain resume copy, keeping only changes the source supports
+ *
+ * @param {Object} source - Plain resume object the copy was made from
+ * @param {Object} proposal - Parsed LLM JSON
+ * @returns {{ summary: string|undefined, workExperience: Object[], skills: Object[], rejected: Object[] }}
+ */
+const applyTailoring = (source, proposal) => {
+  const rejected = [];
+  const resumeText = formatResumeForTailoring(source);
+
+  // Summary may draw on anything in the resume
+  let summary = source.summary;
+  const proposedSummary = clean(proposal.summary, SUMMARY_MAX_LENGTH);
+  if (proposedSummary) {
+    const unsupported = findUnsupportedTerms(proposedSummary, resumeText);
+    if (unsupported.length > 0) {
+      rejected.push({ section: 'summary', proposed: proposedSummary, unsupported });
+    } else {
+      summary = proposedSummary;
+    }
+  }
+
+  // Work experience: same entries in the same order; bullets reordered/reworded per entry
+  const proposedEntries = new Map(
+    (Array.isArray(proposal.workExperience) ? proposal.workExperience : [])
+      .filter((e) => e && Number.isInteger(e.index))
+      .map((e) => [e.index, e])
+  );
+
+  const workExperience = (source.workExperience || []).map((exp, i) => {
+    const entry = proposedEntries.get(i);
+    if (!entry) return { ...exp };
+
+    const achievements = exp.achievements || [];
+    const entrySource = [exp.position, exp.company, exp.location, exp.description, ...achievements]
+      .filter(Boolean)
+      .join('\n');
+
+    let description = exp.description;
+    const proposedDescription = clean(entry.description, SUMMARY_MAX_LENGTH);
+    if (proposedDescription && exp.description) {
+      const unsupported = findUnsupportedTerms(proposedDescription, entrySource);
+      if (unsupported.length > 0) {
+        rejected.push({ section: 'workExperience', index: i, field: 'description', proposed: proposedDescription, unsupported });
+      } else {
+        description = proposedDescription;
+      }
+    }
+
+    // Each bullet must point at exactly one source bullet; unlisted bullets keep their place at the end
+    const used = new Set();
+    const rewritten = [];
+    for (const bullet of Array.isArray(entry.achievements) ? entry.achievements : []) {
+      const from = bullet && bullet.from;
+      if (!Number.isInteger(from) || from < 0 || from >= achievements.length || used.has(from)) continue;
+      used.add(from);
+
+      const text = clean(bullet.text, BULLET_MAX_LENGTH);
+      const unsupported = text ? findUnsupportedTerms(text, entrySource) : [];
+      if (!text || unsupported.length > 0) {
+        if (text) rejected.push({ section: 'workExperience', index: i, field: 'achievements', from, proposed: text, unsupported });
+        rewritten.push(achievements[from]);
+      } else {
+        rewritten.push(text);
+      }
+    }
+    achievements.forEach((a, j) => {
+      if (!used.has(j)) rewritten.push(a);
+    });
+
+    return { ...exp, description, achievements: rewritten };
+  });
+
+  // Skills: reorder only
+  const sourceSkills = source.skills || [];
+  const order = [];
+  for (const idx of Array.isArray(proposal.skillOrder) ? proposal.skillOrder : []) {
+    if (Number.isInteger(idx) && idx >= 0 && idx < sourceSkills.length && !order.includes(idx)) order.push(idx);
+  }
+  sourceSkills.forEach((_, i) => {
+    if (!order.includes(i)) order.push(i);
+  });
+  const skills = order.map((i) => ({ ...sourceSkills[i] }));
+
+  return { summary, workExperience, skills, rejected };
+};
+
+/**
+ * Section-by-section diff between the source resume and the tailored copy
+ * @param {Object} source - Plain source resume
+ * @param {Object} tailored - { summary, workExperience, skills }
+ * @returns {Object}
+ */
+const buildTailoringDiff = (source, tailored) => {
+  const sameList = (a, b) => a.length === b.length && a.every((v, i) => v === b[i]);
+
+  const beforeSkills = (source.skills || []).map((s) => s.name);
+  const afterSkills = tailored.skills.map((s) => s.name);
+
+  const workExperience = (source.workExperience || []).map((exp, i) => {
+    const after = tailored.workExperience[i];
+    const beforeAchievements = exp.achievements || [];
+    return {
+      index: i,
+      _id: exp._id,
+      position: exp.position,
+      company: exp.company,
+      changed: (exp.description || '') !== (after.description || '')
+        || !sameList(beforeAchievements, after.achievements || []),
+      before: { description: exp.description, achievements: beforeAchievements },
+      after: { description: after.description, achievements: after.achievements },
+    };
+  });
+
+  return {
+    summary: {
+      changed: (source.summary || '') !== (tailored.summary || ''),
+      before: source.summary || '',
+      after: tailored.summary || '',
+    },
+    workExperience,
+    skills: {
+      changed: !sameList(beforeSkills, afterSkills),
+      before: beforeSkills,
+      after: afterSkills,
+    },
+  };
+};
+
+/**
+ * Tailor a resume toward a job posting
+ *
+ * @param {Object} resume - Plain resume object from MongoDB
+ * @param {Object} job - Plain job object from MongoDB
+ * @returns {Promise<Object>} { summary, workExperience, skills, rejected, diff, notes }
+ */
+const tailorResume = async (resume, job) => {
+  const promptTemplate = ChatPromptTemplate.fromMessages([
+    [
+      'system',
+      `You are an expert healthcare resume editor. Tailor the candidate's resume toward the job posting below.
+
+You MUST respond with ONLY a valid JSON object (no markdown, no explanation). The JSON must follow this exact structure:
+
+{{
+  "summary": "<rewritten professional summary, max 1000 characters>",
+  "workExperience": [
+    {{
+      "index": <work experience number from [n]>,
+      "description": "<reworded description, or null to keep it>",
+      "achievements": [{{ "from": <source bullet number from (n)>, "text": "<reworded bullet>" }}]
+    }}
+  ],
+  "skillOrder": [<skill numbers from [n], most relevant to the job first>],
+  "notes": ["<short note on what was emphasized>"]
+}}
+
+RULES:
+- Use ONLY facts that are already in the resume. Never add employers, titles, numbers, dates, licenses, certifications, tools or skills.
+- Do NOT copy requirements from the job posting unless the resume already states them.
+- List each work experience's bullets most relevant first. Every bullet must cite the one source bullet it rewrites.
+- Keep each bullet under 300 characters and keep its meaning.
+- skillOrder is a reordering only; do not rename, add or drop skills.`,
+    ],
+    [
+      'human',
+      `--- RESUME ---
+{resumeText}
+
+--- JOB POSTING ---
+{jobText}
+
+Return the tailored resume JSON.`,
+    ],
+  ]);
+
+  const llm = getLLM(LLM_TASKS.TAILOR_RESUME);
+  const chain = promptTemplate.pipe(llm).pipe(new StringOutputParser());
+
+  const rawOutput = await chain.invoke({
+    resumeText: formatResumeForTailoring(resume),
+    jobText: formatJobForMatching(job),
+  });
+
+  const proposal = parseLLMJson(rawOutput);
+  const tailored = applyTailoring(resume, proposal);
+
+  return {
+    ...tailored,
+    notes: (Array.isArray(proposal.notes) ? proposal.notes : [])
+      .map((n) => clean(n, 200))
+      .filter(Boolean)
+      .slice(0, 5),
+    diff: buildTailoringDiff(resume, tailored),
+  };
+};
+
+module.exports = {
+  tailorResume,
+  applyTailoring,
+  buildTailoringDiff,
+  findUnsupportedTerms,
+  formatResumeForTailoring,
+};
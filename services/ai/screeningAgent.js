@@ -0,0 +1,342 @@
+/**
+ * Screening Agent
+ * AI first-pass review of incoming applications (Feature 6)
+ *
+ * Reviews the applicant's resume, cover letter and screening answers against the
+ * job and stores a recommendation (advance / hold / reject), rationale, red flags
+ * and suggested interview questions on Application.aiScreening.
+ *
+ * Deterministic checks (expired certifications, experience shortfall, screening
+ * knockouts) run first and are passed to the LLM so it can weigh them. The agent
+ * only changes the application's status when the employer has opted in through
+ * hiringPreferences.aiScreening, and never advances past a high-severity flag.
+ */
+
+const { ChatPromptTemplate } = require('@langchain/core/prompts');
+const { StringOutputParser } = require('@langchain/core/output_parsers');
+const { getLLM, LLM_TASKS } = require('./llmConfig');
+const { formatResumeForMatching, formatJobForMatching, parseLLMJson } = require('./matchScorer');
+const { findRepresentativeResume } = require('./candidateEmbeddingPipeline');
+const { aiConfig } = require('../../config/ai');
+const { canTransition } = require('../../config/applicationPipeline');
+const Application = require('../../models/Application');
+const Interview = require('../../models/Interview');
+const { queueEmail } = require('../emailService');
+const Resume = require('../../models/Resume');
+
+const RECOMMENDATIONS = ['advance', 'hold', 'reject'];
+const SEVERITIES = ['low', 'medium', 'high'];
+
+// Status the agent moves an application to when the employer opted in
+const AUTO_ACTION_STATUS = {
+  advance: 'Under Review',
+  reject: 'Rejected',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build a resume-shaped object from a JobSeeker profile for candidates without a builder resume
+ * @param {Object} jobSeeker - Plain job seeker object with populated user
+ * @returns {Object}
+ */
+const profileAsResume = (jobSeeker) => ({
+  personalInfo: {
+    fullName: jobSeeker.user ? `${jobSeeker.user.firstName} ${jobSeeker.user.lastName}`.trim() : undefined,
+  },
+  summary: jobSeeker.bio,
+  workExperience: jobSeeker.workExperience || [],
+  education: jobSeeker.education || [],
+  skills: (jobSeeker.skills || []).map((s) => ({ name: s.name, proficiency: s.level })),
+  certifications: jobSeeker.certifications || [],
+});
+
+/**
+ * Rule-based red flags that don't need the LLM
+ *
+ * @param {Object} params
+ * @param {Object} params.application - Plain application object
+ * @param {Object} params.job - Plain job object
+ * @param {Object} params.jobSeeker - Plain job seeker object
+ * @param {Object} [params.resume] - Plain builder resume
+ * @param {Date} [params.now]
+ * @returns {Array<{ type: string, severity: string, message: string, source: string }>}
+ */
+const collectRuleRedFlags = ({ application, job, jobSeeker, resume, now = new Date() }) => {
+  const flags = [];
+  const add = (type, severity, message) => flags.push({ type, severity, message, source: 'rules' });
+
+  // Certifications from the profile and the resume, once per name
+  const seen = new Set();
+  const certifications = [...(jobSeeker.certifications || []), ...((resume && resume.certifications) || [])]
+    .filter((c) => c && c.name && c.isVisible !== false)
+    .filter((c) => {
+      const key = c.name.trim().toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+  const soon = new Date(now.getTime() + aiConfig.screeningAgent.expiringSoonDays * DAY_MS);
+  for (const cert of certifications) {
+    if (!cert.expiryDate) continue;
+    const expiry = new Date(cert.expiryDate);
+    const label = `${cert.name}${cert.issuingOrganization ? ` (${cert.issuingOrganization})` : ''}`;
+    if (expiry < now) {
+      add('expired_certification', 'high', `${label} expired on ${expiry.toISOString().slice(0, 10)}`);
+    } else if (expiry < soon) {
+      add('expiring_certification', 'low', `${label} expires on ${expiry.toISOString().slice(0, 10)}`);
+    }
+  }
+
+  const minYears = job.experienceRequired && job.experienceRequired.minYears;
+  const totalYears = jobSeeker.experience && jobSeeker.experience.totalYears;
+  if (minYears != null && totalYears != null && totalYears < minYears) {
+    add('experience_shortfall', 'medium', `${totalYears} years of experience; the job asks for at least ${minYears}`);
+  }
+
+  for (const knockout of (application.screening && application.screening.knockouts) || []) {
+    add(
+      'screening_knockout',
+      knockout.action === 'Reject' ? 'high' : 'medium',
+      `Answered "${knockout.answer}" to "${knockout.question}"`
+    );
+  }
+
+  if (!resume && !(application.resume && application.resume.url)) {
+    add('missing_resume', 'low', 'No resume attached and no resume built on the platform');
+  }
+
+  return flags;
+};
+
+const str = (value, max) => (typeof value === 'string' ? value.trim().slice(0, max) : '');
+
+/**
+ * Coerce the LLM output into the stored shape
+ * @param {Object} raw - Parsed LLM JSON
+ * @returns {Object}
+ */
+const normalizeScreeningResult = (raw) => {
+  const recommendation = RECOMMENDATIONS.includes(raw.recommendation) ? raw.recommendation : 'hold';
+  const confidence = Number(raw.confidence);
+
+  return {
+    recommendation,
+    confidence: Number.isFinite(confidence) ? Math.max(0, Math.min(100, Math.round(confidence))) : undefined,
+    rationale: str(raw.rationale, 2000) || 'No rationale provided',
+    redFlags: (Array.isArray(raw.redFlags) ? raw.redFlags : [])
+      .filter((f) => f && str(f.message, 500))
+      .map((f) => ({
+        type: str(f.type, 50) || 'other',
+        severity: SEVERITIES.includes(f.severity) ? f.severity : 'medium',
+        message: str(f.message, 500),
+        source: 'llm',
+      }))
+      .slice(0, 10),
+    interviewQuestions: (Array.isArray(raw.interviewQuestions) ? raw.interviewQuestions : [])
+      .map((q) => str(q, 500))
+      .filter(Boolean)
+      .slice(0, aiConfig.screeningAgent.maxInterviewQuestions),
+  };
+};
+
+/**
+ * Ask the LLM to review one application
+ *
+ * @param {Object} params
+ * @param {Object} params.candidate - Resume-shaped candidate data
+ * @param {Object} params.job - Plain job object
+ * @param {string} [params.coverLetter]
+ * @param {Array} [params.answers] - Screening answers
+ * @param {Array} [params.ruleFlags] - Output of collectRuleRedFlags
+ * @returns {Promise<Object>} Normalized result (see normalizeScreeningResult)
+ */
+const reviewApplication = async ({ candidate, job, coverLetter, answers = [], ruleFlags = [] }) => {
+  const promptTemplate = ChatPromptTemplate.fromMessages([
+    [
+      'system',
+      `You are an experienced healthcare recruiter screening job applications for an employer.
+Review the candidate's resume, cover letter and screening answers against the job posting.
+
+You MUST respond with ONLY a valid JSON object (no markdown, no explanation):
+
+{{
+  "recommendation": "<advance|hold|reject>",
+  "confidence": <number 0-100>,
+  "rationale": "<3-5 sentences explaining the recommendation, citing the job requirements>",
+  "redFlags": [{{ "type": "<short_snake_case>", "severity": "<low|medium|high>", "message": "<what is wrong>" }}],
+  "interviewQuestions": ["<question to probe a gap or verify a claim>"]
+}}
+
+RULES:
+- advance: meets the key requirements; hold: unclear or mixed; reject: clearly misses essential requirements.
+- Judge only job-related qualifications. Ignore age, gender, religion, ethnicity, marital status, disability and other protected characteristics.
+- Base everything on the material provided. Do NOT assume skills or credentials that are not stated.
+- The RULE CHECKS were computed by the system and are accurate; weigh them, don't repeat them as red flags.
+- Suggest up to ${aiConfig.screeningAgent.maxInterviewQuestions} interview questions specific to this candidate and role.`,
+    ],
+    [
+      'human',
+      `--- CANDIDATE ---
+{candidateText}
+
+--- COVER LETTER ---
+{coverLetterText}
+
+--- SCREENING ANSWERS ---
+{answersText}
+
+--- RULE CHECKS ---
+{ruleText}
+
+--- JOB POSTING ---
+{jobText}
+
+Return ONLY the JSON screening result.`,
+    ],
+  ]);
+
+  const llm = getLLM(LLM_TASKS.SCREENING_AGENT);
+  const chain = promptTemplate.pipe(llm).pipe(new StringOutputParser());
+
+  const rawOutput = await chain.invoke({
+    candidateText: formatResumeForMatching(candidate) || '(no resume details)',
+    coverLetterText: coverLetter ? coverLetter.slice(0, 5000) : '(none)',
+    answersText: answers.length > 0
+      ? answers.map((a) => `Q: ${a.question}\nA: ${a.answer}`).join('\n')
+      : '(none)',
+    ruleText: ruleFlags.length > 0
+      ? ruleFlags.map((f) => `• [${f.severity}] ${f.type}: ${f.message}`).join('\n')
+      : '(no issues found)',
+    jobText: formatJobForMatching(job),
+  });
+
+  return normalizeScreeningResult(parseLLMJson(rawOutput));
+};
+
+/**
+ * Status change the agent may make, or null
+ * @param {Object} screening - { recommendation, redFlags }
+ * @param {Object} [prefs] - employer.hiringPreferences.aiScreening
+ * @returns {string|null}
+ */
+const resolveAutoAction = (screening, prefs = {}) => {
+  if (screening.recommendation === 'advance' && prefs.autoAdvance) {
+    return screening.redFlags.some((f) => f.severity === 'high') ? null : AUTO_ACTION_STATUS.advance;
+  }
+  if (screening.recommendation === 'reject' && prefs.autoReject) {
+    return AUTO_ACTION_STATUS.reject;
+  }
+  return null;
+};
+
+/**
+ * Screen an application and store the result on it
+ * Failures are recorded on the application instead of thrown.
+ *
+ * @param {string|ObjectId} applicationId
+ * @param {Object} [options]
+ * @param {ObjectId} [options.resumeId] - Builder resume chosen for this application
+ * @param {boolean} [options.allowAutoAction=true] - Apply the employer's opt-in status change
+ * @returns {Promise<Object|null>} The stored aiScreening, or null if the application is gone
+ */
+const screenApplication = async (applicationId, { resumeId, allowAutoAction = true } = {}) => {
+  const application = await Application.findById(applicationId)
+    .populate('job')
+    .populate({ path: 'jobSeeker', populate: { path: 'user', select: 'firstName lastName email' } })
+    .populate('employer', 'hiringPreferences organizationName');
+  if (!application || !application.job || !application.jobSeeker) return null;
+
+  const startedAt = Date.now();
+  let aiScreening;
+  try {
+    const jobSeeker = application.jobSeeker.toObject();
+    const job = application.job.toObject();
+    const chosenResumeId = resumeId || (application.matchScore && application.matchScore.resume);
+    const resume = chosenResumeId
+      ? await Resume.findOne({ _id: chosenResumeId, userId: jobSeeker.user._id }).lean()
+      : await findRepresentativeResume(jobSeeker.user._id);
+
+    const ruleFlags = collectRuleRedFlags({ application: application.toObject(), job, jobSeeker, resume });
+    const result = await reviewApplication({
+      candidate: resume || profileAsResume(jobSeeker),
+      job,
+      coverLetter: application.coverLetter && application.coverLetter.text,
+      answers: application.answers,
+      ruleFlags,
+    });
+
+    aiScreening = {
+      status: 'completed',
+      ...result,
+      redFlags: [...ruleFlags, ...result.redFlags],
+      resume: resume ? resume._id : undefined,
+      reviewedAt: new Date(),
+      durationMs: Date.now() - startedAt,
+    };
+  } catch (err) {
+    console.warn(`⚠️  AI screening failed for application ${application._id}: ${err.message}`);
+    aiScreening = { status: 'failed', error: err.message.slice(0, 300), reviewedAt: new Date() };
+  }
+
+  // Only the review is written: the employer may have moved the application meanwhile
+  await Application.updateOne({ _id: application._id }, { $set: { aiScreening } });
+
+  const prefs = application.employer && application.employer.hiringPreferences;
+  const hiringProcess = prefs && prefs.hiringProcess;
+  const target = aiScreening.status === 'completed' && allowAutoAction
+    ? resolveAutoAction(aiScreening, prefs && prefs.aiScreening)
+    : null;
+  if (target && canTransition('Applied', target, { hiringProcess })) {
+    const at = new Date();
+    const autoAction = { from: 'Applied', to: target, at };
+    // Conditional on the stored status, so a decision made during the review always wins
+    const { modifiedCount } = await Application.updateOne(
+      { _id: application._id, status: 'Applied' },
+      {
+        $set: { status: target, updatedAtManual: at, 'aiScreening.autoAction': autoAction },
+        $push: {
+          history: {
+            status: target,
+            from: 'Applied',
+            to: target,
+            note: `AI screening agent recommended "${aiScreening.recommendation}" (employer auto-action enabled)`,
+            at,
+          },
+        },
+      }
+    );
+    if (modifiedCount > 0) {
+      aiScreening.autoAction = autoAction;
+      console.log(`🤖 AI screening moved application ${application._id}: Applied → ${target}`);
+      if (target === 'Rejected') {
+        await Interview.cancelOpenForApplication(application._id, undefined, 'Application rejected by AI screening');
+      }
+
+      // Tell the applicant, as for any other status change
+      const user = application.jobSeeker.user;
+      if (user && user.email) {
+        queueEmail(
+          'sendApplicationStatusUpdateToJobSeeker',
+          user.email,
+          `${user.firstName} ${user.lastName}`.trim(),
+          application.job.title,
+          (application.employer && application.employer.organizationName) || 'Employer',
+          target
+        );
+      }
+    }
+  }
+
+  return aiScreening;
+};
+
+module.exports = {
+  screenApplication,
+  reviewApplication,
+  collectRuleRedFlags,
+  normalizeScreeningResult,
+  resolveAutoAction,
+  RECOMMENDATIONS,
+};
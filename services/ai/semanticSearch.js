@@ -4,85 +4,273 @@
  *
  * Full RAG pipeline:
  * 1. Embed user query → vector
- * 2. MongoDB Atlas Vector Search → top-K relevant jobs
+ * 2. Hybrid retrieval, narrowed by structured filters (the caller's, merged with those the
+ *    LLM extracts from the query):
+ *    - semantic: MongoDB Atlas Vector Search, or the in-memory vector index
+ *      (jobVectorIndex.js) without Atlas
+ *    - lexical: $text search, which keeps exact terms (ACLS, NICU, hospital names)
+ *      that embeddings blur
+ *    Both run in parallel and are merged with weighted reciprocal rank fusion.
  * 3. LLM re-ranks + generates explanation for why each job matches
  *
+ * Results are paged with an opaque cursor. The cursor carries the offset and the
+ * extracted filters, so later pages skip the extraction call and stay consistent.
+ *
  * MongoDB Atlas Vector Search index must be created in Atlas UI first.
  * See: /docs/genai_progress.md → Feature 4 for setup instructions.
  */
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const { ChatPromptTemplate } = require('@langchain/core/prompts');
 const { StringOutputParser } = require('@langchain/core/output_parsers');
-const { getLLM } = require('./llmConfig');
-const { embedText } = require('./embeddingConfig');
+const { getLLM, LLM_TASKS } = require('./llmConfig');
+const { embedText, activeJobEmbeddingFilter } = require('./embeddingConfig');
+const { searchJobVectors, getJobVectorIndexStats } = require('./jobVectorIndex');
 const { aiConfig } = require('../../config/ai');
+const { JOB_FILTER_KEYS, buildJobFilters } = require('../../utils/jobFilters');
+
+// Structured filters accepted with a query: GET /api/jobs keys, minus status (always Active)
+// and search (the query itself is the search)
+const SEARCH_FILTER_KEYS = JOB_FILTER_KEYS.filter((key) => key !== 'status' && key !== 'search');
+const NUMERIC_FILTER_KEYS = ['salaryMin', 'salaryMax', 'experienceMin', 'experienceMax'];
+const LOCATION_FILTER_KEYS = ['city', 'state', 'country'];
+
+// Job fields returned by every search path
+const SEARCH_PROJECTION = {
+  _id: 1,
+  title: 1,
+  organizationName: 1,
+  location: 1,
+  specialization: 1,
+  jobType: 1,
+  shift: 1,
+  isRemote: 1,
+  experienceRequired: 1,
+  salary: 1,
+  description: 1,
+  requirements: 1,
+  responsibilities: 1,
+  benefits: 1,
+  status: 1,
+  postedAt: 1,
+  isFeatured: 1,
+  stats: 1,
+};
+
+const createSearchError = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+/**
+ * Validate structured search filters and drop empty values
+ * @param {Object} [filters] - Query-string style keys (SEARCH_FILTER_KEYS)
+ * @returns {Object} Clean filters (isRemote as boolean, numeric keys as numbers)
+ * @throws {Error} statusCode 400 for unknown keys or invalid values
+ */
+const normalizeSearchFilters = (filters) => {
+  if (filters === undefined || filters === null) return {};
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    throw createSearchError('filters must be an object');
+  }
+
+  const clean = {};
+  for (const [key, value] of Object.entries(filters)) {
+    if (!SEARCH_FILTER_KEYS.includes(key)) {
+      throw createSearchError(`Filters may only contain: ${SEARCH_FILTER_KEYS.join(', ')}`);
+    }
+    if (value === undefined || value === null || value === '') continue;
+
+    if (key === 'isRemote') {
+      if (![true, false, 'true', 'false'].includes(value)) {
+        throw createSearchError('isRemote must be true or false');
+      }
+      clean.isRemote = value === true || value === 'true';
+    } else if (NUMERIC_FILTER_KEYS.includes(key)) {
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < 0) {
+        throw createSearchError(`${key} must be a non-negative number`);
+      }
+      clean[key] = number;
+    } else if (key === 'dateFrom' || key === 'dateTo') {
+      if (Number.isNaN(new Date(value).getTime())) {
+        throw createSearchError(`${key} must be a valid date`);
+      }
+      clean[key] = value;
+    } else if (typeof value === 'string' && value.trim()) {
+      clean[key] = value.trim();
+    } else if (typeof value !== 'string') {
+      throw createSearchError(`${key} must be a string`);
+    }
+  }
+  return clean;
+};
+
+/**
+ * Merge LLM-extracted filters with the caller's
+ * The caller's filters win per key; a caller-supplied location replaces the extracted one
+ * entirely, so an explicit city isn't combined with a different extracted state.
+ * @param {Object} extracted
+ * @param {Object} explicit
+ * @returns {Object}
+ */
+const mergeSearchFilters = (extracted, explicit) => {
+  const base = { ...extracted };
+  if (LOCATION_FILTER_KEYS.some((key) => explicit[key] !== undefined)) {
+    LOCATION_FILTER_KEYS.forEach((key) => delete base[key]);
+  }
+  return { ...base, ...explicit };
+};
+
+/**
+ * Validate rank fusion weights, defaulting to aiConfig.semanticSearch
+ * @param {Object} [weights] - { semantic?, lexical? }, each 0-10 (0 turns that retrieval off)
+ * @returns {{ semantic: number, lexical: number }}
+ * @throws {Error} statusCode 400 for invalid weights
+ */
+const normalizeSearchWeights = (weights) => {
+  const { semanticWeight, lexicalWeight } = aiConfig.semanticSearch;
+  if (weights === undefined || weights === null) return { semantic: semanticWeight, lexical: lexicalWeight };
+  if (typeof weights !== 'object' || Array.isArray(weights)
+    || Object.keys(weights).some((key) => key !== 'semantic' && key !== 'lexical')) {
+    throw createSearchError('weights may only contain semantic and lexical');
+  }
+
+  const clean = {
+    semantic: weights.semantic === undefined ? semanticWeight : Number(weights.semantic),
+    lexical: weights.lexical === undefined ? lexicalWeight : Number(weights.lexical),
+  };
+  Object.entries(clean).forEach(([key, value]) => {
+    if (!Number.isFinite(value) || value < 0 || value > 10) {
+      throw createSearchError(`weights.${key} must be a number from 0 to 10`);
+    }
+  });
+  if (clean.semantic === 0 && clean.lexical === 0) {
+    throw createSearchError('At least one of weights.semantic and weights.lexical must be above 0');
+  }
+  return clean;
+};
+
+// Ties a cursor to the query, explicit filters and weights it was issued for
+const fingerprintSearch = (query, explicit, weights) => crypto
+  .createHash('sha1')
+  .update(JSON.stringify([query.toLowerCase(), explicit, weights]))
+  .digest('hex')
+  .slice(0, 16);
+
+const encodeSearchCursor = (state) => Buffer.from(JSON.stringify(state)).toString('base64url');
+
+/**
+ * Decode a pagination cursor issued by semanticJobSearch
+ * @param {string} [cursor]
+ * @param {string} query - Trimmed query of the current request
+ * @param {Object} explicit - Normalized explicit filters of the current request
+ * @param {Object} weights - Normalized weights of the current request
+ * @returns {{ offset: number, extracted: Object, relaxed: boolean, mode: string }|null} null for the first page
+ * @throws {Error} statusCode 400 if the cursor is malformed or belongs to another search
+ */
+const decodeSearchCursor = (cursor, query, explicit, weights) => {
+  if (cursor === undefined || cursor === null || cursor === '') return null;
+
+  let state;
+  try {
+    state = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw createSearchError('Invalid cursor');
+  }
+  if (!state || !Number.isInteger(state.o) || state.o < 0 || typeof state.x !== 'object' || !state.x) {
+    throw createSearchError('Invalid cursor');
+  }
+  if (state.k !== fingerprintSearch(query, explicit, weights)) {
+    throw createSearchError('Cursor does not match this query, filters and weights; start again without it');
+  }
+
+  return {
+    offset: state.o,
+    extracted: normalizeSearchFilters(state.x),
+    relaxed: state.r === true,
+    mode: state.m,
+  };
+};
 
 /**
  * Run a MongoDB Atlas Vector Search against the jobs collection
+ * Structured filters are applied after the vector stage (as in the recommender), so the
+ * Atlas index needs no filter fields; candidatePool bounds how many hits they can narrow.
  *
  * @param {number[]} queryVector - 384-dimensional query embedding
  * @param {number} limit - Max results to return
- * @param {Object} preFilter - Optional MongoDB $match filter (specialization, jobType, etc.)
+ * @param {Object} filter - MongoDB filter from buildJobFilters (specialization, jobType, etc.)
  * @returns {Promise<Array>} Matched job documents with similarity scores
  */
-const runVectorSearch = async (queryVector, limit = 10, preFilter = {}) => {
+const runVectorSearch = async (queryVector, limit = 10, filter = {}) => {
   const collection = mongoose.connection.collection('jobs');
+  const pool = Math.max(aiConfig.semanticSearch.candidatePool, limit);
 
   // Build the Atlas Vector Search aggregation pipeline
   // NOTE: index name must match what you created in Atlas UI
-  const vectorSearchStage = {
-    $vectorSearch: {
-      index: process.env.MONGODB_VECTOR_INDEX_NAME || 'job_vector_index',
-      path: 'embedding',
-      queryVector,
-      numCandidates: limit * 10, // Search wider, return narrower
-      limit,
-    },
-  };
-
-  // Add pre-filters if provided (narrow search before vector scoring)
-  if (Object.keys(preFilter).length > 0) {
-    vectorSearchStage.$vectorSearch.filter = preFilter;
-  }
-
   const pipeline = [
-    vectorSearchStage,
     {
-      $project: {
-        _id: 1,
-        title: 1,
-        organizationName: 1,
-        location: 1,
-        specialization: 1,
-        jobType: 1,
-        shift: 1,
-        isRemote: 1,
-        experienceRequired: 1,
-        salary: 1,
-        description: 1,
-        requirements: 1,
-        responsibilities: 1,
-        benefits: 1,
-        status: 1,
-        postedAt: 1,
-        isFeatured: 1,
-        stats: 1,
-        // Atlas Vector Search injects this score field
-        score: { $meta: 'vectorSearchScore' },
+      $vectorSearch: {
+        index: aiConfig.embedding.vectorIndexName,
+        path: 'embedding',
+        queryVector,
+        numCandidates: pool * 5, // Search wider, return narrower
+        limit: pool,
       },
     },
-    // Only return Active, non-expired jobs
+    // Only return Active jobs matching the structured filters, embedded with the active version
     {
       $match: {
+        ...filter,
+        ...activeJobEmbeddingFilter(),
         status: 'Active',
       },
     },
+    {
+      $project: {
+        ...SEARCH_PROJECTION,
+        // Atlas Vector Search injects this score field
+        score: { $meta: 'vectorSearchScore' },
+      },
+    },
+    { $limit: limit },
   ];
 
   return collection.aggregate(pipeline).toArray();
 };
 
+/**
+ * Fallback: in-memory vector index when Atlas Vector Search is unavailable
+ *
+ * @param {number[]} queryVector
+ * @param {number} limit - Max results to return
+ * @param {Object} filter - MongoDB filter from buildJobFilters
+ * @returns {Promise<Array>} Job documents with similarity scores, best first
+ * @throws {Error} if no job embeddings are loaded (nothing to search semantically)
+ */
+const runMemoryIndexSearch = async (queryVector, limit = 10, filter = {}) => {
+  const hits = await searchJobVectors(queryVector, {
+    limit,
+    filter: { ...filter, status: 'Active' },
+  });
+  if (hits.length === 0 && getJobVectorIndexStats().vectors === 0) {
+    throw new Error('In-memory vector index has no job embeddings');
+  }
+
+  const { ObjectId } = mongoose.Types;
+  const docs = await mongoose.connection.collection('jobs')
+    .find({ _id: { $in: hits.map((hit) => new ObjectId(hit._id)) } }, { projection: SEARCH_PROJECTION })
+    .toArray();
+  const byId = new Map(docs.map((doc) => [doc._id.toString(), doc]));
+
+  return hits
+    .filter((hit) => byId.has(hit._id))
+    .map((hit) => ({ ...byId.get(hit._id), score: hit.score }));
+};
+
 /**
  * Fallback: MongoDB text search when Atlas Vector Search index is not yet set up
  * Uses the existing text index on title + description + organizationName
@@ -98,9 +286,9 @@ const runTextSearchFallback = async (queryText, limit = 10, extraFilter = {}) =>
   const pipeline = [
     {
       $match: {
+        ...extraFilter,
         $text: { $search: queryText },
         status: 'Active',
-        ...extraFilter,
       },
     },
     {
@@ -112,24 +300,7 @@ const runTextSearchFallback = async (queryText, limit = 10, extraFilter = {}) =>
     { $limit: limit },
     {
       $project: {
-        _id: 1,
-        title: 1,
-        organizationName: 1,
-        location: 1,
-        specialization: 1,
-        jobType: 1,
-        shift: 1,
-        isRemote: 1,
-        experienceRequired: 1,
-        salary: 1,
-        description: 1,
-        requirements: 1,
-        responsibilities: 1,
-        benefits: 1,
-        status: 1,
-        postedAt: 1,
-        isFeatured: 1,
-        stats: 1,
+        ...SEARCH_PROJECTION,
         score: 1,
       },
     },
@@ -138,6 +309,55 @@ const runTextSearchFallback = async (queryText, limit = 10, extraFilter = {}) =>
   return collection.aggregate(pipeline).toArray();
 };
 
+const roundTo = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Merge ranked result lists with weighted reciprocal rank fusion
+ * Each list adds weight / (rrfK + rank) to a job's fused score (rank is 1-based).
+ * The job's score becomes the fused score as a fraction of the best possible (ranked
+ * first in every list), and ranking reports each list's rank, raw score and contribution.
+ *
+ * @param {{ semantic?: Array, lexical?: Array }} lists - Each best first; absent = not run
+ * @param {Object<string, number>} weights - Weight per list
+ * @param {number} rrfK - Rank constant
+ * @returns {Array} Jobs, best first
+ */
+const fuseRankings = (lists, weights, rrfK) => {
+  const names = Object.keys(lists);
+  const bestPossible = names.reduce((sum, name) => sum + weights[name] / (rrfK + 1), 0);
+  const fused = new Map();
+
+  names.forEach((name) => {
+    lists[name].forEach((job, idx) => {
+      const id = job._id.toString();
+      if (!fused.has(id)) {
+        fused.set(id, {
+          job,
+          total: 0,
+          ranking: { semantic: null, lexical: null },
+        });
+      }
+      const entry = fused.get(id);
+      const contribution = weights[name] / (rrfK + idx + 1);
+      entry.total += contribution;
+      entry.ranking[name] = {
+        rank: idx + 1,
+        score: typeof job.score === 'number' ? roundTo(job.score, 4) : null,
+        contribution: roundTo(contribution, 5),
+      };
+    });
+  });
+
+  return [...fused.values()]
+    // Ties broken by id so every page sees the same order
+    .sort((a, b) => b.total - a.total || a.job._id.toString().localeCompare(b.job._id.toString()))
+    .map(({ job, total, ranking }) => ({
+      ...job,
+      score: bestPossible > 0 ? total / bestPossible : 0,
+      ranking: { fused: roundTo(total, 5), ...ranking },
+    }));
+};
+
 /**
  * Format a job document into a concise summary for the LLM re-ranker
  * Escapes curly braces to prevent LangChain template injection errors
@@ -192,10 +412,12 @@ const escapeLangChain = (str) => String(str).replace(/{/g, '{{').replace(/}/g, '
  * This enables hybrid search: vector similarity + structured filters
  *
  * @param {string} query - User's natural language query
- * @returns {Promise<Object>} MongoDB filter conditions
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the LLM call
+ * @returns {Promise<Object>} Filters in the same keys as SEARCH_FILTER_KEYS
  */
-const extractFiltersFromQuery = async (query) => {
-  const llm = getLLM();
+const extractFiltersFromQuery = async (query, { signal } = {}) => {
+  const llm = getLLM(LLM_TASKS.FILTER_EXTRACTION);
   const outputParser = new StringOutputParser();
 
   const safeQueryForFilter = escapeLangChain(query);
@@ -229,36 +451,22 @@ Rules:
   ]);
 
   const chain = prompt.pipe(llm).pipe(outputParser);
-  const raw = await chain.invoke({});
+  const raw = await chain.invoke({}, { signal });
 
   try {
     // Clean markdown fences
     const cleaned = raw.trim().replace(/^```(?:json)?\s*\n?/, '').replace(/\n?```\s*$/, '');
     const parsed = JSON.parse(cleaned);
 
-    // Build MongoDB filter
-    const filter = {};
-
-    if (parsed.specialization) {
-      filter.specialization = { $eq: parsed.specialization };
-    }
-    if (parsed.jobType) {
-      filter.jobType = { $eq: parsed.jobType };
-    }
-    if (parsed.shift) {
-      filter.shift = { $eq: parsed.shift };
-    }
+    const filters = {};
+    ['specialization', 'jobType', 'shift', 'city', 'state'].forEach((key) => {
+      if (typeof parsed[key] === 'string' && parsed[key].trim()) filters[key] = parsed[key].trim();
+    });
     if (parsed.isRemote === true || parsed.isRemote === false) {
-      filter.isRemote = { $eq: parsed.isRemote };
-    }
-    if (parsed.city) {
-      filter['location.city'] = { $eq: parsed.city };
-    }
-    if (parsed.state) {
-      filter['location.state'] = { $eq: parsed.state };
+      filters.isRemote = parsed.isRemote;
     }
 
-    return filter;
+    return filters;
   } catch {
     return {}; // Gracefully fall back to no filter
   }
@@ -269,64 +477,176 @@ Rules:
  *
  * @param {string} query - Natural language search query from user
  * @param {Object} options
- * @param {number} [options.limit=8] - Number of results to return
- * @param {boolean} [options.useVectorSearch=true] - Use Atlas Vector Search (false = text fallback)
+ * @param {number} [options.limit=8] - Number of results per page
+ * @param {Object} [options.filters] - Structured filters (SEARCH_FILTER_KEYS); override extracted ones
+ * @param {string} [options.cursor] - nextCursor from the previous page
+ * @param {Object} [options.weights] - Rank fusion weights { semantic, lexical }
+ * @param {boolean} [options.useVectorSearch=true] - Use vector search: Atlas, else the in-memory
+ *   index (false = lexical only)
  * @param {boolean} [options.generateExplanations=true] - Use LLM to generate relevance explanations
- * @returns {Promise<Object>} Search results with explanations
+ * @param {AbortSignal} [options.signal] - Cancels the pipeline and its LLM calls
+ * @param {Function} [options.onProgress] - Called with { stage, ... } as each step finishes
+ *   (filters → search → reranking)
+ * @returns {Promise<Object>} Search results with explanations and per-source ranking,
+ *   effective filters, fusion settings and pagination
  */
 const semanticJobSearch = async (query, options = {}) => {
   const {
     limit = 8,
     useVectorSearch = true,
     generateExplanations = true,
+    signal,
+    onProgress,
   } = options;
 
+  const progress = (stage, data = {}) => {
+    if (onProgress) onProgress({ stage, ...data });
+  };
+
   if (!query || query.trim().length < 2) {
     throw new Error('Search query must be at least 2 characters long');
   }
 
   const trimmedQuery = query.trim();
-  let jobs = [];
-  let searchMode = 'vector';
+  const explicitFilters = normalizeSearchFilters(options.filters);
+  const weights = normalizeSearchWeights(options.weights);
+  const page = decodeSearchCursor(options.cursor, trimmedQuery, explicitFilters, weights);
+  const offset = page ? page.offset : 0;
+
+  // Both lists are always retrieved to the same depth: fusing shallower lists on early pages
+  // would rank jobs differently from later pages and repeat or skip some. Paging stops at maxResults.
+  const { maxResults, rrfK } = aiConfig.semanticSearch;
+  const fetchCount = maxResults;
+
+  let searchMode = page && page.mode === 'memory_index' ? 'memory_index' : 'vector';
+  let extractedFilters = page ? page.extracted : {};
+  let filtersRelaxed = page ? page.relaxed : false;
+
+  // Step 1: Extract structured filters from query (first page only; later pages reuse them)
+  if (!page) {
+    try {
+      extractedFilters = await extractFiltersFromQuery(trimmedQuery, { signal });
+    } catch (filterErr) {
+      if (signal?.aborted) throw filterErr;
+      // Non-fatal — proceed with the explicit filters only
+    }
+  }
+  progress('filters', { filters: mergeSearchFilters(extractedFilters, explicitFilters) });
 
-  if (useVectorSearch) {
+  // Step 2: Embed the query (skipped when semantic retrieval is off)
+  let queryVector = null;
+  if (useVectorSearch && weights.semantic > 0 && !(page && page.mode === 'text_fallback')) {
     try {
-      // Step 1: Extract structured filters from query (hybrid search)
-      let preFilter = {};
-      try {
-        preFilter = await extractFiltersFromQuery(trimmedQuery);
-      } catch {
-        // Non-fatal — proceed without filters
-      }
+      queryVector = await embedText(trimmedQuery);
+    } catch (embedErr) {
+      if (signal?.aborted) throw embedErr;
+      console.warn(`⚠️  Query embedding failed, using text search only: ${embedErr.message}`);
+    }
+    signal?.throwIfAborted();
+  }
 
-      // Step 2: Embed the query
-      const queryVector = await embedText(trimmedQuery);
+  // Atlas Vector Search, or the in-memory index once Atlas has failed
+  const searchVectors = async (filter) => {
+    if (searchMode === 'memory_index') return runMemoryIndexSearch(queryVector, fetchCount, filter);
+    try {
+      return await runVectorSearch(queryVector, fetchCount, filter);
+    } catch (atlasErr) {
+      if (signal?.aborted || !aiConfig.vectorIndex.enabled) throw atlasErr;
+      console.warn(`⚠️  Atlas Vector Search failed, using in-memory index: ${atlasErr.message}`);
+      searchMode = 'memory_index';
+      return runMemoryIndexSearch(queryVector, fetchCount, filter);
+    }
+  };
 
-      // Step 3: Atlas Vector Search
-      jobs = await runVectorSearch(queryVector, limit * 2, preFilter);
-      searchMode = 'vector';
+  // A failed retrieval resolves to { error } and is left out as long as the other one works
+  const tryRetrieval = (label, run) => run().catch((err) => {
+    if (signal?.aborted) throw err;
+    console.warn(`⚠️  ${label} failed: ${err.message}`);
+    return { error: err };
+  });
+
+  // Step 3: Semantic and lexical retrieval in parallel, merged with weighted RRF
+  let sources = {};
+  const retrieve = async (filter) => {
+    const [semantic, lexical] = await Promise.all([
+      queryVector ? tryRetrieval('Vector search', () => searchVectors(filter)) : null,
+      weights.lexical > 0 ? tryRetrieval('Text search', () => runTextSearchFallback(trimmedQuery, fetchCount, filter)) : null,
+    ]);
+
+    const lists = {};
+    const listWeights = {};
+    if (Array.isArray(semantic)) {
+      lists.semantic = semantic;
+      listWeights.semantic = weights.semantic;
+    }
+    if (Array.isArray(lexical)) {
+      lists.lexical = lexical;
+      listWeights.lexical = weights.lexical;
+    }
 
-      // If vector search returns nothing (e.g., no matching active jobs after filter), relax filter
-      if (jobs.length === 0 && Object.keys(preFilter).length > 0) {
-        jobs = await runVectorSearch(queryVector, limit * 2, {});
-      }
-    } catch (vectorErr) {
-      // Atlas Vector Search may not be configured yet — fall back to text search
-      console.warn(`⚠️  Vector search failed, using text fallback: ${vectorErr.message}`);
-      try {
-        jobs = await runTextSearchFallback(trimmedQuery, limit * 2);
-        searchMode = 'text_fallback';
-      } catch (textErr) {
-        throw new Error(`Search failed: ${textErr.message}`);
+    // No semantic results to work with: text search is the fallback even at lexical weight 0
+    if (!lists.semantic) {
+      searchMode = 'text_fallback';
+      if (lexical && lexical.error) throw new Error(`Search failed: ${lexical.error.message}`);
+      if (!lists.lexical) {
+        try {
+          lists.lexical = await runTextSearchFallback(trimmedQuery, fetchCount, filter);
+        } catch (textErr) {
+          throw new Error(`Search failed: ${textErr.message}`);
+        }
       }
+      listWeights.lexical = weights.lexical || 1;
     }
-  } else {
-    jobs = await runTextSearchFallback(trimmedQuery, limit * 2);
-    searchMode = 'text_fallback';
+
+    sources = Object.fromEntries(Object.entries(lists).map(([name, list]) => [name, list.length]));
+    // Two lists of maxResults can fuse into up to twice as many jobs
+    return fuseRankings(lists, listWeights, rrfK).slice(0, maxResults);
+  };
+
+  let jobs = await retrieve(buildJobFilters(mergeSearchFilters(extractedFilters, explicitFilters)));
+
+  // Nothing matches the extracted filters: relax them (the caller's filters always stay)
+  if (!page && jobs.length === 0 && Object.keys(extractedFilters).length > 0) {
+    extractedFilters = {};
+    filtersRelaxed = true;
+    jobs = await retrieve(buildJobFilters(explicitFilters));
   }
 
-  // Slice to requested limit
-  const topJobs = jobs.slice(0, limit);
+  signal?.throwIfAborted();
+  progress('search', { mode: searchMode, count: jobs.length, sources });
+
+  const fusion = {
+    method: 'rrf',
+    k: rrfK,
+    weights,
+    sources,
+  };
+
+  const filters = {
+    effective: mergeSearchFilters(extractedFilters, explicitFilters),
+    explicit: explicitFilters,
+    extracted: extractedFilters,
+    relaxed: filtersRelaxed,
+  };
+
+  const hasMore = jobs.length > offset + limit;
+  const pagination = {
+    offset,
+    limit,
+    hasMore,
+    nextCursor: hasMore
+      ? encodeSearchCursor({
+        o: offset + limit,
+        x: extractedFilters,
+        r: filtersRelaxed,
+        m: searchMode,
+        k: fingerprintSearch(trimmedQuery, explicitFilters, weights),
+      })
+      : null,
+  };
+
+  // This page of results
+  const topJobs = jobs.slice(offset, offset + limit);
 
   if (topJobs.length === 0) {
     return {
@@ -335,6 +655,9 @@ const semanticJobSearch = async (query, options = {}) => {
       results: [],
       totalFound: 0,
       aiSummary: 'No jobs found matching your search. Try a different query or broaden your filters.',
+      filters,
+      fusion,
+      pagination,
     };
   }
 
@@ -343,12 +666,13 @@ const semanticJobSearch = async (query, options = {}) => {
   let aiSummary = '';
 
   if (generateExplanations && topJobs.length > 0) {
+    progress('reranking', { count: topJobs.length });
     try {
       const jobListText = topJobs
         .map((job, idx) => formatJobSummaryForLLM(job, idx + 1))
         .join('\n\n---\n\n');
 
-      const llm = getLLM();
+      const llm = getLLM(LLM_TASKS.RERANK);
       const outputParser = new StringOutputParser();
 
       // Escape curly braces in dynamic content to prevent LangChain template errors
@@ -391,7 +715,7 @@ Provide summary and per-job explanations as JSON.`,
       ]);
 
       const chain = rerankerPrompt.pipe(llm).pipe(outputParser);
-      const raw = await chain.invoke({});
+      const raw = await chain.invoke({}, { signal });
 
       // Parse LLM response
       const cleaned = raw.trim().replace(/^```(?:json)?\s*\n?/, '').replace(/\n?```\s*$/, '');
@@ -408,6 +732,7 @@ Provide summary and per-job explanations as JSON.`,
         relevanceScore: job.score ? Math.round(job.score * 100) / 100 : null,
       }));
     } catch (llmErr) {
+      if (signal?.aborted) throw llmErr;
       // Non-fatal — return results without AI explanations
       console.warn(`⚠️  LLM re-ranking failed: ${llmErr.message}`);
       results = topJobs.map((job) => ({
@@ -432,7 +757,16 @@ Provide summary and per-job explanations as JSON.`,
     results,
     totalFound: results.length,
     aiSummary,
+    filters,
+    fusion,
+    pagination,
   };
 };
 
-module.exports = { semanticJobSearch };
+module.exports = {
+  semanticJobSearch,
+  normalizeSearchFilters,
+  normalizeSearchWeights,
+  decodeSearchCursor,
+  SEARCH_FILTER_KEYS,
+};
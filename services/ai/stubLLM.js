@@ -0,0 +1,349 @@
+/**
+ * Stub LLM
+ * Deterministic, offline chat model selected with AI_PROVIDER=stub
+ *
+ * Each chain tags its call with an LLM task (see llmTasks.js). The stub answers
+ * with a fixture for that task, built only from the prompt text, so the same
+ * input always yields the same schema-valid output and no network is needed.
+ */
+
+const { SimpleChatModel } = require('@langchain/core/language_models/chat_models');
+const { AIMessageChunk } = require('@langchain/core/messages');
+const { ChatGenerationChunk } = require('@langchain/core/outputs');
+const { LLM_TASKS } = require('./llmTasks');
+
+const messageText = (messages, type) => messages
+  .filter((m) => m.type === type)
+  .map((m) => (typeof m.content === 'string' ? m.content : JSON.stringify(m.content)))
+  .join('\n');
+
+const matchLine = (text, pattern) => {
+  const match = text.match(pattern);
+  return match ? match[1].trim() : '';
+};
+
+const splitList = (value) => value
+  .split(/[,;]/)
+  .map((s) => s.replace(/\(.*?\)/g, '').trim())
+  .filter(Boolean);
+
+const clamp = (n) => Math.max(0, Math.min(100, Math.round(n)));
+
+// ─── Fixtures: (system, human) => string ───
+
+const resumeSummaryFixture = (system, human) => {
+  const name = matchLine(human, /CANDIDATE NAME:\s*(.+)/) || 'The candidate';
+  const tone = matchLine(human, /compelling (\w+) professional summary/) || 'professional';
+  const skillsLine = matchLine(human, /SKILLS:\s*\n(.+)/);
+  const skills = skillsLine && !skillsLine.startsWith('No ') ? splitList(skillsLine).slice(0, 4) : [];
+  const latestRole = matchLine(human, /WORK EXPERIENCE:\s*\n•\s*([^(\n]+)/);
+
+  const sentences = [
+    latestRole
+      ? `${name} is a healthcare professional currently working as ${latestRole.trim()}.`
+      : `${name} is a motivated healthcare professional.`,
+    skills.length > 0
+      ? `Key strengths include ${skills.join(', ')}.`
+      : 'Brings a strong commitment to patient care and continuous learning.',
+  ];
+  if (tone !== 'concise') {
+    sentences.push('Known for reliable clinical judgement, clear communication with patients and colleagues, and a collaborative approach to multidisciplinary care.');
+  }
+  return sentences.join(' ');
+};
+
+const matchScoreFixture = (system, human) => {
+  const [, resumePart = '', jobPart = ''] = human.split(/--- RESUME ---|--- JOB POSTING ---/);
+  const resumeText = resumePart.toLowerCase();
+  const jobText = jobPart.toLowerCase();
+
+  const skills = splitList(matchLine(resumePart, /SKILLS:\s*(.+)/));
+  const matched = skills.filter((s) => jobText.includes(s.toLowerCase()));
+  const requirements = (jobPart.match(/REQUIREMENTS:\n((?:•.*\n?)+)/) || [, ''])[1]
+    .split('\n')
+    .map((line) => line.replace(/^•\s*/, '').trim())
+    .filter(Boolean);
+  const missing = requirements
+    .filter((r) => !skills.some((s) => r.toLowerCase().includes(s.toLowerCase())))
+    .slice(0, 5);
+
+  const specialization = matchLine(jobPart, /SPECIALIZATION:\s*(.+)/);
+  const scores = {
+    skills: skills.length > 0 ? clamp(30 + (70 * matched.length) / skills.length) : 40,
+    experience: resumeText.includes('work experience:') ? 70 : 30,
+    education: resumeText.includes('education:') ? 75 : 40,
+    specialization: specialization && resumeText.includes(specialization.toLowerCase()) ? 85 : 50,
+  };
+  const overallScore = clamp(
+    scores.skills * 0.4 + scores.experience * 0.25 + scores.education * 0.15 + scores.specialization * 0.2
+  );
+
+  return JSON.stringify({
+    overallScore,
+    breakdown: {
+      skills: { score: scores.skills, matched, missing },
+      experience: { score: scores.experience, assessment: scores.experience >= 70 ? 'Relevant work experience is listed.' : 'Little work experience is listed.' },
+      education: { score: scores.education, assessment: scores.education >= 75 ? 'Education is listed.' : 'No education is listed.' },
+      specialization: { score: scores.specialization, assessment: scores.specialization >= 85 ? `Resume mentions ${specialization}.` : 'Specialization alignment is unclear.' },
+    },
+    strengths: matched.slice(0, 3).map((s) => `Has ${s}`),
+    improvements: missing.slice(0, 3).map((r) => `Address requirement: ${r}`),
+    verdictSummary: `Stub analysis: overall score ${overallScore} based on ${matched.length} of ${skills.length} listed skills appearing in the job posting.`,
+  });
+};
+
+const filterExtractionFixture = (system, human) => {
+  const query = matchLine(human, /Query:\s*([\s\S]+)/);
+  const lower = query.toLowerCase();
+  const options = (name) => matchLine(system, new RegExp(`"${name}": "<([^>]+)>"`)).split('|').filter(Boolean);
+  const filters = {};
+
+  const specializations = splitList(matchLine(system, /Medical specializations:\s*(.+)/));
+  const specialization = specializations.find((s) => lower.includes(s.toLowerCase()));
+  if (specialization) filters.specialization = specialization;
+
+  const jobType = options('jobType').find((t) => lower.includes(t.toLowerCase()));
+  if (jobType) filters.jobType = jobType;
+
+  const shift = options('shift').find((s) => new RegExp(`\\b${s.toLowerCase()}\\b`).test(lower));
+  if (shift) filters.shift = shift;
+
+  if (/\bremote\b|work from home|\bwfh\b/.test(lower)) filters.isRemote = true;
+
+  const city = matchLine(query, /\bin ([A-Z][a-zA-Z]+)/);
+  if (city) filters.city = city;
+
+  return JSON.stringify(filters);
+};
+
+const rerankFixture = (system, human) => {
+  const query = matchLine(human, /User searched for: "([^"]*)"/);
+  const titles = [...human.matchAll(/\[JOB (\d+)\]\nTitle: (.+)/g)];
+  const explanations = {};
+  for (const [, idx, title] of titles) {
+    explanations[idx] = `${title.trim()} is relevant to "${query}".`;
+  }
+  return JSON.stringify({
+    summary: `Found ${titles.length} job${titles.length === 1 ? '' : 's'} for "${query}".`,
+    explanations,
+  });
+};
+
+// Sections left empty so the rule-based parse stands on its own
+const resumeParseFixture = () => JSON.stringify({
+  name: null,
+  title: null,
+  summary: null,
+  totalYears: null,
+  workExperience: [],
+  education: [],
+  skills: [],
+  certifications: [],
+  specializations: [],
+});
+
+const coverLetterFixture = (system, human) => {
+  const [, resumePart = '', jobPart = ''] = human.split(/--- RESUME ---|--- JOB POSTING ---/);
+  const name = matchLine(resumePart, /CANDIDATE:\s*(.+)/) || 'The Candidate';
+  const jobTitle = matchLine(jobPart, /JOB TITLE:\s*(.+)/) || 'this role';
+  const organization = matchLine(jobPart, /ORGANIZATION:\s*(.+)/) || 'your organization';
+  const latestRole = matchLine(resumePart, /WORK EXPERIENCE:\n•\s*([^(\n]+)/);
+  const skills = splitList(matchLine(resumePart, /SKILLS:\s*(.+)/)).slice(0, 3);
+
+  return [
+    'Dear Hiring Manager,',
+    `I am writing to apply for the ${jobTitle} position at ${organization}.${latestRole ? ` I currently work as ${latestRole.trim()}.` : ''}`,
+    skills.length > 0
+      ? `My experience with ${skills.join(', ')} matches what this role asks for.`
+      : 'I am keen to bring my clinical experience to your team.',
+    'Thank you for considering my application. I would welcome the chance to discuss how I can contribute.',
+    `Sincerely,\n${name}`,
+  ].join('\n\n');
+};
+
+// Keeps the wording; ranks bullets and skills by how many words they share with the job
+const tailorResumeFixture = (system, human) => {
+  const [, resumePart = '', jobPart = ''] = human.split(/--- RESUME ---|--- JOB POSTING ---/);
+  const jobWords = new Set(jobPart.toLowerCase().match(/[a-z]{4,}/g) || []);
+  const relevance = (text) => (text.toLowerCase().match(/[a-z]{4,}/g) || []).filter((w) => jobWords.has(w)).length;
+  const byRelevance = (items) => items
+    .map((item, i) => ({ ...item, i, score: relevance(item.text) }))
+    .sort((a, b) => b.score - a.score || a.i - b.i);
+
+  const [, expBlock = '', skillBlock = ''] = resumePart.split(/WORK EXPERIENCE:\n|SKILLS:\n/);
+  const workExperience = expBlock.split(/\n(?=\[\d+\] )/).filter((e) => /^\[\d+\] /.test(e)).map((entry) => {
+    const bullets = [...entry.matchAll(/^ {2}\((\d+)\) (.+)$/gm)].map(([, from, text]) => ({ from: Number(from), text }));
+    return {
+      index: Number(entry.match(/^\[(\d+)\]/)[1]),
+      description: null,
+      achievements: byRelevance(bullets).map(({ from, text }) => ({ from, text })),
+    };
+  });
+
+  const skills = [...skillBlock.matchAll(/^\[(\d+)\] (.+)$/gm)].map(([, idx, text]) => ({ idx: Number(idx), text }));
+  const summary = matchLine(resumePart, /SUMMARY:\s*(.+)/);
+
+  return JSON.stringify({
+    summary: summary === '(none)' ? null : summary,
+    workExperience,
+    skillOrder: byRelevance(skills).map((s) => s.idx),
+    notes: ['Stub tailoring: bullets and skills ordered by overlap with the job posting.'],
+  });
+};
+
+// High-severity rule checks hold the application; otherwise skill overlap decides
+const screeningAgentFixture = (system, human) => {
+  const [, candidatePart = ''] = human.split(/--- CANDIDATE ---|--- COVER LETTER ---/);
+  const rulePart = human.split(/--- RULE CHECKS ---|--- JOB POSTING ---/)[1] || '';
+  const jobPart = human.split('--- JOB POSTING ---')[1] || '';
+
+  const skills = splitList(matchLine(candidatePart, /SKILLS:\s*(.+)/));
+  const matched = skills.filter((s) => jobPart.toLowerCase().includes(s.toLowerCase()));
+  const requirements = (jobPart.match(/REQUIREMENTS:\n((?:•.*\n?)+)/) || [, ''])[1]
+    .split('\n')
+    .map((line) => line.replace(/^•\s*/, '').trim())
+    .filter(Boolean);
+  const hasHighFlag = /\[high\]/.test(rulePart);
+
+  let recommendation = 'hold';
+  if (!hasHighFlag && matched.length > 0) recommendation = 'advance';
+  if (!hasHighFlag && skills.length > 0 && matched.length === 0 && requirements.length > 0) recommendation = 'reject';
+
+  return JSON.stringify({
+    recommendation,
+    confidence: hasHighFlag ? 40 : clamp(40 + 15 * matched.length),
+    rationale: `Stub screening: ${matched.length} of ${skills.length} listed skills appear in the job posting${hasHighFlag ? ', and the rule checks found a high-severity issue' : ''}.`,
+    redFlags: [],
+    interviewQuestions: requirements.slice(0, 3).map((r) => `Can you describe your experience with: ${r}?`),
+  });
+};
+
+// Brief: a generic posting from the brief lines. Existing text: split on common headings.
+const jobDraftFixture = (system, human) => {
+  const role = matchLine(human, /Role:\s*(.+)/);
+  const specialization = matchLine(human, /Specialization:\s*(.+)/);
+  const organization = matchLine(human, /Organization:\s*(.+)/) || 'our organization';
+  const text = (human.split('--- EXISTING DESCRIPTION ---')[1] || '').replace(/\n*Return the structured job JSON\.\s*$/, '');
+
+  if (!text.trim()) {
+    const title = role || `${specialization || 'Healthcare'} Professional`;
+    return JSON.stringify({
+      title,
+      specialization: specialization || null,
+      description: `${organization} is hiring a ${title} to join its ${specialization || 'clinical'} team.`,
+      responsibilities: [`Deliver safe, high-quality ${specialization ? specialization.toLowerCase() : 'patient'} care`, 'Maintain accurate clinical records', 'Work with the multidisciplinary team'],
+      requirements: [`Relevant qualification for a ${title} role`, 'Valid professional registration'],
+      benefits: ['Competitive salary', 'Professional development support'],
+    });
+  }
+
+  const sections = { description: [], responsibilities: [], requirements: [], benefits: [] };
+  const headings = [
+    [/^(responsibilities|duties|key responsibilities|what you('ll| will) do)\b/i, 'responsibilities'],
+    [/^(requirements|qualifications|skills|what we('re| are) looking for|who you are)\b/i, 'requirements'],
+    [/^(benefits|perks|what we offer|we offer)\b/i, 'benefits'],
+  ];
+  let current = 'description';
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.trim();
+    if (!line) continue;
+    const heading = headings.find(([pattern]) => pattern.test(line.replace(/^#+\s*/, '')));
+    if (heading && line.length < 60) {
+      current = heading[1];
+      continue;
+    }
+    sections[current].push(line.replace(/^[-•*]\s*/, ''));
+  }
+
+  return JSON.stringify({
+    title: role || null,
+    specialization: specialization || null,
+    description: sections.description.join('\n') || null,
+    responsibilities: sections.responsibilities,
+    requirements: sections.requirements,
+    benefits: sections.benefits,
+  });
+};
+
+// Coded phrases the stub flags; the rule dictionary doesn't cover these
+const STUB_LINT_PHRASES = [
+  [/\b(?:rock ?star|ninja|guru)\b/i, 'Jargon that reads as young and male-coded'],
+  [/\bculture fit\b/i, 'Vague criterion that often screens out different backgrounds'],
+  [/\bwork hard,? play hard\b/i, 'Suggests long hours and excludes carers'],
+  [/\byoung and dynamic\b/i, 'Age-coded wording'],
+];
+
+const jobLintFixture = (system, human) => {
+  const findings = [];
+  for (const line of human.split('\n')) {
+    const field = matchLine(line, /^\[([^\]]+)\]/);
+    if (!field) continue;
+    for (const [pattern, message] of STUB_LINT_PHRASES) {
+      const match = line.match(pattern);
+      if (match) {
+        findings.push({
+          field,
+          quote: match[0],
+          category: /young/i.test(match[0]) ? 'age' : 'other',
+          severity: 'warning',
+          message,
+          suggestion: 'Describe the actual skills or behaviours the role needs.',
+        });
+      }
+    }
+  }
+  return JSON.stringify({ findings });
+};
+
+const fixtures = new Map([
+  [LLM_TASKS.RESUME_SUMMARY, resumeSummaryFixture],
+  [LLM_TASKS.MATCH_SCORE, matchScoreFixture],
+  [LLM_TASKS.FILTER_EXTRACTION, filterExtractionFixture],
+  [LLM_TASKS.RERANK, rerankFixture],
+  [LLM_TASKS.RESUME_PARSE, resumeParseFixture],
+  [LLM_TASKS.COVER_LETTER, coverLetterFixture],
+  [LLM_TASKS.TAILOR_RESUME, tailorResumeFixture],
+  [LLM_TASKS.SCREENING_AGENT, screeningAgentFixture],
+  [LLM_TASKS.JOB_DRAFT, jobDraftFixture],
+  [LLM_TASKS.JOB_LINT, jobLintFixture],
+]);
+
+/**
+ * Add or replace the stub response for a task
+ * @param {string} task - LLM_TASKS value
+ * @param {Function} fixture - (systemText, humanText) => string
+ */
+const registerStubFixture = (task, fixture) => {
+  fixtures.set(task, fixture);
+};
+
+class StubChatModel extends SimpleChatModel {
+  _llmType() {
+    return 'stub';
+  }
+
+  async _call(messages, options) {
+    const system = messageText(messages, 'system');
+    const human = messageText(messages, 'human');
+    const fixture = fixtures.get(options.aiTask);
+
+    if (fixture) return fixture(system, human);
+    // Unknown task: stay parseable for JSON-only chains
+    return /JSON/.test(system) ? '{}' : 'This is a stub response.';
+  }
+
+  // Word-sized chunks so streaming endpoints (and aborts) can be exercised offline
+  async *_streamResponseChunks(messages, options, runManager) {
+    const text = await this._call(messages, options);
+    for (const piece of text.match(/\S+\s*|\s+/g) || []) {
+      if (options.signal) options.signal.throwIfAborted();
+      yield new ChatGenerationChunk({ text: piece, message: new AIMessageChunk({ content: piece }) });
+      if (runManager) await runManager.handleLLMNewToken(piece);
+    }
+  }
+}
+
+module.exports = {
+  StubChatModel,
+  registerStubFixture,
+};
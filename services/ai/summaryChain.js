@@ -3,12 +3,12 @@
  * Feature 1: AI Resume Summary Generator
  * 
  * Takes a resume document and generates a compelling professional summary
- * using LangChain.js prompt templates and Google Gemini
+ * using LangChain.js prompt templates and the configured LLM provider
  */
 
 const { ChatPromptTemplate } = require('@langchain/core/prompts');
 const { StringOutputParser } = require('@langchain/core/output_parsers');
-const { getLLM } = require('./llmConfig');
+const { getLLM, runChain, LLM_TASKS } = require('./llmConfig');
 const { aiConfig } = require('../../config/ai');
 
 /**
@@ -152,9 +152,12 @@ The summary should convey authority and competence.`;
  * 
  * @param {Object} resume - The resume document from MongoDB (plain object)
  * @param {string} tone - The desired tone: "professional", "creative", or "concise"
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the LLM call
+ * @param {Function} [options.onToken] - Streams raw tokens; the returned summary is the trimmed, clipped final text
  * @returns {Promise<string>} The generated summary text
  */
-const generateResumeSummary = async (resume, tone = 'professional') => {
+const generateResumeSummary = async (resume, tone = 'professional', { signal, onToken } = {}) => {
   // Validate tone
   if (!aiConfig.summary.allowedTones.includes(tone)) {
     throw new Error(`Invalid tone: "${tone}". Allowed: ${aiConfig.summary.allowedTones.join(', ')}`);
@@ -214,12 +217,12 @@ Please write a compelling {tone} professional summary for this candidate.`,
   ]);
 
   // Create the chain: prompt → LLM → string output
-  const llm = getLLM();
+  const llm = getLLM(LLM_TASKS.RESUME_SUMMARY);
   const outputParser = new StringOutputParser();
   const chain = promptTemplate.pipe(llm).pipe(outputParser);
 
   // Invoke the chain with the resume data
-  const summary = await chain.invoke({
+  const summary = await runChain(chain, {
     fullName,
     workExperience,
     education,
@@ -228,7 +231,7 @@ Please write a compelling {tone} professional summary for this candidate.`,
     projects,
     tone,
     toneInstructions,
-  });
+  }, { signal, onToken });
 
   // Trim and validate the output
   const trimmedSummary = summary.trim();
@@ -0,0 +1,239 @@
+/**
+ * AI Usage Ledger
+ * Records every LLM and embedding call with its user, feature, tokens, latency and outcome,
+ * and works out each user's monthly quota
+ *
+ * The metered request's user travels with the async call chain (AsyncLocalStorage), so
+ * chains don't need a user argument: getLLM() and embedText() read it when they run.
+ * Calls made outside a metered request are recorded without a user.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { BaseCallbackHandler } = require('@langchain/core/callbacks/base');
+const AiUsage = require('../../models/AiUsage');
+const Employer = require('../../models/Employer');
+const { aiConfig } = require('../../config/ai');
+
+const usageContext = new AsyncLocalStorage();
+
+/**
+ * Run fn with a usage context ({ userId, role, plan, endpoint }) for every AI call it makes
+ * @param {Object} context
+ * @param {Function} fn
+ */
+const runWithAiUsageContext = (context, fn) => usageContext.run(context, fn);
+
+const getAiUsageContext = () => usageContext.getStore() || null;
+
+// Rough token count for providers that don't report usage (~4 characters per token)
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+/**
+ * Write one ledger entry (never throws — metering must not break the AI call)
+ * @param {Object} entry - { kind, feature, model, tokensIn, tokensOut, tokensEstimated, latencyMs, success, error }
+ * @param {Object|null} [context] - Usage context captured when the call started
+ */
+const recordAiUsage = (entry, context = getAiUsageContext()) => {
+  AiUsage.create({
+    ...entry,
+    ...(context && {
+      user: context.userId,
+      role: context.role,
+      plan: context.plan,
+      endpoint: context.endpoint,
+    }),
+    error: entry.error ? String(entry.error).slice(0, 300) : undefined,
+  }).catch((err) => console.warn(`⚠️  AI usage record failed: ${err.message}`));
+};
+
+/**
+ * Token usage reported by the provider, if any
+ * @param {Object} output - LLMResult from handleLLMEnd
+ * @returns {{ tokensIn: number, tokensOut: number }|null}
+ */
+const readTokenUsage = (output) => {
+  const usage = output.llmOutput && output.llmOutput.tokenUsage;
+  if (usage && (usage.promptTokens || usage.completionTokens)) {
+    return { tokensIn: usage.promptTokens || 0, tokensOut: usage.completionTokens || 0 };
+  }
+  const generation = output.generations && output.generations[0] && output.generations[0][0];
+  const meta = generation && generation.message && generation.message.usage_metadata;
+  if (meta) {
+    return { tokensIn: meta.input_tokens || 0, tokensOut: meta.output_tokens || 0 };
+  }
+  return null;
+};
+
+/**
+ * LangChain callback that writes one ledger entry per chat model run
+ * Created by getLLM(); the usage context is captured then, because LangChain
+ * may run callbacks outside the request's async context.
+ */
+class AiUsageCallbackHandler extends BaseCallbackHandler {
+  constructor(feature) {
+    super();
+    this.name = 'ai_usage_ledger';
+    this.feature = feature || 'other';
+    this.context = getAiUsageContext();
+    this.runs = new Map();
+  }
+
+  handleChatModelStart(llm, messages, runId, parentRunId, extraParams, tags, metadata) {
+    const promptText = (messages[0] || [])
+      .map((m) => (typeof m.content === 'string' ? m.content : JSON.stringify(m.content)))
+      .join('\n');
+    this.runs.set(runId, {
+      startedAt: Date.now(),
+      promptText,
+      model: (metadata && metadata.ls_model_name) || aiConfig.modelName,
+    });
+
+    // LangChain rejects aborted calls without an error callback; record them here
+    const signal = extraParams && extraParams.options && extraParams.options.signal;
+    if (signal) {
+      signal.addEventListener('abort', () => this.handleLLMError(new Error('Cancelled by the client'), runId), { once: true });
+    }
+  }
+
+  handleLLMEnd(output, runId) {
+    const run = this.runs.get(runId);
+    if (!run) return;
+    this.runs.delete(runId);
+
+    const reported = readTokenUsage(output);
+    const outputText = (output.generations || []).flat().map((g) => g.text || '').join('');
+    recordAiUsage({
+      kind: 'llm',
+      feature: this.feature,
+      model: run.model,
+      tokensIn: reported ? reported.tokensIn : estimateTokens(run.promptText),
+      tokensOut: reported ? reported.tokensOut : estimateTokens(outputText),
+      tokensEstimated: !reported,
+      latencyMs: Date.now() - run.startedAt,
+      success: true,
+    }, this.context);
+  }
+
+  handleLLMError(err, runId) {
+    const run = this.runs.get(runId);
+    if (!run) return;
+    this.runs.delete(runId);
+
+    recordAiUsage({
+      kind: 'llm',
+      feature: this.feature,
+      model: run.model,
+      tokensIn: estimateTokens(run.promptText),
+      tokensEstimated: true,
+      latencyMs: Date.now() - run.startedAt,
+      success: false,
+      error: err && err.message,
+    }, this.context);
+  }
+}
+
+/**
+ * Quota plan and monthly LLM call limit for a user
+ * Employers use their subscription plan (Free when the subscription isn't active).
+ *
+ * @param {Object} user - req.user
+ * @returns {Promise<{ plan: string, limit: number|null }>} limit null = unlimited
+ */
+const resolveAiPlan = async (user) => {
+  if (user.role === 'admin') return { plan: 'admin', limit: aiConfig.quotas.admin };
+  if (user.role === 'employer') {
+    const employer = await Employer.findOne({ user: user._id }).select('subscription').lean();
+    const subscription = (employer && employer.subscription) || {};
+    const plan = subscription.status === 'Active' && subscription.plan ? subscription.plan : 'Free';
+    const limit = aiConfig.quotas.employerPlans[plan];
+    return { plan, limit: limit === undefined ? aiConfig.quotas.employerPlans.Free : limit };
+  }
+  return { plan: 'jobseeker', limit: aiConfig.quotas.jobseeker };
+};
+
+/**
+ * Start and end of the current quota period (calendar month, UTC)
+ * @param {Date} [now]
+ * @returns {{ start: Date, end: Date }}
+ */
+const getQuotaPeriod = (now = new Date()) => ({
+  start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+  end: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)),
+});
+
+/**
+ * Quota status for a user in the current period
+ * @param {Object} user - req.user
+ * @returns {Promise<{ plan: string, limit: number|null, used: number, remaining: number|null, period: Object }>}
+ */
+const getQuotaStatus = async (user) => {
+  const { plan, limit } = await resolveAiPlan(user);
+  const period = getQuotaPeriod();
+  const used = await AiUsage.countDocuments({
+    user: user._id,
+    kind: 'llm',
+    createdAt: { $gte: period.start, $lt: period.end },
+  });
+  return {
+    plan,
+    limit,
+    used,
+    remaining: limit === null ? null : Math.max(0, limit - used),
+    period,
+  };
+};
+
+// Group keys for usage summaries (null groupBy = one row of totals)
+const USAGE_GROUPS = {
+  feature: { kind: '$kind', feature: '$feature' },
+  user: { user: '$user' },
+  plan: { plan: '$plan' },
+  day: { day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } } },
+};
+
+/**
+ * Totals for a ledger query, grouped by feature, user, plan or day
+ * @param {Object} match - $match stage
+ * @param {string|null} [groupBy='feature'] - Key of USAGE_GROUPS, or null for overall totals
+ * @param {number} [limit=100]
+ * @returns {Promise<Array>} rows of { ...group key, calls, failures, tokensIn, tokensOut, avgLatencyMs }
+ */
+const summarizeUsage = (match, groupBy = 'feature', limit = 100) => AiUsage.aggregate([
+  { $match: match },
+  {
+    $group: {
+      _id: groupBy ? USAGE_GROUPS[groupBy] : null,
+      calls: { $sum: 1 },
+      failures: { $sum: { $cond: ['$success', 0, 1] } },
+      tokensIn: { $sum: '$tokensIn' },
+      tokensOut: { $sum: '$tokensOut' },
+      avgLatencyMs: { $avg: '$latencyMs' },
+    },
+  },
+  { $sort: groupBy === 'day' ? { '_id.day': 1 } : { calls: -1 } },
+  { $limit: limit },
+  {
+    $project: {
+      _id: 0,
+      group: '$_id',
+      calls: 1,
+      failures: 1,
+      tokensIn: 1,
+      tokensOut: 1,
+      avgLatencyMs: { $round: ['$avgLatencyMs', 0] },
+    },
+  },
+]).then((rows) => rows.map(({ group, ...totals }) => ({ ...group, ...totals })));
+
+module.exports = {
+  runWithAiUsageContext,
+  getAiUsageContext,
+  recordAiUsage,
+  estimateTokens,
+  AiUsageCallbackHandler,
+  resolveAiPlan,
+  getQuotaPeriod,
+  getQuotaStatus,
+  summarizeUsage,
+  USAGE_GROUPS,
+};
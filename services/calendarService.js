@@ -0,0 +1,259 @@
+/**
+ * Calendar Service
+ * Builds RFC 5545 iCalendar (.ics) documents for interviews and job deadlines
+ * Used for invitation email attachments, single-event downloads and per-user feeds
+ */
+
+const PRODID = '-//LifeMate//Healthcare Job Platform//EN';
+const UID_DOMAIN = 'lifemate.com';
+
+/**
+ * Escape a TEXT value (RFC 5545 §3.3.11)
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeText = (value) => String(value == null ? '' : value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to 75 octets, continuation lines start with a space (RFC 5545 §3.1)
+ * Splits on character boundaries so multi-byte UTF-8 sequences stay intact
+ * @param {string} line
+ * @returns {string}
+ */
+const foldLine = (line) => {
+  if (Buffer.byteLength(line, 'utf8') <= 75) return line;
+
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+  let limit = 75;
+
+  for (const ch of line) {
+    const chBytes = Buffer.byteLength(ch, 'utf8');
+    if (currentBytes + chBytes > limit) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+      limit = 74; // leading space of the continuation line counts towards 75
+    }
+    current += ch;
+    currentBytes += chBytes;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+/**
+ * Format a date as UTC DATE-TIME, e.g. 20250101T093000Z
+ * @param {Date|string} date
+ * @returns {string}
+ */
+const formatDateTime = (date) => new Date(date).toISOString()
+  .replace(/[-:]/g, '')
+  .replace(/\.\d{3}/, '');
+
+/**
+ * Format a date as DATE, e.g. 20250101
+ * @param {Date|string} date
+ * @returns {string}
+ */
+const formatDate = (date) => formatDateTime(date).slice(0, 8);
+
+/**
+ * Serialize a single VEVENT
+ * @param {Object} event
+ * @param {string} event.uid - Globally unique, stable id
+ * @param {Date} event.start
+ * @param {Date} [event.end]
+ * @param {boolean} [event.allDay=false]
+ * @param {string} event.summary
+ * @param {string} [event.description]
+ * @param {string} [event.location]
+ * @param {string} [event.url]
+ * @param {string} [event.status] - TENTATIVE | CONFIRMED | CANCELLED
+ * @param {number} [event.sequence=0] - Bump when the event changes
+ * @param {Date} [event.updatedAt]
+ * @param {{ name: string, email: string }} [event.organizer]
+ * @param {Array<{ name: string, email: string }>} [event.attendees]
+ * @returns {string[]} Unfolded content lines
+ */
+const buildEventLines = (event) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(event.updatedAt || new Date())}`,
+  ];
+
+  if (event.allDay) {
+    const end = event.end || new Date(new Date(event.start).getTime() + 24 * 60 * 60 * 1000);
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(event.start)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(end)}`);
+  } else {
+    lines.push(`DTSTART:${formatDateTime(event.start)}`);
+    if (event.end) lines.push(`DTEND:${formatDateTime(event.end)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.status) lines.push(`STATUS:${event.status}`);
+  lines.push(`SEQUENCE:${event.sequence || 0}`);
+
+  if (event.organizer && event.organizer.email) {
+    lines.push(`ORGANIZER;CN=${escapeText(event.organizer.name || event.organizer.email)}:mailto:${event.organizer.email}`);
+  }
+  (event.attendees || []).filter((a) => a && a.email).forEach((a) => {
+    lines.push(`ATTENDEE;CN=${escapeText(a.name || a.email)};ROLE=REQ-PARTICIPANT:mailto:${a.email}`);
+  });
+
+  if (event.alarmMinutes && !event.allDay) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(event.summary)}`,
+      `TRIGGER:-PT${event.alarmMinutes}M`,
+      'END:VALARM'
+    );
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Serialize a full VCALENDAR document
+ * @param {Object[]} events - Event objects (see buildEventLines)
+ * @param {Object} [options]
+ * @param {string} [options.name] - Calendar display name (X-WR-CALNAME)
+ * @param {string} [options.method] - iTIP method, e.g. REQUEST for email invitations
+ * @returns {string} CRLF-delimited iCalendar text
+ */
+const buildCalendar = (events, options = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+  ];
+  if (options.method) lines.push(`METHOD:${options.method}`);
+  if (options.name) {
+    lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+    lines.push('REFRESH-INTERVAL;VALUE=DURATION:PT1H');
+    lines.push('X-PUBLISHED-TTL:PT1H');
+  }
+
+  events.forEach((event) => lines.push(...buildEventLines(event)));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Interview statuses mapped to iCalendar STATUS values
+const INTERVIEW_EVENT_STATUS = {
+  'Scheduled': 'CONFIRMED',
+  'Completed': 'CONFIRMED',
+  'Cancelled': 'CANCELLED',
+  'Declined': 'CANCELLED',
+};
+
+/**
+ * Build an event object for a scheduled interview
+ * @param {Object} interview - Interview document (scheduledSlot must be set)
+ * @param {Object} related - Populated documents the interview points at
+ * @param {Object} [related.job] - Job document
+ * @param {Object} [related.employer] - Employer document
+ * @param {Object} [related.jobSeeker] - JobSeeker document with `user` populated
+ * @returns {Object|null} Event object, or null if the interview has no confirmed time
+ */
+const buildInterviewEvent = (interview, related = {}) => {
+  if (!interview.scheduledSlot || !interview.scheduledSlot.start) return null;
+
+  const { job, employer, jobSeeker } = related;
+  const jobTitle = (job && job.title) || 'Job';
+  const companyName = (employer && employer.organizationName) || (job && job.organizationName) || 'LifeMate';
+  const candidate = jobSeeker && jobSeeker.user && jobSeeker.user.firstName
+    ? jobSeeker.user
+    : null;
+  const candidateName = candidate ? `${candidate.firstName} ${candidate.lastName}`.trim() : null;
+
+  const descriptionParts = [
+    `Interview for ${jobTitle} at ${companyName}`,
+    interview.round > 1 ? `Round: ${interview.round}` : null,
+    candidateName ? `Candidate: ${candidateName}` : null,
+    `Type: ${interview.type}`,
+    interview.meetingLink ? `Meeting link: ${interview.meetingLink}` : null,
+    interview.notes ? `Notes: ${interview.notes}` : null,
+  ].filter(Boolean);
+
+  const contact = employer && employer.contactPerson;
+
+  return {
+    uid: `interview-${interview._id}@${UID_DOMAIN}`,
+    start: interview.scheduledSlot.start,
+    end: interview.scheduledSlot.end,
+    summary: `Interview: ${jobTitle} - ${companyName}`,
+    description: descriptionParts.join('\n'),
+    location: interview.location || interview.meetingLink,
+    url: interview.meetingLink,
+    status: INTERVIEW_EVENT_STATUS[interview.status] || 'TENTATIVE',
+    // history grows with every change, so it doubles as a monotonically increasing sequence
+    sequence: interview.history ? interview.history.length : 0,
+    updatedAt: interview.updatedAt,
+    organizer: contact && contact.email
+      ? { name: contact.name || companyName, email: contact.email }
+      : undefined,
+    attendees: candidate && candidate.email
+      ? [{ name: candidateName, email: candidate.email }]
+      : [],
+    alarmMinutes: 30,
+  };
+};
+
+/**
+ * Build an all-day event for a job's application deadline (Job.expiresAt)
+ * @param {Object} job - Job document
+ * @param {Object} [options]
+ * @param {string} [options.kind='saved'] - 'saved' (seeker bookmark) or 'posting' (employer's own job)
+ * @returns {Object|null}
+ */
+const buildJobDeadlineEvent = (job, options = {}) => {
+  if (!job || !job.expiresAt) return null;
+  const kind = options.kind || 'saved';
+
+  const summary = kind === 'posting'
+    ? `Posting expires: ${job.title}`
+    : `Application deadline: ${job.title}${job.organizationName ? ` - ${job.organizationName}` : ''}`;
+
+  const location = job.location
+    ? [job.location.city, job.location.state, job.location.country].filter(Boolean).join(', ')
+    : undefined;
+
+  return {
+    uid: `job-deadline-${job._id}-${kind}@${UID_DOMAIN}`,
+    start: job.expiresAt,
+    allDay: true,
+    summary,
+    description: kind === 'posting'
+      ? `Your job posting "${job.title}" stops accepting applications on this day.`
+      : `Last day to apply for ${job.title}.`,
+    location,
+    url: process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}/jobs/${job._id}` : undefined,
+    status: 'CONFIRMED',
+    updatedAt: job.updatedAt,
+  };
+};
+
+module.exports = {
+  buildCalendar,
+  buildInterviewEvent,
+  buildJobDeadlineEvent,
+  escapeText,
+  foldLine,
+  formatDateTime,
+};
@@ -1,30 +1,191 @@
+const fs = require('fs');
+const path = require('path');
 const nodemailer = require('nodemailer');
+const EmailMessage = require('../models/EmailMessage');
+const { enqueueTask } = require('./taskQueue');
 
 /**
  * Email Service
  * Handles sending various types of emails (verification, password reset, notifications, etc.)
+ *
+ * Send functions write the rendered email to the outbox (EmailMessage) and return at once;
+ * the deliverEmail task sends it, retrying with backoff, and records the outcome there.
+ * EMAIL_TRANSPORT=file writes .eml files to EMAIL_FILE_DIR instead of using SMTP, for offline use.
  */
 
+const FILE_TRANSPORT_DIR = path.resolve(process.env.EMAIL_FILE_DIR || '.emails');
+
+let transporter = null;
+
+// SMTP server, or the file transport when EMAIL_TRANSPORT=file
+const getTransportName = () => (process.env.EMAIL_TRANSPORT === 'file' ? 'file' : 'smtp');
+
 // Create transporter
 const createTransporter = () => {
+  if (getTransportName() === 'file') {
+    return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  }
   return nodemailer.createTransport({
     host: process.env.EMAIL_HOST || 'smtp.gmail.com',
     port: process.env.EMAIL_PORT || 587,
     secure: false, // true for 465, false for other ports
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS,
-    },
+    // Local SMTP catchers (Mailpit, MailHog) take mail without a login
+    ...(process.env.EMAIL_USER && {
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS,
+      },
+    }),
   });
 };
 
+/**
+ * Hand a message to the transport
+ * The file transport saves it as <EMAIL_FILE_DIR>/<time>-<recipient>.eml and, like an SMTP
+ * server would, refuses recipients on the reserved .invalid domain so bounces can be tried offline.
+ * @returns {Promise<{ messageId: string, response: string }>}
+ */
+const transmit = async (message) => {
+  if (!transporter) transporter = createTransporter();
+  if (getTransportName() !== 'file') return transporter.sendMail(message);
+
+  if (/\.invalid$/i.test(message.to)) {
+    throw Object.assign(new Error(`Recipient address rejected: ${message.to}`), {
+      code: 'EENVELOPE',
+      responseCode: 550,
+    });
+  }
+  const info = await transporter.sendMail(message);
+  await fs.promises.mkdir(FILE_TRANSPORT_DIR, { recursive: true });
+  const file = path.join(FILE_TRANSPORT_DIR, `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.eml`);
+  await fs.promises.writeFile(file, info.message);
+  return { messageId: info.messageId, response: `Saved to ${file}` };
+};
+
+// The server refused the recipient, so retrying won't help
+const isBounce = (error) => error.code === 'EENVELOPE'
+  || (error.responseCode >= 550 && error.responseCode <= 553);
+
+const permanentError = (message) => Object.assign(new Error(message), { permanent: true });
+
+/**
+ * Queue delivery of an outbox entry (marks it failed if the task can't be queued,
+ * so it shows up for resending)
+ * @param {Object} email - EmailMessage document
+ */
+const queueDelivery = async (email) => {
+  try {
+    const task = await enqueueTask('deliverEmail', { emailId: email._id.toString() }, { dedupeKey: `deliverEmail:${email._id}` });
+    email.task = task._id;
+  } catch (error) {
+    email.status = 'failed';
+    email.failedAt = new Date();
+    email.lastError = `Could not queue delivery: ${error.message}`;
+  }
+  await email.save();
+  return email;
+};
+
+/**
+ * Write a rendered email to the outbox and queue its delivery
+ * @param {string} template - Name of the send function that rendered it
+ * @param {Object} mailOptions - nodemailer message (from, to, subject, html, headers, attachments)
+ * @returns {Promise<Object>} The EmailMessage
+ */
+const addToOutbox = async (template, mailOptions) => {
+  const email = await EmailMessage.create({
+    template,
+    from: mailOptions.from,
+    to: mailOptions.to,
+    subject: mailOptions.subject,
+    html: mailOptions.html,
+    headers: mailOptions.headers,
+    attachments: mailOptions.attachments,
+  });
+  return queueDelivery(email);
+};
+
+/**
+ * Send one outbox entry (the deliverEmail task)
+ * Throws to have the task retried; a bounce is recorded and thrown as permanent.
+ * @param {string|ObjectId} emailId
+ * @returns {Promise<{ messageId: string }|{ skipped: string }>}
+ */
+const deliverEmail = async (emailId) => {
+  const email = await EmailMessage.findById(emailId);
+  if (!email) throw permanentError(`Email not found: ${emailId}`);
+  // Sent or given up on while this task waited
+  if (email.status !== 'queued') return { skipped: email.status };
+
+  email.attempts += 1;
+  email.transport = getTransportName();
+  try {
+    const info = await transmit({
+      from: email.from,
+      to: email.to,
+      subject: email.subject,
+      html: email.html,
+      headers: email.headers,
+      attachments: email.attachments.map((a) => a.toObject()),
+    });
+    Object.assign(email, {
+      status: 'sent',
+      messageId: info.messageId,
+      response: info.response,
+      sentAt: new Date(),
+      html: undefined,
+      attachments: [],
+    });
+    await email.save();
+    console.log(`Email ${email.template} sent to ${email.to}:`, info.messageId);
+    return { messageId: info.messageId };
+  } catch (error) {
+    email.lastError = error.message;
+    email.errorCode = error.responseCode ? String(error.responseCode) : error.code;
+    if (isBounce(error)) {
+      Object.assign(email, { status: 'bounced', failedAt: new Date(), html: undefined, attachments: [] });
+    }
+    await email.save();
+    console.error(`Error sending ${email.template} to ${email.to}:`, error.message);
+    throw isBounce(error) ? permanentError(error.message) : error;
+  }
+};
+
+/**
+ * Give up on an outbox entry once its delivery task is dead
+ * @param {string|ObjectId} emailId
+ * @param {Error} error - The last delivery error
+ */
+const markEmailFailed = (emailId, error) => EmailMessage.updateOne(
+  { _id: emailId, status: 'queued' },
+  { $set: { status: 'failed', failedAt: new Date(), lastError: error.message } }
+);
+
+/**
+ * Queue a failed email again
+ * @param {string|ObjectId} emailId
+ * @param {Object} [options]
+ * @param {ObjectId} [options.resentBy] - Admin resending it
+ * @returns {Promise<Object|null>} The EmailMessage, or null unless it had failed
+ */
+const resendEmail = async (emailId, { resentBy } = {}) => {
+  const email = await EmailMessage.findOneAndUpdate(
+    { _id: emailId, status: 'failed' },
+    {
+      $set: { status: 'queued', lastResentBy: resentBy, lastResentAt: new Date() },
+      $unset: { failedAt: '' },
+      $inc: { resendCount: 1 },
+    },
+    { new: true }
+  );
+  return email && queueDelivery(email);
+};
+
 /**
  * Notify jobseeker: application submitted
  */
 const sendApplicationSubmittedToJobSeeker = async (candidateEmail, candidateName, jobTitle, companyName) => {
   try {
-    const transporter = createTransporter();
-
     const mailOptions = {
       from: `"LifeMate" <${process.env.EMAIL_FROM || 'noreply@lifemate.com'}>`,
       to: candidateEmail,
@@ -55,26 +216,26 @@ const sendApplicationSubmittedToJobSeeker = async (candidateEmail, candidateName
       `,
     };
 
-    const result = await transporter.sendMail(mailOptions);
-    console.log('Application submitted email sent to jobseeker:', result.messageId);
-    return result;
+    const message = await addToOutbox('sendApplicationSubmittedToJobSeeker', mailOptions);
+    console.log('Application submitted email queued for jobseeker:', message._id.toString());
+    return message;
   } catch (error) {
-    console.error('Error sending application submitted email:', error);
+    console.error('Error queueing application submitted email:', error);
     throw error;
   }
 };
 
 /**
- * Notify jobseeker: application status update (Interview/Offered)
+ * Notify jobseeker: application status update (Under Review/Interview/Offered/Rejected)
  */
 const sendApplicationStatusUpdateToJobSeeker = async (candidateEmail, candidateName, jobTitle, companyName, status) => {
   try {
-    const transporter = createTransporter();
-
-    const statusColor = status === 'Offered' ? '#28a745' : '#1e90ff';
-    const subject = status === 'Offered'
-      ? `Congratulations! Offer for ${jobTitle}`
-      : `You're moved to Interview for ${jobTitle}`;
+    const statusColor = { Offered: '#28a745', Rejected: '#6c757d' }[status] || '#1e90ff';
+    const subject = {
+      Offered: `Congratulations! Offer for ${jobTitle}`,
+      Rejected: `Update on your application for ${jobTitle}`,
+      'Under Review': `Your application for ${jobTitle} is under review`,
+    }[status] || `You're moved to Interview for ${jobTitle}`;
 
     const mailOptions = {
       from: `"LifeMate" <${process.env.EMAIL_FROM || 'noreply@lifemate.com'}>`,
@@ -105,11 +266,11 @@ const sendApplicationStatusUpdateToJobSeeker = async (candidateEmail, candidateN
       `,
     };
 
-    const result = await transporter.sendMail(mailOptions);
-    console.log('Application status update email sent to jobseeker:', result.messageId);
-    return result;
+    const message = await addToOutbox('sendApplicationStatusUpdateToJobSeeker', mailOptions);
+    console.log('Application status update email queued for jobseeker:', message._id.toString());
+    return message;
   } catch (error) {
-    console.error('Error sending application status update email:', error);
+    console.error('Error queueing application status update email:', error);
     throw error;
   }
 };
@@ -122,7 +283,6 @@ const sendApplicationStatusUpdateToJobSeeker = async (candidateEmail, candidateN
  */
 const sendVerificationEmail = async (email, token, firstName) => {
   try {
-    const transporter = createTransporter();
     
     const verificationUrl = `${process.env.FRONTEND_URL}/verify-email/${token}`;
     
@@ -176,11 +336,11 @@ const sendVerificationEmail = async (email, token, firstName) => {
       `,
     };
 
-    const result = await transporter.sendMail(mailOptions);
-    console.log('Verification email sent successfully:', result.messageId);
-    return result;
+    const message = await addToOutbox('sendVerificationEmail', mailOptions);
+    console.log('Verification email queued:', message._id.toString());
+    return message;
   } catch (error) {
-    console.error('Error sending verification email:', error);
+    console.error('Error queueing verification email:', error);
     throw error;
   }
 };
@@ -193,7 +353,6 @@ const sendVerificationEmail = async (email, token, firstName) => {
  */
 const sendPasswordResetEmail = async (email, token, firstName) => {
   try {
-    const transporter = createTransporter();
     
     const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${token}`;
     
@@ -255,11 +414,11 @@ const sendPasswordResetEmail = async (email, token, firstName) => {
       `,
     };
 
-    const result = await transporter.sendMail(mailOptions);
-    console.log('Password reset email sent successfully:', result.messageId);
-    return result;
+    const message = await addToOutbox('sendPasswordResetEmail', mailOptions);
+    console.log('Password reset email queued:', message._id.toString());
+    return message;
   } catch (error) {
-    console.error('Error sending password reset email:', error);
+    console.error('Error queueing password reset email:', error);
     throw error;
   }
 };
@@ -274,7 +433,6 @@ const sendPasswordResetEmail = async (email, token, firstName) => {
  */
 const sendApplicationNotificationEmail = async (employerEmail, employerName, jobTitle, candidateName, candidateEmail) => {
   try {
-    const transporter = createTransporter();
     
     const mailOptions = {
       from: `"LifeMate" <${process.env.EMAIL_FROM || 'noreply@lifemate.com'}>`,
@@ -330,11 +488,11 @@ const sendApplicationNotificationEmail = async (employerEmail, employerName, job
       `,
     };
 
-    const result = await transporter.sendMail(mailOptions);
-    console.log('Application notification email sent successfully:', result.messageId);
-    return result;
+    const message = await addToOutbox('sendApplicationNotificationEmail', mailOptions);
+    console.log('Application notification email queued:', message._id.toString());
+    return message;
   } catch (error) {
-    console.error('Error sending application notification email:', error);
+    console.error('Error queueing application notification email:', error);
     throw error;
   }
 };
@@ -346,10 +504,10 @@ const sendApplicationNotificationEmail = async (employerEmail, employerName, job
  * @param {string} jobTitle - Job title
  * @param {string} companyName - Company name
  * @param {Object} interviewDetails - Interview details
+ * @param {string} [interviewDetails.ics] - iCalendar document attached as invite.ics
  */
 const sendInterviewInvitationEmail = async (candidateEmail, candidateName, jobTitle, companyName, interviewDetails) => {
   try {
-    const transporter = createTransporter();
     
     const mailOptions = {
       from: `"LifeMate" <${process.env.EMAIL_FROM || 'noreply@lifemate.com'}>`,
@@ -405,13 +563,210 @@ const sendInterviewInvitationEmail = async (candidateEmail, candidateName, jobTi
           </div>
         </div>
       `,
+      ...(interviewDetails.ics && {
+        attachments: [{
+          filename: 'invite.ics',
+          content: interviewDetails.ics,
+          contentType: 'text/calendar; charset=utf-8; method=REQUEST',
+        }],
+      }),
+    };
+
+    const message = await addToOutbox('sendInterviewInvitationEmail', mailOptions);
+    console.log('Interview invitation email queued:', message._id.toString());
+    return message;
+  } catch (error) {
+    console.error('Error queueing interview invitation email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Notify employer: candidate responded to an interview proposal
+ * @param {string} employerEmail - Employer's email
+ * @param {string} employerName - Employer's name
+ * @param {string} jobTitle - Job title
+ * @param {string} candidateName - Candidate's name
+ * @param {string} response - Candidate response (Scheduled, Declined, Reschedule Requested)
+ * @param {Object} details - { date, time, note }
+ */
+const sendInterviewResponseToEmployer = async (employerEmail, employerName, jobTitle, candidateName, response, details = {}) => {
+  try {
+    const headings = {
+      'Scheduled': 'accepted your interview invitation',
+      'Declined': 'declined your interview invitation',
+      'Reschedule Requested': 'asked to reschedule the interview',
+    };
+    const heading = headings[response] || `updated the interview (${response})`;
+    const statusColor = response === 'Scheduled' ? '#28a745' : response === 'Declined' ? '#dc3545' : '#f0ad4e';
+
+    const mailOptions = {
+      from: `"LifeMate" <${process.env.EMAIL_FROM || 'noreply@lifemate.com'}>`,
+      to: employerEmail,
+      subject: `${candidateName} ${heading} - ${jobTitle}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+            <h1 style="color: white; margin: 0; font-size: 28px;">LifeMate</h1>
+            <p style="color: white; margin: 10px 0 0 0; font-size: 16px;">Healthcare Job Platform</p>
+          </div>
+
+          <div style="padding: 30px; background: #f8f9fa;">
+            <h2 style="color: ${statusColor}; margin-bottom: 20px;">Interview ${response}</h2>
+            <p style="color: #666; line-height: 1.6;">Hello ${employerName},</p>
+            <p style="color: #666; line-height: 1.6;"><strong>${candidateName}</strong> ${heading} for <strong>${jobTitle}</strong>.</p>
+            ${details.date || details.note ? `
+            <div style="background: white; padding: 20px; border-radius: 5px; border-left: 4px solid ${statusColor}; margin: 20px 0;">
+              ${details.date ? `<p style="margin: 5px 0;"><strong>Date:</strong> ${new Date(details.date).toLocaleDateString()}</p>` : ''}
+              ${details.time ? `<p style="margin: 5px 0;"><strong>Time:</strong> ${details.time}</p>` : ''}
+              ${details.note ? `<p style="margin: 5px 0;"><strong>Candidate note:</strong> ${details.note}</p>` : ''}
+            </div>` : ''}
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${process.env.FRONTEND_URL}/employer/applications" style="background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
+                View Application
+              </a>
+            </div>
+          </div>
+
+          <div style="background: #333; padding: 20px; text-align: center;">
+            <p style="color: #999; margin: 0; font-size: 14px;">© 2024 LifeMate. All rights reserved.</p>
+          </div>
+        </div>
+      `,
+    };
+
+    const message = await addToOutbox('sendInterviewResponseToEmployer', mailOptions);
+    console.log('Interview response email queued for employer:', message._id.toString());
+    return message;
+  } catch (error) {
+    console.error('Error queueing interview response email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Notify employer: candidate withdrew their application
+ * @param {string} employerEmail - Employer's email
+ * @param {string} employerName - Employer's name
+ * @param {string} jobTitle - Job title
+ * @param {string} candidateName - Candidate's name
+ * @param {string} [reason] - Optional reason given by the candidate
+ */
+const sendApplicationWithdrawnToEmployer = async (employerEmail, employerName, jobTitle, candidateName, reason) => {
+  try {
+    const mailOptions = {
+      from: `"LifeMate" <${process.env.EMAIL_FROM || 'noreply@lifemate.com'}>`,
+      to: employerEmail,
+      subject: `${candidateName} withdrew their application - ${jobTitle}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+            <h1 style="color: white; margin: 0; font-size: 28px;">LifeMate</h1>
+            <p style="color: white; margin: 10px 0 0 0; font-size: 16px;">Healthcare Job Platform</p>
+          </div>
+
+          <div style="padding: 30px; background: #f8f9fa;">
+            <h2 style="color: #6c757d; margin-bottom: 20px;">Application Withdrawn</h2>
+            <p style="color: #666; line-height: 1.6;">Hello ${employerName},</p>
+            <p style="color: #666; line-height: 1.6;"><strong>${candidateName}</strong> has withdrawn their application for <strong>${jobTitle}</strong>.</p>
+            ${reason ? `
+            <div style="background: white; padding: 20px; border-radius: 5px; border-left: 4px solid #6c757d; margin: 20px 0;">
+              <p style="margin: 5px 0;"><strong>Reason:</strong> ${reason}</p>
+            </div>` : ''}
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${process.env.FRONTEND_URL}/employer/applications" style="background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
+                View Applications
+              </a>
+            </div>
+          </div>
+
+          <div style="background: #333; padding: 20px; text-align: center;">
+            <p style="color: #999; margin: 0; font-size: 14px;">© 2024 LifeMate. All rights reserved.</p>
+          </div>
+        </div>
+      `,
+    };
+
+    const message = await addToOutbox('sendApplicationWithdrawnToEmployer', mailOptions);
+    console.log('Application withdrawn email queued for employer:', message._id.toString());
+    return message;
+  } catch (error) {
+    console.error('Error queueing application withdrawn email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send a saved-search job alert digest
+ * @param {string} email - Recipient email
+ * @param {string} firstName - Recipient's first name
+ * @param {string} searchName - Saved search name
+ * @param {Array<Object>} jobs - Matching jobs (title, organizationName, location, jobType, salary, _id)
+ * @param {Object} links
+ * @param {string} links.unsubscribeUrl - One-click unsubscribe for this saved search (POST, List-Unsubscribe)
+ * @param {string} links.unsubscribePageUrl - Page where the seeker confirms the unsubscribe
+ * @param {string} [links.manageUrl] - Where the seeker manages their alerts
+ */
+const sendJobAlertDigest = async (email, firstName, searchName, jobs, links) => {
+  try {
+    const jobRows = jobs.map((job) => {
+      const location = job.location
+        ? [job.location.city, job.location.state].filter(Boolean).join(', ')
+        : '';
+      const salary = job.salary && (job.salary.min || job.salary.max)
+        ? `${job.salary.currency || 'INR'} ${job.salary.min || '?'} - ${job.salary.max || '?'} (${job.salary.period || 'Annual'})`
+        : '';
+      return `
+            <div style="background: white; padding: 15px 20px; border-radius: 5px; border-left: 4px solid #667eea; margin: 12px 0;">
+              <a href="${process.env.FRONTEND_URL}/jobs/${job._id}" style="color: #333; font-weight: bold; font-size: 16px; text-decoration: none;">${job.title}</a>
+              <p style="margin: 5px 0; color: #666;">${job.organizationName || ''}${location ? ` · ${location}` : ''}${job.isRemote ? ' · Remote' : ''}</p>
+              <p style="margin: 5px 0; color: #999; font-size: 13px;">${[job.jobType, job.shift && `${job.shift} shift`, salary].filter(Boolean).join(' · ')}</p>
+            </div>`;
+    }).join('');
+
+    const mailOptions = {
+      from: `"LifeMate" <${process.env.EMAIL_FROM || 'noreply@lifemate.com'}>`,
+      to: email,
+      subject: `${jobs.length} new job${jobs.length === 1 ? '' : 's'} for "${searchName}" - LifeMate`,
+      headers: {
+        'List-Unsubscribe': `<${links.unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+      },
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+            <h1 style="color: white; margin: 0; font-size: 28px;">LifeMate</h1>
+            <p style="color: white; margin: 10px 0 0 0; font-size: 16px;">Healthcare Job Platform</p>
+          </div>
+
+          <div style="padding: 30px; background: #f8f9fa;">
+            <h2 style="color: #333; margin-bottom: 20px;">New jobs matching "${searchName}"</h2>
+            <p style="color: #666; line-height: 1.6;">Hi ${firstName},</p>
+            <p style="color: #666; line-height: 1.6;">Here ${jobs.length === 1 ? 'is the new job' : `are ${jobs.length} new jobs`} posted since your last alert:</p>
+            ${jobRows}
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${links.manageUrl || `${process.env.FRONTEND_URL}/jobseeker/alerts`}" style="background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
+                Manage job alerts
+              </a>
+            </div>
+          </div>
+
+          <div style="background: #333; padding: 20px; text-align: center;">
+            <p style="color: #999; margin: 0; font-size: 14px;">© 2024 LifeMate. All rights reserved.</p>
+            <p style="color: #999; margin: 5px 0 0 0; font-size: 12px;">
+              You are receiving this because you saved the search "${searchName}".
+              <a href="${links.unsubscribePageUrl}" style="color: #bbb;">Unsubscribe from this alert</a>
+            </p>
+          </div>
+        </div>
+      `,
     };
 
-    const result = await transporter.sendMail(mailOptions);
-    console.log('Interview invitation email sent successfully:', result.messageId);
-    return result;
+    const message = await addToOutbox('sendJobAlertDigest', mailOptions);
+    console.log('Job alert digest queued:', message._id.toString());
+    return message;
   } catch (error) {
-    console.error('Error sending interview invitation email:', error);
+    console.error('Error queueing job alert digest:', error);
     throw error;
   }
 };
@@ -424,7 +779,6 @@ const sendInterviewInvitationEmail = async (candidateEmail, candidateName, jobTi
  */
 const sendWelcomeEmail = async (email, firstName, role) => {
   try {
-    const transporter = createTransporter();
     
     const dashboardUrl = role === 'jobseeker' 
       ? `${process.env.FRONTEND_URL}/jobseeker/dashboard`
@@ -495,15 +849,31 @@ const sendWelcomeEmail = async (email, firstName, role) => {
       `,
     };
 
-    const result = await transporter.sendMail(mailOptions);
-    console.log('Welcome email sent successfully:', result.messageId);
-    return result;
+    const message = await addToOutbox('sendWelcomeEmail', mailOptions);
+    console.log('Welcome email queued:', message._id.toString());
+    return message;
   } catch (error) {
-    console.error('Error sending welcome email:', error);
+    console.error('Error queueing welcome email:', error);
     throw error;
   }
 };
 
+/**
+ * Put one of the emails above in the outbox without waiting on it (non-blocking callers)
+ * Never rejects; the send function logs if the outbox write fails.
+ * @param {string} template - Name of the send function, e.g. 'sendWelcomeEmail'
+ * @param {...*} args - Its arguments
+ * @returns {Promise<Object|undefined>} The EmailMessage, if written
+ */
+const queueEmail = (template, ...args) => {
+  const send = module.exports[template];
+  if (!/^send\w+$/.test(template) || typeof send !== 'function') {
+    console.error(`Error queueing ${template}: unknown email`);
+    return Promise.resolve();
+  }
+  return send(...args).catch(() => undefined);
+};
+
 module.exports = {
   sendVerificationEmail,
   sendPasswordResetEmail,
@@ -513,4 +883,11 @@ module.exports = {
   // Added exports below
   sendApplicationSubmittedToJobSeeker,
   sendApplicationStatusUpdateToJobSeeker,
+  sendInterviewResponseToEmployer,
+  sendApplicationWithdrawnToEmployer,
+  sendJobAlertDigest,
+  queueEmail,
+  deliverEmail,
+  markEmailFailed,
+  resendEmail,
 };
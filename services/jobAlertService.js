@@ -0,0 +1,250 @@
+/**
+ * Job Alert Service
+ * Runs saved searches against newly active jobs and emails a digest
+ *
+ * 1. A background tick claims due saved searches (nextRunAt <= now) one at a time,
+ *    leasing them so a second server instance doesn't send the same digest
+ * 2. Matches jobs that became Active since the search last ran:
+ *    structured filters via buildJobFilters, semantic queries via cosine
+ *    similarity against stored job embeddings
+ * 3. Sends the digest, records the delivery and schedules the next run
+ */
+
+const mongoose = require('mongoose');
+const SavedSearch = require('../models/SavedSearch');
+const { buildJobFilters } = require('../utils/jobFilters');
+const { sendJobAlertDigest } = require('./emailService');
+const { embedText, activeJobEmbeddingFilter } = require('./ai/embeddingConfig');
+const { cosineSimilarity } = require('./ai/candidateSearch');
+const { aiConfig } = require('../config/ai');
+
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000;
+// A claimed search is skipped by other ticks for this long, in case the run crashes midway
+const CLAIM_LEASE_MS = 10 * 60 * 1000;
+// Upper bound on searches processed per tick
+const MAX_RUNS_PER_TICK = 200;
+const MAX_JOBS_PER_DIGEST = 20;
+// Minimum cosine similarity for a job to match a semantic query
+const SEMANTIC_MATCH_THRESHOLD = 0.35;
+
+const JOB_PROJECTION = {
+  _id: 1,
+  title: 1,
+  organizationName: 1,
+  location: 1,
+  specialization: 1,
+  jobType: 1,
+  shift: 1,
+  isRemote: 1,
+  salary: 1,
+  postedAt: 1,
+  activatedAt: 1,
+};
+
+/**
+ * Public base URL of this API for links in emails (no request to derive it from here)
+ */
+const getApiBaseUrl = () =>
+  (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+const getUnsubscribeUrl = (token) => `${getApiBaseUrl()}/api/saved-searches/unsubscribe/${token}`;
+
+// Frontend page that shows the alert and confirms with a POST to getUnsubscribeUrl
+const getUnsubscribePageUrl = (token) => `${process.env.FRONTEND_URL}/alerts/unsubscribe/${token}`;
+
+/**
+ * Embed a saved search's query and store it on the document (does not save)
+ * @param {import('mongoose').Document} savedSearch
+ * @returns {Promise<number[]|null>}
+ */
+const refreshQueryEmbedding = async (savedSearch) => {
+  if (!savedSearch.query) {
+    savedSearch.queryEmbedding = undefined;
+    return null;
+  }
+  savedSearch.queryEmbedding = await embedText(savedSearch.query);
+  return savedSearch.queryEmbedding;
+};
+
+/**
+ * Jobs that are open and became Active after `since`
+ * Jobs activated before activatedAt was tracked fall back to postedAt
+ */
+const buildNewlyActiveFilter = (since) => ({
+  status: 'Active',
+  $and: [
+    {
+      $or: [
+        { activatedAt: { $gt: since } },
+        { activatedAt: { $exists: false }, postedAt: { $gt: since } },
+      ],
+    },
+    { $or: [{ expiresAt: { $exists: false } }, { expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+  ],
+});
+
+/**
+ * Find new jobs matching a saved search
+ * @param {Object} savedSearch - SavedSearch with +queryEmbedding selected
+ * @param {Date} since - Only jobs activated after this time
+ * @returns {Promise<Array>}
+ */
+const findMatchingJobs = async (savedSearch, since) => {
+  const collection = mongoose.connection.collection('jobs');
+
+  // Status and posting dates are decided by the alert window, not the stored filters
+  const { status, dateFrom, dateTo, ...filters } = savedSearch.filters || {};
+  const filter = { ...buildJobFilters(filters), ...buildNewlyActiveFilter(since) };
+
+  if (!savedSearch.query) {
+    return collection
+      .find(filter, { projection: JOB_PROJECTION })
+      .sort({ activatedAt: -1, postedAt: -1 })
+      .limit(MAX_JOBS_PER_DIGEST)
+      .toArray();
+  }
+
+  let queryVector = savedSearch.queryEmbedding;
+  if (!Array.isArray(queryVector) || queryVector.length !== aiConfig.embedding.dimensions) {
+    queryVector = await refreshQueryEmbedding(savedSearch);
+  }
+
+  const jobs = await collection
+    .find(
+      { ...filter, embedding: { $exists: true }, ...activeJobEmbeddingFilter() },
+      { projection: { ...JOB_PROJECTION, embedding: 1 } }
+    )
+    .limit(aiConfig.embedding.fallbackScanLimit)
+    .toArray();
+
+  return jobs
+    .map(({ embedding, ...job }) => ({ ...job, score: cosineSimilarity(queryVector, embedding) }))
+    .filter((job) => job.score >= SEMANTIC_MATCH_THRESHOLD)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_JOBS_PER_DIGEST);
+};
+
+/**
+ * Run one saved search: match, queue the digest, record the delivery and schedule the next run
+ * The outbox retries the email itself; if it can't even be queued, lastRunAt stays where it
+ * was so the next run retries the same jobs
+ *
+ * @param {import('mongoose').Document} savedSearch - with +queryEmbedding +unsubscribeToken selected
+ * @returns {Promise<Object>} The recorded delivery
+ */
+const runSavedSearch = async (savedSearch) => {
+  const runAt = new Date();
+  const since = savedSearch.lastRunAt || savedSearch.createdAt;
+  let delivery;
+
+  try {
+    const jobs = await findMatchingJobs(savedSearch, since);
+
+    if (jobs.length === 0) {
+      delivery = { status: 'Empty', jobCount: 0, jobs: [] };
+    } else {
+      if (!savedSearch.populated('user')) await savedSearch.populate('user', 'email firstName');
+      const result = await sendJobAlertDigest(
+        savedSearch.user.email,
+        savedSearch.user.firstName,
+        savedSearch.name,
+        jobs,
+        {
+          unsubscribeUrl: getUnsubscribeUrl(savedSearch.unsubscribeToken),
+          unsubscribePageUrl: getUnsubscribePageUrl(savedSearch.unsubscribeToken),
+        }
+      );
+      delivery = {
+        status: 'Queued',
+        jobCount: jobs.length,
+        jobs: jobs.map((j) => j._id),
+        email: result && result._id,
+      };
+    }
+    savedSearch.lastRunAt = runAt;
+  } catch (err) {
+    console.error(`❌ Job alert ${savedSearch._id} failed: ${err.message}`);
+    delivery = { status: 'Failed', jobCount: 0, jobs: [], error: err.message };
+  }
+
+  savedSearch.recordDelivery(delivery);
+  savedSearch.scheduleNextRun(runAt);
+  await savedSearch.save();
+
+  return savedSearch.deliveries[savedSearch.deliveries.length - 1];
+};
+
+/**
+ * Claim the next due saved search, pushing its nextRunAt out by the lease
+ * @returns {Promise<import('mongoose').Document|null>}
+ */
+const claimDueSearch = (now) =>
+  SavedSearch.findOneAndUpdate(
+    { alertsEnabled: true, nextRunAt: { $lte: now } },
+    { $set: { nextRunAt: new Date(now.getTime() + CLAIM_LEASE_MS) } },
+    { new: true, sort: { nextRunAt: 1 } }
+  ).select('+queryEmbedding +unsubscribeToken');
+
+/**
+ * Process every due saved search (bounded per tick)
+ * @returns {Promise<{ processed: number, queued: number, failed: number }>}
+ */
+const processDueAlerts = async () => {
+  const now = new Date();
+  const stats = { processed: 0, queued: 0, failed: 0 };
+
+  while (stats.processed < MAX_RUNS_PER_TICK) {
+    const savedSearch = await claimDueSearch(now);
+    if (!savedSearch) break;
+
+    const delivery = await runSavedSearch(savedSearch);
+    stats.processed++;
+    if (delivery.status === 'Queued') stats.queued++;
+    if (delivery.status === 'Failed') stats.failed++;
+  }
+
+  if (stats.processed > 0) {
+    console.log(`📬 Job alerts: ${stats.processed} processed, ${stats.queued} queued, ${stats.failed} failed`);
+  }
+  return stats;
+};
+
+/**
+ * Start the background job alert scheduler
+ * Interval comes from JOB_ALERT_INTERVAL_MS (default 15 minutes)
+ * @returns {Function} stop
+ */
+const startJobAlertScheduler = () => {
+  const intervalMs = parseInt(process.env.JOB_ALERT_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+  let running = false;
+
+  const tick = async () => {
+    // Skip the tick if the previous one is still going or the DB isn't connected yet
+    if (running || mongoose.connection.readyState !== 1) return;
+    running = true;
+    try {
+      await processDueAlerts();
+    } catch (err) {
+      console.error('❌ Job alert scheduler error:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  console.log(`📬 Job alert scheduler started (every ${Math.round(intervalMs / 1000)}s)`);
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  startJobAlertScheduler,
+  processDueAlerts,
+  runSavedSearch,
+  findMatchingJobs,
+  refreshQueryEmbedding,
+  getUnsubscribeUrl,
+  getUnsubscribePageUrl,
+  MAX_JOBS_PER_DIGEST,
+};
@@ -0,0 +1,449 @@
+/**
+ * Job Lint Service
+ * Flags biased, exclusionary or non-compliant wording in job postings
+ *
+ * A rule dictionary always runs; an optional LLM pass (services/ai/jobLintChain.js)
+ * catches phrasing the rules miss. Severe findings put the job in Flagged for
+ * admin review instead of letting it go Active.
+ */
+
+const { aiConfig } = require('../config/ai');
+const { lintJobWithLLM } = require('./ai/jobLintChain');
+
+const LINT_SEVERITIES = ['info', 'warning', 'severe'];
+const LINT_CATEGORIES = [
+  'age',
+  'gender',
+  'marital_status',
+  'religion',
+  'nationality',
+  'appearance',
+  'disability',
+  'salary_transparency',
+  'experience',
+  'other',
+];
+
+// Statuses a severe finding moves to Flagged
+const FLAGGABLE_STATUSES = ['Active', 'Pending'];
+
+const PEOPLE = '(?:candidates?|applicants?|nurses?|doctors?|physicians?|staff|professionals?|persons?|individuals?|people|graduates?|team members?)';
+
+// Who the care is for; "patients aged 65+" or "female patients only" describes the caseload, not the applicant
+const CARE_RECIPIENTS = /\b(?:(?:in|out)?patients?|residents?|clients?|infants?|newborns?|neonates?|babies|children|kids|adolescents?|elderly|geriatric|pediatric|paediatric|inmates?|mothers?|caseload|population)\b/i;
+// Words before a match that are checked for a care recipient
+const RECIPIENT_LOOKBACK_WORDS = 3;
+
+/**
+ * Rule dictionary
+ * Patterns run against each text field of the posting; `g` is added at run time
+ */
+const LINT_RULES = [
+  // Age
+  {
+    id: 'age_limit',
+    aboutApplicantOnly: true,
+    category: 'age',
+    severity: 'severe',
+    pattern: /\b(?:age|aged)\s*(?:limit|bar|criteria)?\s*[:-]?\s*(?:below|under|up ?to|less than|between|not (?:more|older) than|max(?:imum)?|min(?:imum)?)?\s*\d{2}\b/i,
+    message: 'States an age limit',
+    suggestion: 'Remove the age requirement; describe the experience or skills the role needs instead.',
+  },
+  {
+    id: 'age_range_years',
+    aboutApplicantOnly: true,
+    category: 'age',
+    severity: 'severe',
+    pattern: /\b(?:\d{2}\s*(?:-|to)\s*\d{2}|(?:under|below|not (?:over|above))\s*\d{2})\s*(?:years?|yrs?)\s*(?:of age|old)\b/i,
+    message: 'States an age range',
+    suggestion: 'Remove the age requirement; describe the experience or skills the role needs instead.',
+  },
+  {
+    id: 'age_coded',
+    category: 'age',
+    severity: 'warning',
+    pattern: new RegExp(`\\b(?:young(?:er)?\\s+(?:and\\s+\\w+\\s+)?${PEOPLE}|recent graduates? only|fresh graduates? only|digital natives?)\\b`, 'i'),
+    message: 'Age-coded wording discourages older applicants',
+    suggestion: 'Describe the skills or energy level the role needs without referring to age.',
+  },
+
+  // Gender
+  {
+    id: 'gender_preference',
+    aboutApplicantOnly: true,
+    category: 'gender',
+    severity: 'severe',
+    pattern: /\b(?:(?:only\s+)(?:male|female|men|women|ladies|gents)|(?:male|female|men|women|lady|ladies|gents?)(?:\s+\w+){0,2}\s+(?:only|preferred|required|wanted))\b/i,
+    message: 'States a gender preference',
+    suggestion: 'Open the role to all genders. If a chaperone or same-gender care rule truly applies, have an admin review it and explain the legal basis.',
+  },
+  {
+    id: 'gendered_pronoun',
+    category: 'gender',
+    severity: 'warning',
+    pattern: /\b(?:he|she)\s+(?:will|must|should|shall|is expected)\b/i,
+    message: 'Gendered pronoun for the candidate',
+    suggestion: 'Use "you" or "they".',
+  },
+  {
+    id: 'gendered_title',
+    category: 'gender',
+    severity: 'warning',
+    pattern: /\b(?:nursing sister|matron|ward boy|ward sister|salesman|chairman|headmaster|steward(?:ess)?|waitress)\b/i,
+    message: 'Gendered job title',
+    suggestion: 'Use a neutral title, e.g. "Senior Nurse", "Ward Attendant", "Charge Nurse".',
+  },
+
+  // Marital status / family
+  {
+    id: 'marital_preference',
+    category: 'marital_status',
+    severity: 'severe',
+    pattern: new RegExp(`\\b(?:unmarried|married|single|spinsters?|divorced)\\s+(?:${PEOPLE}|women|men|females?|males?|only|preferred|required)\\b`, 'i'),
+    message: 'States a marital-status preference',
+    suggestion: 'Remove marital status; it is not a job qualification.',
+  },
+  {
+    id: 'family_status',
+    category: 'marital_status',
+    severity: 'severe',
+    pattern: /\b(?:(?:no|without)\s+(?:children|kids|family commitments)|(?:not|non)[-\s]pregnant)\b/i,
+    message: 'Excludes candidates based on family or pregnancy status',
+    suggestion: 'Describe the schedule or availability the role needs instead.',
+  },
+  {
+    id: 'marital_status_mention',
+    category: 'marital_status',
+    severity: 'warning',
+    pattern: /\bmarital status\b/i,
+    message: 'Asks about marital status',
+    suggestion: 'Remove questions about marital status.',
+  },
+
+  // Religion / caste
+  {
+    id: 'religion_preference',
+    category: 'religion',
+    severity: 'severe',
+    pattern: /\b(?:hindu|muslim|christian|sikh|jain|buddhist|parsi|brahmin)s?\s+(?:candidates?|applicants?|only|preferred|required)\b/i,
+    message: 'States a religious or caste preference',
+    suggestion: 'Remove religion/caste requirements.',
+  },
+  {
+    id: 'caste_mention',
+    category: 'religion',
+    severity: 'warning',
+    pattern: /\bcaste\b/i,
+    message: 'Mentions caste',
+    suggestion: 'Remove references to caste.',
+  },
+
+  // Nationality / origin
+  {
+    id: 'origin_preference',
+    category: 'nationality',
+    severity: 'warning',
+    pattern: /\b(?:locals?|natives?|nationals?)\s+(?:candidates?\s+)?(?:only|preferred)\b/i,
+    message: 'Prefers candidates by origin',
+    suggestion: 'State the work authorization or relocation requirement instead.',
+  },
+  {
+    id: 'native_speaker',
+    category: 'nationality',
+    severity: 'warning',
+    pattern: /\bnative\s+(?:\w+\s+)?speakers?\b/i,
+    message: '"Native speaker" excludes fluent non-native speakers',
+    suggestion: 'Ask for fluency, e.g. "Fluent in English".',
+  },
+
+  // Appearance
+  {
+    id: 'appearance',
+    category: 'appearance',
+    severity: 'severe',
+    pattern: /\b(?:fair\s+(?:complexion|skin(?:ned)?)|good[- ]looking|attractive\s+(?:appearance|looks|candidates?)|slim)\b/i,
+    message: 'Requires a physical appearance',
+    suggestion: 'Remove appearance requirements.',
+  },
+  {
+    id: 'pleasing_personality',
+    category: 'appearance',
+    severity: 'warning',
+    pattern: /\bpleasing\s+(?:personality|appearance)\b/i,
+    message: 'Vague appearance-related wording',
+    suggestion: 'Describe the interpersonal skills the role needs, e.g. "Communicates warmly with patients".',
+  },
+
+  // Disability / health
+  {
+    id: 'disability_exclusion',
+    category: 'disability',
+    severity: 'severe',
+    pattern: /\b(?:no\s+(?:disabilit(?:y|ies)|handicap(?:ped)?)|not\s+(?:disabled|handicapped))\b/i,
+    message: 'Excludes candidates with disabilities',
+    suggestion: 'Describe the essential physical tasks of the role; reasonable accommodation may apply.',
+  },
+  {
+    id: 'physical_fitness',
+    category: 'disability',
+    severity: 'warning',
+    pattern: /\b(?:physically\s+(?:fit|strong)|able[- ]bodied)\b/i,
+    message: 'Vague physical requirement',
+    suggestion: 'State the actual physical tasks, e.g. "Able to assist with patient transfers (with lifting aids)".',
+  },
+];
+
+// Titles that signal an entry-level role
+const ENTRY_LEVEL_TITLE = /\b(?:junior|trainee|intern|fresher|entry[- ]level|graduate)\b/i;
+
+/**
+ * Text fields of a posting with their paths
+ * @param {Object} job - Plain job-like object
+ * @returns {Array<{ field: string, text: string }>}
+ */
+const collectTextFields = (job) => {
+  const fields = [];
+  const push = (field, text) => {
+    if (typeof text === 'string' && text.trim()) fields.push({ field, text });
+  };
+
+  push('title', job.title);
+  push('description', job.description);
+  ['responsibilities', 'requirements', 'benefits'].forEach((key) => {
+    (Array.isArray(job[key]) ? job[key] : []).forEach((item, i) => push(`${key}.${i}`, item));
+  });
+  (Array.isArray(job.screeningQuestions) ? job.screeningQuestions : []).forEach((q, i) => {
+    if (q) push(`screeningQuestions.${i}.question`, q.question);
+  });
+  return fields;
+};
+
+/**
+ * Whether a match describes the people being cared for rather than the applicant
+ * Looks at the match itself and the few words before it in the same sentence.
+ * @param {string} text - Field text
+ * @param {RegExpMatchArray} match
+ * @returns {boolean}
+ */
+const describesCareRecipients = (text, match) => {
+  const clause = text.slice(0, match.index).split(/[.;:!?\n]/).pop();
+  const before = clause.trim().split(/\s+/).slice(-RECIPIENT_LOOKBACK_WORDS).join(' ');
+  return CARE_RECIPIENTS.test(`${before} ${match[0]}`);
+};
+
+/**
+ * Run the rule dictionary against the posting's text
+ * Rules marked aboutApplicantOnly skip wording about patients, residents and the like.
+ * @param {Object} job
+ * @returns {Object[]} findings
+ */
+const lintText = (job) => {
+  const findings = [];
+  for (const { field, text } of collectTextFields(job)) {
+    for (const rule of LINT_RULES) {
+      const pattern = new RegExp(rule.pattern.source, rule.pattern.flags.includes('g') ? rule.pattern.flags : `${rule.pattern.flags}g`);
+      for (const match of text.matchAll(pattern)) {
+        if (rule.aboutApplicantOnly && describesCareRecipients(text, match)) continue;
+        findings.push({
+          ruleId: rule.id,
+          category: rule.category,
+          severity: rule.severity,
+          field,
+          match: match[0],
+          message: rule.message,
+          suggestion: rule.suggestion,
+          source: 'rules',
+        });
+      }
+    }
+  }
+  return findings;
+};
+
+/**
+ * Structural checks: salary transparency and experience ranges
+ * @param {Object} job
+ * @returns {Object[]} findings
+ */
+const lintStructure = (job) => {
+  const findings = [];
+  const add = (ruleId, category, severity, field, message, suggestion) =>
+    findings.push({ ruleId, category, severity, field, message, suggestion, source: 'rules' });
+
+  const salary = job.salary || {};
+  if (!salary.min && !salary.max) {
+    add('salary_missing', 'salary_transparency', 'warning', 'salary',
+      'No salary range given', 'Add salary.min and salary.max; postings with pay ranges get more qualified applicants.');
+  } else if (salary.min && salary.max && salary.min > salary.max) {
+    add('salary_range_invalid', 'salary_transparency', 'warning', 'salary',
+      'Minimum salary is higher than maximum salary', 'Swap or correct the salary range.');
+  } else if (salary.min && salary.max && salary.max > salary.min * 3) {
+    add('salary_range_wide', 'salary_transparency', 'info', 'salary',
+      'Salary range is very wide (max is more than 3x min)', 'Narrow the range to what you would actually pay for this role.');
+  }
+
+  const exp = job.experienceRequired || {};
+  const minYears = exp.minYears;
+  const maxYears = exp.maxYears;
+  if (minYears != null && maxYears != null && minYears > maxYears) {
+    add('experience_range_invalid', 'experience', 'warning', 'experienceRequired',
+      'Minimum experience is higher than maximum experience', 'Correct the experience range.');
+  }
+  if (minYears != null && minYears > 25) {
+    add('experience_unrealistic', 'experience', 'warning', 'experienceRequired.minYears',
+      `Requires ${minYears}+ years of experience`, 'Very few candidates qualify; lower the minimum or describe the seniority instead.');
+  }
+  if (minYears != null && minYears >= 3 && ENTRY_LEVEL_TITLE.test(job.title || '')) {
+    add('experience_entry_level', 'experience', 'warning', 'experienceRequired.minYears',
+      `Entry-level title asks for ${minYears}+ years of experience`, 'Lower the experience requirement or change the title.');
+  }
+  if (job.jobType === 'Internship' && minYears != null && minYears > 1) {
+    add('experience_internship', 'experience', 'warning', 'experienceRequired.minYears',
+      `Internship asks for ${minYears}+ years of experience`, 'Internships should not require prior experience.');
+  }
+  if (minYears != null && maxYears != null && maxYears - minYears > 20) {
+    add('experience_range_wide', 'experience', 'info', 'experienceRequired',
+      'Experience range spans more than 20 years', 'Narrow the range to the seniority you are hiring for.');
+  }
+  if (/\b(?:exactly|only)\s+\d+\s+years?\b/i.test(job.description || '')) {
+    add('experience_exact', 'experience', 'info', 'description',
+      'Asks for an exact number of years', 'Use a minimum (e.g. "3+ years") rather than an exact figure.');
+  }
+
+  return findings;
+};
+
+/**
+ * Summarize findings and decide whether the job must be held for review
+ * @param {Object[]} findings
+ * @returns {{ severity: string, counts: Object, hasSevere: boolean }}
+ */
+const summarizeFindings = (findings) => {
+  const counts = { info: 0, warning: 0, severe: 0 };
+  findings.forEach((f) => { counts[f.severity] += 1; });
+  const severity = counts.severe > 0 ? 'severe' : counts.warning > 0 ? 'warning' : counts.info > 0 ? 'info' : 'clean';
+  return { severity, counts, hasSevere: counts.severe > 0 };
+};
+
+/**
+ * Stable key for a severe finding, used to remember what an admin already approved
+ * @param {Object} finding
+ * @returns {string}
+ */
+const findingKey = (finding) => `${finding.ruleId || finding.category}:${String(finding.match || '').toLowerCase()}`;
+
+/**
+ * Lint a job posting
+ *
+ * @param {Object} job - Plain job-like object (saved or not)
+ * @param {Object} [options]
+ * @param {boolean} [options.useLLM=false] - Add the LLM pass (skipped when the feature is off)
+ * @returns {Promise<{ findings: Object[], severity: string, counts: Object, hasSevere: boolean, method: string, warnings: string[], checkedAt: Date }>}
+ */
+const lintJob = async (job, { useLLM = false } = {}) => {
+  const findings = [...lintText(job), ...lintStructure(job)];
+  const warnings = [];
+  let method = 'rules';
+
+  if (useLLM) {
+    if (aiConfig.features.jobLinting) {
+      try {
+        const llmFindings = await lintJobWithLLM(job, collectTextFields(job));
+        // Skip LLM findings that overlap a rule finding in the same field
+        const overlaps = (a, b) => a.includes(b) || b.includes(a);
+        llmFindings
+          .filter((f) => !findings.some((r) => r.field === f.field && r.match
+            && overlaps(r.match.toLowerCase(), f.match.toLowerCase())))
+          .forEach((f) => findings.push(f));
+        method = 'rules+llm';
+      } catch (err) {
+        console.warn(`⚠️  LLM job lint failed: ${err.message}`);
+        warnings.push('The AI review could not run; only rule-based checks were applied.');
+      }
+    } else {
+      warnings.push('AI job linting is disabled; only rule-based checks were applied.');
+    }
+  }
+
+  return { findings, ...summarizeFindings(findings), method, warnings, checkedAt: new Date() };
+};
+
+/**
+ * Store a lint result on a job document and hold the job for review when needed
+ * Severe findings an admin already approved don't flag the job again, and a job
+ * the linter flagged goes back to its previous status once its severe findings are fixed.
+ *
+ * @param {Object} job - Job document, loaded with '+lint'
+ * @param {Object} result - From lintJob()
+ * @returns {{ flagged: boolean, restored: boolean }}
+ */
+const applyLintResult = (job, result) => {
+  const previous = job.lint ? (typeof job.lint.toObject === 'function' ? job.lint.toObject() : job.lint) : {};
+  const approved = new Set(previous.approvedKeys || []);
+  const needsReview = result.findings.some((f) => f.severity === 'severe' && !approved.has(findingKey(f)));
+
+  job.lint = {
+    severity: result.severity,
+    counts: result.counts,
+    findings: result.findings,
+    method: result.method,
+    checkedAt: result.checkedAt,
+    autoFlagged: !!previous.autoFlagged,
+    flaggedFrom: previous.flaggedFrom,
+    approvedKeys: previous.approvedKeys || [],
+    reviewedBy: previous.reviewedBy,
+    reviewedAt: previous.reviewedAt,
+  };
+
+  if (needsReview && FLAGGABLE_STATUSES.includes(job.status)) {
+    job.lint.autoFlagged = true;
+    job.lint.flaggedFrom = job.status;
+    job.status = 'Flagged';
+    return { flagged: true, restored: false };
+  }
+
+  if (!needsReview && job.status === 'Flagged' && previous.autoFlagged) {
+    job.status = previous.flaggedFrom || 'Pending';
+    job.lint.autoFlagged = false;
+    job.lint.flaggedFrom = undefined;
+    return { flagged: false, restored: true };
+  }
+
+  return { flagged: false, restored: false };
+};
+
+/**
+ * Record an admin's release of a flagged job
+ * The current severe findings are accepted so later edits don't flag the job again for them.
+ *
+ * @param {Object} job - Job document, loaded with '+lint'
+ * @param {ObjectId} adminUserId
+ */
+const markLintReviewed = (job, adminUserId) => {
+  if (!job.lint) return;
+  const keys = new Set(job.lint.approvedKeys || []);
+  (job.lint.findings || [])
+    .filter((f) => f.severity === 'severe')
+    .forEach((f) => keys.add(findingKey(f)));
+
+  job.lint.approvedKeys = [...keys];
+  job.lint.autoFlagged = false;
+  job.lint.flaggedFrom = undefined;
+  job.lint.reviewedBy = adminUserId;
+  job.lint.reviewedAt = new Date();
+};
+
+module.exports = {
+  lintJob,
+  applyLintResult,
+  markLintReviewed,
+  lintText,
+  lintStructure,
+  collectTextFields,
+  summarizeFindings,
+  findingKey,
+  LINT_RULES,
+  LINT_SEVERITIES,
+  LINT_CATEGORIES,
+  FLAGGABLE_STATUSES,
+};
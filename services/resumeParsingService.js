@@ -0,0 +1,567 @@
+/**
+ * Resume Parsing Service
+ * Turns an uploaded PDF/DOCX resume into structured profile data
+ *
+ * 1. Extract plain text locally (pdf-parse for PDF, mammoth for DOCX)
+ * 2. Rule-based extraction: section headings, date ranges, degree/skill patterns
+ * 3. Optionally merge LLM-extracted sections (services/ai/resumeParserChain.js)
+ * 4. Diff the result against the seeker's JobSeeker profile or a Resume document,
+ *    producing items the seeker accepts or rejects one by one
+ */
+
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const mammoth = require('mammoth');
+const JobSeeker = require('../models/JobSeeker');
+const Resume = require('../models/Resume');
+
+const MIN_TEXT_LENGTH = 50;
+const MAX_SKILLS = 40;
+const MAX_ACHIEVEMENTS = 10;
+
+const DOCX_MIMETYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const createParseError = (message, statusCode) => {
+  const err = new Error(message);
+  err.name = 'ResumeParseError';
+  err.statusCode = statusCode;
+  return err;
+};
+
+// ─── Text extraction ───
+
+/**
+ * Infer the document type from mimetype or file extension
+ * @returns {'pdf'|'docx'|'txt'|'doc'|null}
+ */
+const detectDocumentType = (mimetype, filename = '') => {
+  const ext = (filename.split('.').pop() || '').toLowerCase();
+  if (mimetype === 'application/pdf' || ext === 'pdf') return 'pdf';
+  if (mimetype === DOCX_MIMETYPE || ext === 'docx') return 'docx';
+  if (mimetype === 'text/plain' || ext === 'txt') return 'txt';
+  if (mimetype === 'application/msword' || ext === 'doc') return 'doc';
+  return null;
+};
+
+/**
+ * Extract plain text from a resume file
+ * @param {Object} file
+ * @param {Buffer} file.buffer
+ * @param {string} [file.mimetype]
+ * @param {string} [file.originalname]
+ * @returns {Promise<string>}
+ */
+const extractResumeText = async ({ buffer, mimetype, originalname }) => {
+  const type = detectDocumentType(mimetype, originalname);
+  let text;
+
+  if (type === 'pdf') {
+    text = (await pdfParse(buffer)).text;
+  } else if (type === 'docx') {
+    text = (await mammoth.extractRawText({ buffer })).value;
+  } else if (type === 'txt') {
+    text = buffer.toString('utf8');
+  } else if (type === 'doc') {
+    throw createParseError('Legacy .doc files cannot be parsed. Please upload a PDF or DOCX.', 415);
+  } else {
+    throw createParseError('Unsupported file type. Please upload a PDF or DOCX.', 415);
+  }
+
+  text = (text || '').replace(/\r/g, '').replace(/\u00a0/g, ' ');
+  if (text.trim().length < MIN_TEXT_LENGTH) {
+    throw createParseError('No readable text found in the file. Scanned resumes are not supported.', 422);
+  }
+  return text;
+};
+
+// ─── Rule-based extraction ───
+
+const SECTION_PATTERNS = [
+  ['summary', /^(professional |career |personal )?(summary|profile|objective|about me)$/i],
+  ['workExperience', /^((work|professional|clinical|relevant) )?(experience|employment( history)?|work history)$/i],
+  ['education', /^(education(al)?( qualifications?| background| details)?|academic (qualifications?|background)|qualifications)$/i],
+  ['skills', /^((key|core|technical|clinical|professional) )?(skills|competencies|expertise|skill set)$/i],
+  ['certifications', /^(certifications?|licen[cs]es?|(licen[cs]es?|certifications?) (and|&) (licen[cs]es?|certifications?)|registrations?)$/i],
+];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_PATTERN = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+const DATE_PATTERN = `(?:(?:${MONTH_PATTERN})\\.?,?\\s+\\d{4}|\\d{1,2}[/-]\\d{4}|(?:19|20)\\d{2})`;
+const DATE_RANGE = new RegExp(`(${DATE_PATTERN})\\s*(?:-|–|—|to|until)\\s*(${DATE_PATTERN}|present|current|now|till date|to date)`, 'i');
+const DATE_TOKEN = new RegExp(DATE_PATTERN, 'gi');
+const CURRENT_PATTERN = /^(present|current|now|till date|to date)$/i;
+
+const BULLET = /^\s*(?:[•▪◦●‣∙·*]|-(?=\s)|o(?=\s))\s*/;
+
+const DEGREE_PATTERNS = [
+  ['BSc Nursing', /\bB\.?\s?Sc\.?\s*(?:\(|in\s+)?Nursing|Bachelor of Science in Nursing/i],
+  ['MSc Nursing', /\bM\.?\s?Sc\.?\s*(?:\(|in\s+)?Nursing|Master of Science in Nursing/i],
+  ['MBBS', /\bM\.?\s?B\.?\s?B\.?\s?S\b|Bachelor of Medicine/i],
+  ['MDS', /\bM\.?D\.?S\b|Master of Dental Surgery/],
+  ['BDS', /\bB\.?D\.?S\b|Bachelor of Dental Surgery/],
+  ['MPT', /\bM\.?P\.?T\b|Master of Physiotherapy/],
+  ['BPT', /\bB\.?P\.?T\b|Bachelor of Physiotherapy/],
+  ['MPharm', /\bM\.?\s?Pharm|Master of Pharmacy/i],
+  ['BPharm', /\bB\.?\s?Pharm|Bachelor of Pharmacy/i],
+  ['PhD', /\bPh\.?\s?D\b|Doctor of Philosophy/i],
+  ['MD', /\bM\.?D\b|Doctor of Medicine/],
+  ['MS', /\bM\.?S\b(?!c)|Master of Surgery/],
+  ['MSc', /\bM\.?\s?Sc\b|Master of Science/i],
+  ['BSc', /\bB\.?\s?Sc\b|Bachelor of Science/i],
+  ['Diploma', /\bdiploma\b/i],
+  ['Certificate', /\bcertificate\b/i],
+  ['Other', /\b(bachelor|master|degree|B\.?\s?A|M\.?\s?A|B\.?\s?Tech|M\.?\s?Tech)\b/i],
+];
+
+const INSTITUTION_PATTERN = /universit|college|institut|school|academy|AIIMS|hospital|medical centre|medical center/i;
+
+const SPECIALIZATIONS = JobSeeker.schema.path('specializations').caster.enumValues.filter((s) => s !== 'Other');
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const cleanLine = (line) => line.replace(BULLET, '').replace(/\s+/g, ' ').trim();
+
+const truncate = (value, max) => (value && value.length > max ? value.slice(0, max).trim() : value);
+
+/**
+ * Parse "Jan 2020", "01/2020", "2020" into a Date (first of the month, UTC)
+ * @returns {Date|null}
+ */
+const parseDateToken = (token) => {
+  if (!token) return null;
+  const value = String(token).trim().toLowerCase();
+
+  const monthYear = value.match(new RegExp(`^(${MONTH_PATTERN})\\.?,?\\s+(\\d{4})$`, 'i'));
+  if (monthYear) {
+    return new Date(Date.UTC(Number(monthYear[2]), MONTHS.indexOf(monthYear[1].slice(0, 3)), 1));
+  }
+  const numeric = value.match(/^(\d{1,2})[/-](\d{4})$/);
+  if (numeric && Number(numeric[1]) >= 1 && Number(numeric[1]) <= 12) {
+    return new Date(Date.UTC(Number(numeric[2]), Number(numeric[1]) - 1, 1));
+  }
+  const isoMonth = value.match(/^(\d{4})-(\d{2})(?:-\d{2})?$/);
+  if (isoMonth) return new Date(Date.UTC(Number(isoMonth[1]), Number(isoMonth[2]) - 1, 1));
+  const year = value.match(/^(\d{4})$/);
+  if (year) return new Date(Date.UTC(Number(year[1]), 0, 1));
+  return null;
+};
+
+/**
+ * Split text into a header block and named sections
+ * @returns {{ header: string[], sections: Object<string, string[]> }}
+ */
+const splitSections = (text) => {
+  const lines = text.split('\n').map((l) => l.trim());
+  const header = [];
+  const sections = {};
+  let current = null;
+
+  for (const line of lines) {
+    const heading = line.replace(/[:\-–—_=*#]+$/, '').replace(/^[\-–—_=*#]+/, '').trim();
+    const match = heading.length > 0 && heading.length <= 50
+      ? SECTION_PATTERNS.find(([, pattern]) => pattern.test(heading))
+      : null;
+
+    if (match) {
+      current = match[0];
+      sections[current] = sections[current] || [];
+      continue;
+    }
+    if (!line) continue;
+    if (current) sections[current].push(line);
+    else header.push(line);
+  }
+
+  return { header, sections };
+};
+
+const parseHeader = (headerLines, fullText) => {
+  const email = (fullText.match(/[\w.+-]+@[\w-]+\.[\w.-]+/) || [])[0];
+  const phone = (fullText.match(/(?:\+\d{1,3}[\s-]?)?(?:\(?\d{2,5}\)?[\s-]?)\d{3,5}[\s-]?\d{3,5}/) || [])[0];
+  const linkedIn = (fullText.match(/(?:https?:\/\/)?(?:www\.)?linkedin\.com\/in\/[\w-]+\/?/i) || [])[0];
+
+  // Name and title: the first plain lines of the header (no digits, @ or URLs)
+  const plain = headerLines.filter((l) => !/[\d@]|https?:|www\.|linkedin/i.test(l) && l.split(/\s+/).length <= 8);
+  const name = plain[0] && plain[0].split(/\s+/).length <= 5 ? plain[0] : undefined;
+  const title = plain[1] && plain[1].length <= 100 ? plain[1] : undefined;
+
+  return { name, email, phone: phone && phone.trim(), linkedIn, title };
+};
+
+const splitHeading = (text) => text
+  .split(/\s+(?:at|@)\s+|\s*[|,–—]\s*|\s+-\s+/)
+  .map((p) => p.trim())
+  .filter(Boolean);
+
+const parseWorkExperience = (lines) => {
+  const rangeIdx = lines.map((l, i) => (DATE_RANGE.test(l) ? i : -1)).filter((i) => i >= 0);
+  const entries = [];
+
+  rangeIdx.forEach((idx, n) => {
+    const line = lines[idx];
+    const [matched, from, to] = line.match(DATE_RANGE);
+    const remainder = cleanLine(line.replace(matched, '').replace(/[()[\]]/g, ' ').replace(/\s*[|,–—-]\s*$/, '').replace(/^\s*[|,–—-]\s*/, ''));
+
+    // A short, non-bullet line right above the dates is usually "Position at Company"
+    const prevBoundary = n > 0 ? rangeIdx[n - 1] : -1;
+    const prev = idx - 1 > prevBoundary && !BULLET.test(lines[idx - 1]) && lines[idx - 1].length <= 100
+      ? cleanLine(lines[idx - 1])
+      : '';
+
+    const parts = splitHeading([prev, remainder].filter(Boolean).join(' | '));
+    const nextIdx = n + 1 < rangeIdx.length ? rangeIdx[n + 1] : lines.length;
+    // Stop before the next entry's heading line, if it has one
+    const nextHeading = nextIdx < lines.length && !BULLET.test(lines[nextIdx - 1]) && lines[nextIdx - 1].length <= 100
+      ? nextIdx - 1
+      : nextIdx;
+    const body = lines.slice(idx + 1, Math.max(idx + 1, nextHeading));
+
+    const achievements = body.filter((l) => BULLET.test(l)).map(cleanLine).filter(Boolean);
+    const description = body.filter((l) => !BULLET.test(l)).map(cleanLine).join(' ');
+    const isCurrent = CURRENT_PATTERN.test(to.trim());
+
+    entries.push({
+      position: truncate(parts[0], 100),
+      company: truncate(parts[1], 100),
+      location: truncate(parts[2], 100),
+      startDate: parseDateToken(from),
+      endDate: isCurrent ? undefined : parseDateToken(to),
+      isCurrent,
+      description: truncate(description, 1000) || undefined,
+      achievements: achievements.slice(0, MAX_ACHIEVEMENTS).map((a) => truncate(a, 200)),
+    });
+  });
+
+  return entries;
+};
+
+/**
+ * Map free-text degree names onto the JobSeeker degree enum
+ * @returns {string|null}
+ */
+const detectDegree = (text) => {
+  const found = DEGREE_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return found ? found[0] : null;
+};
+
+const parseEducation = (lines) => {
+  const entries = [];
+  let block = null;
+
+  const flush = () => {
+    if (!block) return;
+    const text = block.lines.join(' | ');
+    const years = (text.match(/\b(19|20)\d{2}\b/g) || []).map(Number);
+    const degreeLine = cleanLine(block.lines[0]);
+    const fieldMatch = degreeLine.match(/\b(?:in|of)\s+([A-Za-z &]+)/) || degreeLine.match(/\(([^)]+)\)/);
+    const institution = block.lines.map(cleanLine).find((l, i) => i > 0 && INSTITUTION_PATTERN.test(l))
+      || splitHeading(degreeLine).find((p) => INSTITUTION_PATTERN.test(p));
+    const grade = (text.match(/(?:CGPA|GPA|grade|percentage|score)\s*[:\-]?\s*([\d.]+\s*(?:%|\/\s*\d+)?)/i)
+      || text.match(/\b(\d{2}(?:\.\d+)?\s*%)/) || [])[1];
+
+    entries.push({
+      degree: block.degree,
+      degreeText: truncate(splitHeading(degreeLine)[0], 100),
+      field: truncate(fieldMatch ? fieldMatch[1].trim() : undefined, 100),
+      institution: truncate(institution && splitHeading(institution).find((p) => INSTITUTION_PATTERN.test(p)), 200),
+      yearOfCompletion: years.length > 0 ? Math.max(...years) : undefined,
+      grade: truncate(grade && grade.replace(/\s+/g, ''), 20),
+    });
+    block = null;
+  };
+
+  for (const line of lines) {
+    const degree = detectDegree(line);
+    if (degree) {
+      flush();
+      block = { degree, lines: [line] };
+    } else if (block) {
+      block.lines.push(line);
+    }
+  }
+  flush();
+
+  return entries;
+};
+
+const parseSkills = (lines) => {
+  const seen = new Set();
+  const skills = [];
+
+  for (const line of lines) {
+    // Drop "Clinical: " style group labels
+    const content = cleanLine(line).replace(/^[A-Za-z &]{2,30}:\s+/, '');
+    for (const raw of content.split(/[,;|•·]|\s{2,}/)) {
+      const name = raw.replace(/[.]+$/, '').trim();
+      const key = name.toLowerCase();
+      if (name.length < 2 || name.length > 50 || name.split(/\s+/).length > 6 || seen.has(key)) continue;
+      seen.add(key);
+      skills.push(name);
+    }
+  }
+
+  return skills.slice(0, MAX_SKILLS);
+};
+
+const parseCertifications = (lines) => lines
+  .map(cleanLine)
+  .filter(Boolean)
+  .map((line) => {
+    const dates = line.match(DATE_TOKEN) || [];
+    const credentialId = (line.match(/(?:licen[cs]e|reg(?:istration)?|credential|cert(?:ificate)?)\s*(?:no\.?|number|id|#)\s*[:#]?\s*([A-Z0-9][A-Z0-9\-/]{3,})/i) || [])[1];
+    const withoutMeta = line
+      .replace(/\(.*?\)/g, ' ')
+      .replace(DATE_TOKEN, ' ')
+      .replace(/(?:licen[cs]e|reg(?:istration)?|credential|cert(?:ificate)?)\s*(?:no\.?|number|id|#)\s*[:#]?\s*[A-Z0-9][A-Z0-9\-/]{3,}/i, ' ')
+      .replace(/\b(?:issued|valid until|expires?|exp\.?)\b/gi, ' ');
+    const parts = withoutMeta
+      .split(/\s+[-–—|]\s+|,\s*|\s+(?:by|from)\s+/i)
+      .map((p) => p.trim())
+      .filter((p) => p && /[A-Za-z]/.test(p));
+
+    return {
+      name: truncate(parts[0], 100),
+      issuingOrganization: truncate(parts[1], 100),
+      issueDate: parseDateToken(dates[0]),
+      expiryDate: parseDateToken(dates[1]) || undefined,
+      credentialId: truncate(credentialId, 50),
+    };
+  })
+  .filter((c) => c.name);
+
+const detectSpecializations = (text) => SPECIALIZATIONS.filter((s) =>
+  new RegExp(`\\b${escapeRegex(s)}\\b`, 'i').test(text)
+);
+
+/**
+ * Total years: an explicit "N years of experience" wins, otherwise the
+ * union of work experience date ranges
+ */
+const estimateTotalYears = (text, workExperience) => {
+  const explicit = text.match(/(\d{1,2})\+?\s*(?:years?|yrs?)\s+(?:of\s+)?(?:\w+\s+)?experience/i);
+  if (explicit) return Math.min(50, Number(explicit[1]));
+
+  const ranges = workExperience
+    .filter((w) => w.startDate)
+    .map((w) => [w.startDate.getTime(), (w.isCurrent || !w.endDate ? new Date() : w.endDate).getTime()])
+    .sort((a, b) => a[0] - b[0]);
+  if (ranges.length === 0) return undefined;
+
+  let total = 0;
+  let [start, end] = ranges[0];
+  for (const [s, e] of ranges.slice(1)) {
+    if (s > end) {
+      total += end - start;
+      [start, end] = [s, e];
+    } else {
+      end = Math.max(end, e);
+    }
+  }
+  total += end - start;
+  return Math.min(50, Math.floor(total / (365.25 * 24 * 60 * 60 * 1000)));
+};
+
+/**
+ * Rule-based extraction from resume text
+ * @param {string} text
+ * @returns {Object} Neutral parsed structure (see mergeParsedResumes)
+ */
+const parseResumeText = (text) => {
+  const { header, sections } = splitSections(text);
+  const contact = parseHeader(header, text);
+  const workExperience = parseWorkExperience(sections.workExperience || []);
+  const current = workExperience.find((w) => w.isCurrent);
+
+  return {
+    ...contact,
+    summary: truncate((sections.summary || []).map(cleanLine).join(' '), 1000) || undefined,
+    currentPosition: current && current.position,
+    currentCompany: current && current.company,
+    totalYears: estimateTotalYears(text, workExperience),
+    workExperience,
+    education: parseEducation(sections.education || []),
+    skills: parseSkills(sections.skills || []),
+    certifications: parseCertifications(sections.certifications || []),
+    specializations: detectSpecializations(text),
+  };
+};
+
+/**
+ * Merge LLM output into the rule-based result
+ * Scalars: rules first, LLM fills blanks. Sections: whichever source has more
+ * complete entries wins (ties go to rules). Skills and specializations: union.
+ *
+ * @param {Object} rules - parseResumeText output
+ * @param {Object} llm - normalized LLM output (same shape)
+ * @returns {{ parsed: Object, sources: Object<string, 'rules'|'llm'> }}
+ */
+const mergeParsedResumes = (rules, llm) => {
+  const parsed = { ...rules };
+  const sources = {};
+
+  for (const key of ['name', 'email', 'phone', 'linkedIn', 'title', 'summary', 'currentPosition', 'currentCompany', 'totalYears']) {
+    if ((parsed[key] === undefined || parsed[key] === '') && llm[key] !== undefined && llm[key] !== '') {
+      parsed[key] = llm[key];
+      sources[key] = 'llm';
+    }
+  }
+
+  const completeness = {
+    workExperience: (e) => e.position && e.company && e.startDate,
+    education: (e) => e.degree && e.institution && e.yearOfCompletion,
+    certifications: (e) => e.name && e.issuingOrganization && e.issueDate,
+  };
+  for (const [section, isComplete] of Object.entries(completeness)) {
+    const fromRules = (rules[section] || []).filter(isComplete).length;
+    const fromLlm = (llm[section] || []).filter(isComplete).length;
+    if (fromLlm > fromRules) {
+      parsed[section] = llm[section];
+      sources[section] = 'llm';
+    }
+  }
+
+  for (const section of ['skills', 'specializations']) {
+    const known = new Set((rules[section] || []).map((s) => s.toLowerCase()));
+    const extra = (llm[section] || []).filter((s) => !known.has(s.toLowerCase()));
+    parsed[section] = [...(rules[section] || []), ...extra];
+    if (extra.length > 0) sources[`${section}:llm`] = extra.map((s) => s.toLowerCase());
+  }
+
+  return { parsed, sources };
+};
+
+// ─── Diff against the target document ───
+
+const dedupeKey = {
+  workExperience: (e) => `${(e.company || '').toLowerCase()}|${(e.position || '').toLowerCase()}`,
+  education: (e) => `${(e.degree || '').toLowerCase()}|${(e.institution || '').toLowerCase()}`,
+  skills: (e) => (e.name || '').toLowerCase(),
+  certifications: (e) => (e.name || '').toLowerCase(),
+  specializations: (e) => String(e).toLowerCase(),
+};
+
+const stripEmpty = (obj) => Object.fromEntries(
+  Object.entries(obj).filter(([, v]) => v !== undefined && v !== null && v !== '')
+);
+
+/**
+ * How each parse target maps the neutral structure onto its schema
+ * scalars: path -> parsed key; sections: path -> entry mapper
+ */
+const TARGETS = {
+  profile: {
+    model: JobSeeker,
+    scalars: {
+      title: 'title',
+      bio: 'summary',
+      'experience.totalYears': 'totalYears',
+      'experience.currentPosition': 'currentPosition',
+      'experience.currentCompany': 'currentCompany',
+    },
+    sections: {
+      workExperience: ({ position, company, location, startDate, endDate, isCurrent, description, achievements }) =>
+        stripEmpty({ position, company, location, startDate, endDate, isCurrent, description, achievements }),
+      education: ({ degree, field, institution, yearOfCompletion, grade }) =>
+        stripEmpty({ degree, field, institution, yearOfCompletion, grade }),
+      skills: (name) => ({ name }),
+      certifications: (c) => stripEmpty(c),
+      specializations: (s) => s,
+    },
+  },
+  resume: {
+    model: Resume,
+    scalars: {
+      'personalInfo.fullName': 'name',
+      'personalInfo.phone': 'phone',
+      'personalInfo.linkedIn': 'linkedIn',
+      summary: 'summary',
+    },
+    sections: {
+      workExperience: ({ position, company, location, startDate, endDate, isCurrent, description, achievements }) =>
+        stripEmpty({ position, company, location, startDate, endDate, isCurrent, description, achievements }),
+      education: ({ degree, degreeText, field, institution, yearOfCompletion, grade }) =>
+        stripEmpty({ degree: degreeText || degree, field, institution, yearOfCompletion, grade }),
+      skills: (name) => ({ name }),
+      certifications: ({ name, issuingOrganization, issueDate, expiryDate, credentialId }) =>
+        stripEmpty({ name, issuingOrganization, issueDate, expiryDate, credentialId }),
+    },
+  },
+};
+
+/**
+ * Required subdocument fields the entry is missing (seeker must fill them in before accepting)
+ */
+const missingRequired = (model, section, entry) => {
+  const path = model.schema.path(section);
+  if (!path || !path.schema) return [];
+  return path.schema.requiredPaths()
+    .filter((field) => entry[field] === undefined || entry[field] === null || entry[field] === '')
+    .map((field) => `${field} is required`);
+};
+
+/**
+ * Build reviewable diff items for a target document
+ * @param {'profile'|'resume'} target
+ * @param {Object} current - Current JobSeeker or Resume (plain object)
+ * @param {Object} parsed - Merged parse result
+ * @param {Object} [sources] - Which fields came from the LLM (mergeParsedResumes)
+ * @returns {Array<{ section: string, op: 'set'|'add', path: string, current: *, proposed: *, source: string, issues: string[] }>}
+ */
+const buildParseDiff = (target, current, parsed, sources = {}) => {
+  const config = TARGETS[target];
+  const items = [];
+  const getPath = (obj, path) => path.split('.').reduce((v, key) => (v == null ? v : v[key]), obj);
+
+  for (const [path, key] of Object.entries(config.scalars)) {
+    const proposed = parsed[key];
+    if (proposed === undefined || proposed === null || proposed === '') continue;
+    const existing = getPath(current, path);
+    if (existing !== undefined && existing !== null && String(existing) === String(proposed)) continue;
+
+    items.push({
+      section: path.split('.')[0],
+      op: 'set',
+      path,
+      current: existing === undefined ? null : existing,
+      proposed,
+      source: sources[key] || 'rules',
+      issues: [],
+    });
+  }
+
+  for (const [section, mapEntry] of Object.entries(config.sections)) {
+    const existingKeys = new Set((current[section] || []).map(dedupeKey[section]));
+    const llmSection = sources[section] === 'llm';
+    const llmExtras = new Set(sources[`${section}:llm`] || []);
+
+    for (const raw of parsed[section] || []) {
+      const entry = mapEntry(raw);
+      const key = dedupeKey[section](entry);
+      if (!key || key === '|' || existingKeys.has(key)) continue;
+      existingKeys.add(key);
+
+      items.push({
+        section,
+        op: 'add',
+        path: section,
+        current: null,
+        proposed: entry,
+        source: llmSection || llmExtras.has(key) ? 'llm' : 'rules',
+        issues: typeof entry === 'object' ? missingRequired(config.model, section, entry) : [],
+      });
+    }
+  }
+
+  return items;
+};
+
+module.exports = {
+  detectDocumentType,
+  extractResumeText,
+  parseResumeText,
+  parseDateToken,
+  detectDegree,
+  mergeParsedResumes,
+  buildParseDiff,
+  missingRequired,
+  TARGETS,
+};
@@ -0,0 +1,153 @@
+/**
+ * Screening Service
+ * Validates candidate answers against a job's screening questions
+ * and evaluates knockout rules at apply time
+ */
+
+const YES_VALUES = ['yes', 'y', 'true', '1'];
+const NO_VALUES = ['no', 'n', 'false', '0'];
+
+// Registration numbers from medical/nursing/pharmacy councils, e.g. "MCI-12345", "DL/2019/0042"
+const LICENSE_NUMBER_PATTERN = /^[A-Za-z0-9][A-Za-z0-9/\-. ]{2,29}$/;
+
+const isBlank = (value) =>
+  value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Normalize a single answer for its question type
+ * @returns {{ value?: string, error?: string }}
+ */
+const normalizeAnswer = (question, raw) => {
+  const text = String(raw).trim();
+
+  switch (question.type) {
+    case 'Yes/No': {
+      const lower = text.toLowerCase();
+      if (YES_VALUES.includes(lower)) return { value: 'Yes' };
+      if (NO_VALUES.includes(lower)) return { value: 'No' };
+      return { error: 'Answer must be Yes or No' };
+    }
+    case 'Single Choice': {
+      const match = (question.options || []).find(
+        (option) => option.toLowerCase() === text.toLowerCase()
+      );
+      if (!match) return { error: `Answer must be one of: ${question.options.join(', ')}` };
+      return { value: match };
+    }
+    case 'Number': {
+      const num = Number(text);
+      if (!Number.isFinite(num)) return { error: 'Answer must be a number' };
+      if (question.min !== undefined && question.min !== null && num < question.min) {
+        return { error: `Answer must be at least ${question.min}` };
+      }
+      if (question.max !== undefined && question.max !== null && num > question.max) {
+        return { error: `Answer cannot exceed ${question.max}` };
+      }
+      return { value: String(num) };
+    }
+    case 'License Number': {
+      if (!LICENSE_NUMBER_PATTERN.test(text)) {
+        return { error: 'Enter a valid license/registration number (3-30 letters, digits, / - .)' };
+      }
+      return { value: text.toUpperCase() };
+    }
+    case 'Free Text':
+    default: {
+      const maxLength = question.maxLength || 1000;
+      if (text.length > maxLength) return { error: `Answer cannot exceed ${maxLength} characters` };
+      return { value: text };
+    }
+  }
+};
+
+/**
+ * Whether a normalized answer trips the question's knockout rule
+ */
+const isKnockedOut = (question, value) => {
+  const knockout = question.knockout;
+  if (!knockout || !knockout.action || knockout.action === 'None') return false;
+
+  if (question.type === 'Number') {
+    const num = Number(value);
+    if (knockout.min !== undefined && knockout.min !== null && num < knockout.min) return true;
+    if (knockout.max !== undefined && knockout.max !== null && num > knockout.max) return true;
+    return false;
+  }
+
+  const accepted = knockout.acceptedAnswers || [];
+  if (accepted.length === 0) return false;
+  return !accepted.some((a) => a.toLowerCase() === value.toLowerCase());
+};
+
+/**
+ * Validate and evaluate answers submitted with an application
+ * @param {Array} questions - Job.screeningQuestions (with knockout selected)
+ * @param {Array<{ questionId: string, answer: * }>} rawAnswers - Answers from the request body
+ * @returns {{
+ *   errors: Array<{ field: string, message: string }>,
+ *   answers: Array<{ questionId: string, question: string, answer: string }>,
+ *   knockouts: Array<{ questionId: string, question: string, answer: string, action: string }>,
+ *   outcome: 'Passed' | 'Flagged' | 'Rejected'
+ * }}
+ */
+const evaluateAnswers = (questions = [], rawAnswers = []) => {
+  const errors = [];
+  const answers = [];
+  const knockouts = [];
+
+  const byId = new Map();
+  rawAnswers.forEach((a, index) => {
+    if (!a || typeof a !== 'object' || !a.questionId) {
+      errors.push({ field: `answers[${index}]`, message: 'Each answer needs a questionId' });
+      return;
+    }
+    byId.set(String(a.questionId), a.answer);
+  });
+
+  const knownIds = new Set(questions.map((q) => String(q._id)));
+  byId.forEach((_, questionId) => {
+    if (!knownIds.has(questionId)) {
+      errors.push({ field: `answers.${questionId}`, message: 'Unknown screening question' });
+    }
+  });
+
+  questions.forEach((question) => {
+    const questionId = String(question._id);
+    const raw = byId.get(questionId);
+
+    if (isBlank(raw)) {
+      if (question.required || question.type === 'License Number') {
+        errors.push({ field: `answers.${questionId}`, message: `"${question.question}" is required` });
+      }
+      return;
+    }
+
+    const { value, error } = normalizeAnswer(question, raw);
+    if (error) {
+      errors.push({ field: `answers.${questionId}`, message: error });
+      return;
+    }
+
+    answers.push({ questionId, question: question.question, answer: value });
+
+    if (isKnockedOut(question, value)) {
+      knockouts.push({
+        questionId,
+        question: question.question,
+        answer: value,
+        action: question.knockout.action,
+      });
+    }
+  });
+
+  let outcome = 'Passed';
+  if (knockouts.some((k) => k.action === 'Reject')) outcome = 'Rejected';
+  else if (knockouts.length > 0) outcome = 'Flagged';
+
+  return { errors, answers, knockouts, outcome };
+};
+
+module.exports = {
+  evaluateAnswers,
+  LICENSE_NUMBER_PATTERN,
+};
@@ -0,0 +1,135 @@
+/**
+ * Background Task Handlers
+ * The task types run by the task queue (services/taskQueue.js). Loaded once at startup;
+ * queue work with enqueueTask(type, payload). Payloads are stored in MongoDB, so they carry
+ * ids and plain values, and handlers load fresh documents when they run.
+ */
+
+const Job = require('../models/Job');
+const Application = require('../models/Application');
+const Resume = require('../models/Resume');
+const JobSeeker = require('../models/JobSeeker');
+const { deliverEmail, markEmailFailed } = require('./emailService');
+const { registerTaskHandler } = require('./taskQueue');
+const { generateAndUploadResumePDF } = require('./pdfService');
+const { scoreApplication } = require('./ai/matchScoreService');
+const { screenApplication } = require('./ai/screeningAgent');
+const { embedJob, removeJobEmbedding, batchIndexJobs } = require('./ai/jobEmbeddingPipeline');
+const {
+  embedCandidate,
+  embedCandidateByUser,
+  batchIndexCandidates,
+} = require('./ai/candidateEmbeddingPipeline');
+
+const permanentError = (message) => Object.assign(new Error(message), { permanent: true });
+
+// Scoring and screening store a failed result on the application rather than throw;
+// rethrow it so the queue retries (a missing AI configuration won't fix itself)
+const failedAiResult = (error) => /not configured/i.test(error || '')
+  ? permanentError(error)
+  : new Error(error || 'AI call failed');
+
+/**
+ * syncJobEmbedding { jobId }
+ * Embeds the job if it is Active and removes its embedding otherwise. Reading the status
+ * when the task runs keeps a quick close-then-reopen from being applied out of order.
+ */
+registerTaskHandler('syncJobEmbedding', async ({ jobId }) => {
+  const job = await Job.findById(jobId).select('status').lean();
+  if (!job || job.status !== 'Active') {
+    await removeJobEmbedding(jobId);
+    return { action: 'removed' };
+  }
+  const { dimensions } = await embedJob(jobId);
+  return { action: 'embedded', dimensions };
+}, { concurrency: 2 });
+
+/**
+ * embedCandidate { jobSeekerId } or { userId }
+ */
+registerTaskHandler('embedCandidate', async ({ jobSeekerId, userId }) => {
+  const result = jobSeekerId ? await embedCandidate(jobSeekerId) : await embedCandidateByUser(userId);
+  return result || { success: false, reason: 'No job seeker profile' };
+}, { concurrency: 2 });
+
+/**
+ * batchIndexJobs { reindexAll } / batchIndexCandidates { reindexAll }
+ * A retry only redoes the whole run when reindexAll is set; otherwise it picks up the
+ * documents still missing an embedding. Cancelling stops the run before its next batch.
+ */
+registerTaskHandler('batchIndexJobs', ({ reindexAll }, { progress, signal }) =>
+  batchIndexJobs({ reindexAll: reindexAll === true, signal, onProgress: (done, total) => progress(done, total, 'jobs') }),
+{ maxAttempts: 3, backoffMs: 60 * 1000 });
+
+registerTaskHandler('batchIndexCandidates', ({ reindexAll }, { progress, signal }) =>
+  batchIndexCandidates({ reindexAll: reindexAll === true, signal, onProgress: (done, total) => progress(done, total, 'candidates') }),
+{ maxAttempts: 3, backoffMs: 60 * 1000 });
+
+/**
+ * deliverEmail { emailId }
+ * Sends an outbox entry; the entry is marked failed once the retries run out
+ */
+registerTaskHandler('deliverEmail', ({ emailId }) => deliverEmail(emailId), {
+  concurrency: 3,
+  maxAttempts: 6,
+  backoffMs: 30 * 1000,
+  onDead: ({ emailId }, error) => markEmailFailed(emailId, error),
+});
+
+/**
+ * generateResumePdf { resumeId }
+ * Renders the resume as it is when the task runs and stores the Cloudinary URL on it
+ * (pdfStatus: queued → ready, or failed once the retries run out)
+ */
+registerTaskHandler('generateResumePdf', async ({ resumeId }) => {
+  const resume = await Resume.findById(resumeId);
+  if (!resume) throw permanentError(`Resume not found: ${resumeId}`);
+  const jobSeeker = await JobSeeker.findOne({ user: resume.userId }).select('_id').lean();
+  if (!jobSeeker) throw permanentError(`No job seeker profile for resume ${resumeId}`);
+
+  const pdfResult = await generateAndUploadResumePDF(resume.toObject(), jobSeeker._id.toString());
+  await Resume.updateOne(
+    { _id: resume._id },
+    {
+      $set: { pdfUrl: pdfResult.url, pdfPublicId: pdfResult.publicId, pdfStatus: 'ready' },
+      $unset: { pdfError: '' },
+    }
+  );
+  return { pdfUrl: pdfResult.url, bytes: pdfResult.bytes };
+}, {
+  concurrency: 2,
+  maxAttempts: 3,
+  onDead: ({ resumeId }, error) => Resume.updateOne(
+    { _id: resumeId },
+    { $set: { pdfStatus: 'failed', pdfError: error.message } }
+  ),
+});
+
+/**
+ * scoreApplication { applicationId, resumeId }
+ * Match score for the employer, against the builder resume chosen when applying
+ * (or the applicant's default one)
+ */
+registerTaskHandler('scoreApplication', async ({ applicationId, resumeId }) => {
+  const application = await Application.findById(applicationId)
+    .populate('job')
+    .populate('jobSeeker', 'user');
+  if (!application || !application.job || !application.jobSeeker) {
+    throw permanentError(`Application, job or applicant not found: ${applicationId}`);
+  }
+
+  const snapshot = await scoreApplication(application, application.job, application.jobSeeker.user, resumeId);
+  if (snapshot.status === 'failed') throw failedAiResult(snapshot.error);
+  return { status: snapshot.status, overallScore: snapshot.overallScore };
+}, { concurrency: 2, maxAttempts: 3, backoffMs: 30 * 1000 });
+
+/**
+ * screenApplication { applicationId, resumeId }
+ * AI screening review, including the employer's opt-in auto-action
+ */
+registerTaskHandler('screenApplication', async ({ applicationId, resumeId }) => {
+  const aiScreening = await screenApplication(applicationId, { resumeId });
+  if (!aiScreening) throw permanentError(`Application, job or applicant not found: ${applicationId}`);
+  if (aiScreening.status === 'failed') throw failedAiResult(aiScreening.error);
+  return { recommendation: aiScreening.recommendation, autoAction: aiScreening.autoAction };
+}, { concurrency: 2, maxAttempts: 3, backoffMs: 30 * 1000 });
@@ -0,0 +1,410 @@
+/**
+ * Task Queue
+ * MongoDB-backed background work (embedding, emails, PDFs, application review, batch indexing), so it
+ * survives restarts, retries with backoff and can be followed at GET /api/admin/tasks/:id
+ *
+ * - Each task type registers a handler with its own concurrency limit and attempt budget;
+ *   TASK_CONCURRENCY caps the tasks one process runs at once
+ * - Workers poll for due tasks and claim them atomically, so app instances share the queue
+ * - A running task holds a lease renewed while it runs; if its instance dies the lease
+ *   lapses and another worker runs it again
+ * - A failed attempt is retried after an exponential backoff. After maxAttempts, or on an
+ *   error marked permanent, the task is dead (the dead-letter state) until an admin retries it
+ * - An admin can cancel a task; a running one stops when its handler next checks context.signal
+ */
+
+const os = require('os');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+const LEASE_MS = 60 * 1000;
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+const DEFAULT_CONCURRENCY = 4;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+const PROGRESS_WRITE_MS = 1000;
+const MAX_FAILURES_KEPT = 10;
+const COMPLETED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// type -> { handler, concurrency, maxAttempts, backoffMs, priority, onDead }
+const handlers = new Map();
+// type -> tasks of that type running in this process
+const running = new Map();
+let runningTotal = 0;
+let maxConcurrency = DEFAULT_CONCURRENCY;
+let timer = null;
+let polling = false;
+
+/**
+ * Register the handler for a task type
+ * The handler gets (payload, context) and its return value is saved as the task result.
+ * context.progress(current, total, message) reports progress; context.attempt is 1-based.
+ * context.signal aborts when an admin cancels the task; long handlers should check it.
+ * Throw an error with `permanent: true` to skip the remaining retries.
+ *
+ * @param {string} type
+ * @param {Function} handler - async (payload, context) => result
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=1] - Tasks of this type one process runs at once
+ * @param {number} [options.maxAttempts=5]
+ * @param {number} [options.backoffMs=5000] - Delay before the first retry, doubled each time
+ * @param {number} [options.priority=0] - Default priority of new tasks
+ * @param {Function} [options.onDead] - async (payload, error) when the task goes dead
+ */
+const registerTaskHandler = (type, handler, options = {}) => {
+  const {
+    concurrency = 1,
+    maxAttempts = 5,
+    backoffMs = 5000,
+    priority = 0,
+    onDead,
+  } = options;
+  handlers.set(type, { handler, concurrency, maxAttempts, backoffMs, priority, onDead });
+};
+
+/**
+ * Queue a task
+ * With a dedupeKey, a task already queued under the same key is reused (and brought forward
+ * if it was waiting out a backoff) instead of queueing the same work twice.
+ *
+ * @param {string} type - A registered task type
+ * @param {Object} [payload] - Stored in MongoDB, so plain values and ids only
+ * @param {Object} [options]
+ * @param {string} [options.dedupeKey]
+ * @param {Date} [options.runAt] - Not before this time
+ * @param {number} [options.priority]
+ * @param {number} [options.maxAttempts]
+ * @param {ObjectId} [options.createdBy] - User who asked for it
+ * @returns {Promise<Object>} The task document
+ */
+const enqueueTask = async (type, payload = {}, options = {}) => {
+  const definition = handlers.get(type);
+  if (!definition) throw new Error(`Unknown task type: ${type}`);
+
+  const { dedupeKey, runAt, priority, maxAttempts, createdBy } = options;
+  let task;
+  try {
+    task = await Task.create({
+      type,
+      payload,
+      dedupeKey,
+      runAt: runAt || new Date(),
+      priority: priority === undefined ? definition.priority : priority,
+      maxAttempts: maxAttempts || definition.maxAttempts,
+      createdBy,
+    });
+  } catch (err) {
+    if (err.code !== 11000 || !dedupeKey) throw err;
+    task = await Task.findOneAndUpdate(
+      { dedupeKey, status: 'queued' },
+      { $min: { runAt: new Date() } },
+      { new: true }
+    );
+    // Claimed between the insert and the lookup; queue a fresh one
+    if (!task) return enqueueTask(type, payload, options);
+  }
+
+  if (timer) setImmediate(poll);
+  return task;
+};
+
+// Exponential backoff with up to 20% jitter so retries from one outage spread out
+const backoffDelay = (attempt, baseMs) => {
+  const delay = Math.min(BACKOFF_MAX_MS, baseMs * 2 ** (attempt - 1));
+  return Math.round(delay * (1 + Math.random() * 0.2));
+};
+
+// Only the worker holding the lease may write the outcome
+const ownTask = (task) => ({ _id: task._id, status: 'running', lockedBy: INSTANCE_ID });
+
+const releaseLock = { lockedBy: '', lockedUntil: '' };
+
+const markCancelled = (task) => Task.updateOne(
+  ownTask(task),
+  {
+    $set: {
+      status: 'cancelled',
+      finishedAt: new Date(),
+      expiresAt: new Date(Date.now() + COMPLETED_RETENTION_MS),
+    },
+    $unset: releaseLock,
+  }
+);
+
+/**
+ * Claim the next due task of one of these types
+ * A running task whose lease lapsed belongs to a dead instance and is claimed again.
+ */
+const claimTask = (types) => {
+  const now = new Date();
+  return Task.findOneAndUpdate(
+    {
+      type: { $in: types },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockedUntil: { $lt: now } },
+      ],
+    },
+    {
+      $set: {
+        status: 'running',
+        lockedBy: INSTANCE_ID,
+        lockedUntil: new Date(now.getTime() + LEASE_MS),
+        startedAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { priority: -1, runAt: 1 }, new: true }
+  ).lean();
+};
+
+const markDead = async (task, definition, error) => {
+  await Task.updateOne(
+    ownTask(task),
+    {
+      $set: { status: 'dead', lastError: error.message, finishedAt: new Date() },
+      $push: { failures: { $each: [{ attempt: task.attempts, error: error.message, at: new Date() }], $slice: -MAX_FAILURES_KEPT } },
+      $unset: releaseLock,
+    }
+  );
+  console.error(`❌ Task ${task.type} ${task._id} is dead after ${task.attempts} attempt(s): ${error.message}`);
+
+  if (definition.onDead) {
+    await Promise.resolve(definition.onDead(task.payload || {}, error)).catch((err) =>
+      console.warn(`⚠️  onDead hook failed for task ${task._id}: ${err.message}`)
+    );
+  }
+};
+
+/**
+ * Run one claimed task to completion, retry or death
+ * @param {Object} task - Claimed task (lean)
+ * @param {Object} definition - Its registered handler
+ */
+const runTask = async (task, definition) => {
+  const cancellation = new AbortController();
+  // Lease renewals and progress writes also pick up a cancel request
+  const writeAndCheckCancel = (update) =>
+    Task.findOneAndUpdate(ownTask(task), update, { new: true, projection: { cancelRequested: 1 } })
+      .lean()
+      .then((doc) => {
+        if (doc && doc.cancelRequested) cancellation.abort(new Error('Task cancelled'));
+      });
+
+  const heartbeat = setInterval(() => {
+    writeAndCheckCancel({ $set: { lockedUntil: new Date(Date.now() + LEASE_MS) } })
+      .catch((err) => console.warn(`⚠️  Lease renewal failed for task ${task._id}: ${err.message}`));
+  }, LEASE_MS / 3);
+  heartbeat.unref();
+
+  let progress = task.progress;
+  let progressWrittenAt = 0;
+  const context = {
+    taskId: task._id,
+    attempt: task.attempts,
+    signal: cancellation.signal,
+    // Writes are throttled; the last value is saved with the outcome
+    progress: (current, total, message) => {
+      progress = { current, total, message };
+      if (Date.now() - progressWrittenAt < PROGRESS_WRITE_MS) return;
+      progressWrittenAt = Date.now();
+      writeAndCheckCancel({ $set: { progress } }).catch(() => {});
+    },
+  };
+
+  try {
+    // Cancelled while its previous worker held it
+    if (task.cancelRequested) cancellation.abort(new Error('Task cancelled'));
+    cancellation.signal.throwIfAborted();
+
+    // A lapsed lease on the last attempt means the task kept taking its instance down
+    if (task.attempts > task.maxAttempts) {
+      throw Object.assign(new Error('Worker stopped during every attempt'), { permanent: true });
+    }
+
+    const result = await definition.handler(task.payload || {}, context);
+    await Task.updateOne(
+      ownTask(task),
+      {
+        $set: {
+          status: 'completed',
+          progress,
+          ...(result !== undefined && { result }),
+          finishedAt: new Date(),
+          expiresAt: new Date(Date.now() + COMPLETED_RETENTION_MS),
+        },
+        $unset: releaseLock,
+      }
+    );
+  } catch (err) {
+    if (cancellation.signal.aborted) {
+      console.log(`🛑 Task ${task.type} ${task._id} cancelled`);
+      await markCancelled(task).catch((e) =>
+        console.error(`❌ Could not record task ${task._id} as cancelled: ${e.message}`)
+      );
+      return;
+    }
+    if (err.permanent || task.attempts >= task.maxAttempts) {
+      await markDead(task, definition, err).catch((e) =>
+        console.error(`❌ Could not record task ${task._id} as dead: ${e.message}`)
+      );
+      return;
+    }
+
+    const retryInMs = backoffDelay(task.attempts, definition.backoffMs);
+    console.warn(`⚠️  Task ${task.type} ${task._id} failed (attempt ${task.attempts}/${task.maxAttempts}), retrying in ${Math.round(retryInMs / 1000)}s: ${err.message}`);
+    const requeue = (dropDedupeKey) => Task.updateOne(
+      ownTask(task),
+      {
+        $set: {
+          status: 'queued',
+          runAt: new Date(Date.now() + retryInMs),
+          progress,
+          lastError: err.message,
+        },
+        $push: { failures: { $each: [{ attempt: task.attempts, error: err.message, at: new Date() }], $slice: -MAX_FAILURES_KEPT } },
+        $unset: dropDedupeKey ? { ...releaseLock, dedupeKey: '' } : releaseLock,
+      }
+    );
+    await requeue(false)
+      .catch((e) => {
+        // A newer task was queued under the same dedupeKey while this one ran; retry without the key
+        if (e.code === 11000 && task.dedupeKey) return requeue(true);
+        throw e;
+      })
+      .catch((e) => console.error(`❌ Could not requeue task ${task._id}: ${e.message}`));
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+/**
+ * Claim due tasks while this process has free slots
+ */
+const poll = async () => {
+  if (polling || !timer || mongoose.connection.readyState !== 1) return;
+  polling = true;
+
+  try {
+    while (runningTotal < maxConcurrency) {
+      const types = [...handlers.entries()]
+        .filter(([type, definition]) => (running.get(type) || 0) < definition.concurrency)
+        .map(([type]) => type);
+      if (types.length === 0) break;
+
+      const task = await claimTask(types);
+      if (!task) break;
+
+      running.set(task.type, (running.get(task.type) || 0) + 1);
+      runningTotal++;
+      runTask(task, handlers.get(task.type)).finally(() => {
+        running.set(task.type, running.get(task.type) - 1);
+        runningTotal--;
+        setImmediate(poll);
+      });
+    }
+  } catch (err) {
+    console.error('❌ Task queue poll failed:', err.message);
+  } finally {
+    polling = false;
+  }
+};
+
+/**
+ * Start the workers of this process
+ * Poll interval comes from TASK_POLL_INTERVAL_MS (default 2s), the concurrency cap from
+ * TASK_CONCURRENCY (default 4). New tasks queued in this process start without waiting.
+ * @returns {Function} stop - Stops claiming new tasks; running ones finish
+ */
+const startTaskWorkers = () => {
+  if (timer) return () => {};
+
+  const intervalMs = parseInt(process.env.TASK_POLL_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS;
+  maxConcurrency = parseInt(process.env.TASK_CONCURRENCY) || DEFAULT_CONCURRENCY;
+
+  timer = setInterval(poll, intervalMs);
+  timer.unref();
+  console.log(`🧵 Task workers started (${maxConcurrency} slots, ${[...handlers.keys()].join(', ')})`);
+
+  return () => {
+    clearInterval(timer);
+    timer = null;
+  };
+};
+
+/**
+ * Put a dead task back in the queue with a fresh attempt budget
+ * @param {string|ObjectId} taskId
+ * @returns {Promise<Object|null>} The task, or null unless it was dead
+ */
+const retryTask = async (taskId) => {
+  const task = await Task.findOneAndUpdate(
+    { _id: taskId, status: 'dead' },
+    {
+      $set: { status: 'queued', runAt: new Date(), attempts: 0, cancelRequested: false },
+      // Its dedupeKey may be taken by a newer queued task by now
+      $unset: { finishedAt: '', dedupeKey: '', ...releaseLock },
+    },
+    { new: true }
+  ).lean();
+
+  if (task && timer) setImmediate(poll);
+  return task;
+};
+
+/**
+ * Cancel a task
+ * A queued task is cancelled at once. A running one is asked to stop: it ends as cancelled
+ * when its handler next checks context.signal (handlers that never check run to the end).
+ * @param {string|ObjectId} taskId
+ * @param {ObjectId} [userId] - Admin who cancelled it
+ * @returns {Promise<Object|null>} The task, or null unless it was queued or running
+ */
+const cancelTask = async (taskId, userId) => {
+  const queued = await Task.findOneAndUpdate(
+    { _id: taskId, status: 'queued' },
+    {
+      $set: {
+        status: 'cancelled',
+        cancelledBy: userId,
+        finishedAt: new Date(),
+        expiresAt: new Date(Date.now() + COMPLETED_RETENTION_MS),
+      },
+      $unset: { dedupeKey: '' },
+    },
+    { new: true }
+  ).lean();
+  if (queued) return queued;
+
+  return Task.findOneAndUpdate(
+    { _id: taskId, status: 'running' },
+    { $set: { cancelRequested: true, cancelledBy: userId } },
+    { new: true }
+  ).lean();
+};
+
+/**
+ * Tasks by status, plus what this process is running (for the admin task list)
+ */
+const getTaskQueueStats = async () => {
+  const counts = await Task.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]);
+  return {
+    byStatus: Object.fromEntries(counts.map((c) => [c._id, c.count])),
+    workers: {
+      started: timer !== null,
+      instance: INSTANCE_ID,
+      running: runningTotal,
+      maxConcurrency,
+    },
+  };
+};
+
+module.exports = {
+  registerTaskHandler,
+  enqueueTask,
+  startTaskWorkers,
+  retryTask,
+  cancelTask,
+  getTaskQueueStats,
+  backoffDelay,
+};
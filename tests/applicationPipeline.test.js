@@ -0,0 +1,71 @@
+/**
+ * Application pipeline: per-process transition graphs and job seeker withdrawals
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  canTransition,
+  createTransitionError,
+  getAllowedTransitions,
+} = require('../config/applicationPipeline');
+
+test('Quick process lets employers skip straight to an offer', () => {
+  const options = { hiringProcess: 'Quick' };
+  assert.ok(canTransition('Applied', 'Offered', options));
+  assert.ok(canTransition('Applied', 'Interview', options));
+  assert.ok(canTransition('Applied', 'Rejected', options));
+});
+
+test('Standard process requires an interview before an offer', () => {
+  const options = { hiringProcess: 'Standard' };
+  assert.ok(canTransition('Applied', 'Interview', options));
+  assert.ok(canTransition('Interview', 'Offered', options));
+  assert.ok(!canTransition('Applied', 'Offered', options));
+  assert.ok(!canTransition('Under Review', 'Offered', options));
+});
+
+test('Comprehensive process requires a review and allows sending a candidate back to it', () => {
+  const options = { hiringProcess: 'Comprehensive' };
+  assert.ok(!canTransition('Applied', 'Interview', options));
+  assert.ok(canTransition('Applied', 'Under Review', options));
+  assert.ok(canTransition('Interview', 'Under Review', options));
+  assert.ok(!canTransition('Interview', 'Under Review', { hiringProcess: 'Standard' }));
+});
+
+test('unknown or missing hiring process falls back to Standard', () => {
+  assert.deepStrictEqual(
+    getAllowedTransitions('Applied', { hiringProcess: 'Bogus' }),
+    getAllowedTransitions('Applied', { hiringProcess: 'Standard' })
+  );
+  assert.ok(!canTransition('Applied', 'Offered'));
+});
+
+test('terminal statuses have no outgoing moves', () => {
+  ['Offered', 'Rejected', 'Withdrawn'].forEach((status) => {
+    ['Quick', 'Standard', 'Comprehensive'].forEach((hiringProcess) => {
+      assert.deepStrictEqual(getAllowedTransitions(status, { hiringProcess }), []);
+    });
+  });
+  assert.ok(!canTransition('Rejected', 'Applied'));
+});
+
+test('same-status moves are rejected', () => {
+  assert.ok(!canTransition('Under Review', 'Under Review'));
+  const err = createTransitionError('Under Review', 'Under Review');
+  assert.strictEqual(err.statusCode, 409);
+  assert.match(err.message, /already Under Review/);
+});
+
+test('job seekers can only withdraw, and only while the application is open', () => {
+  const actor = { actor: 'jobseeker' };
+  ['Applied', 'Under Review', 'Interview', 'Offered'].forEach((status) => {
+    assert.ok(canTransition(status, 'Withdrawn', actor));
+  });
+  assert.ok(!canTransition('Applied', 'Under Review', actor));
+  assert.ok(!canTransition('Rejected', 'Withdrawn', actor));
+  assert.ok(!canTransition('Withdrawn', 'Withdrawn', actor));
+  // Employers move applications along the graph, never to Withdrawn
+  assert.ok(!canTransition('Applied', 'Withdrawn'));
+});
@@ -0,0 +1,54 @@
+/**
+ * Job lint rule dictionary: applicant-facing bias is flagged, patient-facing care wording is not
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.AI_PROVIDER = 'stub';
+
+const { lintText, summarizeFindings } = require('../services/jobLintService');
+
+const ruleIds = (description) => lintText({ description }).map((f) => f.ruleId);
+const severity = (description) => summarizeFindings(lintText({ description })).severity;
+
+test('flags age limits on applicants', () => {
+  assert.ok(ruleIds('Age limit: below 35').includes('age_limit'));
+  assert.ok(ruleIds('Candidates aged 21 to 35 may apply').includes('age_limit'));
+  assert.ok(ruleIds('Applicants must be under 40 years old').includes('age_range_years'));
+  assert.strictEqual(severity('Nurses between 25-35 years of age'), 'severe');
+});
+
+test('flags gender preferences for applicants', () => {
+  assert.ok(ruleIds('Female nurses only').includes('gender_preference'));
+  assert.ok(ruleIds('Only male candidates should apply').includes('gender_preference'));
+  assert.strictEqual(severity('Ladies preferred for this post'), 'severe');
+});
+
+test('ignores age and gender wording about patients and residents', () => {
+  [
+    'Provide care for patients aged 65 and above',
+    'Experience with pediatric patients under 12 years old',
+    'Ward for female patients only',
+    'Support residents aged 70 and over with daily living',
+    'NICU caring for infants under 28 days old',
+    'Outpatient clinic for women only, female clients preferred',
+  ].forEach((text) => {
+    const findings = lintText({ description: text })
+      .filter((f) => ['age_limit', 'age_range_years', 'gender_preference'].includes(f.ruleId));
+    assert.deepStrictEqual(findings, [], text);
+  });
+});
+
+test('still flags the applicant when patients are mentioned elsewhere', () => {
+  const ids = ruleIds('Female nurses only, to care for female patients');
+  assert.strictEqual(ids.filter((id) => id === 'gender_preference').length, 1);
+  assert.ok(ruleIds('Geriatric ward. Candidates aged under 30 preferred').includes('age_limit'));
+});
+
+test('other rules', () => {
+  assert.ok(ruleIds('Unmarried women preferred').includes('marital_preference'));
+  assert.ok(ruleIds('Must be a native English speaker').includes('native_speaker'));
+  assert.ok(ruleIds('Fair complexion required').includes('appearance'));
+  assert.strictEqual(severity('Manage a 20-bed surgical ward with a team of 8 nurses'), 'clean');
+});
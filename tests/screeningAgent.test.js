@@ -0,0 +1,37 @@
+/**
+ * AI screening agent: the employer opt-in status change applied after a review
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.AI_PROVIDER = 'stub';
+
+const { resolveAutoAction } = require('../services/ai/screeningAgent');
+
+const screening = (recommendation, redFlags = []) => ({ recommendation, redFlags });
+const BOTH = { autoAdvance: true, autoReject: true };
+
+test('does nothing unless the employer opted in', () => {
+  assert.strictEqual(resolveAutoAction(screening('advance')), null);
+  assert.strictEqual(resolveAutoAction(screening('reject'), {}), null);
+  assert.strictEqual(resolveAutoAction(screening('advance'), { autoReject: true }), null);
+  assert.strictEqual(resolveAutoAction(screening('reject'), { autoAdvance: true }), null);
+});
+
+test('advances to Under Review and rejects when enabled', () => {
+  assert.strictEqual(resolveAutoAction(screening('advance'), BOTH), 'Under Review');
+  assert.strictEqual(resolveAutoAction(screening('reject'), BOTH), 'Rejected');
+});
+
+test('never advances past a high-severity red flag', () => {
+  const flags = [{ type: 'expired_certification', severity: 'high' }];
+  assert.strictEqual(resolveAutoAction(screening('advance', flags), BOTH), null);
+
+  const minor = [{ type: 'expiring_certification', severity: 'low' }];
+  assert.strictEqual(resolveAutoAction(screening('advance', minor), BOTH), 'Under Review');
+});
+
+test('hold recommendations are left for the employer', () => {
+  assert.strictEqual(resolveAutoAction(screening('hold'), BOTH), null);
+});
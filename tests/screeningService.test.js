@@ -0,0 +1,108 @@
+/**
+ * Screening answers: per-type validation and knockout outcomes at apply time
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { evaluateAnswers } = require('../services/screeningService');
+
+const QUESTIONS = [
+  {
+    _id: 'q1',
+    question: 'Do you hold an active RN license?',
+    type: 'Yes/No',
+    required: true,
+    knockout: { action: 'Reject', acceptedAnswers: ['Yes'] },
+  },
+  {
+    _id: 'q2',
+    question: 'Years of ICU experience',
+    type: 'Number',
+    min: 0,
+    max: 50,
+    knockout: { action: 'Flag', min: 2 },
+  },
+  {
+    _id: 'q3',
+    question: 'Preferred shift',
+    type: 'Single Choice',
+    options: ['Day', 'Night', 'Rotating'],
+  },
+  {
+    _id: 'q4',
+    question: 'Nursing council registration number',
+    type: 'License Number',
+  },
+];
+
+const answer = (questionId, value) => ({ questionId, answer: value });
+
+test('passes and normalizes valid answers', () => {
+  const result = evaluateAnswers(QUESTIONS, [
+    answer('q1', 'y'),
+    answer('q2', '4'),
+    answer('q3', 'night'),
+    answer('q4', 'dl/2019/0042'),
+  ]);
+
+  assert.deepStrictEqual(result.errors, []);
+  assert.strictEqual(result.outcome, 'Passed');
+  assert.deepStrictEqual(
+    result.answers.map((a) => a.answer),
+    ['Yes', '4', 'Night', 'DL/2019/0042']
+  );
+});
+
+test('reports missing, malformed and unknown answers', () => {
+  const result = evaluateAnswers(QUESTIONS, [
+    answer('q2', '99'),
+    answer('q3', 'Weekend'),
+    answer('q9', 'Yes'),
+    { answer: 'no id' },
+  ]);
+  const fields = result.errors.map((e) => e.field);
+
+  assert.ok(fields.includes('answers.q1'), 'required question left blank');
+  assert.ok(fields.includes('answers.q2'), 'number above max');
+  assert.ok(fields.includes('answers.q3'), 'option not offered');
+  assert.ok(fields.includes('answers.q4'), 'license number is always required');
+  assert.ok(fields.includes('answers.q9'), 'unknown question');
+  assert.ok(fields.includes('answers[3]'), 'answer without a questionId');
+});
+
+test('a Flag knockout flags the application without rejecting it', () => {
+  const result = evaluateAnswers(QUESTIONS, [
+    answer('q1', 'Yes'),
+    answer('q2', '1'),
+    answer('q4', 'MCI-12345'),
+  ]);
+
+  assert.deepStrictEqual(result.errors, []);
+  assert.strictEqual(result.outcome, 'Flagged');
+  assert.deepStrictEqual(result.knockouts.map((k) => k.questionId), ['q2']);
+});
+
+test('a Reject knockout wins over a Flag knockout', () => {
+  const result = evaluateAnswers(QUESTIONS, [
+    answer('q1', 'No'),
+    answer('q2', '1'),
+    answer('q4', 'MCI-12345'),
+  ]);
+
+  assert.strictEqual(result.outcome, 'Rejected');
+  assert.deepStrictEqual(
+    result.knockouts.map((k) => k.action).sort(),
+    ['Flag', 'Reject']
+  );
+});
+
+test('questions without a knockout action never knock out', () => {
+  const questions = [
+    { _id: 'q1', question: 'Willing to relocate?', type: 'Yes/No', knockout: { action: 'None', acceptedAnswers: ['Yes'] } },
+  ];
+  const result = evaluateAnswers(questions, [answer('q1', 'No')]);
+
+  assert.strictEqual(result.outcome, 'Passed');
+  assert.deepStrictEqual(result.knockouts, []);
+});
@@ -0,0 +1,114 @@
+/**
+ * Semantic search paging: every page must slice the same fused order, so paging through
+ * a query returns each matching job exactly once
+ *
+ * Runs without MongoDB or a model: the jobs collection and embedText are replaced by an
+ * in-memory fixture before semanticSearch.js is loaded.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+process.env.AI_PROVIDER = 'stub';
+
+const embeddingConfig = require('../services/ai/embeddingConfig');
+const { aiConfig } = require('../config/ai');
+
+const { ObjectId } = mongoose.Types;
+const DIMENSIONS = aiConfig.embedding.dimensions;
+
+// Unit vector pointing further away from the query as i grows
+const vectorFor = (i) => {
+  const vector = new Array(DIMENSIONS).fill(0);
+  vector[0] = 1;
+  vector[1] = i * 0.1;
+  return vector;
+};
+
+// Semantic order is 0, 1, 2, ...; the lexical list runs the other way through the odd jobs,
+// so deeper pages keep finding jobs that rank in both lists
+const JOB_COUNT = 30;
+const jobs = Array.from({ length: JOB_COUNT }, (_, i) => ({
+  _id: new ObjectId(),
+  title: `Staff Nurse ${i}${i % 2 ? ` ${'ACLS '.repeat(i)}` : ''}`.trim(),
+  status: 'Active',
+  embedding: vectorFor(i),
+  embeddingMeta: embeddingConfig.getJobEmbeddingVersion(),
+}));
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, cond]) => {
+  if (key === '$text' || key === '$nor') return true;
+  const value = key.split('.').reduce((obj, part) => obj && obj[part], doc);
+  if (cond && typeof cond === 'object' && !(cond instanceof ObjectId)) {
+    if ('$exists' in cond) return (value !== undefined) === cond.$exists;
+    if ('$in' in cond) return cond.$in.some((x) => String(x) === String(value));
+  }
+  return String(value) === String(cond);
+});
+
+const cursorOf = (docs) => {
+  const cursor = {
+    sort: () => cursor,
+    toArray: async () => docs,
+    async *[Symbol.asyncIterator]() { yield* docs; },
+  };
+  return cursor;
+};
+
+mongoose.connection.collection = () => ({
+  // No Atlas here: $vectorSearch fails and the in-memory index serves the semantic list
+  aggregate: (pipeline) => ({
+    toArray: async () => {
+      const match = pipeline[0].$match;
+      if (!match || !match.$text) throw new Error("Unrecognized pipeline stage name: '$vectorSearch'");
+      const limit = pipeline.find((stage) => stage.$limit).$limit;
+      return jobs
+        .filter((doc) => matches(doc, match))
+        .map((doc) => ({ ...doc, score: (doc.title.match(/ACLS/g) || []).length }))
+        .filter((doc) => doc.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    },
+  }),
+  find: (filter) => cursorOf(jobs.filter((doc) => matches(doc, filter))),
+});
+embeddingConfig.embedText = async () => vectorFor(0);
+// Nothing to meter into
+require('../models/AiUsage').create = async () => {};
+
+const { semanticJobSearch } = require('../services/ai/semanticSearch');
+
+const pageThrough = async (query, limit) => {
+  const seen = [];
+  let cursor;
+  for (let pages = 0; pages < 50; pages++) {
+    const result = await semanticJobSearch(query, { limit, cursor, generateExplanations: false });
+    seen.push(...result.results.map((job) => job._id.toString()));
+    if (!result.pagination.hasMore) return seen;
+    cursor = result.pagination.nextCursor;
+  }
+  throw new Error('Paging did not stop');
+};
+
+test('pages through overlapping semantic and lexical lists without duplicates or gaps', async () => {
+  const first = await semanticJobSearch('ACLS nurse', { limit: JOB_COUNT, generateExplanations: false });
+  const expected = first.results.map((job) => job._id.toString());
+  assert.strictEqual(expected.length, JOB_COUNT);
+
+  for (const limit of [3, 4, 7]) {
+    const seen = await pageThrough('ACLS nurse', limit);
+    assert.strictEqual(new Set(seen).size, seen.length, `duplicates with limit ${limit}`);
+    assert.deepStrictEqual(seen, expected, `order differs with limit ${limit}`);
+  }
+});
+
+test('stops paging at maxResults when the fused lists together hold more jobs', async (t) => {
+  const { maxResults } = aiConfig.semanticSearch;
+  aiConfig.semanticSearch.maxResults = 12;
+  t.after(() => { aiConfig.semanticSearch.maxResults = maxResults; });
+
+  const seen = await pageThrough('ACLS nurse', 5);
+  assert.strictEqual(seen.length, 12);
+  assert.strictEqual(new Set(seen).size, seen.length);
+});
@@ -0,0 +1,153 @@
+/**
+ * Task queue retries, without MongoDB: the Task model's queries are replaced by an
+ * in-memory stand-in that enforces the queued-only unique dedupeKey index
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+
+const tasks = new Map();
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, cond]) => {
+  if (key === '$or') return cond.some((f) => matches(doc, f));
+  if (cond && typeof cond === 'object' && !(cond instanceof mongoose.Types.ObjectId) && !(cond instanceof Date)) {
+    if ('$in' in cond) return cond.$in.includes(doc[key]);
+    if ('$lte' in cond) return doc[key] <= cond.$lte;
+    if ('$lt' in cond) return doc[key] < cond.$lt;
+  }
+  return String(doc[key]) === String(cond);
+});
+
+const apply = (doc, update) => {
+  const next = { ...doc, ...update.$set };
+  Object.keys(update.$unset || {}).forEach((key) => delete next[key]);
+  Object.entries(update.$inc || {}).forEach(([key, n]) => { next[key] = (next[key] || 0) + n; });
+  Object.entries(update.$push || {}).forEach(([key, { $each }]) => { next[key] = [...(next[key] || []), ...$each]; });
+  const clash = next.status === 'queued' && next.dedupeKey && [...tasks.values()]
+    .some((t) => String(t._id) !== String(doc._id) && t.status === 'queued' && t.dedupeKey === next.dedupeKey);
+  if (clash) throw duplicateKey();
+  tasks.set(String(doc._id), next);
+  return next;
+};
+
+const lean = (value) => ({ lean: () => Promise.resolve(value), then: (resolve, reject) => Promise.resolve(value).then(resolve, reject) });
+
+Task.create = async (doc) => {
+  if ([...tasks.values()].some((t) => t.status === 'queued' && doc.dedupeKey && t.dedupeKey === doc.dedupeKey)) {
+    throw duplicateKey();
+  }
+  const task = { _id: new mongoose.Types.ObjectId(), status: 'queued', attempts: 0, ...doc };
+  tasks.set(String(task._id), task);
+  return task;
+};
+Task.updateOne = async (filter, update) => {
+  const doc = [...tasks.values()].find((t) => matches(t, filter));
+  if (doc) apply(doc, update);
+  return { modifiedCount: doc ? 1 : 0 };
+};
+Task.findOneAndUpdate = (filter, update) => {
+  const doc = [...tasks.values()]
+    .filter((t) => matches(t, filter))
+    .sort((a, b) => a.runAt - b.runAt)[0];
+  if (!doc) return lean(null);
+  try {
+    return lean(apply(doc, update));
+  } catch (err) {
+    return { lean: () => Promise.reject(err), then: (_, reject) => Promise.reject(err).catch(reject) };
+  }
+};
+
+const { registerTaskHandler, enqueueTask, startTaskWorkers, cancelTask, backoffDelay } = require('../services/taskQueue');
+
+Object.defineProperty(mongoose.connection, 'readyState', { get: () => 1 });
+process.env.TASK_POLL_INTERVAL_MS = '20';
+
+const waitFor = async (condition) => {
+  for (let i = 0; i < 500; i++) {
+    if (condition()) return;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error('Timed out');
+};
+
+test('backoffDelay doubles per attempt with up to 20% jitter, capped at an hour', () => {
+  for (let attempt = 1; attempt <= 4; attempt++) {
+    const base = 1000 * 2 ** (attempt - 1);
+    const delay = backoffDelay(attempt, 1000);
+    assert.ok(delay >= base && delay <= base * 1.2, `attempt ${attempt}: ${delay}`);
+  }
+  assert.ok(backoffDelay(30, 1000) <= 60 * 60 * 1000 * 1.2);
+});
+
+test('a failed task is retried even when its dedupeKey was taken while it ran', async (t) => {
+  const stop = startTaskWorkers();
+  t.after(stop);
+
+  let runs = 0;
+  let releaseFirstRun;
+  registerTaskHandler('flaky', async () => {
+    runs++;
+    if (runs === 1) {
+      await new Promise((resolve) => { releaseFirstRun = resolve; });
+      throw new Error('model timed out');
+    }
+    return { ok: true };
+  }, { concurrency: 1, backoffMs: 1 });
+
+  const first = await enqueueTask('flaky', {}, { dedupeKey: 'flaky:1' });
+  await waitFor(() => releaseFirstRun);
+
+  // Queued under the same key while the first one runs
+  const second = await enqueueTask('flaky', {}, { dedupeKey: 'flaky:1' });
+  assert.notStrictEqual(String(second._id), String(first._id));
+
+  releaseFirstRun();
+  await waitFor(() => [...tasks.values()].every((task) => task.status === 'completed'));
+
+  const retried = tasks.get(String(first._id));
+  assert.strictEqual(retried.attempts, 2);
+  assert.strictEqual(retried.failures.length, 1);
+  assert.strictEqual(retried.dedupeKey, undefined);
+  assert.strictEqual(runs, 3);
+});
+
+test('cancelling a queued task keeps it from running', async () => {
+  let ran = false;
+  registerTaskHandler('neverRuns', async () => { ran = true; });
+
+  // Not due for an hour, so no worker picks it up first
+  const task = await enqueueTask('neverRuns', {}, { dedupeKey: 'neverRuns:1', runAt: new Date(Date.now() + 3600 * 1000) });
+  const cancelled = await cancelTask(task._id);
+  assert.strictEqual(cancelled.status, 'cancelled');
+  assert.strictEqual(cancelled.dedupeKey, undefined);
+  assert.strictEqual(await cancelTask(task._id), null);
+  assert.strictEqual(ran, false);
+});
+
+test('a running task stops at its next signal check once cancelled', async (t) => {
+  const stop = startTaskWorkers();
+  t.after(stop);
+
+  let batches = 0;
+  registerTaskHandler('longBatch', async (payload, { progress, signal }) => {
+    for (let i = 0; i < 1000; i++) {
+      signal.throwIfAborted();
+      batches++;
+      progress(i, 1000, 'items');
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+  });
+
+  const task = await enqueueTask('longBatch');
+  await waitFor(() => batches > 0);
+  const requested = await cancelTask(task._id);
+  assert.strictEqual(requested.status, 'running');
+  assert.strictEqual(requested.cancelRequested, true);
+
+  await waitFor(() => tasks.get(String(task._id)).status === 'cancelled');
+  assert.ok(batches < 1000);
+  assert.strictEqual(tasks.get(String(task._id)).lockedBy, undefined);
+});
@@ -0,0 +1,58 @@
+/**
+ * Job listing filters
+ * Shared by GET /api/jobs, the employer job list and saved-search alerts
+ */
+
+// Query keys understood by buildJobFilters (saved searches may only store these)
+const JOB_FILTER_KEYS = [
+  'status',
+  'specialization',
+  'city',
+  'state',
+  'country',
+  'jobType',
+  'shift',
+  'isRemote',
+  'salaryMin',
+  'salaryMax',
+  'experienceMin',
+  'experienceMax',
+  'dateFrom',
+  'dateTo',
+  'search',
+];
+
+/**
+ * Build a MongoDB filter for the jobs collection from query-string style input
+ * @param {Object} q - e.g. req.query or a saved search's filters
+ * @returns {Object}
+ */
+const buildJobFilters = (q) => {
+  const f = {};
+  if (q.status) f.status = q.status;
+  if (q.specialization) f.specialization = q.specialization;
+  if (q.city) f["location.city"] = q.city;
+  if (q.state) f["location.state"] = q.state;
+  if (q.country) f["location.country"] = q.country;
+  if (q.jobType) f.jobType = q.jobType;
+  if (q.shift) f.shift = q.shift;
+  if (q.isRemote !== undefined) f.isRemote = q.isRemote === true || q.isRemote === "true";
+  if (q.salaryMin) f["salary.max"] = { $gte: Number(q.salaryMin) };
+  if (q.salaryMax) f["salary.min"] = { $lte: Number(q.salaryMax) };
+  if (q.experienceMin)
+    f["experienceRequired.minYears"] = { $lte: Number(q.experienceMin) };
+  if (q.experienceMax)
+    f["experienceRequired.maxYears"] = { $gte: Number(q.experienceMax) };
+  if (q.dateFrom || q.dateTo) {
+    f.postedAt = {};
+    if (q.dateFrom) f.postedAt.$gte = new Date(q.dateFrom);
+    if (q.dateTo) f.postedAt.$lte = new Date(q.dateTo);
+  }
+  if (q.search) f.$text = { $search: q.search };
+  return f;
+};
+
+module.exports = {
+  JOB_FILTER_KEYS,
+  buildJobFilters,
+};
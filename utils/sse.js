@@ -0,0 +1,58 @@
+/**
+ * Server-Sent Events helper
+ * Opens a text/event-stream response whose AbortSignal fires when the client disconnects,
+ * so long-running work (LLM calls) can be cancelled instead of finishing for nobody
+ */
+
+const HEARTBEAT_MS = 15000; // keeps idle proxies from closing the connection
+
+/**
+ * Open an SSE stream on an Express response
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {{ send: Function, close: Function, signal: AbortSignal }}
+ */
+const openEventStream = (req, res) => {
+  const controller = new AbortController();
+  let closed = false;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // disable nginx response buffering
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  // Fires after res.end() too; only an early close means the client went away
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!closed) {
+      closed = true;
+      controller.abort();
+    }
+  });
+
+  /**
+   * Send one event
+   * @param {string} event - Event name
+   * @param {*} data - JSON-serializable payload
+   */
+  const send = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    res.end();
+  };
+
+  return { send, close, signal: controller.signal };
+};
+
+module.exports = { openEventStream };